@@ -0,0 +1,253 @@
+/**
+ * BitmapFont - Pixel fonts for widget text rendering.
+ *
+ * Glyphs are stored as one bitmask per row with the leftmost pixel in the
+ * highest bit. Fonts are registered by name; a widget's fontSize config
+ * selects one of them. Plugins can ship their own fonts (including BDF files
+ * converted with BitmapFont.fromBDF) through their `fonts` array.
+ */
+class BitmapFont {
+    static fonts = new Map();
+    static DEFAULT_FONT = 'small';
+    static MAX_GLYPH_WIDTH = 32;
+
+    /**
+     * @param {string} name - Registry name, used as the fontSize config value
+     * @param {object} options - { height, glyphs, spacing, lineHeight, fallbackChar }
+     *   glyphs maps characters to { width, rows, advance }
+     */
+    constructor(name, options = {}) {
+        if (!name) {
+            throw new Error('Font must have a name');
+        }
+        if (!Number.isInteger(options.height) || options.height < 1) {
+            throw new Error(`Font ${name} must have a positive integer height`);
+        }
+
+        this.name = name;
+        this.label = options.label || name;
+        this.height = options.height;
+        this.spacing = options.spacing ?? 1;
+        this.lineHeight = options.lineHeight ?? this.height + 1;
+        this.fallbackChar = options.fallbackChar ?? '?';
+        this.glyphs = new Map();
+
+        for (const [char, glyph] of Object.entries(options.glyphs || {})) {
+            this.addGlyph(char, glyph);
+        }
+    }
+
+    addGlyph(char, glyph) {
+        if (glyph.width > BitmapFont.MAX_GLYPH_WIDTH) {
+            throw new Error(`Glyph ${char} in font ${this.name} is wider than ${BitmapFont.MAX_GLYPH_WIDTH}px`);
+        }
+
+        const rows = glyph.rows.slice(0, this.height);
+        while (rows.length < this.height) rows.push(0);
+
+        this.glyphs.set(char, {
+            width: glyph.width,
+            advance: glyph.advance ?? glyph.width,
+            rows
+        });
+    }
+
+    /**
+     * Build a fixed-width font from hex row strings, one character per row
+     * digit group (ceil(width / 4) hex digits per row).
+     */
+    static fromHex(name, { width, height, glyphs, ...options }) {
+        const digits = Math.ceil(width / 4);
+        const decoded = {};
+
+        for (const [char, hex] of Object.entries(glyphs)) {
+            const rows = [];
+            for (let i = 0; i < hex.length; i += digits) {
+                rows.push(parseInt(hex.slice(i, i + digits), 16));
+            }
+            decoded[char] = { width, rows };
+        }
+
+        return new BitmapFont(name, { height, glyphs: decoded, ...options });
+    }
+
+    /**
+     * Parse an Adobe BDF font. Only glyphs with a Unicode/Latin-1 ENCODING are kept.
+     */
+    static fromBDF(name, source, options = {}) {
+        const lines = String(source).split(/\r?\n/);
+        let ascent = null;
+        let descent = null;
+        let boundingBox = null;
+        const parsed = [];
+        let current = null;
+        let bitmapRows = null;
+
+        for (const rawLine of lines) {
+            const line = rawLine.trim();
+            const [keyword, ...args] = line.split(/\s+/);
+
+            if (bitmapRows) {
+                if (keyword === 'ENDCHAR') {
+                    current.bitmap = bitmapRows;
+                    parsed.push(current);
+                    current = null;
+                    bitmapRows = null;
+                } else if (line) {
+                    bitmapRows.push(line);
+                }
+                continue;
+            }
+
+            switch (keyword) {
+                case 'FONTBOUNDINGBOX':
+                    boundingBox = args.map(Number);
+                    break;
+                case 'FONT_ASCENT':
+                    ascent = Number(args[0]);
+                    break;
+                case 'FONT_DESCENT':
+                    descent = Number(args[0]);
+                    break;
+                case 'STARTCHAR':
+                    current = { encoding: -1, advance: null, bbx: null };
+                    break;
+                case 'ENCODING':
+                    if (current) current.encoding = Number(args[0]);
+                    break;
+                case 'DWIDTH':
+                    if (current) current.advance = Number(args[0]);
+                    break;
+                case 'BBX':
+                    if (current) current.bbx = args.map(Number);
+                    break;
+                case 'BITMAP':
+                    if (current) bitmapRows = [];
+                    break;
+            }
+        }
+
+        if (!boundingBox && (ascent === null || descent === null)) {
+            throw new Error(`BDF font ${name} has no FONTBOUNDINGBOX or FONT_ASCENT/FONT_DESCENT`);
+        }
+
+        if (ascent === null) ascent = boundingBox[1] + boundingBox[3];
+        if (descent === null) descent = -boundingBox[3];
+        const height = ascent + descent;
+
+        const glyphs = {};
+        for (const glyph of parsed) {
+            if (glyph.encoding < 0 || !glyph.bbx) continue;
+
+            const [bbw, bbh, bbx, bby] = glyph.bbx;
+            const advance = glyph.advance ?? bbw;
+            const width = Math.max(advance, bbx + bbw, 1);
+            const top = ascent - (bby + bbh);
+            const rows = new Array(height).fill(0);
+
+            glyph.bitmap.forEach((hex, rowIndex) => {
+                const y = top + rowIndex;
+                if (y < 0 || y >= height) return;
+
+                for (let bx = 0; bx < bbw; bx++) {
+                    const digit = parseInt(hex[bx >> 2] || '0', 16);
+                    if (digit & (8 >> (bx & 3))) {
+                        const x = bbx + bx;
+                        if (x >= 0 && x < width) {
+                            rows[y] |= 1 << (width - 1 - x);
+                        }
+                    }
+                }
+            });
+
+            glyphs[String.fromCodePoint(glyph.encoding)] = { width, advance, rows };
+        }
+
+        return new BitmapFont(name, { spacing: 0, lineHeight: height, ...options, height, glyphs });
+    }
+
+    static register(font) {
+        if (BitmapFont.fonts.has(font.name)) {
+            console.warn(`Font ${font.name} is already registered, overwriting`);
+        }
+        BitmapFont.fonts.set(font.name, font);
+    }
+
+    static unregister(name) {
+        return BitmapFont.fonts.delete(name);
+    }
+
+    /**
+     * Look up a font by name, falling back to the default font
+     */
+    static get(name) {
+        return BitmapFont.fonts.get(name) || BitmapFont.fonts.get(BitmapFont.DEFAULT_FONT);
+    }
+
+    static getFontNames() {
+        return Array.from(BitmapFont.fonts.values()).map(font => ({ value: font.name, label: font.label }));
+    }
+
+    getGlyph(char) {
+        return this.glyphs.get(char) ||
+               this.glyphs.get(char.toUpperCase()) ||
+               this.glyphs.get(this.fallbackChar) ||
+               this.glyphs.get(' ');
+    }
+
+    /**
+     * Measure text in pixels. Lines are split on \n.
+     */
+    measureText(text) {
+        const lines = String(text).split('\n');
+        let width = 0;
+
+        for (const line of lines) {
+            let lineWidth = 0;
+            for (const char of line) {
+                const glyph = this.getGlyph(char);
+                lineWidth += (glyph ? glyph.advance : 0) + this.spacing;
+            }
+            // No spacing after the last character
+            width = Math.max(width, lineWidth > 0 ? lineWidth - this.spacing : 0);
+        }
+
+        return {
+            width,
+            height: (lines.length - 1) * this.lineHeight + this.height
+        };
+    }
+
+    /**
+     * Call callback(x, y) for every lit pixel of text, relative to the text origin
+     */
+    forEachPixel(text, callback) {
+        let cursorY = 0;
+
+        for (const line of String(text).split('\n')) {
+            let cursorX = 0;
+
+            for (const char of line) {
+                const glyph = this.getGlyph(char);
+                if (!glyph) continue;
+
+                for (let row = 0; row < this.height; row++) {
+                    const bits = glyph.rows[row];
+                    if (!bits) continue;
+
+                    for (let col = 0; col < glyph.width; col++) {
+                        if (bits & (1 << (glyph.width - 1 - col))) {
+                            callback(cursorX + col, cursorY + row);
+                        }
+                    }
+                }
+
+                cursorX += glyph.advance + this.spacing;
+            }
+
+            cursorY += this.lineHeight;
+        }
+    }
+}
+
+window.BitmapFont = BitmapFont;
@@ -0,0 +1,349 @@
+/**
+ * BrightnessAutomation - Night mode for a device: dims the display, warms
+ * its colours and turns the screen off on a daily curve.
+ *
+ * Night runs from sunset to sunrise (mode 'sun', computed locally from the
+ * latitude and longitude) or between two fixed times (mode 'schedule').
+ * At each end the change fades in over fadeMinutes. Brightness moves
+ * between dayBrightness and nightBrightness, and the colour temperature
+ * between 6500K and nightColorTemperature. Screen-off windows
+ * ([{ start, end }], 'HH:MM') switch the display off with Channel/OnOffScreen.
+ *
+ * While a schedule rule with its own brightness is active, that brightness
+ * replaces the curve.
+ */
+class BrightnessAutomation {
+    static CHECK_INTERVAL = 10000;
+    static MODES = [
+        { value: 'off', label: 'Off' },
+        { value: 'sun', label: 'Sunset to sunrise' },
+        { value: 'schedule', label: 'Fixed times' }
+    ];
+
+    constructor(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.settings = BrightnessAutomation.getDefaultSettings();
+
+        // What was last sent to the device; null means unknown
+        this.applied = { brightness: null, screenOn: null };
+        this.checkInterval = null;
+    }
+
+    static getDefaultSettings() {
+        return {
+            mode: 'off',
+            latitude: null,
+            longitude: null,
+            nightStart: '22:00',
+            nightEnd: '07:00',
+            dayBrightness: 100,
+            nightBrightness: 20,
+            fadeMinutes: 30,
+            nightColorTemperature: ColorBlend.NEUTRAL_TEMPERATURE,
+            screenOff: []
+        };
+    }
+
+    isActive() {
+        return this.settings.mode !== 'off';
+    }
+
+    /**
+     * Validate and apply changed settings
+     */
+    configure(changes) {
+        this.settings = this.validate({ ...this.settings, ...changes });
+        this.restart();
+        this.sceneManager.notifyChange();
+    }
+
+    /**
+     * Checked copy of the settings with numbers and times normalized
+     */
+    validate(settings) {
+        settings = { ...BrightnessAutomation.getDefaultSettings(), ...settings };
+
+        if (!BrightnessAutomation.MODES.some(mode => mode.value === settings.mode)) {
+            throw new Error(`Unknown night mode: ${settings.mode}`);
+        }
+
+        if (settings.mode === 'sun') {
+            const latitude = Number(settings.latitude);
+            const longitude = Number(settings.longitude);
+            if (settings.latitude === null || settings.latitude === '' || !Number.isFinite(latitude) || Math.abs(latitude) > 90) {
+                throw new Error('Latitude must be between -90 and 90');
+            }
+            if (settings.longitude === null || settings.longitude === '' || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+                throw new Error('Longitude must be between -180 and 180');
+            }
+            settings.latitude = latitude;
+            settings.longitude = longitude;
+        }
+
+        settings.nightStart = SceneScheduler.formatTime(SceneScheduler.parseTime(settings.nightStart));
+        settings.nightEnd = SceneScheduler.formatTime(SceneScheduler.parseTime(settings.nightEnd));
+        settings.dayBrightness = BrightnessAutomation.clampLevel(settings.dayBrightness);
+        settings.nightBrightness = BrightnessAutomation.clampLevel(settings.nightBrightness);
+        settings.fadeMinutes = Math.max(0, Math.min(240, Math.round(Number(settings.fadeMinutes)) || 0));
+        settings.nightColorTemperature = Math.max(1000, Math.min(ColorBlend.NEUTRAL_TEMPERATURE,
+            Math.round(Number(settings.nightColorTemperature)) || ColorBlend.NEUTRAL_TEMPERATURE));
+        settings.screenOff = (settings.screenOff || []).map(span => ({
+            start: SceneScheduler.formatTime(SceneScheduler.parseTime(span.start)),
+            end: SceneScheduler.formatTime(SceneScheduler.parseTime(span.end))
+        }));
+
+        return settings;
+    }
+
+    static clampLevel(value) {
+        return Math.max(0, Math.min(100, Math.round(Number(value)) || 0));
+    }
+
+    // Sun position
+
+    /**
+     * Sunrise and sunset for the local calendar day of `date`, using the
+     * sunrise equation (accurate to a minute or two). In polar day or night
+     * both are null and `polar` is 'day' or 'night'.
+     */
+    static sunTimes(date, latitude, longitude) {
+        const rad = Math.PI / 180;
+        const dayMs = 86400000;
+        const j2000 = 2451545;
+
+        // Julian day number of the date, then the mean solar noon at the longitude
+        const julianDay = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), 12) / dayMs + 2440587.5;
+        const meanNoon = Math.round(julianDay - j2000) - longitude / 360;
+
+        const anomaly = (357.5291 + 0.98560028 * meanNoon) % 360;
+        const center = 1.9148 * Math.sin(anomaly * rad) + 0.02 * Math.sin(2 * anomaly * rad) + 0.0003 * Math.sin(3 * anomaly * rad);
+        const eclipticLongitude = (anomaly + center + 180 + 102.9372) % 360;
+        const transit = j2000 + meanNoon + 0.0053 * Math.sin(anomaly * rad) - 0.0069 * Math.sin(2 * eclipticLongitude * rad);
+
+        const declination = Math.asin(Math.sin(eclipticLongitude * rad) * Math.sin(23.4397 * rad));
+        // -0.833 degrees allows for refraction and the size of the sun's disc
+        const cosHourAngle = (Math.sin(-0.833 * rad) - Math.sin(latitude * rad) * Math.sin(declination)) /
+            (Math.cos(latitude * rad) * Math.cos(declination));
+
+        if (cosHourAngle > 1) return { sunrise: null, sunset: null, polar: 'night' };
+        if (cosHourAngle < -1) return { sunrise: null, sunset: null, polar: 'day' };
+
+        const hourAngle = Math.acos(cosHourAngle) / rad;
+        const toDate = julian => new Date((julian - 2440587.5) * dayMs);
+
+        return {
+            sunrise: toDate(transit - hourAngle / 360),
+            sunset: toDate(transit + hourAngle / 360),
+            polar: null
+        };
+    }
+
+    // Curve
+
+    /**
+     * The night that starts on the given day as { start, end } timestamps,
+     * or 'day'/'night' when the sun doesn't set or rise
+     */
+    getNight(day) {
+        const { mode, latitude, longitude, nightStart, nightEnd } = this.settings;
+
+        if (mode === 'sun') {
+            const today = BrightnessAutomation.sunTimes(day, latitude, longitude);
+            if (today.polar) return today.polar;
+
+            const tomorrow = BrightnessAutomation.sunTimes(new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1), latitude, longitude);
+            // The sun may not rise tomorrow; end the night when the day does
+            const end = tomorrow.sunrise || new Date(day.getFullYear(), day.getMonth(), day.getDate() + 2);
+            return { start: today.sunset.getTime(), end: end.getTime() };
+        }
+
+        const atMinutes = minutes => new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes).getTime();
+        const start = SceneScheduler.parseTime(nightStart);
+        let end = SceneScheduler.parseTime(nightEnd);
+        if (end <= start) end += 24 * 60;
+
+        return { start: atMinutes(start), end: atMinutes(end) };
+    }
+
+    /**
+     * How far into night mode the display is at a time: 0 by day, 1 at night,
+     * in between while fading
+     */
+    getNightFactor(time = new Date()) {
+        if (!this.isActive()) return 0;
+
+        const t = time.getTime();
+        const fade = this.settings.fadeMinutes * 60000;
+        let factor = 0;
+
+        // A night started yesterday may still be running
+        for (const offset of [-1, 0]) {
+            const night = this.getNight(new Date(time.getFullYear(), time.getMonth(), time.getDate() + offset));
+
+            if (night === 'night') {
+                factor = 1;
+            } else if (night !== 'day') {
+                const fadeIn = fade > 0 ? (t - night.start) / fade : (t >= night.start ? 1 : 0);
+                const fadeOut = fade > 0 ? 1 - (t - night.end) / fade : (t < night.end ? 1 : 0);
+                factor = Math.max(factor, Math.max(0, Math.min(1, fadeIn, fadeOut)));
+            }
+        }
+
+        return factor;
+    }
+
+    isScreenOff(time = new Date()) {
+        if (!this.isActive()) return false;
+
+        const minutes = time.getHours() * 60 + time.getMinutes();
+        return this.settings.screenOff.some(({ start, end }) => {
+            const from = SceneScheduler.parseTime(start);
+            const to = SceneScheduler.parseTime(end);
+            return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+        });
+    }
+
+    /**
+     * What the display should look like at a time:
+     * { nightFactor, brightness, colorTemperature, screenOn }
+     */
+    getState(time = new Date()) {
+        const { dayBrightness, nightBrightness, nightColorTemperature } = this.settings;
+        const nightFactor = this.getNightFactor(time);
+
+        let brightness = Math.round(dayBrightness + (nightBrightness - dayBrightness) * nightFactor);
+
+        const rule = this.sceneManager.scheduler.enabled ? this.sceneManager.scheduler.activeRule : null;
+        if (rule && rule.brightness !== null) {
+            brightness = rule.brightness;
+        }
+
+        return {
+            nightFactor,
+            brightness,
+            colorTemperature: Math.round(ColorBlend.NEUTRAL_TEMPERATURE + (nightColorTemperature - ColorBlend.NEUTRAL_TEMPERATURE) * nightFactor),
+            screenOn: !this.isScreenOff(time)
+        };
+    }
+
+    /**
+     * Brightness and screen state through the given day, for plotting
+     */
+    getCurve(day = new Date(), stepMinutes = 10) {
+        const points = [];
+
+        for (let minute = 0; minute <= 24 * 60; minute += stepMinutes) {
+            const state = this.getState(new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minute));
+            points.push({ minute, ...state });
+        }
+
+        return points;
+    }
+
+    // Running
+
+    start() {
+        if (!this.isActive() || this.checkInterval || this.sceneManager.held) return;
+
+        this.checkInterval = setInterval(() => this.apply(), BrightnessAutomation.CHECK_INTERVAL);
+        this.apply();
+    }
+
+    stop() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+    }
+
+    restart() {
+        const wasActive = this.checkInterval !== null;
+        this.stop();
+        this.applied = { brightness: null, screenOn: null };
+
+        if (this.isActive()) {
+            this.start();
+            return;
+        }
+
+        // Leave the device at full colour and switched on
+        this.sceneManager.pixooClient.setColorTemperature(ColorBlend.NEUTRAL_TEMPERATURE);
+        if (wasActive) {
+            this.sendScreenOn(true);
+        }
+    }
+
+    /**
+     * Bring the device in line with the curve, sending only what changed
+     */
+    async apply(time = new Date()) {
+        if (!this.isActive()) return;
+
+        const client = this.sceneManager.pixooClient;
+        const state = this.getState(time);
+
+        // Applied to frames locally, so it works while disconnected too
+        client.setColorTemperature(state.colorTemperature);
+
+        if (!client.connected) {
+            // Resend everything once the device is back
+            this.applied = { brightness: null, screenOn: null };
+            return;
+        }
+
+        if (state.screenOn !== this.applied.screenOn && await this.sendScreenOn(state.screenOn)) {
+            this.applied.screenOn = state.screenOn;
+        }
+
+        if (state.brightness !== this.applied.brightness) {
+            try {
+                await client.setBrightness(state.brightness);
+                this.applied.brightness = state.brightness;
+                this.dispatchStateChange(state);
+            } catch (error) {
+                console.error('Failed to set automatic brightness:', error);
+            }
+        }
+    }
+
+    async sendScreenOn(on) {
+        const client = this.sceneManager.pixooClient;
+        if (!client.connected) return false;
+
+        try {
+            await client.setScreenOn(on);
+            return true;
+        } catch (error) {
+            console.error(`Failed to turn the screen ${on ? 'on' : 'off'}:`, error);
+            return false;
+        }
+    }
+
+    dispatchStateChange(state) {
+        this.sceneManager.dispatchEvent(new CustomEvent('brightnessStateChanged', {
+            detail: { ...state, sceneManager: this.sceneManager }
+        }));
+    }
+
+    toJSON() {
+        return {
+            ...this.settings,
+            screenOff: this.settings.screenOff.map(span => ({ ...span }))
+        };
+    }
+
+    loadFromJSON(data) {
+        this.stop();
+
+        try {
+            this.settings = this.validate(data || {});
+        } catch (error) {
+            console.warn('Ignoring invalid night mode settings:', error.message);
+            this.settings = BrightnessAutomation.getDefaultSettings();
+        }
+
+        this.restart();
+    }
+}
+
+window.BrightnessAutomation = BrightnessAutomation;
@@ -0,0 +1,343 @@
+/**
+ * Built-in bitmap fonts covering printable ASCII plus ° ± × ÷ · µ £.
+ *
+ * - tiny:  3x5, hand-drawn for dense layouts
+ * - small: 5x7, the classic LCD font (default)
+ * - large: 8x16, from Terminus (SIL Open Font License 1.1)
+ */
+BitmapFont.register(BitmapFont.fromHex('tiny', {
+    label: 'Tiny (3x5)',
+    width: 3,
+    height: 5,
+    spacing: 1,
+    lineHeight: 6,
+    glyphs: {
+        ' ': '00000',
+        '!': '22202',
+        '"': '55000',
+        '#': '57575',
+        '$': '36236',
+        '%': '51245',
+        '&': '25253',
+        '\'': '22000',
+        '(': '12221',
+        ')': '42224',
+        '*': '52500',
+        '+': '02720',
+        ',': '00024',
+        '-': '00700',
+        '.': '00002',
+        '/': '11244',
+        '0': '75557',
+        '1': '26227',
+        '2': '61247',
+        '3': '61216',
+        '4': '55711',
+        '5': '74616',
+        '6': '34757',
+        '7': '71222',
+        '8': '75757',
+        '9': '75716',
+        ':': '02020',
+        ';': '02024',
+        '<': '12421',
+        '=': '07070',
+        '>': '42124',
+        '?': '61202',
+        '@': '25743',
+        'A': '25755',
+        'B': '65656',
+        'C': '34443',
+        'D': '65556',
+        'E': '74747',
+        'F': '74744',
+        'G': '34553',
+        'H': '55755',
+        'I': '72227',
+        'J': '11152',
+        'K': '55655',
+        'L': '44447',
+        'M': '57755',
+        'N': '65555',
+        'O': '25552',
+        'P': '65644',
+        'Q': '25563',
+        'R': '65655',
+        'S': '34216',
+        'T': '72222',
+        'U': '55553',
+        'V': '55522',
+        'W': '55775',
+        'X': '55255',
+        'Y': '55222',
+        'Z': '71247',
+        '[': '64446',
+        '\\': '44211',
+        ']': '31113',
+        '^': '25000',
+        '_': '00007',
+        '`': '42000',
+        'a': '03553',
+        'b': '46556',
+        'c': '03443',
+        'd': '13553',
+        'e': '02743',
+        'f': '12722',
+        'g': '03536',
+        'h': '46555',
+        'i': '20222',
+        'j': '10152',
+        'k': '45665',
+        'l': '62227',
+        'm': '06755',
+        'n': '06555',
+        'o': '02552',
+        'p': '06564',
+        'q': '03531',
+        'r': '03444',
+        's': '03216',
+        't': '27221',
+        'u': '05553',
+        'v': '05522',
+        'w': '05577',
+        'x': '05225',
+        'y': '05524',
+        'z': '07367',
+        '{': '32623',
+        '|': '22222',
+        '}': '62326',
+        '~': '03600',
+        '°': '25200',
+        '±': '27207',
+        '×': '05250',
+        '÷': '20702',
+        '·': '00200',
+        'µ': '05564',
+        '£': '32727'
+    }
+}));
+
+BitmapFont.register(BitmapFont.fromHex('small', {
+    label: 'Small (5x7)',
+    width: 5,
+    height: 7,
+    spacing: 1,
+    lineHeight: 8,
+    glyphs: {
+        ' ': '00000000000000',
+        '!': '04040404040004',
+        '"': '0a0a0a00000000',
+        '#': '0a0a1f0a1f0a0a',
+        '$': '040f140e051e04',
+        '%': '18190204081303',
+        '&': '0c12140815120d',
+        '\'': '0c040800000000',
+        '(': '02040808080402',
+        ')': '08040202020408',
+        '*': '000a041f040a00',
+        '+': '0004041f040400',
+        ',': '000000000c0408',
+        '-': '0000001f000000',
+        '.': '00000000000c0c',
+        '/': '00010204081000',
+        '0': '0e11131519110e',
+        '1': '040c040404040e',
+        '2': '0e11010204081f',
+        '3': '1f02040201110e',
+        '4': '02060a121f0202',
+        '5': '1f101e0101110e',
+        '6': '0608101e11110e',
+        '7': '1f010204080808',
+        '8': '0e11110e11110e',
+        '9': '0e11110f01020c',
+        ':': '000c0c000c0c00',
+        ';': '000c0c000c0408',
+        '<': '01020408040201',
+        '=': '00001f001f0000',
+        '>': '10080402040810',
+        '?': '0e110102040004',
+        '@': '0e11010d15150e',
+        'A': '0e1111111f1111',
+        'B': '1e11111e11111e',
+        'C': '0e11101010110e',
+        'D': '1c12111111121c',
+        'E': '1f10101e10101f',
+        'F': '1f10101c101010',
+        'G': '0e11101013110e',
+        'H': '1111111f111111',
+        'I': '0e04040404040e',
+        'J': '0702020202120c',
+        'K': '11121418141211',
+        'L': '1010101010101f',
+        'M': '111b1511111111',
+        'N': '11111915131111',
+        'O': '0e11111111110e',
+        'P': '1e11111e101010',
+        'Q': '0e11111115120d',
+        'R': '1e11111e141211',
+        'S': '0f10100e01011e',
+        'T': '1f040404040404',
+        'U': '1111111111110e',
+        'V': '11111111110a04',
+        'W': '11111115151b11',
+        'X': '11110a040a1111',
+        'Y': '11110a04040404',
+        'Z': '1f01020408101f',
+        '[': '07040404040407',
+        '\\': '00100804020100',
+        ']': '1c04040404041c',
+        '^': '040a1100000000',
+        '_': '0000000000001f',
+        '`': '08040200000000',
+        'a': '00000e010f110f',
+        'b': '1010161911111e',
+        'c': '00000e1010110e',
+        'd': '01010d1311110f',
+        'e': '00000e111f100e',
+        'f': '0609081c080808',
+        'g': '00000f110f0106',
+        'h': '10101619111111',
+        'i': '04000c0404040e',
+        'j': '0200060202120c',
+        'k': '0808090a0c0a09',
+        'l': '0c04040404040e',
+        'm': '00001a15151111',
+        'n': '00001619111111',
+        'o': '00000e1111110e',
+        'p': '00001e111e1010',
+        'q': '00000d130f0101',
+        'r': '00001619101010',
+        's': '00000e100e011e',
+        't': '08081c08080906',
+        'u': '0000111111130d',
+        'v': '00001111110a04',
+        'w': '0000111115150a',
+        'x': '0000110a040a11',
+        'y': '000011110f010e',
+        'z': '00001f0204081f',
+        '{': '02040408040402',
+        '|': '04040404040404',
+        '}': '08040402040408',
+        '~': '00000815020000',
+        '°': '06090906000000',
+        '±': '04041f0404001f',
+        '×': '00110a040a1100',
+        '÷': '0004001f000400',
+        '·': '00000004000000',
+        'µ': '00001111111e10',
+        '£': '0609081c08091e'
+    }
+}));
+
+// Terminus glyphs include their own side bearing, so no extra spacing
+BitmapFont.register(BitmapFont.fromHex('large', {
+    label: 'Large (8x16)',
+    width: 8,
+    height: 16,
+    spacing: 0,
+    lineHeight: 16,
+    glyphs: {
+        ' ': '00000000000000000000000000000000',
+        '!': '00001010101010101000101000000000',
+        '"': '00242424000000000000000000000000',
+        '#': '00002424247e24247e24242400000000',
+        '$': '0010107c9290907c1212927c10100000',
+        '%': '0000649468081010202c524c00000000',
+        '&': '000018242418304a4444443a00000000',
+        '\'': '00101010000000000000000000000000',
+        '(': '00000810202020202020100800000000',
+        ')': '00002010080808080808102000000000',
+        '*': '000000000024187e1824000000000000',
+        '+': '000000000010107c1010000000000000',
+        ',': '00000000000000000000101020000000',
+        '-': '000000000000007e0000000000000000',
+        '.': '00000000000000000000101000000000',
+        '/': '00000404080810102020404000000000',
+        '0': '00003c4242464a526242423c00000000',
+        '1': '00000818280808080808083e00000000',
+        '2': '00003c42420204081020407e00000000',
+        '3': '00003c4242021c020242423c00000000',
+        '4': '000002060a1222427e02020200000000',
+        '5': '00007e4040407c020202423c00000000',
+        '6': '00001c2040407c424242423c00000000',
+        '7': '00007e02020404080810101000000000',
+        '8': '00003c4242423c424242423c00000000',
+        '9': '00003c424242423e0202043800000000',
+        ':': '00000000001010000000101000000000',
+        ';': '00000000001010000000101020000000',
+        '<': '00000004081020402010080400000000',
+        '=': '00000000007e00007e00000000000000',
+        '>': '00000040201008040810204000000000',
+        '?': '00003c42424204080800080800000000',
+        '@': '00007c829ea2a2a2a69a807e00000000',
+        'A': '00003c424242427e4242424200000000',
+        'B': '00007c4242427c424242427c00000000',
+        'C': '00003c42424040404042423c00000000',
+        'D': '00007844424242424242447800000000',
+        'E': '00007e40404078404040407e00000000',
+        'F': '00007e40404078404040404000000000',
+        'G': '00003c424240404e4242423c00000000',
+        'H': '0000424242427e424242424200000000',
+        'I': '00003810101010101010103800000000',
+        'J': '00000e04040404040444443800000000',
+        'K': '00004244485060605048444200000000',
+        'L': '00004040404040404040407e00000000',
+        'M': '000082c6aa9292828282828200000000',
+        'N': '000042424262524a4642424200000000',
+        'O': '00003c42424242424242423c00000000',
+        'P': '00007c424242427c4040404000000000',
+        'Q': '00003c424242424242424a3c02000000',
+        'R': '00007c424242427c5048444200000000',
+        'S': '00003c4240403c020242423c00000000',
+        'T': '0000fe10101010101010101000000000',
+        'U': '00004242424242424242423c00000000',
+        'V': '00004242424242242424181800000000',
+        'W': '000082828282829292aac68200000000',
+        'X': '00004242242418182424424200000000',
+        'Y': '00008282444428101010101000000000',
+        'Z': '00007e02020408102040407e00000000',
+        '[': '00003820202020202020203800000000',
+        '\\': '00004040202010100808040400000000',
+        ']': '00003808080808080808083800000000',
+        '^': '00102844000000000000000000000000',
+        '_': '000000000000000000000000007e0000',
+        '`': '10080000000000000000000000000000',
+        'a': '00000000003c023e4242423e00000000',
+        'b': '00004040407c42424242427c00000000',
+        'c': '00000000003c42404040423c00000000',
+        'd': '00000202023e42424242423e00000000',
+        'e': '00000000003c42427e40403c00000000',
+        'f': '00000e10107c10101010101000000000',
+        'g': '00000000003e42424242423e02023c00',
+        'h': '00004040407c42424242424200000000',
+        'i': '00001010003010101010103800000000',
+        'j': '00000404000c04040404040444443800',
+        'k': '00004040404244487048444200000000',
+        'l': '00003010101010101010103800000000',
+        'm': '0000000000fc92929292929200000000',
+        'n': '00000000007c42424242424200000000',
+        'o': '00000000003c42424242423c00000000',
+        'p': '00000000007c42424242427c40404000',
+        'q': '00000000003e42424242423e02020200',
+        'r': '00000000005e60404040404000000000',
+        's': '00000000003e40403c02027c00000000',
+        't': '00001010107c10101010100e00000000',
+        'u': '00000000004242424242423e00000000',
+        'v': '00000000004242422424181800000000',
+        'w': '00000000008282929292927c00000000',
+        'x': '00000000004242241824424200000000',
+        'y': '00000000004242424242423e02023c00',
+        'z': '00000000007e04081020407e00000000',
+        '{': '00000c10101020101010100c00000000',
+        '|': '00001010101010101010101000000000',
+        '}': '00003008080804080808083000000000',
+        '~': '0062928c000000000000000000000000',
+        '°': '00182424180000000000000000000000',
+        '±': '000000000010107c1010007c00000000',
+        '×': '00000000004224181824420000000000',
+        '÷': '000000001010007c0010100000000000',
+        '·': '00000000000000101000000000000000',
+        'µ': '00000000004242424242467a40404000',
+        '£': '00001824202078202020227e00000000'
+    }
+}));
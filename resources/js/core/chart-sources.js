@@ -0,0 +1,82 @@
+/**
+ * ChartSources - Named numeric data sources for the chart widgets.
+ *
+ * A source is { name, label, sample, min, max, format } where sample(state)
+ * resolves to the current value (or null when unavailable) and state is an
+ * object kept per widget, e.g. for a random walk. min/max give the fixed
+ * scale used when auto-scaling is off; format turns a value into short text.
+ * Plugins can register their own sources.
+ */
+class ChartSources {
+    static sources = new Map();
+
+    static register(name, label, sample, options = {}) {
+        ChartSources.sources.set(name, {
+            name,
+            label,
+            sample,
+            min: options.min ?? 0,
+            max: options.max ?? 100,
+            format: options.format || (value => String(Math.round(value * 10) / 10))
+        });
+    }
+
+    static unregister(name) {
+        return ChartSources.sources.delete(name);
+    }
+
+    static get(name) {
+        const source = ChartSources.sources.get(name);
+        if (!source) {
+            throw new Error(`Unknown chart source: ${name}`);
+        }
+        return source;
+    }
+
+    static getSourceNames() {
+        return Array.from(ChartSources.sources.values()).map(s => ({ value: s.name, label: s.label }));
+    }
+
+    static formatPercent(value) {
+        return `${Math.round(value)}%`;
+    }
+}
+
+ChartSources.register('cpu', 'CPU Load (%)',
+    async () => (await SystemMetrics.collect()).cpu,
+    { format: ChartSources.formatPercent });
+
+ChartSources.register('memory', 'Memory Usage (%)',
+    async () => {
+        const { memory } = await SystemMetrics.collect();
+        return memory ? memory.percent : null;
+    },
+    { format: ChartSources.formatPercent });
+
+ChartSources.register('disk', 'Disk Usage (%)',
+    async () => {
+        const { disk } = await SystemMetrics.collect();
+        return disk ? disk.percent : null;
+    },
+    { format: ChartSources.formatPercent });
+
+ChartSources.register('network', 'Network Throughput (B/s)',
+    async () => {
+        const { network } = await SystemMetrics.collect();
+        return network ? network.rx + network.tx : null;
+    },
+    { max: 1024 * 1024, format: value => SystemMetrics.formatBytes(value) });
+
+ChartSources.register('random', 'Random Walk (demo)',
+    async state => {
+        const previous = state.value ?? 50;
+        state.value = Math.max(0, Math.min(100, previous + (Math.random() - 0.5) * 20));
+        return state.value;
+    },
+    { format: value => String(Math.round(value)) });
+
+ChartSources.register('sine', 'Sine Wave (demo)',
+    async () => 50 + 50 * Math.sin(Date.now() / 5000 * Math.PI),
+    { format: value => String(Math.round(value)) });
+
+window.ChartSources = ChartSources;
@@ -0,0 +1,92 @@
+/**
+ * ColorBlend - Blend modes for drawing into the frame buffer.
+ *
+ * Colours are [r, g, b] or [r, g, b, a] with every channel 0-255; without
+ * an alpha the colour is opaque. A mode is blend(dst, src) applied to each
+ * channel, and alpha then mixes that result with the pixel underneath.
+ * Plugins can register their own modes.
+ */
+class ColorBlend {
+    static NEUTRAL_TEMPERATURE = 6500;
+    static modes = new Map();
+
+    static register(name, label, blend) {
+        ColorBlend.modes.set(name, { name, label, blend });
+    }
+
+    static unregister(name) {
+        return ColorBlend.modes.delete(name);
+    }
+
+    static get(name) {
+        const mode = ColorBlend.modes.get(name);
+        if (!mode) {
+            throw new Error(`Unknown blend mode: ${name}`);
+        }
+        return mode;
+    }
+
+    static getModeNames() {
+        return Array.from(ColorBlend.modes.values()).map(m => ({ value: m.name, label: m.label }));
+    }
+
+    static isOpaque(color) {
+        return color.length < 4 || color[3] >= 255;
+    }
+
+    /**
+     * Draw src over dst and return the resulting opaque [r, g, b].
+     * Opacity (0-1) scales the source alpha.
+     */
+    static composite(dst, src, modeName = 'normal', opacity = 1) {
+        const alpha = (src.length < 4 ? 1 : src[3] / 255) * opacity;
+        if (alpha <= 0) return dst;
+
+        const { blend } = ColorBlend.get(modeName);
+        const result = [0, 0, 0];
+
+        for (let i = 0; i < 3; i++) {
+            const blended = blend(dst[i], src[i]);
+            result[i] = Math.round(alpha >= 1 ? blended : dst[i] + (blended - dst[i]) * alpha);
+        }
+
+        return result;
+    }
+
+    /**
+     * Approximate colour of a black body at the given temperature, as
+     * [r, g, b] 0-255 (Tanner Helland's fit, good for 1000K-40000K)
+     */
+    static kelvinToRgb(kelvin) {
+        const t = kelvin / 100;
+        let r, g, b;
+
+        if (t <= 66) {
+            r = 255;
+            g = 99.4708025861 * Math.log(t) - 161.1195681661;
+            b = t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+        } else {
+            r = 329.698727446 * Math.pow(t - 60, -0.1332047592);
+            g = 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+            b = 255;
+        }
+
+        return [r, g, b].map(value => Math.max(0, Math.min(255, value)));
+    }
+
+    /**
+     * Per-channel factors that shift daylight white (6500K) to the given temperature
+     */
+    static temperatureMultipliers(kelvin) {
+        const target = ColorBlend.kelvinToRgb(kelvin);
+        const daylight = ColorBlend.kelvinToRgb(ColorBlend.NEUTRAL_TEMPERATURE);
+        return target.map((value, i) => Math.min(1, value / daylight[i]));
+    }
+}
+
+ColorBlend.register('normal', 'Normal', (dst, src) => src);
+ColorBlend.register('add', 'Add', (dst, src) => Math.min(255, dst + src));
+ColorBlend.register('multiply', 'Multiply', (dst, src) => dst * src / 255);
+ColorBlend.register('screen', 'Screen', (dst, src) => 255 - (255 - dst) * (255 - src) / 255);
+
+window.ColorBlend = ColorBlend;
@@ -0,0 +1,124 @@
+/**
+ * ConfigSchema - Validation helpers for widget CONFIG_SCHEMA definitions.
+ *
+ * A schema maps config keys to field descriptors:
+ *   { type: 'number', label, min, max, step, integer }
+ *   { type: 'boolean', label }
+ *   { type: 'enum', label, options: ['a', 'b'] or [{ value, label }] or () => options }
+ *   { type: 'string', label, maxLength, required }
+ *   { type: 'text', label, maxLength, required }   // multi-line string
+ *   { type: 'file', label, maxLength, filters }     // path string with a file picker
+ *   { type: 'color', label }                        // [r, g, b] array
+ */
+class ConfigSchema {
+    static TYPES = ['number', 'boolean', 'enum', 'string', 'text', 'file', 'color'];
+
+    static normalizeOptions(field) {
+        // Options may be computed, e.g. from the font registry
+        const options = typeof field.options === 'function' ? field.options() : field.options;
+
+        return (options || []).map(option =>
+            typeof option === 'object' ? option : { value: option, label: String(option) }
+        );
+    }
+
+    /**
+     * Coerce and validate a single value. Returns { value, error }.
+     */
+    static validateField(key, field, rawValue) {
+        const label = field.label || key;
+
+        switch (field.type) {
+            case 'number': {
+                const value = typeof rawValue === 'number' ? rawValue : parseFloat(rawValue);
+                if (!Number.isFinite(value)) {
+                    return { value: rawValue, error: `${label} must be a number` };
+                }
+                if (field.integer && !Number.isInteger(value)) {
+                    return { value, error: `${label} must be a whole number` };
+                }
+                if (field.min !== undefined && value < field.min) {
+                    return { value, error: `${label} must be at least ${field.min}` };
+                }
+                if (field.max !== undefined && value > field.max) {
+                    return { value, error: `${label} must be at most ${field.max}` };
+                }
+                return { value, error: null };
+            }
+
+            case 'boolean':
+                return { value: rawValue === true || rawValue === 'true', error: null };
+
+            case 'enum': {
+                const options = ConfigSchema.normalizeOptions(field);
+                const match = options.find(option => String(option.value) === String(rawValue));
+                if (!match) {
+                    return { value: rawValue, error: `${label} must be one of ${options.map(o => o.label).join(', ')}` };
+                }
+                return { value: match.value, error: null };
+            }
+
+            case 'string':
+            case 'text':
+            case 'file': {
+                const value = rawValue === undefined || rawValue === null ? '' : String(rawValue);
+                if (field.required && value.trim() === '') {
+                    return { value, error: `${label} is required` };
+                }
+                if (field.maxLength !== undefined && value.length > field.maxLength) {
+                    return { value, error: `${label} must be at most ${field.maxLength} characters` };
+                }
+                return { value, error: null };
+            }
+
+            case 'color': {
+                const value = typeof rawValue === 'string' ? ConfigSchema.hexToRgb(rawValue) : rawValue;
+                const valid = Array.isArray(value) &&
+                    value.length === 3 &&
+                    value.every(channel => Number.isInteger(channel) && channel >= 0 && channel <= 255);
+                if (!valid) {
+                    return { value: rawValue, error: `${label} must be an RGB colour` };
+                }
+                return { value, error: null };
+            }
+
+            default:
+                return { value: rawValue, error: `${label} has unknown field type ${field.type}` };
+        }
+    }
+
+    /**
+     * Validate every schema field present in values.
+     * Returns { config, errors } where errors maps keys to messages.
+     */
+    static validate(schema, values) {
+        const config = {};
+        const errors = {};
+
+        for (const [key, field] of Object.entries(schema || {})) {
+            if (!(key in values)) continue;
+
+            const { value, error } = ConfigSchema.validateField(key, field, values[key]);
+            if (error) {
+                errors[key] = error;
+            } else {
+                config[key] = value;
+            }
+        }
+
+        return { config, errors };
+    }
+
+    static rgbToHex(color) {
+        if (!Array.isArray(color)) return '#000000';
+        return '#' + color.map(channel => Math.max(0, Math.min(255, channel | 0)).toString(16).padStart(2, '0')).join('');
+    }
+
+    static hexToRgb(hex) {
+        const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+        if (!match) return null;
+        return [parseInt(match[1], 16), parseInt(match[2], 16), parseInt(match[3], 16)];
+    }
+}
+
+window.ConfigSchema = ConfigSchema;
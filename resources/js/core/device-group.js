@@ -0,0 +1,244 @@
+/**
+ * DeviceGroupClient - Mirrors one frame buffer to a group of Pixoo devices.
+ *
+ * Scenes render into the group's buffer exactly as they would into a single
+ * PixooClient; push() then sends that frame to every member in parallel.
+ * A member that is still busy (e.g. sendCommand retrying after a timeout)
+ * skips frames instead of holding up the others, and disconnected members
+ * are reconnected in the background.
+ */
+class DeviceGroupClient extends PixooClient {
+    static RECONNECT_INTERVAL = 30000;
+
+    constructor(size = 64) {
+        super(null, size);
+
+        // [{ deviceId, client, brightnessOffset, pending, lastReconnectAttempt }]
+        this.members = [];
+
+        // Text overlays as given, before buildTextPayload clamps them to one device
+        this.overlaySources = new Map();
+    }
+
+    // A group counts as connected while any member is
+    get connected() {
+        return (this.members || []).some(member => member.client.connected);
+    }
+
+    set connected(value) {
+        // Derived from the members, see the getter
+    }
+
+    /**
+     * Replace the members. Each entry is { deviceId, client, brightnessOffset }.
+     */
+    setMembers(members) {
+        for (const member of members) {
+            if (member.client === this) {
+                throw new Error('A group cannot contain itself');
+            }
+            if (member.client.size !== this.size) {
+                throw new Error(`Device ${member.deviceId} is ${member.client.size}x${member.client.size}, the group is ${this.size}x${this.size}`);
+            }
+        }
+
+        // Devices leaving the group stop showing its text and shift their own frames again
+        const remaining = new Set(members.map(member => member.client));
+        for (const member of this.members || []) {
+            if (!remaining.has(member.client)) {
+                this.textOverlays.forEach((payload, textId) => member.client.removeTextOverlay(textId));
+                if (member.client.group === this) {
+                    member.client.group = null;
+                }
+            }
+        }
+        for (const member of members) {
+            member.client.group = this;
+        }
+
+        this.members = members.map(member => ({
+            ...member,
+            brightnessOffset: member.brightnessOffset || 0,
+            pending: null,
+            lastReconnectAttempt: 0
+        }));
+
+        this.textOverlays.forEach((payload, textId) => this.forwardTextOverlay(textId));
+    }
+
+    setSize(size) {
+        if (this.members.some(member => member.client.size !== size)) {
+            throw new Error('All devices in a group must have the same display size');
+        }
+
+        super.setSize(size);
+    }
+
+    async connect() {
+        const candidates = this.members.filter(member => member.client.ipAddress);
+        if (candidates.length === 0) {
+            throw new PixooConnectionError('No group member has an IP address');
+        }
+
+        await Promise.allSettled(candidates
+            .filter(member => !member.client.connected)
+            .map(member => member.client.connect()));
+
+        if (!this.connected) {
+            throw new PixooConnectionError('Failed to connect to any device in the group');
+        }
+
+        this._notifyConnectionChange();
+    }
+
+    disconnect() {
+        for (const member of this.members) {
+            member.client.disconnect();
+        }
+        this._notifyConnectionChange();
+    }
+
+    /**
+     * The frame a member shows. Every member mirrors the whole buffer.
+     */
+    frameForMember(member, buffer) {
+        return buffer;
+    }
+
+    /**
+     * The overlay a member shows for one of the group's texts, or null for
+     * none. Every member mirrors the whole display.
+     */
+    textOverlayForMember(member, overlay) {
+        return overlay;
+    }
+
+    // Text overlays are handed to the members, which send them after their own pushes
+    setTextOverlay(textId, overlay) {
+        super.setTextOverlay(textId, overlay);
+        this.overlaySources.set(textId, { ...overlay });
+        this.forwardTextOverlay(textId);
+    }
+
+    removeTextOverlay(textId) {
+        super.removeTextOverlay(textId);
+        this.overlaySources.delete(textId);
+        for (const member of this.members) {
+            member.client.removeTextOverlay(textId);
+        }
+    }
+
+    forwardTextOverlay(textId) {
+        const overlay = this.overlaySources.get(textId);
+        if (!overlay) return;
+
+        for (const member of this.members) {
+            const memberOverlay = this.textOverlayForMember(member, overlay);
+            if (memberOverlay) {
+                member.client.setTextOverlay(textId, memberOverlay);
+            } else {
+                member.client.removeTextOverlay(textId);
+            }
+        }
+    }
+
+    async syncTextOverlays() {
+        // Each member syncs its own overlays when it pushes
+    }
+
+    /**
+     * Run task(member) on every member that isn't busy, in parallel.
+     * Resolves with the Promise.allSettled results of the members that ran.
+     */
+    async forEachMember(task) {
+        const now = Date.now();
+        const started = [];
+
+        for (const member of this.members) {
+            if (member.pending) continue;
+
+            if (!member.client.connected) {
+                // Try to bring offline members back without blocking the others
+                if (member.client.ipAddress &&
+                    now - member.lastReconnectAttempt >= DeviceGroupClient.RECONNECT_INTERVAL) {
+                    member.lastReconnectAttempt = now;
+                    this.track(member, member.client.connect()).catch(() => {});
+                }
+                continue;
+            }
+
+            started.push(this.track(member, task(member)));
+        }
+
+        const results = await Promise.allSettled(started);
+        const failures = results.filter(result => result.status === 'rejected');
+
+        if (started.length > 0 && failures.length === started.length) {
+            throw failures[0].reason;
+        }
+        if (started.length === 0 && !this.connected) {
+            throw new PixooConnectionError('No device in the group is connected');
+        }
+
+        return results;
+    }
+
+    track(member, promise) {
+        member.pending = promise;
+        return promise
+            .catch(error => {
+                console.error(`Group member ${member.deviceId} failed:`, error);
+                throw error;
+            })
+            .finally(() => {
+                member.pending = null;
+            });
+    }
+
+    // The colour temperature is applied here once; members leave the frames as they are
+    async push(buffer = this.buffer) {
+        const frame = this.applyColorTemperature(buffer);
+        const results = await this.forEachMember(member => member.client.push(this.frameForMember(member, frame)));
+
+        // Sent if any member sent it; members skip unchanged frames on their own
+        const responses = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+        if (responses.some(response => !(response && response.skipped))) {
+            this.frameStats.pushed++;
+        } else if (responses.length > 0) {
+            this.frameStats.unchanged++;
+        }
+
+        return results;
+    }
+
+    async pushAnimation(frames, speed = 100) {
+        const filtered = frames.map(frame => this.applyColorTemperature(frame));
+        return this.forEachMember(member =>
+            member.client.pushAnimation(filtered.map(frame => this.frameForMember(member, frame)), speed)
+        );
+    }
+
+    /**
+     * Set the brightness of every member, adjusted by its offset
+     */
+    async setBrightness(level) {
+        if (level < 0 || level > 100) {
+            throw new Error('Brightness level must be between 0 and 100');
+        }
+
+        return this.forEachMember(member =>
+            member.client.setBrightness(Math.max(0, Math.min(100, level + member.brightnessOffset)))
+        );
+    }
+
+    /**
+     * Broadcast any other command to every member and return the first response
+     */
+    async sendCommand(payload) {
+        const results = await this.forEachMember(member => member.client.sendCommand(payload));
+        const fulfilled = results.find(result => result.status === 'fulfilled');
+        return fulfilled ? fulfilled.value : null;
+    }
+}
+
+window.DeviceGroupClient = DeviceGroupClient;
@@ -0,0 +1,432 @@
+/**
+ * DeviceRegistry - Holds every configured Pixoo device.
+ *
+ * Each device owns a PixooClient, a SceneManager (its scenes, active scene
+ * and playlist) and a SceneStorage, so several panels can run different
+ * scenes at the same time. The registry persists the device list itself;
+ * each device's scenes are saved under their own storage key.
+ *
+ * A group is a device whose client is a DeviceGroupClient: its scenes render
+ * once and the frame is mirrored to every member device. A wall is a group
+ * whose TiledWallClient gives each member one panel of a larger canvas.
+ */
+class DeviceRegistry {
+    constructor(pluginManager, storageKey = 'devices') {
+        this.pluginManager = pluginManager;
+        this.storageKey = storageKey;
+        this.devices = new Map();
+        this.deviceCounter = 0;
+        this.currentDeviceId = null;
+        this.eventTarget = null;
+        this.autoSaveEnabled = false;
+    }
+
+    /**
+     * Create a device. options: { id, name, type, ipAddress, size, columns, rows, storageKey }
+     * where type is 'device' (default), 'group' or 'wall'.
+     */
+    addDevice(options = {}) {
+        const id = options.id || `device_${++this.deviceCounter}`;
+        if (this.devices.has(id)) {
+            throw new Error(`Device with ID ${id} already exists`);
+        }
+
+        const defaultNames = { group: 'Group', wall: 'Video Wall' };
+        const name = options.name || defaultNames[options.type] || `Pixoo ${this.devices.size + 1}`;
+        const device = new PixooDevice(id, name, options, this.pluginManager);
+
+        device.sceneManager.setEventTarget(this.eventTarget);
+        device.client.onConnectionChange = () => {
+            this.dispatchEvent('deviceStatusChanged', { device });
+
+            // Connecting is when a new IP address takes effect
+            if (this.autoSaveEnabled) {
+                this.save();
+            }
+        };
+
+        if (this.autoSaveEnabled) {
+            device.sceneStorage.enableAutoSave(this.eventTarget);
+        }
+
+        this.devices.set(id, device);
+
+        if (!this.currentDeviceId) {
+            this.setCurrentDevice(id);
+        }
+
+        this.notifyChange();
+        return device;
+    }
+
+    async removeDevice(deviceId) {
+        const device = this.devices.get(deviceId);
+        if (!device) return false;
+
+        if (this.devices.size === 1) {
+            throw new Error('At least one device is required');
+        }
+
+        device.stop();
+        if (device.isGroup()) {
+            // Leave the member devices connected
+            device.client.setMembers([]);
+        } else {
+            device.client.disconnect();
+        }
+        device.client.onConnectionChange = null;
+        this.devices.delete(deviceId);
+
+        for (const group of this.getGroupsForDevice(deviceId)) {
+            group.client.setMembers(group.client.members.filter(member => member.deviceId !== deviceId));
+        }
+        this.updateMembership();
+
+        await device.sceneStorage.clear();
+
+        if (this.currentDeviceId === deviceId) {
+            this.currentDeviceId = null;
+            this.setCurrentDevice(this.devices.keys().next().value);
+        }
+
+        this.notifyChange();
+        return true;
+    }
+
+    renameDevice(deviceId, name) {
+        const device = this.devices.get(deviceId);
+        if (!device || !name) return;
+
+        device.name = name;
+        this.notifyChange();
+    }
+
+    getDevice(deviceId) {
+        return this.devices.get(deviceId);
+    }
+
+    getAllDevices() {
+        return Array.from(this.devices.values());
+    }
+
+    /**
+     * Widgets on any device matching predicate(widget), as { device, scene, widget }
+     */
+    findWidgets(predicate) {
+        const found = [];
+
+        for (const device of this.getAllDevices()) {
+            for (const scene of device.sceneManager.getAllScenes()) {
+                for (const widget of scene.widgets.values()) {
+                    if (predicate(widget)) {
+                        found.push({ device, scene, widget });
+                    }
+                }
+            }
+        }
+
+        return found;
+    }
+
+    getGroupsForDevice(deviceId) {
+        return this.getAllDevices().filter(device =>
+            device.isGroup() && device.client.members.some(member => member.deviceId === deviceId)
+        );
+    }
+
+    /**
+     * Set which devices a group mirrors to. members: [{ deviceId, brightnessOffset }],
+     * plus { column, row } panel positions for walls.
+     * Devices in a group don't run their own scenes so they don't overwrite its frames.
+     */
+    setGroupMembers(groupId, members) {
+        const group = this.devices.get(groupId);
+        if (!group || !group.isGroup()) {
+            throw new Error(`Device ${groupId} is not a group`);
+        }
+
+        const resolved = members.map(member => {
+            const device = this.devices.get(member.deviceId);
+            if (!device) {
+                throw new Error(`Device with ID ${member.deviceId} does not exist`);
+            }
+            if (device.isGroup()) {
+                throw new Error('Groups cannot contain other groups');
+            }
+            return { ...member, client: device.client };
+        });
+
+        group.client.setMembers(resolved);
+        this.updateMembership();
+
+        this.notifyChange();
+    }
+
+    /**
+     * Hold the scenes of every device that belongs to a group and release the rest
+     */
+    updateMembership() {
+        for (const device of this.devices.values()) {
+            if (!device.isGroup()) {
+                device.setInGroup(this.getGroupsForDevice(device.id).length > 0);
+            }
+        }
+    }
+
+    /**
+     * Change how many panels a wall has
+     */
+    setWallLayout(wallId, columns, rows) {
+        const wall = this.devices.get(wallId);
+        if (!wall || !wall.isWall()) {
+            throw new Error(`Device ${wallId} is not a wall`);
+        }
+
+        wall.client.setLayout(columns, rows);
+        wall.sceneManager.notifyDisplayChange();
+        this.notifyChange();
+    }
+
+    getCurrentDevice() {
+        return this.devices.get(this.currentDeviceId) || null;
+    }
+
+    /**
+     * Choose the device shown in the editor and preview. Other devices keep running.
+     */
+    setCurrentDevice(deviceId) {
+        if (!this.devices.has(deviceId)) {
+            throw new Error(`Device with ID ${deviceId} does not exist`);
+        }
+
+        if (deviceId === this.currentDeviceId) return;
+
+        this.currentDeviceId = deviceId;
+        this.dispatchEvent('currentDeviceChanged', { device: this.getCurrentDevice() });
+
+        if (this.autoSaveEnabled) {
+            this.save();
+        }
+    }
+
+    /**
+     * Move a scene from one device to another
+     */
+    moveScene(sceneId, fromDeviceId, toDeviceId) {
+        const from = this.devices.get(fromDeviceId);
+        const to = this.devices.get(toDeviceId);
+
+        if (!from || !to) {
+            throw new Error('Unknown device');
+        }
+
+        const scene = from.sceneManager.getScene(sceneId);
+        if (!scene) {
+            throw new Error(`Scene with ID ${sceneId} does not exist`);
+        }
+
+        const moved = to.sceneManager.importScene(scene.toJSON(), this.pluginManager);
+        from.sceneManager.deleteScene(sceneId);
+        return moved;
+    }
+
+    /**
+     * Restore the device list and every device's scenes.
+     * On first launch, or with scenes saved before multi-device support,
+     * a single device using the original 'scenes' storage key is created.
+     */
+    async load() {
+        let data = null;
+
+        try {
+            data = JSON.parse(await Neutralino.storage.getData(this.storageKey));
+        } catch (error) {
+            if (!error || error.code !== 'NE_ST_NOSTKEX') {
+                console.error('Failed to read saved devices:', error);
+            }
+        }
+
+        if (data && Array.isArray(data.devices) && data.devices.length > 0) {
+            let highestId = 0;
+            for (const deviceData of data.devices) {
+                this.addDevice(deviceData);
+                highestId = Math.max(highestId, parseInt(String(deviceData.id).replace('device_', '')) || 0);
+            }
+            this.deviceCounter = Math.max(data.deviceCounter || 0, highestId);
+
+            for (const device of this.devices.values()) {
+                await device.sceneStorage.load();
+            }
+
+            // Groups refer to other devices, so resolve them once all exist
+            // and have loaded the scenes that joining the group holds
+            for (const deviceData of data.devices) {
+                if (deviceData.type !== 'group' && deviceData.type !== 'wall') continue;
+
+                try {
+                    this.setGroupMembers(deviceData.id,
+                        (deviceData.members || []).filter(member => this.devices.has(member.deviceId)));
+                } catch (error) {
+                    console.error(`Failed to restore members of group ${deviceData.name}:`, error);
+                }
+            }
+
+            if (this.devices.has(data.currentDeviceId)) {
+                this.setCurrentDevice(data.currentDeviceId);
+            }
+        } else {
+            const device = this.addDevice({ name: 'Pixoo', storageKey: 'scenes' });
+            await device.sceneStorage.load();
+        }
+    }
+
+    async save() {
+        try {
+            await Neutralino.storage.setData(this.storageKey, JSON.stringify(this.toJSON()));
+        } catch (error) {
+            console.error('Failed to save devices:', error);
+        }
+    }
+
+    /**
+     * Flush the device list and all pending scene saves
+     */
+    async saveAll() {
+        await this.save();
+        for (const device of this.devices.values()) {
+            await device.sceneStorage.save();
+        }
+    }
+
+    enableAutoSave() {
+        this.autoSaveEnabled = true;
+        for (const device of this.devices.values()) {
+            device.sceneStorage.enableAutoSave(this.eventTarget);
+        }
+    }
+
+    notifyChange() {
+        this.dispatchEvent('devicesChanged', { devices: this.getAllDevices() });
+
+        if (this.autoSaveEnabled) {
+            this.save();
+        }
+    }
+
+    /**
+     * Stop every device's scenes and playlist
+     */
+    stopAll() {
+        for (const device of this.devices.values()) {
+            device.stop();
+        }
+    }
+
+    toJSON() {
+        return {
+            version: 1,
+            deviceCounter: this.deviceCounter,
+            currentDeviceId: this.currentDeviceId,
+            devices: this.getAllDevices().map(device => device.toJSON())
+        };
+    }
+
+    dispatchEvent(type, detail) {
+        if (this.eventTarget) {
+            this.eventTarget.dispatchEvent(new CustomEvent(type, { detail }));
+        }
+    }
+
+    setEventTarget(target) {
+        this.eventTarget = target;
+        for (const device of this.devices.values()) {
+            device.sceneManager.setEventTarget(target);
+        }
+    }
+}
+
+class PixooDevice {
+    constructor(id, name, options, pluginManager) {
+        this.id = id;
+        this.name = name;
+        this.type = options.type || 'device';
+        this.inGroup = false;
+
+        switch (this.type) {
+            case 'group':
+                this.client = new DeviceGroupClient(options.size || 64);
+                break;
+            case 'wall':
+                this.client = new TiledWallClient(options.size || 64, options.columns || 2, options.rows || 1);
+                break;
+            default:
+                this.client = new PixooClient(options.ipAddress || null, options.size || 64);
+        }
+
+        this.sceneManager = new SceneManager(this.client);
+        this.storageKey = options.storageKey || `scenes-${id}`;
+        this.sceneStorage = new SceneStorage(this.sceneManager, pluginManager, this.storageKey);
+    }
+
+    isConnected() {
+        return this.client.connected;
+    }
+
+    /**
+     * Groups and walls both drive member devices
+     */
+    isGroup() {
+        return this.type === 'group' || this.type === 'wall';
+    }
+
+    isWall() {
+        return this.type === 'wall';
+    }
+
+    /**
+     * While a group drives this device, its own scenes, playlist, schedule
+     * and night mode can't start; leaving the group starts them again
+     */
+    setInGroup(inGroup) {
+        this.inGroup = Boolean(inGroup);
+        this.sceneManager.setHeld(this.inGroup);
+    }
+
+    stop() {
+        this.sceneManager.scheduler.stop();
+        this.sceneManager.brightnessAutomation.stop();
+        this.sceneManager.playlist.stop();
+
+        const activeScene = this.sceneManager.getActiveScene();
+        if (activeScene) {
+            activeScene.stop();
+        }
+    }
+
+    toJSON() {
+        const data = {
+            id: this.id,
+            name: this.name,
+            type: this.type,
+            ipAddress: this.client.ipAddress,
+            size: this.client.size,
+            storageKey: this.storageKey
+        };
+
+        if (this.isGroup()) {
+            data.members = this.client.members.map(({ deviceId, brightnessOffset, column, row }) =>
+                this.isWall() ? { deviceId, brightnessOffset, column, row } : { deviceId, brightnessOffset }
+            );
+        }
+
+        if (this.isWall()) {
+            data.columns = this.client.columns;
+            data.rows = this.client.rows;
+        }
+
+        return data;
+    }
+}
+
+window.DeviceRegistry = DeviceRegistry;
+window.PixooDevice = PixooDevice;
@@ -0,0 +1,152 @@
+/**
+ * DeviceTransport - Sends JSON commands to a Pixoo and reads the reply.
+ *
+ * Browser fetch can't read responses from the device (it sends no CORS
+ * headers), so inside Neutralino requests go through curl via
+ * os.execCommand. Outside Neutralino, or when curl is missing, a regular
+ * CORS fetch is used, which works against devices/emulators that allow it.
+ */
+class DeviceTransport {
+    constructor() {
+        this.mode = DeviceTransport.hasNativeExec() ? 'native' : 'fetch';
+    }
+
+    static hasNativeExec() {
+        return typeof Neutralino !== 'undefined' &&
+            Boolean(Neutralino.os) &&
+            typeof Neutralino.os.execCommand === 'function';
+    }
+
+    /**
+     * Build a device URL, rejecting anything that isn't a plain host, port and path
+     * since the URL ends up on a command line.
+     */
+    static buildUrl(host, port, path) {
+        if (!/^[A-Za-z0-9.-]+$/.test(String(host || ''))) {
+            throw new PixooConnectionError(`Invalid device address: ${host}`);
+        }
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            throw new PixooConnectionError(`Invalid device port: ${port}`);
+        }
+        if (!/^\/[A-Za-z0-9/_.-]*$/.test(String(path || ''))) {
+            throw new PixooConnectionError(`Invalid device path: ${path}`);
+        }
+
+        return `http://${host}:${port}${path}`;
+    }
+
+    /**
+     * POST a command and return the parsed device response.
+     * Throws PixooConnectionError, PixooTimeoutError, PixooResponseError or PixooDeviceError.
+     */
+    async post(host, port, path, payload, timeout = 5000) {
+        const url = DeviceTransport.buildUrl(host, port, path);
+        const body = JSON.stringify(payload);
+        const command = payload.Command;
+
+        let text;
+        if (this.mode === 'native') {
+            text = await this._postViaCurl(url, body, timeout, command);
+        }
+        if (text === undefined) {
+            text = await this._postViaFetch(url, body, timeout, command);
+        }
+
+        return this._parseResponse(text, command);
+    }
+
+    async _postViaCurl(url, body, timeout, command) {
+        const seconds = Math.max(1, Math.ceil(timeout / 1000));
+        const curlCommand = `curl -sS --fail -X POST -H "Content-Type: application/json" --max-time ${seconds} --data-binary @- "${url}"`;
+
+        let result;
+        try {
+            result = await Neutralino.os.execCommand(curlCommand, { stdIn: body });
+        } catch (error) {
+            console.warn('Native HTTP unavailable, falling back to fetch:', error.message || error);
+            this.mode = 'fetch';
+            return undefined;
+        }
+
+        switch (result.exitCode) {
+            case 0:
+                return result.stdOut;
+            case 127:  // POSIX: command not found
+            case 9009: // Windows: command not found
+                console.warn('curl not found, falling back to fetch');
+                this.mode = 'fetch';
+                return undefined;
+            case 28:
+                throw new PixooTimeoutError(`Device did not respond within ${seconds}s`, { command });
+            case 22:
+                throw new PixooResponseError(`Device returned an HTTP error: ${result.stdErr.trim()}`, { command });
+            case 6:
+            case 7:
+                throw new PixooConnectionError(`Could not connect to device: ${result.stdErr.trim()}`, { command });
+            default:
+                throw new PixooConnectionError(
+                    `Request failed (curl exit ${result.exitCode}): ${result.stdErr.trim() || 'no output'}`,
+                    { command }
+                );
+        }
+    }
+
+    async _postViaFetch(url, body, timeout, command) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body,
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new PixooResponseError(`Device returned HTTP ${response.status}`, {
+                    command,
+                    status: response.status
+                });
+            }
+
+            return await response.text();
+        } catch (error) {
+            if (error instanceof PixooError) throw error;
+
+            if (error.name === 'AbortError') {
+                throw new PixooTimeoutError(`Device did not respond within ${timeout}ms`, { command });
+            }
+            throw new PixooConnectionError(`Could not reach device: ${error.message}`, { command });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    _parseResponse(text, command) {
+        let response;
+        try {
+            response = JSON.parse(text);
+        } catch (error) {
+            throw new PixooResponseError('Device response is not valid JSON', { command, body: text });
+        }
+
+        if (!response || typeof response !== 'object') {
+            throw new PixooResponseError('Device response is not a JSON object', { command, body: text });
+        }
+
+        if (response.error_code !== undefined && response.error_code !== 0) {
+            throw new PixooDeviceError(`Device rejected ${command} (error_code ${response.error_code})`, {
+                command,
+                code: response.error_code,
+                response
+            });
+        }
+
+        return response;
+    }
+}
+
+window.DeviceTransport = DeviceTransport;
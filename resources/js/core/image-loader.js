@@ -0,0 +1,475 @@
+/**
+ * ImageLoader - Reads, decodes and scales images for the Image widget.
+ *
+ * Images come from a file path (Neutralino filesystem) or a data URL.
+ * GIFs are decoded here so every frame and its delay is available; PNG and
+ * JPEG go through the browser's decoder. Decoded images are
+ *   { width, height, frames: [{ pixels, delay }] }
+ * with pixels an RGBA Uint8ClampedArray of width * height * 4 and delay in ms.
+ */
+class ImageLoader {
+    static MAX_SOURCE_PIXELS = 1024 * 1024;
+    static MAX_FRAMES = 300;
+    static DEFAULT_FRAME_DELAY = 100; // Browsers play 0-10ms GIF delays at 100ms
+
+    /**
+     * Load and decode an image from a file path or data URL
+     */
+    static async load(source) {
+        const bytes = await ImageLoader.readBytes(source);
+        return ImageLoader.decode(bytes);
+    }
+
+    static async readBytes(source) {
+        const text = String(source || '').trim();
+        if (!text) {
+            throw new Error('No image selected');
+        }
+
+        if (text.startsWith('data:')) {
+            return ImageLoader.parseDataUrl(text);
+        }
+
+        if (typeof Neutralino === 'undefined' || !Neutralino.filesystem) {
+            throw new Error('Reading image files needs the Neutralino filesystem API');
+        }
+
+        return new Uint8Array(await Neutralino.filesystem.readBinaryFile(text));
+    }
+
+    static parseDataUrl(url) {
+        const match = /^data:([^;,]*)((?:;[^;,]*)*?),(.*)$/s.exec(url);
+        if (!match) {
+            throw new Error('Invalid data URL');
+        }
+
+        if (!match[2].includes(';base64')) {
+            return new TextEncoder().encode(decodeURIComponent(match[3]));
+        }
+
+        const binary = atob(match[3].replace(/\s/g, ''));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Image format from the file's magic bytes: 'gif', 'png', 'jpeg' or null
+     */
+    static sniffType(bytes) {
+        if (bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46 && bytes[3] === 0x38) return 'gif';
+        if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) return 'png';
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8) return 'jpeg';
+        return null;
+    }
+
+    static async decode(bytes) {
+        const type = ImageLoader.sniffType(bytes);
+
+        switch (type) {
+            case 'gif':
+                return ImageLoader.decodeGif(bytes);
+            case 'png':
+            case 'jpeg':
+                return ImageLoader.decodeWithBrowser(bytes, `image/${type}`);
+            default:
+                throw new Error('Unsupported image format, use PNG, JPEG or GIF');
+        }
+    }
+
+    static async decodeWithBrowser(bytes, mimeType) {
+        if (typeof createImageBitmap !== 'function' || typeof document === 'undefined') {
+            throw new Error(`Decoding ${mimeType} needs a browser environment`);
+        }
+
+        const bitmap = await createImageBitmap(new Blob([bytes], { type: mimeType }));
+        const { width, height } = bitmap;
+        if (width * height > ImageLoader.MAX_SOURCE_PIXELS * 4) {
+            bitmap.close();
+            throw new Error(`Image is too large (${width}x${height})`);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        return { width, height, frames: [{ pixels: ctx.getImageData(0, 0, width, height).data, delay: 0 }] };
+    }
+
+    /**
+     * Decode every frame of a GIF, applying transparency and disposal
+     * so each frame is the full composited picture
+     */
+    static decodeGif(bytes) {
+        const u16 = offset => bytes[offset] | (bytes[offset + 1] << 8);
+        const width = u16(6);
+        const height = u16(8);
+
+        if (!width || !height) {
+            throw new Error('Invalid GIF header');
+        }
+        if (width * height > ImageLoader.MAX_SOURCE_PIXELS) {
+            throw new Error(`GIF is too large (${width}x${height})`);
+        }
+
+        let pos = 13;
+        let globalPalette = null;
+        const flags = bytes[10];
+        if (flags & 0x80) {
+            const size = 3 * (1 << ((flags & 0x07) + 1));
+            globalPalette = bytes.subarray(pos, pos + size);
+            pos += size;
+        }
+
+        const readSubBlocks = () => {
+            const chunks = [];
+            let total = 0;
+            while (pos < bytes.length) {
+                const size = bytes[pos++];
+                if (size === 0) break;
+                chunks.push(bytes.subarray(pos, pos + size));
+                total += size;
+                pos += size;
+            }
+
+            const data = new Uint8Array(total);
+            let offset = 0;
+            for (const chunk of chunks) {
+                data.set(chunk, offset);
+                offset += chunk.length;
+            }
+            return data;
+        };
+
+        let canvas = new Uint8ClampedArray(width * height * 4);
+        const frames = [];
+        let control = { delay: 0, transparentIndex: -1, disposal: 0 };
+
+        while (pos < bytes.length && frames.length < ImageLoader.MAX_FRAMES) {
+            const block = bytes[pos++];
+
+            if (block === 0x21) {
+                // Extension; only graphic control (0xF9) matters here
+                const label = bytes[pos++];
+                if (label === 0xF9) {
+                    const packed = bytes[pos + 1];
+                    control = {
+                        delay: u16(pos + 2) * 10,
+                        transparentIndex: packed & 0x01 ? bytes[pos + 4] : -1,
+                        disposal: (packed >> 2) & 0x07
+                    };
+                    pos += 1 + bytes[pos];
+                }
+                readSubBlocks();
+            } else if (block === 0x2C) {
+                const left = u16(pos);
+                const top = u16(pos + 2);
+                const frameWidth = u16(pos + 4);
+                const frameHeight = u16(pos + 6);
+                const packed = bytes[pos + 8];
+                pos += 9;
+
+                let palette = globalPalette;
+                if (packed & 0x80) {
+                    const size = 3 * (1 << ((packed & 0x07) + 1));
+                    palette = bytes.subarray(pos, pos + size);
+                    pos += size;
+                }
+                if (!palette) {
+                    throw new Error('GIF frame has no colour table');
+                }
+
+                const minCodeSize = bytes[pos++];
+                const indices = ImageLoader.lzwDecode(minCodeSize, readSubBlocks(), frameWidth * frameHeight);
+                const rows = ImageLoader.gifRowOrder(frameHeight, Boolean(packed & 0x40));
+                const restore = control.disposal === 3 ? canvas.slice() : null;
+
+                for (let i = 0; i < indices.length; i++) {
+                    const index = indices[i];
+                    if (index === control.transparentIndex) continue;
+
+                    const x = left + (i % frameWidth);
+                    const y = top + rows[Math.floor(i / frameWidth)];
+                    if (x >= width || y >= height) continue;
+
+                    const target = (y * width + x) * 4;
+                    canvas[target] = palette[index * 3];
+                    canvas[target + 1] = palette[index * 3 + 1];
+                    canvas[target + 2] = palette[index * 3 + 2];
+                    canvas[target + 3] = 255;
+                }
+
+                frames.push({
+                    pixels: canvas.slice(),
+                    delay: control.delay > 10 ? control.delay : ImageLoader.DEFAULT_FRAME_DELAY
+                });
+
+                if (control.disposal === 2) {
+                    // Restore to background: clear the frame's area
+                    for (let y = top; y < Math.min(height, top + frameHeight); y++) {
+                        canvas.fill(0, (y * width + left) * 4, (y * width + Math.min(width, left + frameWidth)) * 4);
+                    }
+                } else if (restore) {
+                    canvas = restore;
+                }
+
+                control = { delay: 0, transparentIndex: -1, disposal: 0 };
+            } else {
+                // 0x3B trailer, or data we can't make sense of
+                break;
+            }
+        }
+
+        if (frames.length === 0) {
+            throw new Error('GIF has no frames');
+        }
+
+        return { width, height, frames };
+    }
+
+    /**
+     * Source row for each decoded line; interlaced GIFs store rows in four passes
+     */
+    static gifRowOrder(height, interlaced) {
+        const rows = [];
+        if (!interlaced) {
+            for (let y = 0; y < height; y++) rows.push(y);
+            return rows;
+        }
+
+        for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+            for (let y = start; y < height; y += step) rows.push(y);
+        }
+        return rows;
+    }
+
+    static lzwDecode(minCodeSize, data, pixelCount) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const prefix = new Int16Array(4096);
+        const suffix = new Uint8Array(4096);
+        const stack = new Uint8Array(4097);
+        const output = new Uint8Array(pixelCount);
+
+        for (let i = 0; i < clearCode; i++) {
+            prefix[i] = -1;
+            suffix[i] = i;
+        }
+
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let previous = -1;
+        let first = 0;
+        let datum = 0;
+        let bits = 0;
+        let pos = 0;
+        let out = 0;
+
+        while (out < pixelCount) {
+            while (bits < codeSize) {
+                if (pos >= data.length) return output; // Truncated data, keep what we have
+                datum |= data[pos++] << bits;
+                bits += 8;
+            }
+
+            const code = datum & ((1 << codeSize) - 1);
+            datum >>= codeSize;
+            bits -= codeSize;
+
+            if (code === clearCode) {
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+                previous = -1;
+                continue;
+            }
+            if (code === endCode) break;
+
+            if (previous === -1) {
+                output[out++] = suffix[code];
+                previous = code;
+                first = suffix[code];
+                continue;
+            }
+
+            let current = code;
+            let top = 0;
+            if (code >= nextCode) {
+                // The code being defined: previous string plus its first byte
+                stack[top++] = first;
+                current = previous;
+            }
+            while (current >= clearCode) {
+                stack[top++] = suffix[current];
+                current = prefix[current];
+            }
+            first = suffix[current];
+            stack[top++] = first;
+
+            while (top > 0 && out < pixelCount) {
+                output[out++] = stack[--top];
+            }
+
+            if (nextCode < 4096) {
+                prefix[nextCode] = previous;
+                suffix[nextCode] = first;
+                nextCode++;
+                if (nextCode === 1 << codeSize && codeSize < 12) {
+                    codeSize++;
+                }
+            }
+            previous = code;
+        }
+
+        return output;
+    }
+
+    /**
+     * Scale RGBA pixels into a targetWidth x targetHeight rectangle.
+     * fit: 'contain' (letterbox), 'cover' (crop) or 'stretch'
+     * scaling: 'nearest' or 'smooth' (averages the source pixels under each target pixel)
+     * Pixels outside the scaled image are left transparent.
+     */
+    static scale(image, pixels, targetWidth, targetHeight, { fit = 'contain', scaling = 'nearest' } = {}) {
+        const { width, height } = image;
+        const output = new Uint8ClampedArray(targetWidth * targetHeight * 4);
+
+        // Source rectangle and where it lands in the target
+        let source = { x: 0, y: 0, width, height };
+        let dest = { x: 0, y: 0, width: targetWidth, height: targetHeight };
+
+        if (fit === 'contain') {
+            const factor = Math.max(width / targetWidth, height / targetHeight);
+            dest.width = Math.max(1, Math.round(width / factor));
+            dest.height = Math.max(1, Math.round(height / factor));
+            dest.x = Math.floor((targetWidth - dest.width) / 2);
+            dest.y = Math.floor((targetHeight - dest.height) / 2);
+        } else if (fit === 'cover') {
+            const factor = Math.min(width / targetWidth, height / targetHeight);
+            source.width = Math.min(width, targetWidth * factor);
+            source.height = Math.min(height, targetHeight * factor);
+            source.x = (width - source.width) / 2;
+            source.y = (height - source.height) / 2;
+        }
+
+        const stepX = source.width / dest.width;
+        const stepY = source.height / dest.height;
+
+        for (let dy = 0; dy < dest.height; dy++) {
+            for (let dx = 0; dx < dest.width; dx++) {
+                const target = ((dest.y + dy) * targetWidth + dest.x + dx) * 4;
+
+                if (scaling === 'smooth') {
+                    const x0 = Math.floor(source.x + dx * stepX);
+                    const y0 = Math.floor(source.y + dy * stepY);
+                    const x1 = Math.max(x0 + 1, Math.min(width, Math.floor(source.x + (dx + 1) * stepX)));
+                    const y1 = Math.max(y0 + 1, Math.min(height, Math.floor(source.y + (dy + 1) * stepY)));
+                    ImageLoader.averageBox(pixels, width, x0, y0, x1, y1, output, target);
+                } else {
+                    const sx = Math.min(width - 1, Math.floor(source.x + (dx + 0.5) * stepX));
+                    const sy = Math.min(height - 1, Math.floor(source.y + (dy + 0.5) * stepY));
+                    const from = (sy * width + sx) * 4;
+                    output[target] = pixels[from];
+                    output[target + 1] = pixels[from + 1];
+                    output[target + 2] = pixels[from + 2];
+                    output[target + 3] = pixels[from + 3];
+                }
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * Alpha-weighted average of a box of source pixels
+     */
+    static averageBox(pixels, width, x0, y0, x1, y1, output, target) {
+        let r = 0, g = 0, b = 0, a = 0;
+        let count = 0;
+
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                const from = (y * width + x) * 4;
+                const alpha = pixels[from + 3];
+                r += pixels[from] * alpha;
+                g += pixels[from + 1] * alpha;
+                b += pixels[from + 2] * alpha;
+                a += alpha;
+                count++;
+            }
+        }
+
+        if (a > 0) {
+            output[target] = r / a;
+            output[target + 1] = g / a;
+            output[target + 2] = b / a;
+        }
+        output[target + 3] = count > 0 ? a / count : 0;
+    }
+
+    // 4x4 Bayer matrix for ordered dithering
+    static BAYER_4X4 = [
+        [0, 8, 2, 10],
+        [12, 4, 14, 6],
+        [3, 11, 1, 9],
+        [15, 7, 13, 5]
+    ];
+
+    /**
+     * Reduce each channel to `levels` values in place.
+     * mode: 'none' (plain rounding), 'ordered' (Bayer) or 'floyd-steinberg'
+     */
+    static dither(pixels, width, height, mode = 'none', levels = 8) {
+        const step = 255 / (levels - 1);
+        const quantize = value => Math.max(0, Math.min(255, Math.round(value / step) * step));
+
+        if (mode === 'floyd-steinberg') {
+            const values = Float32Array.from(pixels);
+            const spread = (x, y, channel, error, weight) => {
+                if (x < 0 || x >= width || y >= height) return;
+                values[(y * width + x) * 4 + channel] += error * weight;
+            };
+
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const index = (y * width + x) * 4;
+                    if (pixels[index + 3] === 0) continue;
+
+                    for (let channel = 0; channel < 3; channel++) {
+                        const value = values[index + channel];
+                        const quantized = quantize(value);
+                        const error = value - quantized;
+                        pixels[index + channel] = quantized;
+
+                        spread(x + 1, y, channel, error, 7 / 16);
+                        spread(x - 1, y + 1, channel, error, 3 / 16);
+                        spread(x, y + 1, channel, error, 5 / 16);
+                        spread(x + 1, y + 1, channel, error, 1 / 16);
+                    }
+                }
+            }
+            return pixels;
+        }
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const index = (y * width + x) * 4;
+                if (pixels[index + 3] === 0) continue;
+
+                const offset = mode === 'ordered'
+                    ? ((ImageLoader.BAYER_4X4[y % 4][x % 4] + 0.5) / 16 - 0.5) * step
+                    : 0;
+                for (let channel = 0; channel < 3; channel++) {
+                    pixels[index + channel] = quantize(pixels[index + channel] + offset);
+                }
+            }
+        }
+        return pixels;
+    }
+}
+
+window.ImageLoader = ImageLoader;
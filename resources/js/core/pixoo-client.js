@@ -4,17 +4,87 @@
  * connection management and error handling.
  */
 class PixooClient {
+    static SUPPORTED_SIZES = [16, 32, 64];
+
+    // Channel/SetIndex values
+    static CHANNELS = [
+        { value: 0, label: 'Clock Faces' },
+        { value: 1, label: 'Cloud' },
+        { value: 2, label: 'Visualizer' },
+        { value: 3, label: 'Custom' },
+        { value: 4, label: 'Black Screen' }
+    ];
+
+    // Identical frames are sent again after this long, in case the device
+    // was switched to another channel or restarted in the meantime
+    static FRAME_RESEND_INTERVAL = 30000;
+
+    // Draw/SendHttpText accepts TextId 0-19
+    static MAX_TEXT_OVERLAYS = 20;
+
+    static TEXT_ALIGN = { left: 1, center: 2, right: 3 };
+
+    // Device fonts from Channel/GetFontList, shared by all clients; null until fetched
+    static deviceFonts = null;
+
+    // Channel/CloudIndex values
+    static CLOUD_CHANNELS = [
+        { value: 0, label: 'Recommended Gallery' },
+        { value: 1, label: 'Favourites' },
+        { value: 2, label: 'Subscribed Artists' }
+    ];
+
     constructor(ipAddress = null, size = 64) {
+        if (!PixooClient.SUPPORTED_SIZES.includes(size)) {
+            throw new Error(`Unsupported display size ${size}`);
+        }
+
         this.ipAddress = ipAddress;
         this.size = size;
+        // Drawing area; equal to size except for tiled walls spanning several devices
+        this.width = size;
+        this.height = size;
         this.connected = false;
         this.buffer = this.createBuffer();
+        this.transport = new DeviceTransport();
+
+        // Called with the client whenever `connected` changes
+        this.onConnectionChange = null;
+
+        // Draw/SendHttpGif PicId sequencing. The firmware expects a new,
+        // increasing PicId per image and misbehaves once it grows too large,
+        // so the counter is reset on the device via Draw/ResetHttpGifId.
+        this.picId = null;
+        this.picIdLimit = 32;
+        this.maxAnimationFrames = 60;
+
+        // Frames are warmed (or cooled) to this temperature on the way to the device
+        this.colorTemperature = ColorBlend.NEUTRAL_TEMPERATURE;
+
+        // The DeviceGroupClient pushing to this device, if any. Its frames
+        // arrive already shifted to the group's colour temperature.
+        this.group = null;
+
+        // The last frame sent, to skip sending it again unchanged
+        this.lastFrameData = null;
+        this.lastFrameTime = 0;
+        this.frameStats = { pushed: 0, unchanged: 0 };
+
+        // Native text drawn by the device over the last frame, by TextId.
+        // The device can only clear all texts at once, so removing one
+        // clears the lot and the rest are sent again.
+        this.textOverlays = new Map();
+        this.reservedTextIds = new Set();
+        this.sentTextOverlays = new Map();
+        this.textNeedsClear = true;
 
         // Connection state management
         this.connectionState = {
             port: null,
             path: null,
             lastConnected: null,
+            lastResponse: null,
+            lastError: null,
             connectionAttempts: 0,
             maxRetries: 3
         };
@@ -30,7 +100,23 @@ class PixooClient {
     }
 
     createBuffer() {
-        return Array(this.size).fill().map(() => Array(this.size).fill([0, 0, 0]));
+        return Array(this.height).fill().map(() => Array(this.width).fill([0, 0, 0]));
+    }
+
+    /**
+     * Change the display size (16, 32 or 64) and reallocate the frame buffer
+     */
+    setSize(size) {
+        if (!PixooClient.SUPPORTED_SIZES.includes(size)) {
+            throw new Error(`Unsupported display size ${size}. Supported sizes: ${PixooClient.SUPPORTED_SIZES.join(', ')}`);
+        }
+
+        if (size === this.size) return;
+
+        this.size = size;
+        this.width = size;
+        this.height = size;
+        this.buffer = this.createBuffer();
     }
 
     /**
@@ -42,6 +128,9 @@ class PixooClient {
         }
 
         this.connectionState.connectionAttempts++;
+        this.picId = null; // Device PicId counter is reset on the next upload
+        this.invalidateFrame();
+        this.resetSentTextOverlays();
         let lastError;
 
         // Try preferred endpoint first if we have one from previous connection
@@ -53,17 +142,21 @@ class PixooClient {
                 });
                 this.connected = true;
                 this.connectionState.lastConnected = Date.now();
-                console.log(`Reconnected to Pixoo device at ${this.ipAddress}:${this.connectionState.port}${this.connectionState.path}`);
+                this._notifyConnectionChange();
+                console.log(`Reconnected to Pixoo device at ${this._parseAddress().host}:${this.connectionState.port}${this.connectionState.path}`);
                 return;
             } catch (error) {
                 console.log(`Previous endpoint failed, trying all endpoints: ${error.message}`);
             }
         }
 
-        // Try all endpoints
-        for (const endpoint of this.endpoints) {
+        // Try all endpoints, or only the explicit port of an "ip:port" address
+        const { port: explicitPort } = this._parseAddress();
+        const endpoints = explicitPort ? [{ port: explicitPort, path: '/post' }] : this.endpoints;
+
+        for (const endpoint of endpoints) {
             try {
-                console.log(`Trying connection to ${this.ipAddress}:${endpoint.port}${endpoint.path}`);
+                console.log(`Trying connection to ${this._parseAddress().host}:${endpoint.port}${endpoint.path}`);
 
                 await this._testEndpoint(endpoint);
 
@@ -72,7 +165,8 @@ class PixooClient {
                 this.connectionState.path = endpoint.path;
                 this.connected = true;
                 this.connectionState.lastConnected = Date.now();
-                console.log(`Successfully connected to Pixoo device at ${this.ipAddress}:${endpoint.port}${endpoint.path}`);
+                this._notifyConnectionChange();
+                console.log(`Successfully connected to Pixoo device at ${this._parseAddress().host}:${endpoint.port}${endpoint.path}`);
                 return;
 
             } catch (error) {
@@ -85,62 +179,203 @@ class PixooClient {
         this.connected = false;
         this.connectionState.port = null;
         this.connectionState.path = null;
-        throw new Error(`Failed to connect to Pixoo device on any port. Last error: ${lastError?.message || 'Unknown error'}`);
+        this.connectionState.lastError = lastError || null;
+        this._notifyConnectionChange();
+        throw new PixooConnectionError(`Failed to connect to Pixoo device on any port. Last error: ${lastError?.message || 'Unknown error'}`);
+    }
+
+    disconnect() {
+        if (!this.connected) return;
+
+        this._handleDisconnection();
+        console.log(`Disconnected from Pixoo device at ${this.ipAddress}`);
     }
 
     /**
-     * Test a specific endpoint for connectivity
+     * Split an "ip:port" address so devices or emulators on a custom port can be used
+     */
+    _parseAddress() {
+        const match = /^(.+):(\d+)$/.exec(this.ipAddress || '');
+        return match
+            ? { host: match[1], port: parseInt(match[2], 10) }
+            : { host: this.ipAddress, port: null };
+    }
+
+    /**
+     * Test a specific endpoint by asking for the current channel.
+     * Resolves with the device response, throws a PixooError otherwise.
      */
     async _testEndpoint(endpoint) {
-        const testPayload = {
-            Command: "Channel/GetIndex"
+        const response = await this.transport.post(
+            this._parseAddress().host,
+            endpoint.port,
+            endpoint.path,
+            { Command: "Channel/GetIndex" },
+            3000
+        );
+
+        this.connectionState.lastResponse = response;
+        return response;
+    }
+
+    /**
+     * Draw one pixel. Colours with an alpha, or any mode other than 'normal',
+     * are blended with what is already in the buffer (see ColorBlend).
+     */
+    async setPixel(x, y, color, blendMode = 'normal') {
+        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+            if (blendMode === 'normal' && ColorBlend.isOpaque(color)) {
+                this.buffer[y][x] = color.length > 3 ? color.slice(0, 3) : color;
+            } else {
+                this.buffer[y][x] = ColorBlend.composite(this.buffer[y][x], color, blendMode);
+            }
+        }
+    }
+
+    /**
+     * Send one line of native text straight away. Overlays managed with
+     * setTextOverlay() are usually a better fit, since they survive pushes
+     * and reconnects.
+     */
+    async drawText(text, x, y, color = [255, 255, 255], options = {}) {
+        const { textId = 0, ...overlay } = options;
+        return this.sendCommand(this.buildTextPayload(textId, { ...overlay, text, x, y, color }));
+    }
+
+    async clearText() {
+        const response = await this.sendCommand({ Command: "Draw/ClearHttpText" });
+        this.sentTextOverlays.clear();
+        this.textNeedsClear = false;
+        return response;
+    }
+
+    /**
+     * Draw/SendHttpText payload for an overlay:
+     * { text, x, y, color, font, width, speed, direction, align }
+     */
+    buildTextPayload(textId, overlay) {
+        const clamp = (value, min, max) => Math.max(min, Math.min(max, Math.round(Number(value)) || 0));
+        const color = overlay.color || [255, 255, 255];
+
+        return {
+            Command: "Draw/SendHttpText",
+            TextId: textId,
+            x: clamp(overlay.x, 0, this.width - 1),
+            y: clamp(overlay.y, 0, this.height - 1),
+            dir: overlay.direction === 'right' ? 1 : 0,
+            font: clamp(overlay.font, 0, Infinity),
+            TextWidth: clamp(overlay.width ?? this.size, 16, 64),
+            speed: clamp(overlay.speed ?? 100, 0, 10000),
+            TextString: String(overlay.text ?? '').slice(0, 511),
+            color: '#' + color.slice(0, 3).map(c => clamp(c, 0, 255).toString(16).padStart(2, '0')).join(''),
+            align: PixooClient.TEXT_ALIGN[overlay.align] || PixooClient.TEXT_ALIGN.left
         };
+    }
 
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 3000);
+    /**
+     * Reserve free TextIds, e.g. one per line of a native text widget
+     */
+    allocateTextIds(count) {
+        const ids = [];
 
-        try {
-            const response = await fetch(`http://${this.ipAddress}:${endpoint.port}${endpoint.path}`, {
-                method: 'POST',
-                mode: 'no-cors', // Bypass CORS for local device communication
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(testPayload),
-                signal: controller.signal
-            });
-            clearTimeout(timeoutId);
+        for (let id = 0; id < PixooClient.MAX_TEXT_OVERLAYS && ids.length < count; id++) {
+            if (!this.reservedTextIds.has(id)) {
+                ids.push(id);
+            }
+        }
 
-            // With no-cors mode, we can't check response.ok, so assume success if no error was thrown
-            return response;
-        } catch (error) {
-            clearTimeout(timeoutId);
-            throw error;
+        if (ids.length < count) {
+            throw new Error(`The device shows at most ${PixooClient.MAX_TEXT_OVERLAYS} lines of native text`);
         }
+
+        ids.forEach(id => this.reservedTextIds.add(id));
+        return ids;
     }
 
-    async setPixel(x, y, color) {
-        if (x >= 0 && x < this.size && y >= 0 && y < this.size) {
-            this.buffer[y][x] = color;
+    /**
+     * Give TextIds back and take their text off the display
+     */
+    releaseTextIds(ids) {
+        for (const id of ids) {
+            this.reservedTextIds.delete(id);
+            this.removeTextOverlay(id);
         }
     }
 
-    async drawText(text, x, y, color = [255, 255, 255]) {
-        // Simple text drawing - this would be enhanced with a proper font system
-        const payload = {
-            Command: "Draw/SendHttpText",
-            TextId: 1,
-            x: x,
-            y: y,
-            dir: 0,
-            font: 0,
-            TextWidth: text.length * 6,
-            TextString: text,
-            speed: 0,
-            color: `rgb(${color[0]}, ${color[1]}, ${color[2]})`
-        };
+    /**
+     * Set the native text shown under a TextId. It is sent to the device
+     * after the next frame, since texts only show over a pushed image.
+     */
+    setTextOverlay(textId, overlay) {
+        this.textOverlays.set(textId, this.buildTextPayload(textId, overlay));
+    }
 
-        return this.sendCommand(payload);
+    removeTextOverlay(textId) {
+        if (this.textOverlays.delete(textId) && this.sentTextOverlays.has(textId)) {
+            this.textNeedsClear = true;
+        }
+    }
+
+    /**
+     * Forget what the device shows, so every overlay is sent again
+     */
+    resetSentTextOverlays() {
+        this.sentTextOverlays.clear();
+        this.textNeedsClear = true;
+    }
+
+    /**
+     * Bring the device's texts in line with the overlays, sending only
+     * those that changed. Called after every push.
+     */
+    async syncTextOverlays() {
+        if (!this.connected) return;
+        // Nothing on the device and nothing to show
+        if (this.textOverlays.size === 0 && this.sentTextOverlays.size === 0 && !this.textNeedsClear) return;
+
+        if (this.textNeedsClear) {
+            await this.clearText();
+        }
+
+        for (const [textId, payload] of this.textOverlays) {
+            const json = JSON.stringify(payload);
+            if (this.sentTextOverlays.get(textId) === json) continue;
+
+            await this.sendCommand(payload);
+            this.sentTextOverlays.set(textId, json);
+        }
+    }
+
+    /**
+     * Fonts the device can draw native text in: [{ id, name, width, height }].
+     * Cached in PixooClient.deviceFonts for the font pickers.
+     */
+    async getFontList() {
+        const response = await this.sendCommand({ Command: "Channel/GetFontList" });
+        const fonts = (response.FontList || []).map(font => ({
+            id: font.id,
+            name: font.name || `Font ${font.id}`,
+            width: font.width,
+            height: font.height
+        }));
+
+        PixooClient.deviceFonts = fonts;
+        return fonts;
+    }
+
+    /**
+     * Font choices as { value, label }, falling back to the first few IDs
+     * until a font list has been read from a device
+     */
+    static getFontOptions() {
+        if (PixooClient.deviceFonts && PixooClient.deviceFonts.length > 0) {
+            return PixooClient.deviceFonts.map(font => ({
+                value: font.id,
+                label: font.height ? `${font.name} (${font.height}px)` : font.name
+            }));
+        }
+
+        return Array.from({ length: 8 }, (_, id) => ({ value: id, label: `Font ${id}` }));
     }
 
     async drawImage(imageData, x = 0, y = 0) {
@@ -149,17 +384,18 @@ class PixooClient {
             PicNum: 1,
             PicWidth: this.size,
             PicHeight: this.size,
+            PicOffset: 0,
             PicData: imageData,
             PicSpeed: 1000,
-            PicId: 1
+            PicId: await this.nextPicId()
         };
 
         return this.sendCommand(payload);
     }
 
     async fillScreen(color) {
-        for (let y = 0; y < this.size; y++) {
-            for (let x = 0; x < this.size; x++) {
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
                 this.buffer[y][x] = color;
             }
         }
@@ -169,46 +405,174 @@ class PixooClient {
         this.fillScreen([0, 0, 0]);
     }
 
-    async push() {
-        // Convert buffer to the format expected by Pixoo
-        const picData = this.bufferToPicData();
+    /**
+     * Send a frame to the device, by default the current buffer. A frame
+     * identical to the last one isn't sent again (see FRAME_RESEND_INTERVAL);
+     * the result is then { skipped: true }.
+     */
+    async push(buffer = this.buffer) {
+        const picData = this.bufferToPicData(this.applyColorTemperature(buffer));
+
+        if (picData === this.lastFrameData && Date.now() - this.lastFrameTime < PixooClient.FRAME_RESEND_INTERVAL) {
+            this.frameStats.unchanged++;
+            await this.syncTextOverlaysSafely();
+            return { skipped: true };
+        }
 
         const payload = {
             Command: "Draw/SendHttpGif",
             PicNum: 1,
             PicWidth: this.size,
             PicHeight: this.size,
+            PicOffset: 0,
             PicData: picData,
             PicSpeed: 1000,
-            PicId: 1
+            PicId: await this.nextPicId()
         };
 
-        return this.sendCommand(payload);
+        const response = await this.sendCommand(payload);
+        this.lastFrameData = picData;
+        this.lastFrameTime = Date.now();
+        this.frameStats.pushed++;
+
+        await this.syncTextOverlaysSafely();
+        return response;
+    }
+
+    /**
+     * Make the next push send its frame even if it hasn't changed
+     */
+    invalidateFrame() {
+        this.lastFrameData = null;
+    }
+
+    /**
+     * Sync text overlays after a frame without failing the push
+     */
+    async syncTextOverlaysSafely() {
+        try {
+            await this.syncTextOverlays();
+        } catch (error) {
+            console.error('Failed to update native text:', error);
+        }
+    }
+
+    /**
+     * Upload a looped animation. Each frame is a size x size buffer of
+     * [r, g, b] pixels; speed is the delay between frames in milliseconds.
+     */
+    async pushAnimation(frames, speed = 100) {
+        if (!Array.isArray(frames) || frames.length === 0) {
+            throw new Error('Animation needs at least one frame');
+        }
+
+        if (frames.length > this.maxAnimationFrames) {
+            throw new Error(`Animation can have at most ${this.maxAnimationFrames} frames`);
+        }
+
+        frames.forEach((frame, index) => {
+            if (!Array.isArray(frame) || frame.length !== this.size || frame.some(row => row.length !== this.size)) {
+                throw new Error(`Frame ${index} must be ${this.size}x${this.size}`);
+            }
+        });
+
+        const picId = await this.nextPicId();
+        this.invalidateFrame();
+
+        // All frames share the PicId; PicOffset orders them on the device
+        for (let offset = 0; offset < frames.length; offset++) {
+            await this.sendCommand({
+                Command: "Draw/SendHttpGif",
+                PicNum: frames.length,
+                PicWidth: this.size,
+                PicHeight: this.size,
+                PicOffset: offset,
+                PicData: this.bufferToPicData(this.applyColorTemperature(frames[offset])),
+                PicSpeed: Math.max(20, Math.round(speed)),
+                PicId: picId
+            });
+        }
+
+        await this.syncTextOverlaysSafely();
+
+        return { success: true, picId, frames: frames.length };
     }
 
-    bufferToPicData() {
-        let result = '';
+    /**
+     * Get the PicId for the next image, resetting the device counter
+     * on first use and whenever the limit is reached.
+     */
+    async nextPicId() {
+        if (this.picId === null || this.picId >= this.picIdLimit) {
+            await this.resetPicId();
+        }
+
+        this.picId++;
+        return this.picId;
+    }
+
+    async resetPicId() {
+        await this.sendCommand({ Command: "Draw/ResetHttpGifId" });
+        this.picId = 0;
+    }
+
+    setColorTemperature(kelvin) {
+        this.colorTemperature = Math.max(1000, Math.min(40000, Math.round(kelvin)));
+    }
+
+    /**
+     * Copy of a buffer shifted to the colour temperature, or the buffer itself
+     * at 6500K or while a group drives the device
+     */
+    applyColorTemperature(buffer) {
+        if (this.group || this.colorTemperature === ColorBlend.NEUTRAL_TEMPERATURE) return buffer;
+
+        const [mr, mg, mb] = ColorBlend.temperatureMultipliers(this.colorTemperature);
+        return buffer.map(row => row.map(([r, g, b]) => [Math.round(r * mr), Math.round(g * mg), Math.round(b * mb)]));
+    }
+
+    snapshotBuffer() {
+        return this.buffer.map(row => row.slice());
+    }
+
+    /**
+     * Encode a buffer as base64 RGB bytes, row by row, as the Pixoo expects
+     */
+    bufferToPicData(buffer = this.buffer) {
+        const bytes = new Uint8ClampedArray(this.size * this.size * 3);
+        let index = 0;
+
         for (let y = 0; y < this.size; y++) {
             for (let x = 0; x < this.size; x++) {
-                const [r, g, b] = this.buffer[y][x];
-                // Convert RGB to hex and pad with zeros
-                const hex = ((r << 16) | (g << 8) | b).toString(16).padStart(6, '0');
-                result += hex;
+                const [r, g, b] = buffer[y][x];
+                bytes[index++] = r;
+                bytes[index++] = g;
+                bytes[index++] = b;
             }
         }
-        return result;
+
+        // btoa works on binary strings; build it in chunks to stay within argument limits
+        let binary = '';
+        const chunkSize = 0x8000;
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+
+        return btoa(binary);
     }
 
     /**
-     * Enhanced command sending with improved error handling and retry logic
+     * Send a command and return the parsed device response.
+     * Connection failures are retried; a non-zero error_code is thrown
+     * straight away as a PixooDeviceError since retrying won't change it.
      */
     async sendCommand(payload, retryCount = 3) {
         if (!this.connected) {
-            throw new Error('Not connected to Pixoo device');
+            throw new PixooConnectionError('Not connected to Pixoo device', { command: payload.Command });
         }
 
         if (!this.connectionState.port || !this.connectionState.path) {
-            throw new Error('No valid endpoint available');
+            throw new PixooConnectionError('No valid endpoint available', { command: payload.Command });
         }
 
         // Use the endpoint that was discovered during connection
@@ -217,35 +581,25 @@ class PixooClient {
 
         for (let attempt = 1; attempt <= retryCount; attempt++) {
             try {
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-
-                const response = await fetch(`http://${this.ipAddress}:${port}${path}`, {
-                    method: 'POST',
-                    mode: 'no-cors', // Bypass CORS for local device communication
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify(payload),
-                    signal: controller.signal
-                });
-
-                clearTimeout(timeoutId);
+                const response = await this.transport.post(this._parseAddress().host, port, path, payload, 5000);
 
-                // With no-cors mode, we can't read the response body or check status
-                // Just assume success if no error was thrown
+                this.connectionState.lastResponse = response;
+                this.connectionState.lastError = null;
                 console.log(`Command sent to Pixoo device: ${payload.Command}${attempt > 1 ? ` (attempt ${attempt})` : ''}`);
-                return { success: true };
+                return response;
 
             } catch (error) {
+                this.connectionState.lastError = error;
                 console.log(`Attempt ${attempt}/${retryCount} failed for command ${payload.Command}: ${error.message}`);
 
-                // If this is the last attempt, handle the error
-                if (attempt === retryCount) {
+                const connectionError = this._isConnectionError(error);
+
+                // If this is the last attempt, or retrying can't help, handle the error
+                if (attempt === retryCount || !connectionError) {
                     console.error('Failed to send command to Pixoo:', error);
 
                     // If we get a connection error, mark as disconnected and reset connection state
-                    if (this._isConnectionError(error)) {
+                    if (connectionError) {
                         console.log('Connection lost, marking device as disconnected');
                         this._handleDisconnection();
                     }
@@ -263,7 +617,8 @@ class PixooClient {
      * Check if an error indicates a connection problem
      */
     _isConnectionError(error) {
-        return error.message.includes('Failed to fetch') ||
+        return error instanceof PixooConnectionError ||
+               error.message.includes('Failed to fetch') ||
                error.message.includes('NetworkError') ||
                error.message.includes('TypeError') ||
                error.message.includes('signal timed out') ||
@@ -276,19 +631,20 @@ class PixooClient {
      */
     _handleDisconnection() {
         this.connected = false;
+        this.picId = null;
+        this.invalidateFrame();
+        this.resetSentTextOverlays();
         this.connectionState.port = null;
         this.connectionState.path = null;
         this.connectionState.lastConnected = null;
 
-        // Notify UI of disconnection
-        if (window.uiManager) {
-            const statusElement = document.getElementById('connection-status');
-            const connectBtn = document.getElementById('connect-btn');
-            if (statusElement && connectBtn) {
-                statusElement.textContent = 'Disconnected';
-                statusElement.className = 'disconnected';
-                connectBtn.textContent = 'Connect';
-            }
+        // Let the UI update the status of this device
+        this._notifyConnectionChange();
+    }
+
+    _notifyConnectionChange() {
+        if (typeof this.onConnectionChange === 'function') {
+            this.onConnectionChange(this);
         }
     }
 
@@ -305,7 +661,19 @@ class PixooClient {
         return this.sendCommand(payload);
     }
 
+    /**
+     * Turn the display off or back on; the device keeps receiving frames
+     */
+    async setScreenOn(on) {
+        return this.sendCommand({
+            Command: "Channel/OnOffScreen",
+            OnOff: on ? 1 : 0
+        });
+    }
+
     async setChannel(channel) {
+        PixooClient.checkOption(channel, PixooClient.CHANNELS, 'channel');
+
         const payload = {
             Command: "Channel/SetIndex",
             SelectIndex: channel
@@ -313,6 +681,187 @@ class PixooClient {
 
         return this.sendCommand(payload);
     }
+
+    async getChannel() {
+        const response = await this.sendCommand({ Command: "Channel/GetIndex" });
+        return response.SelectIndex;
+    }
+
+    /**
+     * Show a clock face by its Divoom ID (switches to the clock faces channel)
+     */
+    async setClockFace(clockId) {
+        PixooClient.checkInteger(clockId, 0, Infinity, 'Clock face ID');
+        return this.sendCommand({ Command: "Channel/SetClockSelectId", ClockId: clockId });
+    }
+
+    async getClockInfo() {
+        const response = await this.sendCommand({ Command: "Channel/GetClockInfo" });
+        return { clockId: response.ClockId, brightness: response.Brightness };
+    }
+
+    async setVisualizer(position) {
+        PixooClient.checkInteger(position, 0, Infinity, 'Visualizer');
+        return this.sendCommand({ Command: "Channel/SetEqPosition", EqPosition: position });
+    }
+
+    async setCloudChannel(index) {
+        PixooClient.checkOption(index, PixooClient.CLOUD_CHANNELS, 'cloud channel');
+        return this.sendCommand({ Command: "Channel/CloudIndex", Index: index });
+    }
+
+    async setCustomPage(index) {
+        PixooClient.checkInteger(index, 0, 2, 'Custom page');
+        return this.sendCommand({ Command: "Channel/SetCustomPageIndex", CustomPageIndex: index });
+    }
+
+    /**
+     * Rotate the picture clockwise by 0, 90, 180 or 270 degrees
+     */
+    async setRotation(degrees) {
+        if (![0, 90, 180, 270].includes(degrees)) {
+            throw new Error('Rotation must be 0, 90, 180 or 270 degrees');
+        }
+        return this.sendCommand({ Command: "Device/SetScreenRotationAngle", Mode: degrees / 90 });
+    }
+
+    async setMirrorMode(enabled) {
+        return this.sendCommand({ Command: "Device/SetMirrorMode", Mode: enabled ? 1 : 0 });
+    }
+
+    async setTimeFormat24(enabled) {
+        return this.sendCommand({ Command: "Device/SetTime24Flag", Mode: enabled ? 1 : 0 });
+    }
+
+    /**
+     * 'celsius' or 'fahrenheit' for the device's own weather display
+     */
+    async setTemperatureUnit(unit) {
+        if (unit !== 'celsius' && unit !== 'fahrenheit') {
+            throw new Error('Temperature unit must be celsius or fahrenheit');
+        }
+        return this.sendCommand({ Command: "Device/SetDisTempMode", Mode: unit === 'fahrenheit' ? 1 : 0 });
+    }
+
+    /**
+     * Time zone as a UTC offset in hours, e.g. -5 or 5.5
+     */
+    async setTimeZone(offsetHours) {
+        if (!Number.isFinite(offsetHours) || offsetHours < -12 || offsetHours > 14) {
+            throw new Error('Time zone offset must be between -12 and +14 hours');
+        }
+
+        const sign = offsetHours < 0 ? '-' : '+';
+        return this.sendCommand({ Command: "Sys/TimeZone", TimeZoneValue: `GMT${sign}${Math.abs(offsetHours)}` });
+    }
+
+    /**
+     * Set the device clock, by default to this computer's time
+     */
+    async setSystemTime(date = new Date()) {
+        return this.sendCommand({ Command: "Device/SetUTC", Utc: Math.floor(date.getTime() / 1000) });
+    }
+
+    async getDeviceTime() {
+        const response = await this.sendCommand({ Command: "Device/GetDeviceTime" });
+        return { utc: response.UTCTime, localTime: response.LocalTime };
+    }
+
+    /**
+     * Scale the red, green and blue LEDs, each 0-100
+     */
+    async setWhiteBalance(red, green, blue) {
+        PixooClient.checkInteger(red, 0, 100, 'Red balance');
+        PixooClient.checkInteger(green, 0, 100, 'Green balance');
+        PixooClient.checkInteger(blue, 0, 100, 'Blue balance');
+        return this.sendCommand({ Command: "Device/SetWhiteBalance", RValue: red, GValue: green, BValue: blue });
+    }
+
+    // Built-in tools. Each takes over the screen until another channel is chosen.
+
+    /**
+     * Count down from minutes:seconds on the device
+     */
+    async startTimer(minutes, seconds = 0) {
+        PixooClient.checkInteger(minutes, 0, 99, 'Timer minutes');
+        PixooClient.checkInteger(seconds, 0, 59, 'Timer seconds');
+        if (minutes === 0 && seconds === 0) {
+            throw new Error('Timer must run for at least a second');
+        }
+        return this.sendCommand({ Command: "Tools/SetTimer", Minute: minutes, Second: seconds, Status: 1 });
+    }
+
+    async stopTimer() {
+        return this.sendCommand({ Command: "Tools/SetTimer", Minute: 0, Second: 0, Status: 0 });
+    }
+
+    /**
+     * 'start', 'stop' or 'reset'
+     */
+    async setStopwatch(action) {
+        const status = { stop: 0, start: 1, reset: 2 }[action];
+        if (status === undefined) {
+            throw new Error(`Unknown stopwatch action: ${action}`);
+        }
+        return this.sendCommand({ Command: "Tools/SetStopWatch", Status: status });
+    }
+
+    async setScoreboard(red, blue) {
+        PixooClient.checkInteger(red, 0, 999, 'Red score');
+        PixooClient.checkInteger(blue, 0, 999, 'Blue score');
+        return this.sendCommand({ Command: "Tools/SetScoreBoard", RedScore: red, BlueScore: blue });
+    }
+
+    async setNoiseMeter(enabled) {
+        return this.sendCommand({ Command: "Tools/SetNoiseStatus", NoiseStatus: enabled ? 1 : 0 });
+    }
+
+    /**
+     * Beep on for activeMs, off for offMs, repeating for totalMs
+     */
+    async playBuzzer({ activeMs = 500, offMs = 500, totalMs = 3000 } = {}) {
+        PixooClient.checkInteger(activeMs, 1, 60000, 'Buzzer on time');
+        PixooClient.checkInteger(offMs, 0, 60000, 'Buzzer off time');
+        PixooClient.checkInteger(totalMs, 1, 60000, 'Buzzer total time');
+        return this.sendCommand({ Command: "Device/PlayBuzzer", ActiveTimeInCycle: activeMs, OffTimeInCycle: offMs, PlayTotalTime: totalMs });
+    }
+
+    async getDeviceConfig() {
+        return this.sendCommand({ Command: "Channel/GetAllConf" });
+    }
+
+    /**
+     * Channel/GetAllConf with readable names; fields the firmware
+     * doesn't report are undefined. `raw` is the full response.
+     */
+    async getSettings() {
+        const raw = await this.getDeviceConfig();
+        const flag = value => (value === undefined ? undefined : value === 1);
+
+        return {
+            brightness: raw.Brightness,
+            screenOn: flag(raw.LightSwitch),
+            channel: raw.SelectIndex,
+            clockId: raw.CurClockId,
+            rotation: raw.GyrateAngle === undefined ? undefined : raw.GyrateAngle * 90,
+            mirror: flag(raw.MirrorFlag),
+            time24: flag(raw.Time24Flag),
+            temperatureUnit: raw.TemperatureMode === undefined ? undefined : (raw.TemperatureMode === 1 ? 'fahrenheit' : 'celsius'),
+            raw
+        };
+    }
+
+    static checkInteger(value, min, max, label) {
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error(max === Infinity ? `${label} must be a whole number of at least ${min}` : `${label} must be between ${min} and ${max}`);
+        }
+    }
+
+    static checkOption(value, options, label) {
+        if (!options.some(option => option.value === value)) {
+            throw new Error(`Unknown ${label} ${value}`);
+        }
+    }
 }
 
 window.PixooClient = PixooClient;
\ No newline at end of file
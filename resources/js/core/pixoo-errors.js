@@ -0,0 +1,60 @@
+/**
+ * Typed errors for Pixoo device communication
+ */
+class PixooError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'PixooError';
+        this.command = details.command || null;
+    }
+}
+
+/**
+ * The device could not be reached (refused, unreachable, DNS failure)
+ */
+class PixooConnectionError extends PixooError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'PixooConnectionError';
+    }
+}
+
+/**
+ * The device did not answer within the allotted time
+ */
+class PixooTimeoutError extends PixooConnectionError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'PixooTimeoutError';
+    }
+}
+
+/**
+ * The device answered with something that isn't a Pixoo JSON response
+ */
+class PixooResponseError extends PixooError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'PixooResponseError';
+        this.body = details.body ?? null;
+        this.status = details.status ?? null;
+    }
+}
+
+/**
+ * The device answered with a non-zero error_code
+ */
+class PixooDeviceError extends PixooError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'PixooDeviceError';
+        this.code = details.code;
+        this.response = details.response || null;
+    }
+}
+
+window.PixooError = PixooError;
+window.PixooConnectionError = PixooConnectionError;
+window.PixooTimeoutError = PixooTimeoutError;
+window.PixooResponseError = PixooResponseError;
+window.PixooDeviceError = PixooDeviceError;
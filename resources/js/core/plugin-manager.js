@@ -45,6 +45,11 @@ class PluginManager {
 
         this.plugins.set(plugin.id, plugin);
 
+        // Register fonts before widgets so widgets can use them right away
+        if (plugin.fonts && Array.isArray(plugin.fonts)) {
+            plugin.fonts.forEach(font => BitmapFont.register(font));
+        }
+
         // Register widget types provided by this plugin
         if (plugin.widgets && Array.isArray(plugin.widgets)) {
             console.log('Registering widgets:', plugin.widgets.map(w => w.TYPE || w.name));
@@ -89,6 +94,11 @@ class PluginManager {
             });
         }
 
+        // Unregister fonts
+        if (plugin.fonts && Array.isArray(plugin.fonts)) {
+            plugin.fonts.forEach(font => BitmapFont.unregister(font.name));
+        }
+
         // Call plugin cleanup if it exists
         if (typeof plugin.destroy === 'function') {
             try {
@@ -143,7 +153,8 @@ class PluginManager {
 
     async loadBuiltinPlugins() {
         const builtinPlugins = [
-            '/js/plugins/core-widgets.js'
+            '/js/plugins/core-widgets.js',
+            '/js/plugins/chart-widgets.js'
         ];
 
         for (const pluginPath of builtinPlugins) {
@@ -176,6 +187,7 @@ class Plugin {
         this.version = version;
         this.description = description;
         this.widgets = [];
+        this.fonts = [];
     }
 
     init() {
@@ -0,0 +1,68 @@
+/**
+ * RingBuffer - Fixed-capacity sample history. Pushing onto a full buffer
+ * drops the oldest sample.
+ */
+class RingBuffer {
+    constructor(capacity) {
+        if (!Number.isInteger(capacity) || capacity < 1) {
+            throw new Error('RingBuffer capacity must be a positive integer');
+        }
+
+        this.capacity = capacity;
+        this.items = new Array(capacity);
+        this.start = 0; // Index of the oldest sample
+        this.length = 0;
+    }
+
+    push(value) {
+        if (this.length < this.capacity) {
+            this.items[(this.start + this.length) % this.capacity] = value;
+            this.length++;
+        } else {
+            this.items[this.start] = value;
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    /**
+     * Sample by age order, 0 being the oldest
+     */
+    get(index) {
+        if (index < 0 || index >= this.length) return undefined;
+        return this.items[(this.start + index) % this.capacity];
+    }
+
+    last() {
+        return this.get(this.length - 1);
+    }
+
+    /**
+     * Samples oldest first
+     */
+    toArray() {
+        const values = [];
+        for (let i = 0; i < this.length; i++) {
+            values.push(this.get(i));
+        }
+        return values;
+    }
+
+    /**
+     * Change the capacity, keeping the newest samples
+     */
+    resize(capacity) {
+        const values = this.toArray().slice(-capacity);
+        this.capacity = capacity;
+        this.items = new Array(capacity);
+        this.start = 0;
+        this.length = 0;
+        values.forEach(value => this.push(value));
+    }
+
+    clear() {
+        this.start = 0;
+        this.length = 0;
+    }
+}
+
+window.RingBuffer = RingBuffer;
@@ -5,26 +5,61 @@ class SceneManager {
         this.activeScene = null;
         this.activeSceneId = null;
         this.sceneCounter = 0;
+        this.playlist = new ScenePlaylist(this);
+        this.scheduler = new SceneScheduler(this);
+        this.brightnessAutomation = new BrightnessAutomation(this);
+
+        // Set while something else drives this display: a group ('group'),
+        // or one of the device's own channels or tools the user started ('device')
+        this.held = false;
+        this.holdReasons = new Set();
     }
 
-    createScene(name, description = '') {
+    createScene(name, description = '', targetSizes = [this.pixooClient.size]) {
         const sceneId = `scene_${++this.sceneCounter}`;
         const scene = new Scene(sceneId, name, description, this.pixooClient);
-        this.scenes.set(sceneId, scene);
+        scene.setTargetSizes(targetSizes);
+        this.attachScene(scene);
 
         // If this is the first scene, make it active
         if (this.scenes.size === 1) {
             this.setActiveScene(sceneId);
         }
 
+        this.notifyChange();
         return scene;
     }
 
+    /**
+     * Add a scene serialized by Scene.toJSON(), e.g. one moved from another device.
+     * The scene gets a new ID so it can't clash with existing scenes.
+     */
+    importScene(sceneData, pluginManager) {
+        const sceneId = `scene_${++this.sceneCounter}`;
+        const scene = Scene.fromJSON({ ...sceneData, id: sceneId }, this.pixooClient, pluginManager);
+        this.attachScene(scene);
+
+        if (this.scenes.size === 1) {
+            this.setActiveScene(sceneId);
+        }
+
+        this.notifyChange();
+        return scene;
+    }
+
+    attachScene(scene) {
+        scene.onChange = () => this.notifyChange();
+        scene.canStart = () => !this.held;
+        this.scenes.set(scene.id, scene);
+    }
+
     deleteScene(sceneId) {
         if (this.scenes.has(sceneId)) {
             const scene = this.scenes.get(sceneId);
             scene.stop();
             this.scenes.delete(sceneId);
+            this.playlist.removeScene(sceneId);
+            this.scheduler.removeScene(sceneId);
 
             // If we deleted the active scene, switch to another one
             if (this.activeSceneId === sceneId) {
@@ -36,6 +71,8 @@ class SceneManager {
                     this.activeSceneId = null;
                 }
             }
+
+            this.notifyChange();
             return true;
         }
         return false;
@@ -59,14 +96,54 @@ class SceneManager {
         this.activeScene.start();
 
         this.dispatchEvent(new CustomEvent('sceneChanged', {
-            detail: { sceneId, scene: this.activeScene }
+            detail: { sceneId, scene: this.activeScene, sceneManager: this }
         }));
+        this.notifyChange();
     }
 
     getActiveScene() {
         return this.activeScene;
     }
 
+    /**
+     * Keep the scenes, playlist, schedule and night mode stopped while
+     * something else drives the display. Each reason is held and released
+     * on its own; releasing the last one starts them again.
+     */
+    setHeld(held, reason = 'group') {
+        if (held) {
+            this.holdReasons.add(reason);
+        } else {
+            this.holdReasons.delete(reason);
+        }
+
+        held = this.holdReasons.size > 0;
+        if (held === this.held) return;
+
+        this.held = held;
+
+        if (held) {
+            this.playlist.stop();
+            this.scheduler.stop();
+            this.brightnessAutomation.stop();
+            if (this.activeScene) {
+                this.activeScene.stop();
+            }
+        } else {
+            // The device showed something else meanwhile, so send the next frame even if it is unchanged
+            this.pixooClient.invalidateFrame();
+            if (this.activeScene) {
+                this.activeScene.start();
+            }
+            this.scheduler.start();
+            this.brightnessAutomation.start();
+        }
+    }
+
+    isHeldBy(reason) {
+        return this.holdReasons.has(reason);
+    }
+
     getActiveSceneId() {
         return this.activeSceneId;
     }
@@ -79,6 +156,97 @@ class SceneManager {
         return this.scenes.get(sceneId);
     }
 
+    getDisplaySize() {
+        return this.pixooClient.size;
+    }
+
+    /**
+     * Change the display size of the device all scenes render to
+     */
+    setDisplaySize(size) {
+        if (size === this.pixooClient.size) return;
+
+        this.pixooClient.setSize(size);
+
+        const activeScene = this.getActiveScene();
+        if (activeScene && !activeScene.supportsSize(size)) {
+            console.warn(`Scene ${activeScene.name} doesn't target ${size}x${size} displays`);
+        }
+
+        this.notifyDisplayChange();
+    }
+
+    /**
+     * Signal that the display size or, for tiled walls, the layout changed
+     */
+    notifyDisplayChange() {
+        this.dispatchEvent(new CustomEvent('displaySizeChanged', {
+            detail: { size: this.pixooClient.size, sceneManager: this }
+        }));
+    }
+
+    /**
+     * Signal that scene state changed so listeners (e.g. SceneStorage) can persist it
+     */
+    notifyChange() {
+        this.dispatchEvent(new CustomEvent('scenesChanged', {
+            detail: { sceneManager: this }
+        }));
+    }
+
+    toJSON() {
+        return {
+            version: 1,
+            sceneCounter: this.sceneCounter,
+            activeSceneId: this.activeSceneId,
+            scenes: this.getAllScenes().map(scene => scene.toJSON()),
+            playlist: this.playlist.toJSON(),
+            schedule: this.scheduler.toJSON(),
+            nightMode: this.brightnessAutomation.toJSON()
+        };
+    }
+
+    /**
+     * Replace all scenes with the serialized state produced by toJSON().
+     * Widget types are resolved through the plugin manager.
+     */
+    loadFromJSON(data, pluginManager) {
+        if (!data || !Array.isArray(data.scenes)) {
+            throw new Error('Invalid scene data');
+        }
+
+        // Tear down the current scenes without triggering saves
+        this.playlist.stop();
+        this.scheduler.stop();
+        this.brightnessAutomation.stop();
+        for (const scene of this.scenes.values()) {
+            scene.stop();
+        }
+        this.scenes.clear();
+        this.activeScene = null;
+        this.activeSceneId = null;
+
+        let highestId = 0;
+        for (const sceneData of data.scenes) {
+            const scene = Scene.fromJSON(sceneData, this.pixooClient, pluginManager);
+            this.attachScene(scene);
+            highestId = Math.max(highestId, parseInt(scene.id.replace('scene_', '')) || 0);
+        }
+        this.sceneCounter = Math.max(data.sceneCounter || 0, highestId);
+
+        const activeSceneId = this.scenes.has(data.activeSceneId)
+            ? data.activeSceneId
+            : this.scenes.keys().next().value;
+
+        if (activeSceneId) {
+            this.setActiveScene(activeSceneId);
+        }
+
+        this.playlist.loadFromJSON(data.playlist);
+        this.scheduler.loadFromJSON(data.schedule);
+        this.brightnessAutomation.loadFromJSON(data.nightMode);
+    }
+
     dispatchEvent(event) {
         if (this.eventTarget) {
             this.eventTarget.dispatchEvent(event);
@@ -101,32 +269,113 @@ class Scene {
         this.updateInterval = null;
         this.refreshRate = 1000; // 1 second by default
         this.widgetCounter = 0;
+        this.onChange = null;
+
+        // Set by the SceneManager; returns false while the scene may not run
+        this.canStart = null;
+
+        // Set while a playlist transition draws this scene, so the render loop doesn't push over it
+        this.suspended = false;
+
+        // Display sizes this scene's layout is designed for
+        this.targetSizes = [pixooClient ? pixooClient.size : 64];
+
+        // Widgets whose type wasn't registered when the scene was restored.
+        // Kept verbatim so saving doesn't drop them.
+        this.unresolvedWidgets = [];
+
+        // The last composed frame. Only the region widgets redraw is
+        // recomposed; any other change invalidates the whole frame.
+        this.lastFrame = null;
+        this.frameInvalid = true;
+        this.stats = Scene.createStats();
+
+        // Set while render() runs; a slow widget or device can outlast the
+        // refresh interval, and ticks meanwhile are skipped rather than queued
+        this.rendering = false;
+    }
+
+    /**
+     * Render loop counters: ticks of the loop, frames composed, widget
+     * redraws, and frames sent to or skipped as unchanged by the client
+     */
+    static createStats() {
+        return { ticks: 0, framesRendered: 0, widgetRedraws: 0, framesPushed: 0, framesUnchanged: 0 };
+    }
+
+    static fromJSON(data, pixooClient, pluginManager) {
+        const scene = new Scene(data.id, data.name, data.description || '', pixooClient);
+        scene.refreshRate = Math.max(100, data.refreshRate || 1000);
+        // Scenes saved before size support were all designed for 64x64
+        scene.targetSizes = Array.isArray(data.targetSizes) && data.targetSizes.length > 0
+            ? data.targetSizes
+            : [64];
+
+        let highestId = 0;
+        for (const widgetData of data.widgets || []) {
+            highestId = Math.max(highestId, parseInt(String(widgetData.id).replace('widget_', '')) || 0);
+
+            const WidgetClass = pluginManager.getWidgetType(widgetData.type);
+            if (!WidgetClass) {
+                console.warn(`Unknown widget type ${widgetData.type} in scene ${scene.name}, keeping it unloaded`);
+                scene.unresolvedWidgets.push(widgetData);
+                continue;
+            }
+
+            try {
+                const widget = new WidgetClass(widgetData.id, widgetData.config || {}, pixooClient);
+                widget.setEnabled(widgetData.enabled !== false);
+                scene.attachWidget(widget);
+            } catch (error) {
+                console.error(`Failed to restore widget ${widgetData.id}:`, error);
+                scene.unresolvedWidgets.push(widgetData);
+            }
+        }
+        scene.widgetCounter = Math.max(data.widgetCounter || 0, highestId);
+
+        return scene;
     }
 
     addWidget(widgetClass, config = {}) {
         const widgetId = `widget_${++this.widgetCounter}`;
         const widget = new widgetClass(widgetId, config, this.pixooClient);
 
-        this.widgets.set(widgetId, widget);
+        this.attachWidget(widget);
 
         // If the scene is active, initialize the widget
         if (this.isActive) {
             widget.init();
         }
 
+        this.notifyChange();
         return widget;
     }
 
+    attachWidget(widget) {
+        widget.onChange = () => this.notifyChange();
+        this.widgets.set(widget.id, widget);
+    }
+
     removeWidget(widgetId) {
         if (this.widgets.has(widgetId)) {
             const widget = this.widgets.get(widgetId);
             widget.destroy();
+            widget.onChange = null;
             this.widgets.delete(widgetId);
+            this.notifyChange();
             return true;
         }
         return false;
     }
 
+    notifyChange() {
+        this.frameInvalid = true;
+
+        if (typeof this.onChange === 'function') {
+            this.onChange(this);
+        }
+    }
+
     getWidget(widgetId) {
         return this.widgets.get(widgetId);
     }
@@ -135,10 +384,53 @@ class Scene {
         return Array.from(this.widgets.values());
     }
 
+    /**
+     * Widgets bottom to top: by z-index, then in the order they were added
+     */
+    getWidgetsInRenderOrder() {
+        return this.getAllWidgets().sort((a, b) => a.getZIndex() - b.getZIndex());
+    }
+
+    /**
+     * Move a widget to another place in the stacking order (0 is the bottom).
+     * Z-indexes are renumbered 0..n-1 so they stay distinct.
+     */
+    moveWidgetToLayer(widgetId, layer) {
+        const widgets = this.getWidgetsInRenderOrder();
+        const index = widgets.findIndex(widget => widget.id === widgetId);
+        if (index === -1) return false;
+
+        const [widget] = widgets.splice(index, 1);
+        widgets.splice(Math.max(0, Math.min(widgets.length, layer)), 0, widget);
+        widgets.forEach((w, zIndex) => {
+            w.config.zIndex = zIndex;
+        });
+
+        this.notifyChange();
+        return true;
+    }
+
+    setTargetSizes(sizes) {
+        const valid = sizes.filter(size => PixooClient.SUPPORTED_SIZES.includes(size));
+        if (valid.length === 0) {
+            throw new Error('A scene must target at least one supported display size');
+        }
+
+        this.targetSizes = Array.from(new Set(valid)).sort((a, b) => a - b);
+        this.notifyChange();
+    }
+
+    supportsSize(size) {
+        return this.targetSizes.includes(size);
+    }
+
     start() {
         if (this.isActive) return;
+        if (this.canStart && !this.canStart()) return;
 
         this.isActive = true;
+        this.frameInvalid = true;
+        this.stats = Scene.createStats();
 
         // Initialize all widgets
         for (const widget of this.widgets.values()) {
@@ -161,6 +453,7 @@ class Scene {
         if (!this.isActive) return;
 
         this.isActive = false;
+        this.suspended = false;
 
         // Stop the render loop
         if (this.updateInterval) {
@@ -181,45 +474,125 @@ class Scene {
     }
 
     async render() {
-        if (!this.isActive) return;
+        if (!this.isActive || this.suspended || this.rendering) return;
 
-        try {
-            // Clear the screen
-            await this.pixooClient.clear();
+        this.rendering = true;
+        this.stats.ticks++;
 
-            // Render all widgets
-            for (const widget of this.widgets.values()) {
-                if (widget.isEnabled()) {
-                    await widget.render();
-                }
-            }
+        try {
+            await this.updateFrame(this.stats);
 
-            // Push the frame to the device only if connected
+            // Push the frame to the device only if connected. Unchanged
+            // frames are still handed over; the client skips sending them.
             if (this.pixooClient.connected) {
+                const before = { ...this.pixooClient.frameStats };
                 try {
-                    await this.pixooClient.push();
+                    await this.pixooClient.push(this.lastFrame);
                 } catch (pushError) {
                     console.error('Failed to push to device:', pushError);
                     // Don't stop the scene, just log the error
                     // The pixooClient will handle marking itself as disconnected
                 }
+                this.stats.framesPushed += this.pixooClient.frameStats.pushed - before.pushed;
+                this.stats.framesUnchanged += this.pixooClient.frameStats.unchanged - before.unchanged;
             }
 
         } catch (error) {
             console.error('Error during scene render:', error);
+        } finally {
+            this.rendering = false;
         }
     }
 
+    /**
+     * Bring the frame buffer up to date. Widgets that are due draw again;
+     * then only the region covering what they drew before and now is
+     * cleared and recomposed from every widget's draw list. Returns false
+     * when nothing changed. Only the render loop passes its stats to count into.
+     */
+    async updateFrame(stats = null) {
+        const client = this.pixooClient;
+        const widgets = this.getWidgetsInRenderOrder().filter(widget => widget.isEnabled());
+        const now = Date.now();
+        let dirty = null;
+
+        const addDirty = rect => {
+            if (!rect) return;
+            dirty = dirty
+                ? Scene.unionRects(dirty, rect)
+                : { ...rect };
+        };
+
+        for (const widget of widgets) {
+            if (!widget.needsRedraw(now)) continue;
+
+            const previousBounds = widget.drawBounds;
+            if (await widget.captureDrawing()) {
+                if (stats) stats.widgetRedraws++;
+                addDirty(previousBounds);
+                addDirty(widget.drawBounds);
+            }
+        }
+
+        const sizeChanged = !this.lastFrame || this.lastFrame.length !== client.height || this.lastFrame[0].length !== client.width;
+        if (this.frameInvalid || sizeChanged) {
+            dirty = { x: 0, y: 0, width: client.width, height: client.height };
+        }
+        if (!dirty) return false;
+
+        // Start from the last frame: the preview and transitions draw into the same buffer
+        client.buffer = sizeChanged ? client.createBuffer() : this.lastFrame.map(row => row.slice());
+        for (let y = Math.max(0, dirty.y); y < Math.min(client.height, dirty.y + dirty.height); y++) {
+            for (let x = Math.max(0, dirty.x); x < Math.min(client.width, dirty.x + dirty.width); x++) {
+                client.buffer[y][x] = [0, 0, 0];
+            }
+        }
+
+        // Bottom layer first
+        for (const widget of widgets) {
+            await widget.replayDrawing(dirty);
+        }
+
+        this.lastFrame = client.snapshotBuffer();
+        this.frameInvalid = false;
+        if (stats) stats.framesRendered++;
+        return true;
+    }
+
+    static unionRects(a, b) {
+        const x = Math.min(a.x, b.x);
+        const y = Math.min(a.y, b.y);
+        return {
+            x,
+            y,
+            width: Math.max(a.x + a.width, b.x + b.width) - x,
+            height: Math.max(a.y + a.height, b.y + b.height) - y
+        };
+    }
+
+    /**
+     * Counters for the render loop, see createStats()
+     */
+    getRenderStats() {
+        return { ...this.stats };
+    }
+
     async renderPreview() {
         // Render scene for preview purposes (doesn't require active state or connection)
         try {
-            // Clear the buffer
-            await this.pixooClient.clear();
+            // A running scene's render loop keeps its frame current; drawing
+            // here as well would take widget redraws away from that loop
+            if (!this.isActive || !this.lastFrame) {
+                await this.updateFrame();
+            }
+
+            // Show the composed frame even if something else drew into the buffer since
+            this.pixooClient.buffer = this.lastFrame.map(row => row.slice());
 
-            // Render all widgets
-            for (const widget of this.widgets.values()) {
+            // The device draws native text over the whole frame, so it goes on top
+            for (const widget of this.getWidgetsInRenderOrder()) {
                 if (widget.isEnabled()) {
-                    await widget.render();
+                    await widget.renderOverlayPreview();
                 }
             }
 
@@ -230,6 +603,65 @@ class Scene {
         }
     }
 
+    /**
+     * Render one frame without waiting for widget intervals and return a copy of it
+     */
+    async renderFrame() {
+        for (const widget of this.getWidgetsInRenderOrder()) {
+            // Force a redraw for every frame so animations advance
+            widget.lastUpdate = 0;
+        }
+
+        this.frameInvalid = true;
+        await this.updateFrame();
+        return this.pixooClient.snapshotBuffer();
+    }
+
+    /**
+     * Render frameCount consecutive frames without waiting for widget intervals
+     */
+    async captureFrames(frameCount) {
+        const frames = [];
+
+        for (let i = 0; i < frameCount; i++) {
+            frames.push(await this.renderFrame());
+        }
+
+        return frames;
+    }
+
+    /**
+     * Hand the device a looped animation instead of streaming frames.
+     * The scene is stopped afterwards, whether or not the upload worked,
+     * so its render loop doesn't overwrite the animation; start() it again
+     * to stream live frames.
+     */
+    async uploadAnimation(frameCount = 20, frameSpeed = 100) {
+        if (!this.pixooClient.connected) {
+            throw new Error('Not connected to Pixoo device');
+        }
+
+        // Widgets only render once initialized
+        if (!this.isActive) {
+            this.start();
+        }
+        if (!this.isActive) {
+            throw new Error('The scene cannot run while its device is part of a group');
+        }
+
+        if (this.updateInterval) {
+            clearInterval(this.updateInterval);
+            this.updateInterval = null;
+        }
+
+        try {
+            const frames = await this.captureFrames(frameCount);
+            return await this.pixooClient.pushAnimation(frames, frameSpeed);
+        } finally {
+            this.stop();
+        }
+    }
+
     setRefreshRate(rate) {
         this.refreshRate = Math.max(100, rate); // Minimum 100ms
 
@@ -240,6 +672,8 @@ class Scene {
                 this.render();
             }, this.refreshRate);
         }
+
+        this.notifyChange();
     }
 
     toJSON() {
@@ -248,7 +682,12 @@ class Scene {
             name: this.name,
             description: this.description,
             refreshRate: this.refreshRate,
-            widgets: Array.from(this.widgets.values()).map(w => w.toJSON())
+            targetSizes: this.targetSizes,
+            widgetCounter: this.widgetCounter,
+            widgets: [
+                ...Array.from(this.widgets.values()).map(w => w.toJSON()),
+                ...this.unresolvedWidgets
+            ]
         };
     }
 }
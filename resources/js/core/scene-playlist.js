@@ -0,0 +1,314 @@
+/**
+ * ScenePlaylist - Cycles through an ordered list of scenes with per-scene
+ * durations, optional shuffle and a pixel transition between scenes.
+ */
+class ScenePlaylist {
+    static DEFAULT_DURATION = 10000;
+    static MIN_DURATION = 1000;
+    static TRANSITION_FRAME_INTERVAL = 100; // ms between transition frames
+
+    constructor(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.entries = []; // [{ sceneId, duration }]
+        this.shuffle = false;
+        this.transition = 'fade';
+        this.transitionDuration = 1000;
+
+        this.isPlaying = false;
+        this.isTransitioning = false;
+        this.currentIndex = -1; // Position in order
+        this.currentEntry = null;
+        this.order = [];
+        this.advanceTimeout = null;
+        this.playToken = 0;
+    }
+
+    addScene(sceneId, duration = ScenePlaylist.DEFAULT_DURATION) {
+        if (!this.sceneManager.getScene(sceneId)) {
+            throw new Error(`Scene with ID ${sceneId} does not exist`);
+        }
+
+        this.entries.push({ sceneId, duration: Math.max(ScenePlaylist.MIN_DURATION, duration) });
+        this.onEntriesChanged();
+    }
+
+    removeEntry(index) {
+        if (index < 0 || index >= this.entries.length) return false;
+
+        this.entries.splice(index, 1);
+        this.onEntriesChanged();
+        return true;
+    }
+
+    /**
+     * Drop every entry for a scene, e.g. when the scene is deleted
+     */
+    removeScene(sceneId) {
+        const before = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.sceneId !== sceneId);
+
+        if (this.entries.length !== before) {
+            this.onEntriesChanged();
+        }
+    }
+
+    moveEntry(index, newIndex) {
+        if (index < 0 || index >= this.entries.length) return;
+
+        const target = Math.max(0, Math.min(this.entries.length - 1, newIndex));
+        const [entry] = this.entries.splice(index, 1);
+        this.entries.splice(target, 0, entry);
+        this.onEntriesChanged();
+    }
+
+    setDuration(index, duration) {
+        const entry = this.entries[index];
+        if (!entry) return;
+
+        entry.duration = Math.max(ScenePlaylist.MIN_DURATION, duration);
+        this.sceneManager.notifyChange();
+    }
+
+    setShuffle(shuffle) {
+        this.shuffle = Boolean(shuffle);
+        this.buildOrder();
+        this.sceneManager.notifyChange();
+    }
+
+    setTransition(transition, duration = this.transitionDuration) {
+        this.transition = transition;
+        this.transitionDuration = Math.max(0, duration);
+        this.sceneManager.notifyChange();
+    }
+
+    onEntriesChanged() {
+        this.buildOrder();
+
+        if (this.isPlaying && this.entries.length === 0) {
+            this.stop();
+        }
+
+        this.sceneManager.notifyChange();
+    }
+
+    /**
+     * Entry indices in play order. Shuffle reorders them once per cycle.
+     */
+    buildOrder() {
+        this.order = this.entries.map((entry, index) => index);
+
+        if (this.shuffle) {
+            for (let i = this.order.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [this.order[i], this.order[j]] = [this.order[j], this.order[i]];
+            }
+        }
+
+        // Keep the playing entry's position so edits don't restart the cycle
+        this.currentIndex = this.order.indexOf(this.entries.indexOf(this.currentEntry));
+    }
+
+    getCurrentEntry() {
+        return this.currentEntry;
+    }
+
+    start() {
+        if (this.isPlaying) return;
+
+        if (this.entries.length === 0) {
+            throw new Error('The playlist has no scenes');
+        }
+        if (this.sceneManager.isHeldBy('group')) {
+            throw new Error('The device is part of a group, which shows its scenes instead');
+        }
+        if (this.sceneManager.held) {
+            throw new Error('The device is showing one of its own channels or tools; press Play to resume its scenes');
+        }
+
+        this.isPlaying = true;
+        this.buildOrder();
+        this.dispatchStateChange();
+        this.next();
+    }
+
+    stop() {
+        if (!this.isPlaying) return;
+
+        this.isPlaying = false;
+        this.playToken++; // Abandons any transition in progress
+
+        if (this.advanceTimeout) {
+            clearTimeout(this.advanceTimeout);
+            this.advanceTimeout = null;
+        }
+
+        this.finishTransition();
+        this.currentIndex = -1;
+        this.currentEntry = null;
+        this.dispatchStateChange();
+    }
+
+    async next() {
+        return this.advance(1);
+    }
+
+    async previous() {
+        return this.advance(-1);
+    }
+
+    async advance(step) {
+        if (!this.isPlaying || this.entries.length === 0) return;
+
+        if (this.advanceTimeout) {
+            clearTimeout(this.advanceTimeout);
+            this.advanceTimeout = null;
+        }
+
+        let index = this.currentIndex + step;
+        if (index >= this.order.length) {
+            // Start a new cycle, reshuffling if needed
+            const lastEntry = this.getCurrentEntry();
+            this.buildOrder();
+
+            // Avoid showing the same scene twice in a row across a reshuffle
+            if (this.shuffle && this.order.length > 1 && this.entries[this.order[0]] === lastEntry) {
+                this.order.push(this.order.shift());
+            }
+            index = 0;
+        } else if (index < 0) {
+            index = this.order.length - 1;
+        }
+
+        this.currentIndex = index;
+        this.currentEntry = this.entries[this.order[index]];
+        const entry = this.currentEntry;
+        const token = ++this.playToken;
+
+        if (entry.sceneId !== this.sceneManager.getActiveSceneId()) {
+            await this.switchTo(entry.sceneId, token);
+        } else if (!this.sceneManager.getActiveScene().isActive) {
+            this.sceneManager.getActiveScene().start();
+        }
+
+        if (token !== this.playToken) return;
+
+        this.dispatchStateChange();
+        this.advanceTimeout = setTimeout(() => this.next(), entry.duration);
+    }
+
+    /**
+     * Activate a scene, blending from the current frame when a transition is set
+     */
+    async switchTo(sceneId, token) {
+        const outgoing = this.sceneManager.getActiveScene();
+        const incoming = this.sceneManager.getScene(sceneId);
+        const pixooClient = this.sceneManager.pixooClient;
+        const steps = Math.round(this.transitionDuration / ScenePlaylist.TRANSITION_FRAME_INTERVAL);
+
+        if (!incoming) {
+            console.warn(`Playlist scene ${sceneId} no longer exists, skipping`);
+            return;
+        }
+
+        // A transition interrupted by next()/previous() leaves its scene suspended
+        this.finishTransition();
+
+        if (!outgoing || this.transition === 'none' || steps < 1) {
+            this.sceneManager.setActiveScene(sceneId);
+            return;
+        }
+
+        // Bring the outgoing frame up to date without forcing its widgets to redraw
+        await outgoing.updateFrame();
+        const fromFrame = outgoing.lastFrame;
+
+        this.isTransitioning = true;
+        this.transitionScene = incoming;
+        incoming.suspended = true;
+        this.sceneManager.setActiveScene(sceneId);
+
+        const state = {};
+        try {
+            for (let step = 1; step <= steps; step++) {
+                if (token !== this.playToken) return;
+
+                const frameStart = Date.now();
+
+                // Draw everything once, then widgets keep to their own update intervals
+                if (step === 1) {
+                    await incoming.renderFrame();
+                } else {
+                    await incoming.updateFrame();
+                }
+                pixooClient.buffer = SceneTransitions.blend(this.transition, fromFrame, incoming.lastFrame, step / steps, state);
+
+                if (pixooClient.connected) {
+                    try {
+                        await pixooClient.push();
+                    } catch (error) {
+                        console.error('Failed to push transition frame:', error);
+                    }
+                }
+
+                const remaining = ScenePlaylist.TRANSITION_FRAME_INTERVAL - (Date.now() - frameStart);
+                if (remaining > 0) {
+                    await new Promise(resolve => setTimeout(resolve, remaining));
+                }
+            }
+        } finally {
+            if (token === this.playToken) {
+                this.finishTransition();
+            }
+        }
+    }
+
+    finishTransition() {
+        if (this.transitionScene) {
+            this.transitionScene.suspended = false;
+            this.transitionScene = null;
+        }
+        this.isTransitioning = false;
+    }
+
+    dispatchStateChange() {
+        const entry = this.getCurrentEntry();
+        this.sceneManager.dispatchEvent(new CustomEvent('playlistStateChanged', {
+            detail: {
+                isPlaying: this.isPlaying,
+                index: this.entries.indexOf(entry),
+                sceneId: entry ? entry.sceneId : null,
+                sceneManager: this.sceneManager
+            }
+        }));
+    }
+
+    toJSON() {
+        return {
+            entries: this.entries.map(entry => ({ ...entry })),
+            shuffle: this.shuffle,
+            transition: this.transition,
+            transitionDuration: this.transitionDuration
+        };
+    }
+
+    /**
+     * Restore saved settings, dropping entries whose scene no longer exists
+     */
+    loadFromJSON(data) {
+        this.stop();
+
+        data = data || {};
+        this.entries = (data.entries || [])
+            .filter(entry => this.sceneManager.getScene(entry.sceneId))
+            .map(entry => ({
+                sceneId: entry.sceneId,
+                duration: Math.max(ScenePlaylist.MIN_DURATION, entry.duration || ScenePlaylist.DEFAULT_DURATION)
+            }));
+        this.shuffle = Boolean(data.shuffle);
+        this.transition = data.transition || 'fade';
+        this.transitionDuration = data.transitionDuration ?? 1000;
+        this.buildOrder();
+    }
+}
+
+window.ScenePlaylist = ScenePlaylist;
@@ -0,0 +1,389 @@
+/**
+ * SceneScheduler - Switches scenes by time of day, weekday and date.
+ *
+ * A rule is { id, name, sceneId, enabled, priority, start, end, days,
+ * startDate, endDate, date, brightness }:
+ * - start/end are 'HH:MM'. An end before the start runs past midnight and
+ *   equal times cover the whole day.
+ * - days are weekdays 0-6, Sunday first; empty means every day.
+ * - startDate/endDate ('YYYY-MM-DD', inclusive) limit the rule to a range.
+ * - date makes a one-off event on that day, ignoring days and the range.
+ * - brightness (0-100) is set on the device while the rule is active;
+ *   null leaves it alone.
+ *
+ * When rules overlap the highest priority wins, then the one listed first.
+ * Scenes are only switched when the winning rule changes, so a scene picked
+ * by hand stays until the next rule starts.
+ */
+class SceneScheduler {
+    static CHECK_INTERVAL = 15000;
+    static DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    constructor(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.rules = [];
+        this.ruleCounter = 0;
+        this.enabled = false;
+
+        this.activeRule = null;
+        this.appliedBrightness = null;
+        this.checkInterval = null;
+    }
+
+    /**
+     * Minutes since midnight for an 'HH:MM' time
+     */
+    static parseTime(text) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(text).trim());
+        if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+            throw new Error(`Invalid time "${text}", expected HH:MM`);
+        }
+        return parseInt(match[1]) * 60 + parseInt(match[2]);
+    }
+
+    static formatTime(minutes) {
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Local calendar date as 'YYYY-MM-DD', which compares correctly as a string
+     */
+    static dateKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    static parseDate(text) {
+        if (!text) return null;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || isNaN(new Date(`${text}T00:00`).getTime())) {
+            throw new Error(`Invalid date "${text}", expected YYYY-MM-DD`);
+        }
+        return text;
+    }
+
+    /**
+     * Validated copy of a rule with defaults filled in
+     */
+    normalizeRule(rule) {
+        if (!this.sceneManager.getScene(rule.sceneId)) {
+            throw new Error(`Scene with ID ${rule.sceneId} does not exist`);
+        }
+
+        const start = SceneScheduler.formatTime(SceneScheduler.parseTime(rule.start ?? '00:00'));
+        const end = SceneScheduler.formatTime(SceneScheduler.parseTime(rule.end ?? '00:00'));
+        const startDate = SceneScheduler.parseDate(rule.startDate);
+        const endDate = SceneScheduler.parseDate(rule.endDate);
+        if (startDate && endDate && endDate < startDate) {
+            throw new Error('The end date is before the start date');
+        }
+
+        const brightness = rule.brightness === null || rule.brightness === undefined || rule.brightness === ''
+            ? null
+            : Math.max(0, Math.min(100, Math.round(Number(rule.brightness)) || 0));
+
+        return {
+            id: rule.id,
+            name: rule.name || this.sceneManager.getScene(rule.sceneId).name,
+            sceneId: rule.sceneId,
+            enabled: rule.enabled !== false,
+            priority: Math.round(Number(rule.priority)) || 0,
+            start,
+            end,
+            days: Array.from(new Set((rule.days || []).map(Number).filter(day => day >= 0 && day <= 6))).sort(),
+            startDate,
+            endDate,
+            date: SceneScheduler.parseDate(rule.date),
+            brightness
+        };
+    }
+
+    addRule(options) {
+        const rule = this.normalizeRule({ ...options, id: `rule_${this.ruleCounter + 1}` });
+        this.ruleCounter++;
+        this.rules.push(rule);
+        this.onRulesChanged();
+        return rule;
+    }
+
+    updateRule(ruleId, changes) {
+        const index = this.rules.findIndex(rule => rule.id === ruleId);
+        if (index === -1) {
+            throw new Error(`Schedule rule ${ruleId} does not exist`);
+        }
+
+        this.rules[index] = this.normalizeRule({ ...this.rules[index], ...changes, id: ruleId });
+        this.onRulesChanged();
+        return this.rules[index];
+    }
+
+    removeRule(ruleId) {
+        const before = this.rules.length;
+        this.rules = this.rules.filter(rule => rule.id !== ruleId);
+
+        if (this.rules.length !== before) {
+            this.onRulesChanged();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Drop every rule for a scene, e.g. when the scene is deleted
+     */
+    removeScene(sceneId) {
+        const before = this.rules.length;
+        this.rules = this.rules.filter(rule => rule.sceneId !== sceneId);
+
+        if (this.rules.length !== before) {
+            this.onRulesChanged();
+        }
+    }
+
+    getRule(ruleId) {
+        return this.rules.find(rule => rule.id === ruleId);
+    }
+
+    /**
+     * Short summary of when a rule runs, e.g. 'Mon, Tue 09:00-17:00'
+     */
+    static describeRule(rule) {
+        let when;
+        if (rule.date) {
+            when = rule.date;
+        } else {
+            when = rule.days.length === 0 || rule.days.length === 7
+                ? 'Every day'
+                : rule.days.map(day => SceneScheduler.DAY_NAMES[day]).join(', ');
+
+            if (rule.startDate || rule.endDate) {
+                when += ` (${rule.startDate || '…'} to ${rule.endDate || '…'})`;
+            }
+        }
+
+        const hours = rule.start === rule.end ? 'all day' : `${rule.start}-${rule.end}`;
+        return `${when} ${hours}`;
+    }
+
+    onRulesChanged() {
+        this.evaluate();
+        this.sceneManager.notifyChange();
+    }
+
+    // Matching
+
+    matchesDate(rule, date) {
+        const key = SceneScheduler.dateKey(date);
+
+        if (rule.date) {
+            return key === rule.date;
+        }
+        if (rule.startDate && key < rule.startDate) return false;
+        if (rule.endDate && key > rule.endDate) return false;
+
+        return rule.days.length === 0 || rule.days.includes(date.getDay());
+    }
+
+    isRuleActive(rule, time = new Date()) {
+        if (!rule.enabled) return false;
+
+        const minutes = time.getHours() * 60 + time.getMinutes();
+        const start = SceneScheduler.parseTime(rule.start);
+        const end = SceneScheduler.parseTime(rule.end);
+
+        if (start === end) {
+            return this.matchesDate(rule, time);
+        }
+        if (start < end) {
+            return minutes >= start && minutes < end && this.matchesDate(rule, time);
+        }
+
+        // Past midnight: the early hours belong to the day the rule started
+        if (minutes >= start) {
+            return this.matchesDate(rule, time);
+        }
+        if (minutes < end) {
+            const previousDay = new Date(time.getFullYear(), time.getMonth(), time.getDate() - 1);
+            return this.matchesDate(rule, previousDay);
+        }
+        return false;
+    }
+
+    /**
+     * The rule in charge at a given time, or null
+     */
+    getActiveRule(time = new Date()) {
+        let winner = null;
+
+        for (const rule of this.rules) {
+            if (!this.isRuleActive(rule, time) || !this.sceneManager.getScene(rule.sceneId)) continue;
+            if (!winner || rule.priority > winner.priority) {
+                winner = rule;
+            }
+        }
+
+        return winner;
+    }
+
+    /**
+     * What plays when, from midnight of the given day: one list of
+     * { start, end, rule } segments per day, rule null where nothing is scheduled
+     */
+    getTimeline(from = new Date(), days = 7) {
+        const timeline = [];
+
+        for (let day = 0; day < days; day++) {
+            const date = new Date(from.getFullYear(), from.getMonth(), from.getDate() + day);
+            const segments = [];
+
+            for (let minute = 0; minute < 24 * 60; minute++) {
+                const time = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, minute);
+                const rule = this.getActiveRule(time);
+                const last = segments[segments.length - 1];
+
+                if (last && last.rule === rule) {
+                    last.end = minute + 1;
+                } else {
+                    segments.push({ start: minute, end: minute + 1, rule });
+                }
+            }
+
+            timeline.push({ date, segments });
+        }
+
+        return timeline;
+    }
+
+    // Running
+
+    setEnabled(enabled) {
+        this.enabled = Boolean(enabled);
+
+        if (this.enabled) {
+            this.start();
+        } else {
+            this.stop();
+            this.activeRule = null;
+            this.dispatchStateChange();
+        }
+
+        this.sceneManager.notifyChange();
+    }
+
+    start() {
+        if (!this.enabled || this.checkInterval || this.sceneManager.held) return;
+
+        this.checkInterval = setInterval(() => this.evaluate(), SceneScheduler.CHECK_INTERVAL);
+        this.evaluate();
+    }
+
+    stop() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+    }
+
+    /**
+     * Switch to the winning rule's scene when the winner changes. Rules are
+     * compared by ID: editing the running rule replaces its object, which
+     * only moves to the edited scene if that changed.
+     */
+    async evaluate(time = new Date()) {
+        if (!this.enabled || this.sceneManager.held) return;
+
+        const rule = this.getActiveRule(time);
+        const ruleId = rule ? rule.id : null;
+        const activeRuleId = this.activeRule ? this.activeRule.id : null;
+
+        if (ruleId !== activeRuleId) {
+            this.activeRule = rule;
+            this.appliedBrightness = null;
+
+            if (rule) {
+                console.log(`Schedule rule ${rule.name} started, showing scene ${rule.sceneId}`);
+                this.showScene(rule.sceneId);
+            }
+
+            this.dispatchStateChange();
+        } else if (rule && rule !== this.activeRule) {
+            const sceneChanged = rule.sceneId !== this.activeRule.sceneId;
+            this.activeRule = rule;
+
+            if (sceneChanged) {
+                this.showScene(rule.sceneId);
+            }
+        }
+
+        await this.applyBrightness(rule);
+    }
+
+    showScene(sceneId) {
+        // A scheduled scene takes over from the playlist
+        this.sceneManager.playlist.stop();
+        if (this.sceneManager.getActiveSceneId() !== sceneId) {
+            this.sceneManager.setActiveScene(sceneId);
+        }
+    }
+
+    /**
+     * Set the rule's brightness once; retried on later checks while disconnected.
+     * Night mode takes the rule's brightness into account itself when it's on.
+     */
+    async applyBrightness(rule) {
+        if (!rule || rule.brightness === null || this.appliedBrightness === rule.brightness) return;
+        if (this.sceneManager.brightnessAutomation.isActive()) return;
+
+        const client = this.sceneManager.pixooClient;
+        if (!client.connected) return;
+
+        try {
+            await client.setBrightness(rule.brightness);
+            this.appliedBrightness = rule.brightness;
+        } catch (error) {
+            console.error('Failed to set scheduled brightness:', error);
+        }
+    }
+
+    dispatchStateChange() {
+        this.sceneManager.dispatchEvent(new CustomEvent('scheduleStateChanged', {
+            detail: {
+                enabled: this.enabled,
+                ruleId: this.activeRule ? this.activeRule.id : null,
+                sceneManager: this.sceneManager
+            }
+        }));
+    }
+
+    toJSON() {
+        return {
+            enabled: this.enabled,
+            ruleCounter: this.ruleCounter,
+            rules: this.rules.map(rule => ({ ...rule, days: rule.days.slice() }))
+        };
+    }
+
+    /**
+     * Restore saved rules, dropping those whose scene no longer exists
+     */
+    loadFromJSON(data) {
+        this.stop();
+
+        data = data || {};
+        this.rules = [];
+        for (const ruleData of data.rules || []) {
+            try {
+                this.rules.push(this.normalizeRule(ruleData));
+            } catch (error) {
+                console.warn(`Dropping schedule rule ${ruleData.name}:`, error.message);
+            }
+        }
+
+        const highestId = Math.max(0, ...this.rules.map(rule => parseInt(String(rule.id).replace('rule_', '')) || 0));
+        this.ruleCounter = Math.max(data.ruleCounter || 0, highestId);
+        this.enabled = Boolean(data.enabled);
+        this.activeRule = null;
+
+        this.start();
+    }
+}
+
+window.SceneScheduler = SceneScheduler;
@@ -0,0 +1,119 @@
+/**
+ * SceneStorage - Persists scenes and widgets through Neutralino storage
+ * and restores them on startup.
+ */
+class SceneStorage {
+    constructor(sceneManager, pluginManager, storageKey = 'scenes') {
+        this.sceneManager = sceneManager;
+        this.pluginManager = pluginManager;
+        this.storageKey = storageKey;
+        this.saveDelay = 500; // Debounce rapid changes such as widget dragging
+        this.saveTimeout = null;
+        this.autoSaveEnabled = false;
+
+        // Several scene managers (one per device) share the event target
+        this.handleChange = (e) => {
+            if (e.detail && e.detail.sceneManager !== this.sceneManager) return;
+            this.scheduleSave();
+        };
+    }
+
+    /**
+     * Load saved scenes into the scene manager.
+     * Returns false when nothing has been saved yet or the data is unusable.
+     */
+    async load() {
+        let raw;
+
+        try {
+            raw = await Neutralino.storage.getData(this.storageKey);
+        } catch (error) {
+            // Neutralino throws NE_ST_NOSTKEX when the key was never written
+            if (error && error.code === 'NE_ST_NOSTKEX') {
+                console.log('No saved scenes found');
+            } else {
+                console.error('Failed to read saved scenes:', error);
+            }
+            return false;
+        }
+
+        try {
+            const data = JSON.parse(raw);
+            if (!data.scenes || data.scenes.length === 0) {
+                return false;
+            }
+
+            this.sceneManager.loadFromJSON(data, this.pluginManager);
+            console.log(`Restored ${data.scenes.length} saved scene(s)`);
+            return true;
+        } catch (error) {
+            console.error('Failed to restore saved scenes:', error);
+            return false;
+        }
+    }
+
+    async save() {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+        }
+
+        try {
+            const data = JSON.stringify(this.sceneManager.toJSON());
+            await Neutralino.storage.setData(this.storageKey, data);
+        } catch (error) {
+            console.error('Failed to save scenes:', error);
+        }
+    }
+
+    /**
+     * Delete the saved scenes, e.g. when their device is removed
+     */
+    async clear() {
+        this.disableAutoSave();
+
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+        }
+
+        try {
+            // Neutralino erases the key when the data is null
+            await Neutralino.storage.setData(this.storageKey, null);
+        } catch (error) {
+            console.error('Failed to delete saved scenes:', error);
+        }
+    }
+
+    scheduleSave() {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+        }
+
+        this.saveTimeout = setTimeout(() => {
+            this.saveTimeout = null;
+            this.save();
+        }, this.saveDelay);
+    }
+
+    /**
+     * Save whenever the scene manager reports a change
+     */
+    enableAutoSave(target = document) {
+        if (this.autoSaveEnabled) return;
+
+        target.addEventListener('scenesChanged', this.handleChange);
+        this.autoSaveTarget = target;
+        this.autoSaveEnabled = true;
+    }
+
+    disableAutoSave() {
+        if (!this.autoSaveEnabled) return;
+
+        this.autoSaveTarget.removeEventListener('scenesChanged', this.handleChange);
+        this.autoSaveTarget = null;
+        this.autoSaveEnabled = false;
+    }
+}
+
+window.SceneStorage = SceneStorage;
@@ -0,0 +1,74 @@
+/**
+ * SceneTransitions - Pixel transitions between two frames.
+ *
+ * A transition is a function (from, to, progress, state) => frame where
+ * from/to are height x width buffers of [r, g, b] and progress runs from 0 to 1.
+ * state is an object kept for the duration of one transition, e.g. for the
+ * dissolve pixel order.
+ */
+class SceneTransitions {
+    static transitions = new Map();
+
+    static register(name, label, blend) {
+        SceneTransitions.transitions.set(name, { name, label, blend });
+    }
+
+    static get(name) {
+        return SceneTransitions.transitions.get(name) || SceneTransitions.transitions.get('none');
+    }
+
+    static getTransitionNames() {
+        return Array.from(SceneTransitions.transitions.values()).map(t => ({ value: t.name, label: t.label }));
+    }
+
+    /**
+     * Blend two frames. Returns a new buffer and leaves the inputs untouched.
+     */
+    static blend(name, from, to, progress, state = {}) {
+        const clamped = Math.max(0, Math.min(1, progress));
+        return SceneTransitions.get(name).blend(from, to, clamped, state);
+    }
+}
+
+SceneTransitions.register('none', 'None', (from, to) => to.map(row => row.slice()));
+
+SceneTransitions.register('fade', 'Fade', (from, to, progress) =>
+    to.map((row, y) => row.map((pixel, x) => {
+        const source = from[y][x];
+        return [
+            Math.round(source[0] + (pixel[0] - source[0]) * progress),
+            Math.round(source[1] + (pixel[1] - source[1]) * progress),
+            Math.round(source[2] + (pixel[2] - source[2]) * progress)
+        ];
+    }))
+);
+
+SceneTransitions.register('wipe', 'Wipe', (from, to, progress) => {
+    const edge = Math.round(to[0].length * progress);
+    return to.map((row, y) => row.map((pixel, x) => (x < edge ? pixel : from[y][x]).slice()));
+});
+
+SceneTransitions.register('slide', 'Slide', (from, to, progress) => {
+    // The incoming frame pushes the outgoing one off to the left
+    const width = to[0].length;
+    const offset = Math.round(width * progress);
+    return to.map((row, y) => row.map((pixel, x) =>
+        (x < width - offset ? from[y][x + offset] : to[y][x - (width - offset)]).slice()
+    ));
+});
+
+SceneTransitions.register('dissolve', 'Dissolve', (from, to, progress, state) => {
+    const width = to[0].length;
+    const count = width * to.length;
+
+    // Each pixel switches over at its own random point in the transition
+    if (!state.thresholds || state.thresholds.length !== count) {
+        state.thresholds = Array.from({ length: count }, () => Math.random());
+    }
+
+    return to.map((row, y) => row.map((pixel, x) =>
+        (state.thresholds[y * width + x] < progress ? pixel : from[y][x]).slice()
+    ));
+});
+
+window.SceneTransitions = SceneTransitions;
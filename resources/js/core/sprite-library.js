@@ -0,0 +1,341 @@
+/**
+ * Sprite - A layered pixel-art image drawn in the sprite editor.
+ *
+ * Each layer is { name, visible, pixels } where pixels holds width * height
+ * entries of [r, g, b] or null for transparent. Layer 0 is the bottom one.
+ * The drawing helpers all work on a single layer.
+ */
+class Sprite {
+    static MAX_SIZE = 128;
+    static MAX_LAYERS = 8;
+
+    constructor(id, name, width, height) {
+        if (!Number.isInteger(width) || !Number.isInteger(height) ||
+            width < 1 || height < 1 || width > Sprite.MAX_SIZE || height > Sprite.MAX_SIZE) {
+            throw new Error(`Sprites must be 1-${Sprite.MAX_SIZE} pixels wide and high`);
+        }
+
+        this.id = id;
+        this.name = name;
+        this.width = width;
+        this.height = height;
+        this.layers = [];
+        this.addLayer('Background');
+    }
+
+    createLayer(name) {
+        return { name, visible: true, pixels: new Array(this.width * this.height).fill(null) };
+    }
+
+    addLayer(name = `Layer ${this.layers.length + 1}`) {
+        if (this.layers.length >= Sprite.MAX_LAYERS) {
+            throw new Error(`A sprite can have at most ${Sprite.MAX_LAYERS} layers`);
+        }
+
+        this.layers.push(this.createLayer(name));
+        return this.layers.length - 1;
+    }
+
+    removeLayer(index) {
+        if (this.layers.length === 1) {
+            throw new Error('A sprite needs at least one layer');
+        }
+        this.layers.splice(index, 1);
+    }
+
+    moveLayer(index, newIndex) {
+        const target = Math.max(0, Math.min(this.layers.length - 1, newIndex));
+        const [layer] = this.layers.splice(index, 1);
+        this.layers.splice(target, 0, layer);
+    }
+
+    contains(x, y) {
+        return x >= 0 && y >= 0 && x < this.width && y < this.height;
+    }
+
+    getPixel(layerIndex, x, y) {
+        if (!this.contains(x, y)) return null;
+        return this.layers[layerIndex].pixels[y * this.width + x];
+    }
+
+    setPixel(layerIndex, x, y, color) {
+        if (!this.contains(x, y)) return;
+        this.layers[layerIndex].pixels[y * this.width + x] = color ? [...color] : null;
+    }
+
+    drawLine(layerIndex, x1, y1, x2, y2, color) {
+        const dx = Math.abs(x2 - x1);
+        const dy = Math.abs(y2 - y1);
+        const sx = x1 < x2 ? 1 : -1;
+        const sy = y1 < y2 ? 1 : -1;
+        let err = dx - dy;
+
+        while (true) {
+            this.setPixel(layerIndex, x1, y1, color);
+            if (x1 === x2 && y1 === y2) break;
+
+            const e2 = 2 * err;
+            if (e2 > -dy) {
+                err -= dy;
+                x1 += sx;
+            }
+            if (e2 < dx) {
+                err += dx;
+                y1 += sy;
+            }
+        }
+    }
+
+    /**
+     * Rectangle outline between two corners, in either order
+     */
+    drawRect(layerIndex, x1, y1, x2, y2, color) {
+        const left = Math.min(x1, x2);
+        const right = Math.max(x1, x2);
+        const top = Math.min(y1, y2);
+        const bottom = Math.max(y1, y2);
+
+        this.drawLine(layerIndex, left, top, right, top, color);
+        this.drawLine(layerIndex, left, bottom, right, bottom, color);
+        this.drawLine(layerIndex, left, top, left, bottom, color);
+        this.drawLine(layerIndex, right, top, right, bottom, color);
+    }
+
+    /**
+     * Fill the 4-connected area of the same colour as (x, y)
+     */
+    floodFill(layerIndex, x, y, color) {
+        if (!this.contains(x, y)) return;
+
+        const pixels = this.layers[layerIndex].pixels;
+        const key = pixel => (pixel ? pixel.join(',') : '');
+        const target = key(pixels[y * this.width + x]);
+        if (target === key(color)) return;
+
+        const stack = [[x, y]];
+        while (stack.length > 0) {
+            const [px, py] = stack.pop();
+            if (!this.contains(px, py) || key(pixels[py * this.width + px]) !== target) continue;
+
+            pixels[py * this.width + px] = color ? [...color] : null;
+            stack.push([px + 1, py], [px - 1, py], [px, py + 1], [px, py - 1]);
+        }
+    }
+
+    /**
+     * Visible layers flattened top-down: width * height of [r, g, b] or null
+     */
+    composite() {
+        const result = new Array(this.width * this.height).fill(null);
+
+        for (const layer of this.layers) {
+            if (!layer.visible) continue;
+
+            layer.pixels.forEach((pixel, index) => {
+                if (pixel) result[index] = pixel;
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Copy of the layers for undo/redo
+     */
+    snapshot() {
+        return this.layers.map(layer => ({ ...layer, pixels: layer.pixels.slice() }));
+    }
+
+    restore(layers) {
+        this.layers = layers.map(layer => ({ ...layer, pixels: layer.pixels.slice() }));
+    }
+
+    /**
+     * Pixels as one string of 6-digit hex colours, '......' for transparent
+     */
+    static encodePixels(pixels) {
+        return pixels.map(pixel => (pixel ? ConfigSchema.rgbToHex(pixel).slice(1) : '......')).join('');
+    }
+
+    static decodePixels(text, count) {
+        const pixels = new Array(count).fill(null);
+
+        for (let i = 0; i < count; i++) {
+            const chunk = (text || '').substr(i * 6, 6);
+            pixels[i] = chunk.length === 6 && chunk !== '......' ? ConfigSchema.hexToRgb(chunk) : null;
+        }
+
+        return pixels;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            width: this.width,
+            height: this.height,
+            layers: this.layers.map(layer => ({
+                name: layer.name,
+                visible: layer.visible,
+                pixels: Sprite.encodePixels(layer.pixels)
+            }))
+        };
+    }
+
+    static fromJSON(data) {
+        const sprite = new Sprite(data.id, data.name, data.width, data.height);
+
+        if (Array.isArray(data.layers) && data.layers.length > 0) {
+            sprite.layers = data.layers.slice(0, Sprite.MAX_LAYERS).map(layer => ({
+                name: layer.name,
+                visible: layer.visible !== false,
+                pixels: Sprite.decodePixels(layer.pixels, data.width * data.height)
+            }));
+        }
+
+        return sprite;
+    }
+}
+
+/**
+ * SpriteLibrary - Every sprite drawn in the app, shared by all devices and
+ * scenes. Sprite widgets refer to sprites by ID, so edits show up wherever
+ * the sprite is placed, and the editor won't delete a sprite still in use.
+ * The library persists itself under its own storage key.
+ */
+class SpriteLibrary {
+    constructor(storageKey = 'sprites') {
+        this.storageKey = storageKey;
+        this.sprites = new Map();
+        this.spriteCounter = 0;
+        this.eventTarget = null;
+        this.autoSaveEnabled = false;
+        this.saveDelay = 500;
+        this.saveTimeout = null;
+    }
+
+    createSprite(name, width, height) {
+        const id = `sprite_${++this.spriteCounter}`;
+        const sprite = new Sprite(id, name || `Sprite ${this.sprites.size + 1}`, width, height);
+
+        this.sprites.set(id, sprite);
+        this.notifyChange();
+        return sprite;
+    }
+
+    getSprite(spriteId) {
+        return this.sprites.get(spriteId);
+    }
+
+    getAllSprites() {
+        return Array.from(this.sprites.values());
+    }
+
+    getSpriteNames() {
+        return this.getAllSprites().map(sprite => ({ value: sprite.id, label: sprite.name }));
+    }
+
+    renameSprite(spriteId, name) {
+        const sprite = this.sprites.get(spriteId);
+        if (!sprite || !name) return;
+
+        sprite.name = name;
+        this.notifyChange();
+    }
+
+    deleteSprite(spriteId) {
+        const deleted = this.sprites.delete(spriteId);
+        if (deleted) {
+            this.notifyChange();
+        }
+        return deleted;
+    }
+
+    async load() {
+        let data;
+
+        try {
+            data = JSON.parse(await Neutralino.storage.getData(this.storageKey));
+        } catch (error) {
+            if (!error || error.code !== 'NE_ST_NOSTKEX') {
+                console.error('Failed to read saved sprites:', error);
+            }
+            return false;
+        }
+
+        this.sprites.clear();
+        for (const spriteData of (data && data.sprites) || []) {
+            try {
+                this.sprites.set(spriteData.id, Sprite.fromJSON(spriteData));
+            } catch (error) {
+                console.error(`Failed to restore sprite ${spriteData.name}:`, error);
+            }
+        }
+
+        const highestId = Math.max(0, ...this.getAllSprites().map(sprite => parseInt(sprite.id.replace('sprite_', '')) || 0));
+        this.spriteCounter = Math.max((data && data.spriteCounter) || 0, highestId);
+        this.dispatchEvent('spritesChanged', { library: this });
+        return true;
+    }
+
+    async save() {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+        }
+
+        try {
+            await Neutralino.storage.setData(this.storageKey, JSON.stringify(this.toJSON()));
+        } catch (error) {
+            console.error('Failed to save sprites:', error);
+        }
+    }
+
+    scheduleSave() {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+        }
+
+        // Debounced like scene saves, since every brush stroke is a change
+        this.saveTimeout = setTimeout(() => {
+            this.saveTimeout = null;
+            this.save();
+        }, this.saveDelay);
+    }
+
+    enableAutoSave() {
+        this.autoSaveEnabled = true;
+    }
+
+    /**
+     * Signal that sprites were added, removed or drawn on
+     */
+    notifyChange() {
+        this.dispatchEvent('spritesChanged', { library: this });
+
+        if (this.autoSaveEnabled) {
+            this.scheduleSave();
+        }
+    }
+
+    toJSON() {
+        return {
+            version: 1,
+            spriteCounter: this.spriteCounter,
+            sprites: this.getAllSprites().map(sprite => sprite.toJSON())
+        };
+    }
+
+    dispatchEvent(type, detail) {
+        if (this.eventTarget) {
+            this.eventTarget.dispatchEvent(new CustomEvent(type, { detail }));
+        }
+    }
+
+    setEventTarget(target) {
+        this.eventTarget = target;
+    }
+}
+
+window.Sprite = Sprite;
+window.SpriteLibrary = SpriteLibrary;
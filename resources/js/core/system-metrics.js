@@ -0,0 +1,229 @@
+/**
+ * SystemMetrics - Host CPU, memory, disk, uptime and network readings.
+ *
+ * On Linux everything comes from /proc and df through one os.execCommand
+ * call. Elsewhere only memory is available (via Neutralino.computer); the
+ * other metrics are null. CPU load and network throughput are rates, so they
+ * are computed from the difference to the previous sample and are null (CPU:
+ * the average since boot) on the first one. Samples are shared: widgets asking
+ * within MIN_SAMPLE_INTERVAL of each other get the same reading.
+ */
+class SystemMetrics {
+    static MIN_SAMPLE_INTERVAL = 900;
+
+    static lastSample = null;
+    static pending = null;
+
+    // Raw counters from the previous Linux sample, for CPU and network deltas
+    static previousCounters = null;
+
+    static isAvailable() {
+        return typeof Neutralino !== 'undefined' &&
+            Boolean(Neutralino.os) &&
+            typeof Neutralino.os.execCommand === 'function';
+    }
+
+    static isLinux() {
+        return typeof NL_OS !== 'undefined' && NL_OS === 'Linux';
+    }
+
+    /**
+     * Current readings:
+     *   { cpu, memory: { used, total, percent }, disk: { used, total, percent },
+     *     uptime, network: { rx, tx }, timestamp }
+     * cpu and percent are 0-100, sizes in bytes, uptime in seconds and
+     * network rates in bytes per second. Unavailable metrics are null.
+     */
+    static async collect() {
+        const now = Date.now();
+        if (SystemMetrics.lastSample && now - SystemMetrics.lastSample.timestamp < SystemMetrics.MIN_SAMPLE_INTERVAL) {
+            return SystemMetrics.lastSample;
+        }
+        if (SystemMetrics.pending) {
+            return SystemMetrics.pending;
+        }
+
+        SystemMetrics.pending = (SystemMetrics.isLinux() ? SystemMetrics.collectLinux() : SystemMetrics.collectGeneric())
+            .then(sample => {
+                SystemMetrics.lastSample = sample;
+                return sample;
+            })
+            .finally(() => {
+                SystemMetrics.pending = null;
+            });
+
+        return SystemMetrics.pending;
+    }
+
+    static async collectLinux() {
+        if (!SystemMetrics.isAvailable()) {
+            throw new Error('System metrics need the Neutralino OS API');
+        }
+
+        const command = 'head -n 1 /proc/stat; echo ---; cat /proc/meminfo; echo ---; ' +
+            'cat /proc/uptime; echo ---; cat /proc/net/dev; echo ---; df -kP /';
+        const result = await Neutralino.os.execCommand(command);
+        if (result.exitCode !== 0 && !result.stdOut) {
+            throw new Error(`Reading /proc failed: ${(result.stdErr || '').trim()}`);
+        }
+
+        const [stat, meminfo, uptime, netdev, df] = result.stdOut.split(/^---$/m);
+        const timestamp = Date.now();
+        const counters = {
+            cpu: SystemMetrics.parseCpuTimes(stat || ''),
+            network: SystemMetrics.parseNetworkBytes(netdev || ''),
+            timestamp
+        };
+        const previous = SystemMetrics.previousCounters;
+        SystemMetrics.previousCounters = counters;
+
+        return {
+            cpu: SystemMetrics.cpuPercent(counters.cpu, previous && previous.cpu),
+            memory: SystemMetrics.parseMemInfo(meminfo || ''),
+            disk: SystemMetrics.parseDf(df || ''),
+            uptime: parseFloat(uptime) || null,
+            network: SystemMetrics.networkRates(counters, previous),
+            timestamp
+        };
+    }
+
+    static async collectGeneric() {
+        let memory = null;
+
+        if (typeof Neutralino !== 'undefined' && Neutralino.computer &&
+            typeof Neutralino.computer.getMemoryInfo === 'function') {
+            const info = await Neutralino.computer.getMemoryInfo();
+            const { total, available } = info.physical || {};
+            if (total) {
+                memory = SystemMetrics.usage(total - available, total);
+            }
+        }
+
+        if (!memory) {
+            throw new Error('System metrics need the Neutralino OS API');
+        }
+
+        return { cpu: null, memory, disk: null, uptime: null, network: null, timestamp: Date.now() };
+    }
+
+    static usage(used, total) {
+        return { used, total, percent: total > 0 ? (used / total) * 100 : 0 };
+    }
+
+    /**
+     * { idle, total } jiffies from the aggregate "cpu" line of /proc/stat
+     */
+    static parseCpuTimes(text) {
+        const line = text.split('\n').find(l => l.startsWith('cpu '));
+        if (!line) return null;
+
+        // user nice system idle iowait irq softirq steal
+        const times = line.trim().split(/\s+/).slice(1, 9).map(Number);
+        return {
+            idle: times[3] + (times[4] || 0),
+            total: times.reduce((sum, value) => sum + (value || 0), 0)
+        };
+    }
+
+    static cpuPercent(current, previous) {
+        if (!current) return null;
+
+        const idle = previous ? current.idle - previous.idle : current.idle;
+        const total = previous ? current.total - previous.total : current.total;
+        if (total <= 0) return previous ? 0 : null;
+
+        return Math.max(0, Math.min(100, (1 - idle / total) * 100));
+    }
+
+    static parseMemInfo(text) {
+        const values = {};
+        for (const match of text.matchAll(/^(\w+):\s+(\d+)\s*kB/gm)) {
+            values[match[1]] = parseInt(match[2]) * 1024;
+        }
+
+        if (!values.MemTotal) return null;
+
+        // Kernels before 3.14 have no MemAvailable
+        const available = values.MemAvailable ?? (values.MemFree + (values.Buffers || 0) + (values.Cached || 0));
+        return SystemMetrics.usage(values.MemTotal - available, values.MemTotal);
+    }
+
+    /**
+     * Root filesystem usage from POSIX "df -kP /" output
+     */
+    static parseDf(text) {
+        const line = text.trim().split('\n')[1];
+        if (!line) return null;
+
+        // Filesystem 1024-blocks Used Available Capacity Mounted-on
+        const [, blocks, used] = line.trim().split(/\s+/).map(Number);
+        if (!blocks) return null;
+
+        return SystemMetrics.usage(used * 1024, blocks * 1024);
+    }
+
+    /**
+     * Received and transmitted byte totals of every interface except loopback
+     */
+    static parseNetworkBytes(text) {
+        let rx = 0;
+        let tx = 0;
+        let found = false;
+
+        for (const line of text.split('\n')) {
+            const match = /^\s*([^:\s]+):\s*(.*)$/.exec(line);
+            if (!match || match[1] === 'lo') continue;
+
+            const fields = match[2].trim().split(/\s+/).map(Number);
+            rx += fields[0] || 0;
+            tx += fields[8] || 0;
+            found = true;
+        }
+
+        return found ? { rx, tx } : null;
+    }
+
+    static networkRates(current, previous) {
+        if (!current.network || !previous || !previous.network) return null;
+
+        const seconds = (current.timestamp - previous.timestamp) / 1000;
+        if (seconds <= 0) return null;
+
+        // Counters reset when an interface goes down
+        return {
+            rx: Math.max(0, (current.network.rx - previous.network.rx) / seconds),
+            tx: Math.max(0, (current.network.tx - previous.network.tx) / seconds)
+        };
+    }
+
+    /**
+     * Short size label for a small display, e.g. 512B, 3.4K, 12M, 1.5G
+     */
+    static formatBytes(bytes) {
+        const units = ['B', 'K', 'M', 'G', 'T'];
+        let value = bytes;
+        let unit = 0;
+
+        while (value >= 1000 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+
+        return `${value < 10 && unit > 0 ? value.toFixed(1) : Math.round(value)}${units[unit]}`;
+    }
+
+    /**
+     * Uptime as the two largest units, e.g. 3d4h, 5h12m, 42m
+     */
+    static formatUptime(seconds) {
+        const days = Math.floor(seconds / 86400);
+        const hours = Math.floor((seconds % 86400) / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+
+        if (days > 0) return `${days}d${hours}h`;
+        if (hours > 0) return `${hours}h${minutes}m`;
+        return `${minutes}m`;
+    }
+}
+
+window.SystemMetrics = SystemMetrics;
@@ -0,0 +1,111 @@
+/**
+ * TiledWallClient - Several Pixoos of the same size laid out as one large display.
+ *
+ * Scenes render into a (columns * size) x (rows * size) buffer, so widgets can
+ * span panel boundaries. Each member device has a { column, row } position and
+ * receives its slice of the buffer. Frames are pushed to all panels together;
+ * while any panel is still busy with the previous frame the next one is dropped
+ * so the panels never show different frames.
+ */
+class TiledWallClient extends DeviceGroupClient {
+    static MAX_PANELS = 4; // Per row and per column
+
+    constructor(size = 64, columns = 2, rows = 1) {
+        super(size);
+        this.setLayout(columns, rows);
+    }
+
+    /**
+     * Change the number of panel columns and rows
+     */
+    setLayout(columns, rows) {
+        const valid = value => Number.isInteger(value) && value >= 1 && value <= TiledWallClient.MAX_PANELS;
+        if (!valid(columns) || !valid(rows)) {
+            throw new Error(`A wall must have 1-${TiledWallClient.MAX_PANELS} columns and rows`);
+        }
+
+        if (this.members.some(member => member.column >= columns || member.row >= rows)) {
+            throw new Error('Remove the devices outside the new layout first');
+        }
+
+        this.columns = columns;
+        this.rows = rows;
+        this.updateCanvasSize();
+    }
+
+    updateCanvasSize() {
+        this.width = this.columns * this.size;
+        this.height = this.rows * this.size;
+        this.buffer = this.createBuffer();
+    }
+
+    setSize(size) {
+        super.setSize(size);
+        this.updateCanvasSize();
+    }
+
+    /**
+     * Members need a { column, row } panel position inside the layout, one device per panel
+     */
+    setMembers(members) {
+        const taken = new Set();
+
+        for (const member of members) {
+            const { column, row } = member;
+            if (!Number.isInteger(column) || !Number.isInteger(row) ||
+                column < 0 || column >= this.columns || row < 0 || row >= this.rows) {
+                throw new Error(`Device ${member.deviceId} needs a panel position inside the ${this.columns}x${this.rows} layout`);
+            }
+
+            const key = `${column},${row}`;
+            if (taken.has(key)) {
+                throw new Error(`Two devices share panel column ${column + 1}, row ${row + 1}`);
+            }
+            taken.add(key);
+        }
+
+        super.setMembers(members);
+    }
+
+    /**
+     * The member's size x size slice of the wall buffer
+     */
+    frameForMember(member, buffer) {
+        const left = member.column * this.size;
+        const top = member.row * this.size;
+
+        return buffer.slice(top, top + this.size).map(row => row.slice(left, left + this.size));
+    }
+
+    /**
+     * Text goes to the panel its top-left corner is on, cut to that panel's width
+     */
+    textOverlayForMember(member, overlay) {
+        const left = member.column * this.size;
+        const top = member.row * this.size;
+        const x = Math.round(Number(overlay.x) || 0);
+        const y = Math.round(Number(overlay.y) || 0);
+
+        if (x < left || x >= left + this.size || y < top || y >= top + this.size) {
+            return null;
+        }
+
+        return {
+            ...overlay,
+            x: x - left,
+            y: y - top,
+            width: Math.min(overlay.width ?? this.size, left + this.size - x)
+        };
+    }
+
+    async push(buffer = this.buffer) {
+        // Keep the panels in sync: drop this frame while any panel is busy
+        if (this.members.some(member => member.pending && member.client.connected)) {
+            return [];
+        }
+
+        return super.push(buffer);
+    }
+}
+
+window.TiledWallClient = TiledWallClient;
@@ -0,0 +1,237 @@
+/**
+ * WeatherProviders - Pluggable sources of current weather for the Weather widget.
+ *
+ * A provider is an async function ({ location, apiKey }) => data returning
+ *   { location, temperature, humidity, condition, isDay }
+ * with the temperature in °C and condition one of WeatherProviders.CONDITIONS.
+ * Results are cached per provider and location so several widgets showing the
+ * same place share one request; failed lookups are retried after RETRY_DELAY.
+ */
+class WeatherProviders {
+    static providers = new Map();
+    static cache = new Map();
+    static REQUEST_TIMEOUT = 10000;
+    static RETRY_DELAY = 60000;
+
+    static CONDITIONS = {
+        'clear': 'Clear',
+        'partly-cloudy': 'Partly Cloudy',
+        'cloudy': 'Cloudy',
+        'fog': 'Fog',
+        'rain': 'Rain',
+        'snow': 'Snow',
+        'thunder': 'Thunder'
+    };
+
+    static register(name, label, fetchWeather) {
+        WeatherProviders.providers.set(name, { name, label, fetchWeather });
+    }
+
+    static get(name) {
+        const provider = WeatherProviders.providers.get(name);
+        if (!provider) {
+            throw new Error(`Unknown weather provider: ${name}`);
+        }
+        return provider;
+    }
+
+    static getProviderNames() {
+        return Array.from(WeatherProviders.providers.values()).map(p => ({ value: p.name, label: p.label }));
+    }
+
+    /**
+     * Current weather for a location, reusing a cached result younger than maxAge ms
+     */
+    static async fetchWeather(providerName, options, maxAge) {
+        const provider = WeatherProviders.get(providerName);
+        const location = String(options.location || '').trim();
+        if (!location) {
+            throw new Error('No location set');
+        }
+
+        const key = `${provider.name}|${location.toLowerCase()}|${options.apiKey || ''}`;
+        const cached = WeatherProviders.cache.get(key);
+        const now = Date.now();
+
+        if (cached) {
+            if (cached.promise) return cached.promise;
+            if (cached.error && now - cached.fetchedAt < WeatherProviders.RETRY_DELAY) throw cached.error;
+            if (cached.data && now - cached.fetchedAt < maxAge) return cached.data;
+        }
+
+        const promise = provider.fetchWeather({ ...options, location })
+            .then(data => {
+                WeatherProviders.cache.set(key, { data, fetchedAt: Date.now() });
+                return data;
+            })
+            .catch(error => {
+                WeatherProviders.cache.set(key, { error, fetchedAt: Date.now() });
+                throw error;
+            });
+
+        WeatherProviders.cache.set(key, { ...cached, promise });
+        return promise;
+    }
+
+    static clearCache() {
+        WeatherProviders.cache.clear();
+    }
+
+    static toFahrenheit(celsius) {
+        return celsius * 9 / 5 + 32;
+    }
+
+    /**
+     * "51.5,-0.12" style locations skip the geocoding lookup
+     */
+    static parseCoordinates(location) {
+        const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(location);
+        if (!match) return null;
+
+        const latitude = parseFloat(match[1]);
+        const longitude = parseFloat(match[2]);
+        if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+
+        return { latitude, longitude };
+    }
+
+    static async fetchJson(url, serviceName) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), WeatherProviders.REQUEST_TIMEOUT);
+
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`${serviceName} returned HTTP ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`${serviceName} did not respond within ${WeatherProviders.REQUEST_TIMEOUT / 1000}s`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Map a WMO weather interpretation code (used by Open-Meteo) to a condition
+     */
+    static conditionFromWmoCode(code) {
+        if (code === 0) return 'clear';
+        if (code === 1 || code === 2) return 'partly-cloudy';
+        if (code === 3) return 'cloudy';
+        if (code === 45 || code === 48) return 'fog';
+        if ((code >= 71 && code <= 77) || code === 85 || code === 86) return 'snow';
+        if (code >= 95) return 'thunder';
+        return 'rain'; // Drizzle (51-57), rain (61-67) and showers (80-82)
+    }
+
+    /**
+     * Map an OpenWeatherMap condition id to a condition
+     */
+    static conditionFromOpenWeatherMapId(id) {
+        if (id >= 200 && id < 300) return 'thunder';
+        if (id >= 600 && id < 700) return 'snow';
+        if (id >= 700 && id < 800) return 'fog';
+        if (id === 800) return 'clear';
+        if (id === 801 || id === 802) return 'partly-cloudy';
+        if (id > 802) return 'cloudy';
+        return 'rain'; // Drizzle (3xx) and rain (5xx)
+    }
+}
+
+WeatherProviders.register('open-meteo', 'Open-Meteo', async ({ location }) => {
+    let place = WeatherProviders.parseCoordinates(location);
+    let name = location;
+
+    if (!place) {
+        const geocoding = await WeatherProviders.fetchJson(
+            `https://geocoding-api.open-meteo.com/v1/search?count=1&name=${encodeURIComponent(location)}`,
+            'Open-Meteo geocoding'
+        );
+        const match = geocoding.results && geocoding.results[0];
+        if (!match) {
+            throw new Error(`Location not found: ${location}`);
+        }
+        place = { latitude: match.latitude, longitude: match.longitude };
+        name = match.name;
+    }
+
+    const forecast = await WeatherProviders.fetchJson(
+        `https://api.open-meteo.com/v1/forecast?latitude=${place.latitude}&longitude=${place.longitude}` +
+        '&current=temperature_2m,relative_humidity_2m,weather_code,is_day',
+        'Open-Meteo'
+    );
+    const current = forecast.current || {};
+
+    return {
+        location: name,
+        temperature: current.temperature_2m,
+        humidity: current.relative_humidity_2m,
+        condition: WeatherProviders.conditionFromWmoCode(current.weather_code),
+        isDay: current.is_day !== 0
+    };
+});
+
+WeatherProviders.register('openweathermap', 'OpenWeatherMap', async ({ location, apiKey }) => {
+    if (!apiKey) {
+        throw new Error('OpenWeatherMap needs an API key');
+    }
+
+    const coordinates = WeatherProviders.parseCoordinates(location);
+    const query = coordinates
+        ? `lat=${coordinates.latitude}&lon=${coordinates.longitude}`
+        : `q=${encodeURIComponent(location)}`;
+
+    let data;
+    try {
+        data = await WeatherProviders.fetchJson(
+            `https://api.openweathermap.org/data/2.5/weather?${query}&units=metric&appid=${encodeURIComponent(apiKey)}`,
+            'OpenWeatherMap'
+        );
+    } catch (error) {
+        if (/HTTP 401/.test(error.message)) throw new Error('OpenWeatherMap rejected the API key');
+        if (/HTTP 404/.test(error.message)) throw new Error(`Location not found: ${location}`);
+        throw error;
+    }
+
+    const weather = (data.weather && data.weather[0]) || {};
+
+    return {
+        location: data.name || location,
+        temperature: data.main.temp,
+        humidity: data.main.humidity,
+        condition: WeatherProviders.conditionFromOpenWeatherMapId(weather.id),
+        isDay: !String(weather.icon || '').endsWith('n')
+    };
+});
+
+/**
+ * Fixed readings for working offline. Known locations return their entry,
+ * anything else picks one from the location name so it stays stable.
+ */
+WeatherProviders.FIXTURES = [
+    { location: 'London', temperature: 12, humidity: 81, condition: 'cloudy', isDay: true },
+    { location: 'Madrid', temperature: 27, humidity: 30, condition: 'clear', isDay: true },
+    { location: 'Oslo', temperature: -4, humidity: 74, condition: 'snow', isDay: true },
+    { location: 'Seattle', temperature: 9, humidity: 90, condition: 'rain', isDay: true },
+    { location: 'San Francisco', temperature: 15, humidity: 85, condition: 'fog', isDay: true },
+    { location: 'Berlin', temperature: 18, humidity: 60, condition: 'partly-cloudy', isDay: true },
+    { location: 'Miami', temperature: 30, humidity: 78, condition: 'thunder', isDay: true }
+];
+
+WeatherProviders.register('fixture', 'Offline sample data', async ({ location }) => {
+    const fixtures = WeatherProviders.FIXTURES;
+    let fixture = fixtures.find(entry => entry.location.toLowerCase() === location.toLowerCase());
+
+    if (!fixture) {
+        const hash = Array.from(location.toLowerCase()).reduce((sum, char) => sum + char.charCodeAt(0), 0);
+        fixture = { ...fixtures[hash % fixtures.length], location };
+    }
+
+    return { ...fixture };
+});
+
+window.WeatherProviders = WeatherProviders;
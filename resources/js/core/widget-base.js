@@ -3,32 +3,79 @@ class Widget {
     static NAME = 'Base Widget';
     static DESCRIPTION = 'Base widget class';
     static ICON = '🔲';
+    static CONFIG_SCHEMA = {
+        x: { type: 'number', label: 'X Position', min: 0, max: 63, integer: true },
+        y: { type: 'number', label: 'Y Position', min: 0, max: 63, integer: true },
+        width: { type: 'number', label: 'Width', min: 1, max: 64, integer: true },
+        height: { type: 'number', label: 'Height', min: 1, max: 64, integer: true },
+        enabled: { type: 'boolean', label: 'Enabled' },
+        overflow: { type: 'enum', label: 'Overflow', options: [{ value: 'hidden', label: 'Hidden (clip to bounds)' }, { value: 'visible', label: 'Visible' }] },
+        zIndex: { type: 'number', label: 'Layer (higher draws on top)', min: -999, max: 999, integer: true },
+        opacity: { type: 'number', label: 'Opacity (%)', min: 0, max: 100, integer: true },
+        blendMode: { type: 'enum', label: 'Blend Mode', options: () => ColorBlend.getModeNames() },
+        updateInterval: { type: 'number', label: 'Update Interval (ms)', min: 100, max: 3600000, step: 100, integer: true }
+    };
 
     constructor(id, config = {}, pixooClient) {
         this.id = id;
-        this.config = { ...this.getDefaultConfig(), ...config };
+        // Set before the config so defaults can depend on the display size
         this.pixooClient = pixooClient;
+        this.config = { ...this.getDefaultConfig(), ...config };
         this.initialized = false;
         this.enabled = true;
         this.x = this.config.x || 0;
         this.y = this.config.y || 0;
-        this.width = this.config.width || 64;
-        this.height = this.config.height || 64;
+        this.width = this.config.width || this.getDisplayWidth();
+        this.height = this.config.height || this.getDisplayHeight();
         this.lastUpdate = 0;
         this.updateInterval = this.config.updateInterval || 1000;
+        this.onChange = null;
+
+        // Extra clip rectangle in widget coordinates, set via withClip()
+        this.clipRect = null;
+
+        // What the widget drew last, as [x, y, color, blendMode] in screen
+        // coordinates, so scenes can redraw it without rendering it again
+        this.drawList = [];
+        this.drawBounds = null;
+        this.recording = null;
+        this.pendingCapture = null;
+        this.redrawCount = 0;
     }
 
     getDefaultConfig() {
         return {
             x: 0,
             y: 0,
-            width: 64,
-            height: 64,
+            width: this.getDisplayWidth(),
+            height: this.getDisplayHeight(),
             updateInterval: 1000,
-            enabled: true
+            enabled: true,
+            overflow: 'hidden',
+            zIndex: 0,
+            opacity: 100,
+            blendMode: 'normal'
         };
     }
 
+    /**
+     * Width and height of the device this widget draws to
+     */
+    getDisplaySize() {
+        return (this.pixooClient && this.pixooClient.size) || 64;
+    }
+
+    /**
+     * Drawing area of the display; wider or taller than the device size on a tiled wall
+     */
+    getDisplayWidth() {
+        return (this.pixooClient && this.pixooClient.width) || this.getDisplaySize();
+    }
+
+    getDisplayHeight() {
+        return (this.pixooClient && this.pixooClient.height) || this.getDisplaySize();
+    }
+
     init() {
         if (this.initialized) return;
 
@@ -55,6 +102,79 @@ class Widget {
         }
     }
 
+    /**
+     * Whether render() would draw now. Subclasses that change when
+     * render() draws override this to match.
+     */
+    needsRedraw(now = Date.now()) {
+        return this.initialized && this.enabled && now - this.lastUpdate >= this.updateInterval;
+    }
+
+    /**
+     * Render into a new draw list instead of the frame buffer. Returns true
+     * when the widget drew; otherwise the previous draw list is kept.
+     * Overlapping calls, e.g. while a slow fetch holds up render(), share
+     * one recording instead of writing into each other's draw lists.
+     */
+    captureDrawing() {
+        if (!this.pendingCapture) {
+            this.pendingCapture = this.recordDrawing().finally(() => {
+                this.pendingCapture = null;
+            });
+        }
+        return this.pendingCapture;
+    }
+
+    async recordDrawing() {
+        const previousUpdate = this.lastUpdate;
+        const drawList = [];
+
+        this.recording = drawList;
+        try {
+            await this.render();
+        } finally {
+            this.recording = null;
+        }
+
+        // render() moves lastUpdate on whenever it actually drew
+        if (this.lastUpdate === previousUpdate) return false;
+
+        this.drawList = drawList;
+        this.drawBounds = Widget.getDrawBounds(drawList);
+        this.redrawCount++;
+        return true;
+    }
+
+    /**
+     * Draw the last captured draw list into the frame buffer, optionally
+     * only the part inside a screen rectangle
+     */
+    async replayDrawing(region = null) {
+        for (const [x, y, color, blendMode] of this.drawList) {
+            if (region && (x < region.x || x >= region.x + region.width || y < region.y || y >= region.y + region.height)) {
+                continue;
+            }
+            await this.pixooClient.setPixel(x, y, color, blendMode);
+        }
+    }
+
+    /**
+     * Screen rectangle covered by a draw list, or null when it is empty
+     */
+    static getDrawBounds(drawList) {
+        if (drawList.length === 0) return null;
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const [x, y] of drawList) {
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        }
+
+        return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+    }
+
     onInit() {
         // Override in subclasses
     }
@@ -67,16 +187,28 @@ class Widget {
         // Override in subclasses
     }
 
+    /**
+     * Approximate what the device draws itself over the pushed frame, such
+     * as native text. Called by the preview only, after every widget rendered.
+     */
+    async renderOverlayPreview() {
+        // Override in subclasses
+    }
+
     updateConfig(newConfig) {
         this.config = { ...this.config, ...newConfig };
-        this.x = this.config.x || this.x;
-        this.y = this.config.y || this.y;
+        this.x = this.config.x ?? this.x;
+        this.y = this.config.y ?? this.y;
         this.width = this.config.width || this.width;
         this.height = this.config.height || this.height;
         this.updateInterval = this.config.updateInterval || this.updateInterval;
         this.enabled = this.config.enabled !== undefined ? this.config.enabled : this.enabled;
 
+        // Redraw with the new settings on the next frame
+        this.lastUpdate = 0;
+
         this.onConfigUpdate();
+        this.notifyChange();
     }
 
     onConfigUpdate() {
@@ -87,8 +219,19 @@ class Widget {
         return this.enabled;
     }
 
+    getZIndex() {
+        return this.config.zIndex || 0;
+    }
+
     setEnabled(enabled) {
         this.enabled = enabled;
+        this.notifyChange();
+    }
+
+    notifyChange() {
+        if (typeof this.onChange === 'function') {
+            this.onChange(this);
+        }
     }
 
     toJSON() {
@@ -101,20 +244,87 @@ class Widget {
     }
 
     // Helper methods for drawing
+
+    /**
+     * Current clip rectangle in widget coordinates, or null when drawing
+     * is unrestricted (overflow: 'visible' and no withClip() active).
+     */
+    getClipRect() {
+        let rect = this.config.overflow === 'visible'
+            ? null
+            : { x: 0, y: 0, width: this.width, height: this.height };
+
+        if (this.clipRect) {
+            rect = rect ? Widget.intersectRects(rect, this.clipRect) : { ...this.clipRect };
+        }
+
+        return rect;
+    }
+
+    static intersectRects(a, b) {
+        const x = Math.max(a.x, b.x);
+        const y = Math.max(a.y, b.y);
+        return {
+            x,
+            y,
+            width: Math.max(0, Math.min(a.x + a.width, b.x + b.width) - x),
+            height: Math.max(0, Math.min(a.y + a.height, b.y + b.height) - y)
+        };
+    }
+
+    /**
+     * Run a drawing callback with drawing restricted to a sub-rectangle
+     */
+    async withClip(x, y, width, height, callback) {
+        const previous = this.clipRect;
+        const rect = { x, y, width, height };
+        this.clipRect = previous ? Widget.intersectRects(previous, rect) : rect;
+
+        try {
+            await callback();
+        } finally {
+            this.clipRect = previous;
+        }
+    }
+
     async setPixel(x, y, color) {
+        const clip = this.getClipRect();
+        if (clip && (x < clip.x || x >= clip.x + clip.width || y < clip.y || y >= clip.y + clip.height)) {
+            return;
+        }
+
         const screenX = this.x + x;
         const screenY = this.y + y;
 
-        if (screenX >= 0 && screenX < 64 && screenY >= 0 && screenY < 64) {
-            await this.pixooClient.setPixel(screenX, screenY, color);
+        if (screenX >= 0 && screenX < this.getDisplayWidth() && screenY >= 0 && screenY < this.getDisplayHeight()) {
+            // The widget's opacity scales the alpha of everything it draws
+            const opacity = this.config.opacity ?? 100;
+            if (opacity <= 0) return;
+            if (opacity < 100) {
+                color = [color[0], color[1], color[2], Math.round((color[3] ?? 255) * opacity / 100)];
+            }
+
+            const blendMode = this.config.blendMode || 'normal';
+            if (this.recording) {
+                this.recording.push([screenX, screenY, color, blendMode]);
+            } else {
+                await this.pixooClient.setPixel(screenX, screenY, color, blendMode);
+            }
         }
     }
 
     async drawRect(x, y, width, height, color, filled = false) {
         if (filled) {
-            for (let dy = 0; dy < height; dy++) {
-                for (let dx = 0; dx < width; dx++) {
-                    await this.setPixel(x + dx, y + dy, color);
+            // Only visit pixels inside the clip rectangle
+            let area = { x, y, width, height };
+            const clip = this.getClipRect();
+            if (clip) {
+                area = Widget.intersectRects(area, clip);
+            }
+
+            for (let py = area.y; py < area.y + area.height; py++) {
+                for (let px = area.x; px < area.x + area.width; px++) {
+                    await this.setPixel(px, py, color);
                 }
             }
         } else {
@@ -157,60 +367,45 @@ class Widget {
         }
     }
 
-    async drawText(text, x, y, color = [255, 255, 255]) {
-        // Simple bitmap font rendering using pixel drawing
-        // This creates a basic 5x7 pixel font for each character
-        const font = {
-            '0': [0x3E, 0x51, 0x49, 0x45, 0x3E],
-            '1': [0x00, 0x42, 0x7F, 0x40, 0x00],
-            '2': [0x42, 0x61, 0x51, 0x49, 0x46],
-            '3': [0x21, 0x41, 0x45, 0x4B, 0x31],
-            '4': [0x18, 0x14, 0x12, 0x7F, 0x10],
-            '5': [0x27, 0x45, 0x45, 0x45, 0x39],
-            '6': [0x3C, 0x4A, 0x49, 0x49, 0x30],
-            '7': [0x01, 0x71, 0x09, 0x05, 0x03],
-            '8': [0x36, 0x49, 0x49, 0x49, 0x36],
-            '9': [0x06, 0x49, 0x49, 0x29, 0x1E],
-            ':': [0x00, 0x36, 0x36, 0x00, 0x00],
-            ' ': [0x00, 0x00, 0x00, 0x00, 0x00],
-            'A': [0x7E, 0x09, 0x09, 0x09, 0x7E],
-            'B': [0x7F, 0x49, 0x49, 0x49, 0x36],
-            'C': [0x3E, 0x41, 0x41, 0x41, 0x22],
-            'D': [0x7F, 0x41, 0x41, 0x22, 0x1C],
-            'E': [0x7F, 0x49, 0x49, 0x49, 0x41],
-            'F': [0x7F, 0x09, 0x09, 0x09, 0x01],
-            'G': [0x3E, 0x41, 0x49, 0x49, 0x7A],
-            'H': [0x7F, 0x08, 0x08, 0x08, 0x7F],
-            'I': [0x00, 0x41, 0x7F, 0x41, 0x00],
-            'L': [0x7F, 0x40, 0x40, 0x40, 0x40],
-            'M': [0x7F, 0x02, 0x0C, 0x02, 0x7F],
-            'P': [0x7F, 0x09, 0x09, 0x09, 0x06],
-            'a': [0x20, 0x54, 0x54, 0x54, 0x78],
-            'e': [0x38, 0x54, 0x54, 0x54, 0x18],
-            'l': [0x00, 0x41, 0x7F, 0x40, 0x00],
-            'o': [0x38, 0x44, 0x44, 0x44, 0x38],
-            'r': [0x7C, 0x08, 0x04, 0x04, 0x08],
-            'W': [0x7F, 0x20, 0x18, 0x20, 0x7F],
-            'd': [0x38, 0x44, 0x44, 0x48, 0x7F],
-            '!': [0x00, 0x00, 0x5F, 0x00, 0x00],
-            '.': [0x00, 0x60, 0x60, 0x00, 0x00],
-            '%': [0x23, 0x13, 0x08, 0x64, 0x62]
-        };
+    /**
+     * Draw text with a registered BitmapFont. The font defaults to the
+     * widget's fontSize config, so 'tiny', 'small', 'large' or any plugin font.
+     */
+    async drawText(text, x, y, color = [255, 255, 255], fontName = this.config.fontSize) {
+        const font = this.getFont(fontName);
+        const pixels = [];
 
-        let currentX = x;
-        for (let i = 0; i < text.length; i++) {
-            const char = text[i];
-            const charData = font[char] || font[char.toUpperCase()] || font[' '];
-
-            for (let col = 0; col < 5; col++) {
-                const columnData = charData[col];
-                for (let row = 0; row < 7; row++) {
-                    if (columnData & (1 << (6 - row))) {
-                        await this.setPixel(currentX + col, y + row, color);
-                    }
-                }
-            }
-            currentX += 6; // 5 pixels + 1 space
+        font.forEachPixel(text, (px, py) => pixels.push([x + px, y + py]));
+
+        for (const [px, py] of pixels) {
+            await this.setPixel(px, py, color);
+        }
+    }
+
+    getFont(fontName = this.config.fontSize) {
+        return BitmapFont.get(fontName);
+    }
+
+    /**
+     * Measure text in pixels: { width, height }
+     */
+    measureText(text, fontName = this.config.fontSize) {
+        return this.getFont(fontName).measureText(text);
+    }
+
+    /**
+     * X offset that aligns text of the given width inside the widget
+     */
+    alignText(text, align = 'left', padding = 2, fontName = this.config.fontSize) {
+        const { width } = this.measureText(text, fontName);
+
+        switch (align) {
+            case 'center':
+                return Math.floor((this.width - width) / 2);
+            case 'right':
+                return this.width - width - padding;
+            default:
+                return padding;
         }
     }
 
@@ -229,6 +424,11 @@ class Widget {
 
 // Specialized widget types
 class AnimatedWidget extends Widget {
+    static CONFIG_SCHEMA = {
+        ...Widget.CONFIG_SCHEMA,
+        animationSpeed: { type: 'number', label: 'Animation Speed (ms/frame)', min: 20, max: 5000, integer: true }
+    };
+
     constructor(id, config, pixooClient) {
         super(id, config, pixooClient);
         this.animationFrame = 0;
@@ -242,6 +442,15 @@ class AnimatedWidget extends Widget {
         };
     }
 
+    updateConfig(newConfig) {
+        super.updateConfig(newConfig);
+        this.animationSpeed = this.config.animationSpeed || this.animationSpeed;
+    }
+
+    needsRedraw(now = Date.now()) {
+        return this.initialized && this.enabled && now - this.lastUpdate >= this.animationSpeed;
+    }
+
     async render() {
         if (!this.initialized || !this.enabled) return;
 
@@ -263,6 +472,11 @@ class AnimatedWidget extends Widget {
 }
 
 class DataWidget extends Widget {
+    static CONFIG_SCHEMA = {
+        ...Widget.CONFIG_SCHEMA,
+        dataFetchInterval: { type: 'number', label: 'Data Refresh Interval (ms)', min: 1000, max: 86400000, step: 1000, integer: true }
+    };
+
     constructor(id, config, pixooClient) {
         super(id, config, pixooClient);
         this.data = null;
@@ -277,6 +491,11 @@ class DataWidget extends Widget {
         };
     }
 
+    updateConfig(newConfig) {
+        super.updateConfig(newConfig);
+        this.dataFetchInterval = this.config.dataFetchInterval || this.dataFetchInterval;
+    }
+
     async render() {
         if (!this.initialized || !this.enabled) return;
 
@@ -299,6 +518,11 @@ class DataWidget extends Widget {
         }
     }
 
+    // Also due when only the data needs fetching, so the fetch isn't delayed
+    needsRedraw(now = Date.now()) {
+        return super.needsRedraw(now) || (this.initialized && this.enabled && now - this.lastDataFetch >= this.dataFetchInterval);
+    }
+
     async fetchData() {
         // Override in subclasses
         return null;
@@ -2,9 +2,9 @@
 
 class PixooCommanderApp {
     constructor() {
-        this.pixooClient = null;
-        this.sceneManager = null;
+        this.deviceRegistry = null;
         this.pluginManager = null;
+        this.spriteLibrary = null;
         this.uiManager = null;
 
         this.initialize();
@@ -15,30 +15,51 @@ class PixooCommanderApp {
 
         try {
             // Initialize core systems
-            this.pixooClient = new PixooClient();
-            this.sceneManager = new SceneManager(this.pixooClient);
             this.pluginManager = new PluginManager();
+            this.deviceRegistry = new DeviceRegistry(this.pluginManager);
+            this.deviceRegistry.setEventTarget(document);
+            this.spriteLibrary = new SpriteLibrary();
+            this.spriteLibrary.setEventTarget(document);
 
             // Make plugin manager globally accessible before loading plugins
             window.pluginManager = this.pluginManager;
-            window.sceneManager = this.sceneManager;
-            window.pixooClient = this.pixooClient;
+            window.deviceRegistry = this.deviceRegistry;
+            window.spriteLibrary = this.spriteLibrary;
+
+            // The scene manager and client globals follow the device shown in the UI
+            document.addEventListener('currentDeviceChanged', (e) => {
+                window.sceneManager = e.detail.device.sceneManager;
+                window.pixooClient = e.detail.device.client;
+            });
 
             // Load built-in plugins
             await this.pluginManager.loadBuiltinPlugins();
 
+            // Sprites first, so sprite widgets find them when scenes load
+            await this.spriteLibrary.load();
+
+            // Restore devices and their scenes
+            await this.deviceRegistry.load();
+
+            const device = this.deviceRegistry.getCurrentDevice();
+            window.sceneManager = device.sceneManager;
+            window.pixooClient = device.client;
+
             // Initialize UI
-            this.uiManager = new UIManager(
-                this.sceneManager,
-                this.pluginManager,
-                this.pixooClient
-            );
+            this.uiManager = new UIManager(this.deviceRegistry, this.pluginManager, this.spriteLibrary);
 
             // Make UI manager globally accessible
             window.uiManager = this.uiManager;
 
-            // Create a default scene
-            this.createDefaultScene();
+            // Fall back to the default scene on first launch
+            if (device.sceneManager.getAllScenes().length === 0) {
+                this.createDefaultScene(device);
+            }
+
+            // Persist every subsequent change
+            await this.deviceRegistry.saveAll();
+            this.deviceRegistry.enableAutoSave();
+            this.spriteLibrary.enableAutoSave();
 
             console.log('Pixoo Commander initialized successfully');
 
@@ -48,36 +69,43 @@ class PixooCommanderApp {
         }
     }
 
-    createDefaultScene() {
+    createDefaultScene(device) {
         try {
-            const defaultScene = this.sceneManager.createScene(
+            const defaultScene = device.sceneManager.createScene(
                 'Welcome Scene',
                 'Default scene with example widgets'
             );
 
-            // Add some default widgets
+            // Lay the example widgets out proportionally to the display
+            const size = device.client.size;
+            const scale = size / 64;
+            const fontSize = size < 32 ? 'tiny' : 'small';
+
             const clockWidget = defaultScene.addWidget(ClockWidget, {
-                x: 2,
-                y: 2,
-                width: 60,
-                height: 10,
+                x: Math.round(2 * scale),
+                y: Math.round(2 * scale),
+                width: size - Math.round(4 * scale),
+                height: Math.max(6, Math.round(10 * scale)),
                 format24: true,
+                showSeconds: size >= 32,
+                fontSize,
                 color: [0, 255, 255]
             });
 
             const counterWidget = defaultScene.addWidget(CounterWidget, {
-                x: 2,
-                y: 20,
+                x: Math.round(2 * scale),
+                y: Math.round(20 * scale),
+                fontSize,
                 color: [255, 255, 0],
                 increment: 1,
                 maxValue: 100
             });
 
             const progressWidget = defaultScene.addWidget(ProgressBarWidget, {
-                x: 10,
-                y: 40,
-                width: 40,
-                height: 6,
+                x: Math.round(10 * scale),
+                y: Math.round(40 * scale),
+                width: Math.round(40 * scale),
+                height: Math.max(2, Math.round(6 * scale)),
                 color: [255, 100, 100],
                 speed: 1
             });
@@ -130,19 +158,24 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Handle app shutdown
 window.addEventListener('beforeunload', () => {
-    if (window.sceneManager) {
-        // Stop all active scenes
-        const activeScene = window.sceneManager.getActiveScene();
-        if (activeScene) {
-            activeScene.stop();
-        }
+    if (window.deviceRegistry) {
+        // Stop all active scenes on every device
+        window.deviceRegistry.stopAll();
     }
 });
 
 // NeutralinoJS event handling
 Neutralino.init();
 
-Neutralino.events.on('windowClose', () => {
+Neutralino.events.on('windowClose', async () => {
+    // Flush any pending debounced save before exiting
+    const app = window.pixooCommanderApp;
+    if (app && app.deviceRegistry) {
+        await app.deviceRegistry.saveAll();
+    }
+    if (app && app.spriteLibrary) {
+        await app.spriteLibrary.save();
+    }
     Neutralino.app.exit();
 });
 
@@ -0,0 +1,411 @@
+// Chart Widgets Plugin
+
+/**
+ * Base class for widgets that plot a value over time. Every data fetch
+ * samples a ChartSources source into a rolling RingBuffer; subclasses draw
+ * the history in drawChart(). The value axis auto-scales to the samples
+ * (or uses the configured min/max) and maps onto the widget's height.
+ */
+class ChartWidget extends DataWidget {
+    static CONFIG_SCHEMA = {
+        ...DataWidget.CONFIG_SCHEMA,
+        source: { type: 'enum', label: 'Data Source', options: () => ChartSources.getSourceNames() },
+        historyLength: { type: 'number', label: 'History Length (samples)', min: 2, max: 256, integer: true },
+        autoScale: { type: 'boolean', label: 'Auto-scale' },
+        min: { type: 'number', label: 'Scale Minimum' },
+        max: { type: 'number', label: 'Scale Maximum' },
+        showValue: { type: 'boolean', label: 'Show Current Value' },
+        useThresholds: { type: 'boolean', label: 'Use Thresholds' },
+        warnThreshold: { type: 'number', label: 'Warning Threshold' },
+        warnColor: { type: 'color', label: 'Warning Color' },
+        criticalThreshold: { type: 'number', label: 'Critical Threshold' },
+        criticalColor: { type: 'color', label: 'Critical Color' },
+        fontSize: { type: 'enum', label: 'Font', options: () => BitmapFont.getFontNames() },
+        color: { type: 'color', label: 'Series Color' }
+    };
+
+    constructor(id, config, pixooClient) {
+        super(id, config, pixooClient);
+        this.samples = new RingBuffer(this.config.historyLength);
+        this.sourceState = {};
+        this.sourceName = this.config.source;
+    }
+
+    getDefaultConfig() {
+        return {
+            ...super.getDefaultConfig(),
+            dataFetchInterval: 1000,
+            source: 'cpu',
+            historyLength: Math.min(256, this.getDisplayWidth()),
+            autoScale: false,
+            min: 0,
+            max: 100,
+            showValue: true,
+            useThresholds: false,
+            warnThreshold: 70,
+            warnColor: [255, 180, 0],
+            criticalThreshold: 90,
+            criticalColor: [255, 40, 40],
+            fontSize: 'tiny',
+            color: [0, 200, 255]
+        };
+    }
+
+    getSource() {
+        return ChartSources.get(this.config.source);
+    }
+
+    async fetchData() {
+        try {
+            const value = await this.getSource().sample(this.sourceState);
+            this.lastError = null;
+
+            // Unavailable readings leave a gap in time rather than a fake zero
+            if (Number.isFinite(value)) {
+                this.samples.push(value);
+            }
+            return value;
+        } catch (error) {
+            this.lastError = error;
+            throw error;
+        }
+    }
+
+    onConfigUpdate() {
+        if (this.config.source !== this.sourceName) {
+            this.sourceName = this.config.source;
+            this.sourceState = {};
+            this.samples.clear();
+            this.refreshData();
+        }
+
+        if (this.config.historyLength !== this.samples.capacity) {
+            this.samples.resize(this.config.historyLength);
+        }
+    }
+
+    /**
+     * { min, max } of the value axis. Auto-scaling spans the samples in the buffer.
+     */
+    getRange() {
+        let min = this.config.min;
+        let max = this.config.max;
+
+        if (this.config.autoScale && this.samples.length > 0) {
+            const values = this.samples.toArray();
+            min = Math.min(...values);
+            max = Math.max(...values);
+        }
+
+        if (!(max > min)) {
+            // A flat series (or an inverted manual range) still needs some height
+            const pad = Math.max(1, Math.abs(min) * 0.1);
+            return { min: min - pad, max: min + pad };
+        }
+
+        return { min, max };
+    }
+
+    /**
+     * Position of a value between the range's min (0) and max (1)
+     */
+    normalize(value, range = this.getRange()) {
+        return Math.max(0, Math.min(1, (value - range.min) / (range.max - range.min)));
+    }
+
+    /**
+     * Pixel row of a value inside a plot area of the given top and height
+     */
+    valueToY(value, top, height, range = this.getRange()) {
+        return top + height - 1 - Math.round(this.normalize(value, range) * (height - 1));
+    }
+
+    /**
+     * Series colour for a value, recoloured when it crosses a threshold
+     */
+    colorFor(value) {
+        if (this.config.useThresholds) {
+            if (value >= this.config.criticalThreshold) return this.config.criticalColor;
+            if (value >= this.config.warnThreshold) return this.config.warnColor;
+        }
+        return this.config.color;
+    }
+
+    formatValue(value) {
+        return this.getSource().format(value);
+    }
+
+    async onRenderWithData() {
+        if (this.samples.length === 0) {
+            const message = this.lastError ? 'No data' : 'Loading...';
+            await this.drawText(message, 1, 1, this.lastError ? [255, 80, 80] : this.config.color);
+            return;
+        }
+
+        let top = 0;
+        if (this.config.showValue) {
+            const value = this.samples.last();
+            await this.drawText(this.formatValue(value), 1, 1, this.colorFor(value));
+            top = this.getFont().lineHeight + 1;
+        }
+
+        if (this.height - top >= 2) {
+            await this.drawChart({ x: 0, y: top, width: this.width, height: this.height - top });
+        }
+    }
+
+    async drawChart(area) {
+        // Override in subclasses
+    }
+}
+
+class LineChartWidget extends ChartWidget {
+    static TYPE = 'linechart';
+    static NAME = 'Line Chart';
+    static DESCRIPTION = 'Line or sparkline of a value over time';
+    static ICON = '📈';
+    static CONFIG_SCHEMA = {
+        ...ChartWidget.CONFIG_SCHEMA,
+        style: { type: 'enum', label: 'Style', options: [{ value: 'line', label: 'Line' }, { value: 'area', label: 'Filled Area' }] }
+    };
+
+    getDefaultConfig() {
+        return {
+            ...super.getDefaultConfig(),
+            style: 'line'
+        };
+    }
+
+    /**
+     * Column of sample i; the newest sample sits on the right edge and a
+     * full buffer spans the whole width
+     */
+    sampleToX(index, area) {
+        const step = (area.width - 1) / Math.max(1, this.samples.capacity - 1);
+        return area.x + area.width - 1 - Math.round((this.samples.length - 1 - index) * step);
+    }
+
+    async drawChart(area) {
+        const range = this.getRange();
+        const bottom = area.y + area.height - 1;
+        let previous = null;
+
+        for (let i = 0; i < this.samples.length; i++) {
+            const value = this.samples.get(i);
+            const point = { x: this.sampleToX(i, area), y: this.valueToY(value, area.y, area.height, range) };
+            const color = this.colorFor(value);
+
+            if (this.config.style === 'area') {
+                const dimmed = color.map(channel => Math.round(channel * 0.35));
+                await this.drawRect(point.x, point.y, 1, bottom - point.y + 1, dimmed, true);
+            }
+
+            if (previous) {
+                await this.drawLine(previous.x, previous.y, point.x, point.y, color);
+            } else {
+                await this.setPixel(point.x, point.y, color);
+            }
+            previous = point;
+        }
+    }
+}
+
+class BarChartWidget extends ChartWidget {
+    static TYPE = 'barchart';
+    static NAME = 'Bar Chart';
+    static DESCRIPTION = 'Bars for the most recent samples';
+    static ICON = '📊';
+    static CONFIG_SCHEMA = {
+        ...ChartWidget.CONFIG_SCHEMA,
+        barWidth: { type: 'number', label: 'Bar Width', min: 1, max: 16, integer: true },
+        barGap: { type: 'number', label: 'Bar Gap', min: 0, max: 8, integer: true }
+    };
+
+    getDefaultConfig() {
+        return {
+            ...super.getDefaultConfig(),
+            barWidth: 2,
+            barGap: 1
+        };
+    }
+
+    async drawChart(area) {
+        const range = this.getRange();
+        const pitch = this.config.barWidth + this.config.barGap;
+        const count = Math.min(this.samples.length, Math.floor((area.width + this.config.barGap) / pitch));
+        const bottom = area.y + area.height - 1;
+
+        // Newest bar on the right
+        for (let i = 0; i < count; i++) {
+            const value = this.samples.get(this.samples.length - 1 - i);
+            const x = area.x + area.width - (i + 1) * pitch + this.config.barGap;
+            const y = this.valueToY(value, area.y, area.height, range);
+
+            await this.drawRect(x, y, this.config.barWidth, bottom - y + 1, this.colorFor(value), true);
+        }
+    }
+}
+
+class GaugeWidget extends ChartWidget {
+    static TYPE = 'gauge';
+    static NAME = 'Gauge';
+    static DESCRIPTION = 'Dial showing the current value';
+    static ICON = '⏲️';
+    static CONFIG_SCHEMA = {
+        ...ChartWidget.CONFIG_SCHEMA,
+        trackColor: { type: 'color', label: 'Track Color' }
+    };
+
+    getDefaultConfig() {
+        return {
+            ...super.getDefaultConfig(),
+            fontSize: 'small',
+            trackColor: [50, 50, 50]
+        };
+    }
+
+    async onRenderWithData() {
+        if (this.samples.length === 0) {
+            await super.onRenderWithData();
+            return;
+        }
+
+        const value = this.samples.last();
+        const font = this.getFont();
+        const labelHeight = this.config.showValue ? font.lineHeight + 1 : 0;
+
+        // Half dial resting on its centre point, with the value label underneath
+        const cx = Math.floor(this.width / 2);
+        const cy = this.height - 1 - labelHeight;
+        const radius = Math.min(cx - 1, cy - 1);
+
+        if (radius >= 3) {
+            await this.drawDial(cx, cy, radius, value);
+        }
+
+        if (this.config.showValue) {
+            const text = this.formatValue(value);
+            await this.drawText(text, this.alignText(text, 'center', 0), cy + 2, this.colorFor(value));
+        }
+    }
+
+    pointOnArc(cx, cy, radius, position) {
+        const angle = Math.PI * (1 - position);
+        return {
+            x: cx + Math.round(radius * Math.cos(angle)),
+            y: cy - Math.round(radius * Math.sin(angle))
+        };
+    }
+
+    async drawDial(cx, cy, radius, value) {
+        const range = this.getRange();
+        const position = this.normalize(value, range);
+        const color = this.colorFor(value);
+        const steps = Math.ceil(Math.PI * radius * 2);
+
+        // Two pixel thick arc, lit up to the current value
+        for (let step = 0; step <= steps; step++) {
+            const t = step / steps;
+            for (const r of [radius, radius - 1]) {
+                const point = this.pointOnArc(cx, cy, r, t);
+                await this.setPixel(point.x, point.y, t <= position ? color : this.config.trackColor);
+            }
+        }
+
+        if (this.config.useThresholds) {
+            for (const key of ['warn', 'critical']) {
+                const threshold = this.config[`${key}Threshold`];
+                if (threshold < range.min || threshold > range.max) continue;
+
+                const tick = this.pointOnArc(cx, cy, radius - 2, this.normalize(threshold, range));
+                await this.setPixel(tick.x, tick.y, this.config[`${key}Color`]);
+            }
+        }
+
+        const tip = this.pointOnArc(cx, cy, radius - 3, position);
+        await this.drawLine(cx, cy, tip.x, tip.y, [255, 255, 255]);
+    }
+}
+
+class HeatmapWidget extends ChartWidget {
+    static TYPE = 'heatmap';
+    static NAME = 'Heatmap';
+    static DESCRIPTION = 'Grid of coloured cells, one per sample';
+    static ICON = '🟧';
+    static CONFIG_SCHEMA = {
+        ...ChartWidget.CONFIG_SCHEMA,
+        cellSize: { type: 'number', label: 'Cell Size', min: 1, max: 16, integer: true },
+        lowColor: { type: 'color', label: 'Low Color' }
+    };
+
+    getDefaultConfig() {
+        return {
+            ...super.getDefaultConfig(),
+            cellSize: 4,
+            color: [255, 60, 0],
+            lowColor: [0, 0, 80]
+        };
+    }
+
+    cellColor(value, range) {
+        if (this.config.useThresholds && value >= this.config.warnThreshold) {
+            return this.colorFor(value);
+        }
+
+        const t = this.normalize(value, range);
+        return this.config.lowColor.map((low, channel) => Math.round(low + (this.config.color[channel] - low) * t));
+    }
+
+    async drawChart(area) {
+        const range = this.getRange();
+        const size = this.config.cellSize;
+        const columns = Math.floor(area.width / size);
+        const rows = Math.floor(area.height / size);
+        const count = Math.min(this.samples.length, columns * rows);
+        const first = this.samples.length - count;
+
+        // Leave a pixel between cells once they are big enough to read as a grid
+        const cell = size >= 3 ? size - 1 : size;
+
+        // Cells fill top to bottom, then left to right, newest at the bottom right
+        const offset = columns * rows - count;
+        for (let i = 0; i < count; i++) {
+            const slot = offset + i;
+            const x = area.x + Math.floor(slot / rows) * size;
+            const y = area.y + (slot % rows) * size;
+            const value = this.samples.get(first + i);
+
+            await this.drawRect(x, y, cell, cell, this.cellColor(value, range), true);
+        }
+    }
+}
+
+// Register the chart widgets plugin
+const chartWidgetsPlugin = new Plugin(
+    'chart-widgets',
+    'Chart Widgets',
+    '1.0.0',
+    'Line, bar, gauge and heatmap charts of values over time'
+);
+
+chartWidgetsPlugin.widgets = [
+    LineChartWidget,
+    BarChartWidget,
+    GaugeWidget,
+    HeatmapWidget
+];
+
+// Auto-register the plugin when this script loads
+if (window.pluginManager) {
+    window.pluginManager.registerPlugin(chartWidgetsPlugin);
+} else {
+    const checkInterval = setInterval(() => {
+        if (window.pluginManager) {
+            window.pluginManager.registerPlugin(chartWidgetsPlugin);
+            clearInterval(checkInterval);
+        }
+    }, 50);
+}
+
+window.ChartWidget = ChartWidget;
+window.ChartWidgetsPlugin = chartWidgetsPlugin;
@@ -5,6 +5,15 @@ class ClockWidget extends Widget {
     static NAME = 'Digital Clock';
     static DESCRIPTION = 'Displays current time';
     static ICON = '🕐';
+    static CONFIG_SCHEMA = {
+        ...Widget.CONFIG_SCHEMA,
+        format24: { type: 'boolean', label: '24-hour Format' },
+        showSeconds: { type: 'boolean', label: 'Show Seconds' },
+        fontSize: { type: 'enum', label: 'Font', options: () => BitmapFont.getFontNames() },
+        align: { type: 'enum', label: 'Alignment', options: [{ value: 'left', label: 'Left' }, { value: 'center', label: 'Center' }, { value: 'right', label: 'Right' }] },
+        color: { type: 'color', label: 'Text Color' },
+        backgroundColor: { type: 'color', label: 'Background Color' }
+    };
 
     getDefaultConfig() {
         return {
@@ -13,6 +22,7 @@ class ClockWidget extends Widget {
             color: [255, 255, 255],
             backgroundColor: [0, 0, 0],
             fontSize: 'small',
+            align: 'left',
             showSeconds: true
         };
     }
@@ -43,7 +53,8 @@ class ClockWidget extends Widget {
         }
 
         // Draw time text
-        await this.drawText(timeString, 2, 2, this.config.color);
+        const textX = this.alignText(timeString, this.config.align);
+        await this.drawText(timeString, textX, 2, this.config.color);
     }
 }
 
@@ -52,39 +63,189 @@ class WeatherWidget extends DataWidget {
     static NAME = 'Weather Display';
     static DESCRIPTION = 'Shows current weather information';
     static ICON = '🌤️';
+    static CONFIG_SCHEMA = {
+        ...DataWidget.CONFIG_SCHEMA,
+        provider: { type: 'enum', label: 'Provider', options: () => WeatherProviders.getProviderNames() },
+        apiKey: { type: 'string', label: 'API Key (OpenWeatherMap)', maxLength: 64 },
+        location: { type: 'string', label: 'Location (name or lat,lon)', required: true, maxLength: 64 },
+        units: { type: 'enum', label: 'Units', options: [{ value: 'metric', label: 'Metric (°C)' }, { value: 'imperial', label: 'Imperial (°F)' }] },
+        showIcon: { type: 'boolean', label: 'Show Icon' },
+        fontSize: { type: 'enum', label: 'Font', options: () => BitmapFont.getFontNames() },
+        color: { type: 'color', label: 'Text Color' }
+    };
+
+    // 8x8 condition icons, one character per pixel ('.' is transparent)
+    static CONDITION_ICONS = {
+        'clear': [
+            '...Y....',
+            '.Y.Y..Y.',
+            '..YYY...',
+            'YYYYYYY.',
+            '..YYY...',
+            '.Y.Y..Y.',
+            '...Y....',
+            '........'
+        ],
+        'clear-night': [
+            '..MMM...',
+            '.MM.....',
+            'MM......',
+            'MM......',
+            'MM......',
+            '.MM...M.',
+            '..MMMM..',
+            '........'
+        ],
+        'partly-cloudy': [
+            '.Y......',
+            'YYY.....',
+            'YY.WWW..',
+            '..WWWWW.',
+            '.WWWWWWW',
+            '.WWWWWWW',
+            '........',
+            '........'
+        ],
+        'cloudy': [
+            '........',
+            '...GGG..',
+            '..GGGGG.',
+            '.WWWGGGG',
+            'WWWWWWG.',
+            'WWWWWWW.',
+            '........',
+            '........'
+        ],
+        'fog': [
+            '........',
+            'GGGGGG..',
+            '........',
+            '.GGGGGGG',
+            '........',
+            'GGGGGG..',
+            '........',
+            '.GGGGGGG'
+        ],
+        'rain': [
+            '..GGGG..',
+            '.GGGGGG.',
+            'GGGGGGGG',
+            '........',
+            '.B..B..B',
+            'B..B..B.',
+            '.B..B..B',
+            '........'
+        ],
+        'snow': [
+            '..GGGG..',
+            '.GGGGGG.',
+            'GGGGGGGG',
+            '........',
+            '.W...W..',
+            '...W...W',
+            '.W...W..',
+            '........'
+        ],
+        'thunder': [
+            '..GGGG..',
+            '.GGGGGG.',
+            'GGGGGGGG',
+            '...YY...',
+            '..YY....',
+            '.YYYY...',
+            '...YY...',
+            '...Y....'
+        ]
+    };
+
+    static ICON_PALETTE = {
+        Y: [255, 200, 0],
+        M: [230, 230, 160],
+        W: [230, 230, 230],
+        G: [140, 140, 150],
+        B: [80, 140, 255]
+    };
 
     getDefaultConfig() {
         return {
             ...super.getDefaultConfig(),
+            dataFetchInterval: 600000, // Weather services update every 10-15 minutes
+            provider: 'open-meteo',
+            apiKey: '',
             location: 'London',
             units: 'metric',
             showIcon: true,
+            fontSize: 'small',
             color: [255, 255, 255]
         };
     }
 
     async fetchData() {
-        // Note: In a real implementation, you'd use a proper weather API
-        // This is a mock implementation
-        return {
-            temperature: Math.floor(Math.random() * 30) + 5,
-            condition: ['Sunny', 'Cloudy', 'Rainy', 'Snowy'][Math.floor(Math.random() * 4)],
-            humidity: Math.floor(Math.random() * 100)
-        };
+        try {
+            const data = await WeatherProviders.fetchWeather(this.config.provider, {
+                location: this.config.location,
+                apiKey: this.config.apiKey
+            }, this.dataFetchInterval);
+
+            this.lastError = null;
+            return data;
+        } catch (error) {
+            this.lastError = error;
+            throw error;
+        }
+    }
+
+    onConfigUpdate() {
+        // Location, provider or units may have changed
+        this.refreshData();
+    }
+
+    formatTemperature(celsius) {
+        const imperial = this.config.units === 'imperial';
+        const value = imperial ? WeatherProviders.toFahrenheit(celsius) : celsius;
+        return `${Math.round(value)}°${imperial ? 'F' : 'C'}`;
+    }
+
+    async drawConditionIcon(condition, isDay, x, y) {
+        const name = condition === 'clear' && !isDay ? 'clear-night' : condition;
+        const icon = WeatherWidget.CONDITION_ICONS[name];
+        if (!icon) return;
+
+        for (let row = 0; row < icon.length; row++) {
+            for (let column = 0; column < icon[row].length; column++) {
+                const color = WeatherWidget.ICON_PALETTE[icon[row][column]];
+                if (color) {
+                    await this.setPixel(x + column, y + row, color);
+                }
+            }
+        }
     }
 
     async onRenderWithData(data) {
         if (!data) {
-            await this.drawText('Loading...', 2, 2, this.config.color);
+            // Keep showing the last reading if a refresh fails, otherwise say why
+            const message = this.lastError ? 'No data' : 'Loading...';
+            await this.drawText(message, 2, 2, this.lastError ? [255, 80, 80] : this.config.color);
             return;
         }
 
-        const tempText = `${data.temperature}°C`;
-        const conditionText = data.condition;
+        const font = this.getFont();
+        const lineStep = font.lineHeight + 2;
+        const conditionText = WeatherProviders.CONDITIONS[data.condition] || data.condition;
 
-        await this.drawText(tempText, 2, 2, this.config.color);
-        await this.drawText(conditionText, 2, 12, this.config.color);
-        await this.drawText(`${data.humidity}%`, 2, 22, [100, 150, 255]);
+        let textX = 2;
+        if (this.config.showIcon) {
+            await this.drawConditionIcon(data.condition, data.isDay, 2, 2);
+            textX = 12;
+        }
+
+        // Line up the temperature with the middle of the icon
+        const tempY = this.config.showIcon ? Math.max(2, 6 - Math.floor(font.height / 2)) : 2;
+        const nextY = Math.max(tempY + lineStep, this.config.showIcon ? 12 : 0);
+
+        await this.drawText(this.formatTemperature(data.temperature), textX, tempY, this.config.color);
+        await this.drawText(conditionText, 2, nextY, this.config.color);
+        await this.drawText(`${Math.round(data.humidity)}%`, 2, nextY + lineStep, [100, 150, 255]);
     }
 }
 
@@ -93,6 +254,15 @@ class CounterWidget extends Widget {
     static NAME = 'Counter';
     static DESCRIPTION = 'Simple incrementing counter';
     static ICON = '🔢';
+    static CONFIG_SCHEMA = {
+        ...Widget.CONFIG_SCHEMA,
+        initialValue: { type: 'number', label: 'Initial Value', min: 0, integer: true },
+        increment: { type: 'number', label: 'Increment', min: 1, max: 1000, integer: true },
+        maxValue: { type: 'number', label: 'Maximum Value', min: 1, max: 99999, integer: true },
+        autoIncrement: { type: 'boolean', label: 'Auto Increment' },
+        fontSize: { type: 'enum', label: 'Font', options: () => BitmapFont.getFontNames() },
+        color: { type: 'color', label: 'Text Color' }
+    };
 
     constructor(id, config, pixooClient) {
         super(id, config, pixooClient);
@@ -107,7 +277,8 @@ class CounterWidget extends Widget {
             increment: 1,
             color: [0, 255, 0],
             autoIncrement: true,
-            maxValue: 999
+            maxValue: 999,
+            fontSize: 'small'
         };
     }
 
@@ -134,6 +305,13 @@ class ProgressBarWidget extends AnimatedWidget {
     static NAME = 'Progress Bar';
     static DESCRIPTION = 'Animated progress bar';
     static ICON = '📊';
+    static CONFIG_SCHEMA = {
+        ...AnimatedWidget.CONFIG_SCHEMA,
+        speed: { type: 'number', label: 'Speed (% per frame)', min: 1, max: 50, integer: true },
+        pingPong: { type: 'boolean', label: 'Ping-pong' },
+        color: { type: 'color', label: 'Bar Color' },
+        backgroundColor: { type: 'color', label: 'Background Color' }
+    };
 
     constructor(id, config, pixooClient) {
         super(id, config, pixooClient);
@@ -144,7 +322,7 @@ class ProgressBarWidget extends AnimatedWidget {
     getDefaultConfig() {
         return {
             ...super.getDefaultConfig(),
-            width: 40,
+            width: Math.min(40, this.getDisplayWidth()),
             height: 8,
             color: [0, 255, 0],
             backgroundColor: [64, 64, 64],
@@ -187,6 +365,15 @@ class TextScrollerWidget extends AnimatedWidget {
     static NAME = 'Text Scroller';
     static DESCRIPTION = 'Scrolling text display';
     static ICON = '📜';
+    static CONFIG_SCHEMA = {
+        ...AnimatedWidget.CONFIG_SCHEMA,
+        text: { type: 'text', label: 'Text', required: true, maxLength: 500 },
+        scrollSpeed: { type: 'number', label: 'Scroll Speed (px per frame)', min: 1, max: 10, integer: true },
+        direction: { type: 'enum', label: 'Direction', options: [{ value: 'left', label: 'Left' }, { value: 'right', label: 'Right' }] },
+        fontSize: { type: 'enum', label: 'Font', options: () => BitmapFont.getFontNames() },
+        color: { type: 'color', label: 'Text Color' },
+        backgroundColor: { type: 'color', label: 'Background Color' }
+    };
 
     constructor(id, config, pixooClient) {
         super(id, config, pixooClient);
@@ -200,7 +387,8 @@ class TextScrollerWidget extends AnimatedWidget {
             color: [255, 255, 255],
             backgroundColor: [0, 0, 0],
             scrollSpeed: 1,
-            direction: 'left'
+            direction: 'left',
+            fontSize: 'small'
         };
     }
 
@@ -210,25 +398,192 @@ class TextScrollerWidget extends AnimatedWidget {
             await this.drawRect(0, 0, this.width, this.height, this.config.backgroundColor, true);
         }
 
+        // Multi-line text is scrolled as a single line
+        const text = this.config.text.replace(/\s*\n\s*/g, '   ');
+
         // Calculate text position based on scroll
         let textX = this.scrollPosition;
-        let textY = Math.floor(this.height / 2) - 4; // Center vertically
+        const { width: textWidth, height: textHeight } = this.measureText(text);
+        let textY = Math.floor((this.height - textHeight) / 2); // Center vertically
 
         if (this.config.direction === 'left') {
             textX = this.width - this.scrollPosition;
             this.scrollPosition += this.config.scrollSpeed;
-            if (this.scrollPosition > this.width + (this.config.text.length * 6)) {
+            if (this.scrollPosition > this.width + textWidth) {
                 this.scrollPosition = 0;
             }
         } else {
-            textX = this.scrollPosition - (this.config.text.length * 6);
+            textX = this.scrollPosition - textWidth;
             this.scrollPosition += this.config.scrollSpeed;
-            if (this.scrollPosition > this.width + (this.config.text.length * 6)) {
+            if (this.scrollPosition > this.width + textWidth) {
                 this.scrollPosition = 0;
             }
         }
 
-        await this.drawText(this.config.text, textX, textY, this.config.color);
+        await this.drawText(text, textX, textY, this.config.color);
+    }
+}
+
+class NativeTextWidget extends Widget {
+    static TYPE = 'nativetext';
+    static NAME = 'Native Text';
+    static DESCRIPTION = 'Text drawn and scrolled by the device itself, over the frame';
+    static ICON = '🔤';
+    static MAX_LINES = 8;
+    static CONFIG_SCHEMA = {
+        ...Widget.CONFIG_SCHEMA,
+        text: { type: 'text', label: 'Text (one overlay per line)', required: true, maxLength: 2000 },
+        font: { type: 'enum', label: 'Device Font', options: () => PixooClient.getFontOptions() },
+        fontSize: { type: 'enum', label: 'Preview Font', options: () => BitmapFont.getFontNames() },
+        lineHeight: { type: 'number', label: 'Line Height', min: 4, max: 64, integer: true },
+        align: { type: 'enum', label: 'Alignment', options: [{ value: 'left', label: 'Left' }, { value: 'center', label: 'Center' }, { value: 'right', label: 'Right' }] },
+        speed: { type: 'number', label: 'Scroll Speed (ms per step, 0 for still)', min: 0, max: 10000, integer: true },
+        direction: { type: 'enum', label: 'Scroll Direction', options: [{ value: 'left', label: 'Left' }, { value: 'right', label: 'Right' }] },
+        color: { type: 'color', label: 'Text Color' }
+    };
+
+    constructor(id, config, pixooClient) {
+        super(id, config, pixooClient);
+        this.textIds = [];
+        this.previewStart = Date.now();
+    }
+
+    getDefaultConfig() {
+        return {
+            ...super.getDefaultConfig(),
+            height: 16,
+            text: 'Hello World!',
+            font: 0,
+            fontSize: 'small',
+            lineHeight: 16,
+            align: 'left',
+            speed: 100,
+            direction: 'left',
+            color: [255, 255, 255]
+        };
+    }
+
+    /**
+     * The lines that fit the widget's height, one device text each
+     */
+    getLines() {
+        const fitting = Math.max(1, Math.floor(this.height / this.config.lineHeight));
+        return String(this.config.text || '').split('\n').slice(0, Math.min(fitting, NativeTextWidget.MAX_LINES));
+    }
+
+    // The device scrolls text inside a box 16-64 pixels wide
+    getTextWidth() {
+        return Math.max(16, Math.min(64, this.width));
+    }
+
+    onInit() {
+        this.previewStart = Date.now();
+
+        // Fill the font picker from the device the first time one is connected
+        if (!PixooClient.deviceFonts && this.pixooClient.connected) {
+            this.pixooClient.getFontList().catch(error => console.warn('Could not read the device font list:', error.message));
+        }
+
+        this.updateOverlays();
+    }
+
+    onDestroy() {
+        this.releaseOverlays();
+    }
+
+    onConfigUpdate() {
+        this.previewStart = Date.now();
+        if (this.initialized) {
+            this.updateOverlays();
+        }
+    }
+
+    setEnabled(enabled) {
+        super.setEnabled(enabled);
+        if (this.initialized) {
+            this.updateOverlays();
+        }
+    }
+
+    async onRender() {
+        // Nothing goes into the frame; the client sends the text after the push
+        this.updateOverlays();
+    }
+
+    /**
+     * Hand the current lines to the client, one TextId each
+     */
+    updateOverlays() {
+        if (!this.enabled) {
+            this.releaseOverlays();
+            return;
+        }
+
+        const lines = this.getLines();
+
+        if (this.textIds.length > lines.length) {
+            this.pixooClient.releaseTextIds(this.textIds.splice(lines.length));
+        } else if (this.textIds.length < lines.length) {
+            try {
+                this.textIds.push(...this.pixooClient.allocateTextIds(lines.length - this.textIds.length));
+            } catch (error) {
+                console.error(`Widget ${this.id} can't show all its lines:`, error.message);
+            }
+        }
+
+        this.textIds.forEach((textId, index) => {
+            this.pixooClient.setTextOverlay(textId, {
+                text: lines[index],
+                x: this.x,
+                y: this.y + index * this.config.lineHeight,
+                color: this.config.color,
+                font: this.config.font,
+                width: this.getTextWidth(),
+                speed: this.config.speed,
+                direction: this.config.direction,
+                align: this.config.align
+            });
+        });
+    }
+
+    releaseOverlays() {
+        if (this.textIds.length > 0) {
+            this.pixooClient.releaseTextIds(this.textIds);
+            this.textIds = [];
+        }
+    }
+
+    /**
+     * Approximate the device's text engine with a bitmap font: text wider than
+     * its box scrolls one pixel per speed ms, shorter text is aligned
+     */
+    async renderOverlayPreview() {
+        if (!this.initialized || !this.enabled) return;
+
+        const boxWidth = this.getTextWidth();
+        const lineHeight = this.config.lineHeight;
+        const elapsed = Date.now() - this.previewStart;
+        const lines = this.getLines();
+
+        for (let index = 0; index < lines.length; index++) {
+            const text = lines[index];
+            const y = index * lineHeight;
+            const { width: textWidth } = this.measureText(text);
+            let x;
+
+            if (textWidth > boxWidth && this.config.speed > 0) {
+                const offset = Math.floor(elapsed / this.config.speed) % (textWidth + boxWidth);
+                x = this.config.direction === 'right' ? offset - textWidth : boxWidth - offset;
+            } else if (this.config.align === 'center') {
+                x = Math.floor((boxWidth - textWidth) / 2);
+            } else if (this.config.align === 'right') {
+                x = boxWidth - textWidth;
+            } else {
+                x = 0;
+            }
+
+            await this.withClip(0, y, boxWidth, lineHeight, () => this.drawText(text, x, y, this.config.color));
+        }
     }
 }
 
@@ -237,6 +592,13 @@ class BouncingBallWidget extends AnimatedWidget {
     static NAME = 'Bouncing Ball';
     static DESCRIPTION = 'Animated bouncing ball';
     static ICON = '⚽';
+    static CONFIG_SCHEMA = {
+        ...AnimatedWidget.CONFIG_SCHEMA,
+        ballSize: { type: 'number', label: 'Ball Size', min: 1, max: 16, integer: true },
+        speed: { type: 'number', label: 'Speed', min: 1, max: 8, integer: true },
+        color: { type: 'color', label: 'Ball Color' },
+        backgroundColor: { type: 'color', label: 'Background Color' }
+    };
 
     constructor(id, config, pixooClient) {
         super(id, config, pixooClient);
@@ -294,47 +656,358 @@ class BouncingBallWidget extends AnimatedWidget {
     }
 }
 
+class ImageWidget extends AnimatedWidget {
+    static TYPE = 'image';
+    static NAME = 'Image';
+    static DESCRIPTION = 'PNG, JPEG or animated GIF from a file or data URL';
+    static ICON = '🖼️';
+    static CONFIG_SCHEMA = {
+        ...AnimatedWidget.CONFIG_SCHEMA,
+        source: {
+            type: 'file',
+            label: 'Image (file path or data URL)',
+            maxLength: 2000000,
+            filters: [{ name: 'Images', extensions: ['png', 'jpg', 'jpeg', 'gif'] }]
+        },
+        fit: { type: 'enum', label: 'Fit', options: [{ value: 'contain', label: 'Contain (letterbox)' }, { value: 'cover', label: 'Cover (crop)' }, { value: 'stretch', label: 'Stretch' }] },
+        scaling: { type: 'enum', label: 'Scaling', options: [{ value: 'nearest', label: 'Nearest neighbour' }, { value: 'smooth', label: 'Smooth (average)' }] },
+        dither: { type: 'enum', label: 'Dithering', options: [{ value: 'none', label: 'None' }, { value: 'ordered', label: 'Ordered (Bayer)' }, { value: 'floyd-steinberg', label: 'Floyd-Steinberg' }] },
+        colorLevels: { type: 'number', label: 'Dither Levels per Channel', min: 2, max: 64, integer: true },
+        useGifTiming: { type: 'boolean', label: 'Use GIF Frame Timing' },
+        loop: { type: 'boolean', label: 'Loop Animation' }
+    };
+
+    constructor(id, config, pixooClient) {
+        super(id, config, pixooClient);
+        this.image = null;        // Decoded source image
+        this.frames = null;       // Frames scaled to the widget: [{ pixels, delay }]
+        this.loadError = null;
+        this.loadToken = 0;
+        this.playStart = 0;
+        this.loadedSource = null;
+        this.scaledFor = null;
+        this.stillDrawn = null;   // The still image or load error last drawn
+    }
+
+    getDefaultConfig() {
+        return {
+            ...super.getDefaultConfig(),
+            source: '',
+            fit: 'contain',
+            scaling: 'nearest',
+            dither: 'none',
+            colorLevels: 8,
+            useGifTiming: true,
+            loop: true
+        };
+    }
+
+    onInit() {
+        this.loadImage();
+    }
+
+    onConfigUpdate() {
+        if (this.config.source !== this.loadedSource) {
+            this.loadImage();
+        } else {
+            this.scaleFrames();
+        }
+    }
+
+    async loadImage() {
+        const token = ++this.loadToken;
+        const source = this.config.source;
+
+        this.loadedSource = source;
+        this.image = null;
+        this.frames = null;
+        this.scaledFor = null;
+        this.loadError = null;
+
+        if (!source) return;
+
+        try {
+            const image = await ImageLoader.load(source);
+            if (token !== this.loadToken) return;
+
+            this.image = image;
+            this.scaleFrames();
+        } catch (error) {
+            if (token !== this.loadToken) return;
+
+            console.error(`Failed to load image for widget ${this.id}:`, error);
+            this.loadError = error;
+        }
+    }
+
+    /**
+     * Scale every decoded frame to the widget once, rather than on each render
+     */
+    scaleFrames() {
+        if (!this.image) return;
+
+        const { fit, scaling, dither, colorLevels } = this.config;
+        const key = [this.width, this.height, fit, scaling, dither, colorLevels].join('|');
+        if (key === this.scaledFor) return;
+
+        this.frames = this.image.frames.map(frame => {
+            const pixels = ImageLoader.scale(this.image, frame.pixels, this.width, this.height, { fit, scaling });
+            if (dither !== 'none') {
+                ImageLoader.dither(pixels, this.width, this.height, dither, colorLevels);
+            }
+            return { pixels, delay: frame.delay };
+        });
+        this.scaledFor = key;
+        this.playStart = Date.now();
+    }
+
+    /**
+     * Frame to show now: by elapsed time and GIF delays, or one per animation tick
+     */
+    getFrameIndex(tick) {
+        const count = this.frames.length;
+        if (count === 1) return 0;
+
+        if (!this.config.useGifTiming) {
+            return this.config.loop ? tick % count : Math.min(tick, count - 1);
+        }
+
+        const total = this.frames.reduce((sum, frame) => sum + frame.delay, 0);
+        let elapsed = Date.now() - this.playStart;
+        if (elapsed >= total && !this.config.loop) return count - 1;
+
+        elapsed %= total;
+        for (let i = 0; i < count; i++) {
+            elapsed -= this.frames[i].delay;
+            if (elapsed < 0) return i;
+        }
+        return count - 1;
+    }
+
+    // A still image or the error message is drawn once; only GIFs with
+    // several frames are drawn again every animation tick
+    needsRedraw(now = Date.now()) {
+        // updateConfig() resets lastUpdate to have everything drawn again
+        if (this.lastUpdate !== 0 && this.stillDrawn && this.stillDrawn === (this.loadError || this.frames)) {
+            return false;
+        }
+        return super.needsRedraw(now);
+    }
+
+    async onAnimationFrame(frame) {
+        if (this.loadError) {
+            await this.drawText('No image', 1, 1, [255, 80, 80], 'tiny');
+            this.stillDrawn = this.loadError;
+            return;
+        }
+        if (!this.frames) return;
+
+        // Sizes can change between config updates and the next frame
+        this.scaleFrames();
+        this.stillDrawn = this.frames.length === 1 ? this.frames : null;
+
+        const { pixels } = this.frames[this.getFrameIndex(frame)];
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const index = (y * this.width + x) * 4;
+                if (pixels[index + 3] === 0) continue;
+
+                // Partly transparent pixels blend with the widgets underneath
+                await this.setPixel(x, y, [pixels[index], pixels[index + 1], pixels[index + 2], pixels[index + 3]]);
+            }
+        }
+    }
+}
+
+class SpriteWidget extends Widget {
+    static TYPE = 'sprite';
+    static NAME = 'Sprite';
+    static DESCRIPTION = 'Pixel art drawn in the sprite editor';
+    static ICON = '🎨';
+    static CONFIG_SCHEMA = {
+        ...Widget.CONFIG_SCHEMA,
+        spriteId: { type: 'enum', label: 'Sprite', options: () => (window.spriteLibrary ? window.spriteLibrary.getSpriteNames() : []) },
+        scale: { type: 'number', label: 'Scale', min: 1, max: 8, integer: true }
+    };
+
+    getDefaultConfig() {
+        return {
+            ...super.getDefaultConfig(),
+            spriteId: '',
+            scale: 1
+        };
+    }
+
+    getSprite() {
+        return window.spriteLibrary ? window.spriteLibrary.getSprite(this.config.spriteId) : null;
+    }
+
+    async onRender() {
+        // Looked up on every frame so edits in the sprite editor show right away
+        const sprite = this.getSprite();
+        if (!sprite) return;
+
+        const scale = this.config.scale || 1;
+        const pixels = sprite.composite();
+
+        for (let y = 0; y < sprite.height; y++) {
+            for (let x = 0; x < sprite.width; x++) {
+                const color = pixels[y * sprite.width + x];
+                if (!color) continue;
+
+                if (scale === 1) {
+                    await this.setPixel(x, y, color);
+                } else {
+                    await this.drawRect(x * scale, y * scale, scale, scale, color, true);
+                }
+            }
+        }
+    }
+}
+
 class SystemInfoWidget extends DataWidget {
     static TYPE = 'systeminfo';
     static NAME = 'System Info';
-    static DESCRIPTION = 'Shows basic system information';
+    static DESCRIPTION = 'Shows host CPU, memory, disk, uptime and network';
     static ICON = '💻';
+    static CONFIG_SCHEMA = {
+        ...DataWidget.CONFIG_SCHEMA,
+        showCpu: { type: 'boolean', label: 'Show CPU Load' },
+        showMemory: { type: 'boolean', label: 'Show Memory' },
+        showDisk: { type: 'boolean', label: 'Show Disk Usage' },
+        showUptime: { type: 'boolean', label: 'Show Uptime' },
+        showNetwork: { type: 'boolean', label: 'Show Network Throughput' },
+        showTime: { type: 'boolean', label: 'Show Time' },
+        display: { type: 'enum', label: 'Display', options: [{ value: 'numbers', label: 'Numbers' }, { value: 'bars', label: 'Bars' }, { value: 'sparklines', label: 'Sparklines' }] },
+        fontSize: { type: 'enum', label: 'Font', options: () => BitmapFont.getFontNames() },
+        color: { type: 'color', label: 'Text Color' },
+        graphColor: { type: 'color', label: 'Bar/Sparkline Color' }
+    };
+
+    // Metrics in display order; value() reads the number from a SystemMetrics sample
+    static METRICS = [
+        { key: 'cpu', option: 'showCpu', label: 'CPU', value: sample => sample.cpu },
+        { key: 'memory', option: 'showMemory', label: 'MEM', value: sample => sample.memory && sample.memory.percent },
+        { key: 'disk', option: 'showDisk', label: 'DSK', value: sample => sample.disk && sample.disk.percent },
+        { key: 'uptime', option: 'showUptime', label: 'UP', value: sample => sample.uptime, textOnly: true },
+        { key: 'network', option: 'showNetwork', label: 'NET', value: sample => sample.network && sample.network.rx + sample.network.tx, rate: true }
+    ];
+
+    constructor(id, config, pixooClient) {
+        super(id, config, pixooClient);
+        this.history = {};
+    }
 
     getDefaultConfig() {
         return {
             ...super.getDefaultConfig(),
+            dataFetchInterval: 2000,
+            showCpu: true,
             showMemory: true,
+            showDisk: false,
+            showUptime: false,
+            showNetwork: false,
             showTime: true,
-            color: [100, 255, 100]
+            display: 'numbers',
+            fontSize: 'small',
+            color: [100, 255, 100],
+            graphColor: [0, 150, 255]
         };
     }
 
     async fetchData() {
-        // Mock system data - in a real NeutralinoJS app, you could use the OS API
-        return {
-            memory: `${Math.floor(Math.random() * 8 + 4)}GB`,
-            time: new Date().toLocaleTimeString(),
-            cpu: `${Math.floor(Math.random() * 100)}%`
-        };
+        try {
+            const sample = await SystemMetrics.collect();
+            this.lastError = null;
+
+            // Keep one value per pixel column for the sparklines
+            for (const metric of SystemInfoWidget.METRICS) {
+                const history = this.history[metric.key] || (this.history[metric.key] = []);
+                history.push(metric.value(sample));
+                if (history.length > this.getDisplayWidth()) {
+                    history.shift();
+                }
+            }
+
+            return sample;
+        } catch (error) {
+            this.lastError = error;
+            throw error;
+        }
+    }
+
+    formatMetric(metric, value) {
+        if (value === null || value === undefined) return 'n/a';
+        if (metric.key === 'uptime') return SystemMetrics.formatUptime(value);
+        if (metric.rate) return SystemMetrics.formatBytes(value);
+        return `${Math.round(value)}%`;
+    }
+
+    /**
+     * Scale for a metric's graph: percentages are out of 100, rates out of the recent peak
+     */
+    getGraphMax(metric) {
+        if (!metric.rate) return 100;
+        return Math.max(1024, ...(this.history[metric.key] || []).filter(value => value !== null));
+    }
+
+    async drawBar(x, y, width, height, value, max) {
+        await this.drawRect(x, y, width, height, [40, 40, 40], true);
+
+        const filled = Math.round(width * Math.min(1, value / max));
+        if (filled > 0) {
+            await this.drawRect(x, y, filled, height, this.config.graphColor, true);
+        }
+    }
+
+    async drawSparkline(x, y, width, height, values, max) {
+        // Newest sample on the right
+        const visible = values.slice(-width);
+        const offset = width - visible.length;
+
+        for (let i = 0; i < visible.length; i++) {
+            if (visible[i] === null || visible[i] === undefined) continue;
+
+            const barHeight = Math.max(1, Math.round(height * Math.min(1, visible[i] / max)));
+            await this.drawRect(x + offset + i, y + height - barHeight, 1, barHeight, this.config.graphColor, true);
+        }
     }
 
     async onRenderWithData(data) {
         if (!data) {
-            await this.drawText('Loading...', 2, 2, this.config.color);
+            const message = this.lastError ? 'No data' : 'Loading...';
+            await this.drawText(message, 2, 2, this.lastError ? [255, 80, 80] : this.config.color);
             return;
         }
 
+        const font = this.getFont();
+        const lineStep = font.lineHeight + 2;
+        const metrics = SystemInfoWidget.METRICS.filter(metric => this.config[metric.option]);
+        const labelWidth = Math.max(0, ...metrics.map(metric => this.measureText(metric.label).width));
+        const graphX = 2 + labelWidth + 2;
+        const graphWidth = this.width - graphX - 2;
         let y = 2;
-        if (this.config.showMemory) {
-            await this.drawText(`RAM: ${data.memory}`, 2, y, this.config.color);
-            y += 10;
-        }
 
-        await this.drawText(`CPU: ${data.cpu}`, 2, y, this.config.color);
-        y += 10;
+        for (const metric of metrics) {
+            const value = metric.value(data);
+            await this.drawText(metric.label, 2, y, this.config.color);
+
+            const asText = this.config.display === 'numbers' || metric.textOnly ||
+                value === null || value === undefined || graphWidth < 4;
+
+            if (asText) {
+                await this.drawText(this.formatMetric(metric, value), graphX, y, this.config.color);
+            } else if (this.config.display === 'bars') {
+                await this.drawBar(graphX, y, graphWidth, font.height, value, this.getGraphMax(metric));
+            } else {
+                await this.drawSparkline(graphX, y, graphWidth, font.height, this.history[metric.key] || [], this.getGraphMax(metric));
+            }
+
+            y += lineStep;
+        }
 
         if (this.config.showTime) {
-            await this.drawText(data.time, 2, y, this.config.color);
+            await this.drawText(new Date().toLocaleTimeString(), 2, y, this.config.color);
         }
     }
 }
@@ -353,7 +1026,10 @@ coreWidgetsPlugin.widgets = [
     CounterWidget,
     ProgressBarWidget,
     TextScrollerWidget,
+    NativeTextWidget,
     BouncingBallWidget,
+    ImageWidget,
+    SpriteWidget,
     SystemInfoWidget
 ];
 
@@ -0,0 +1,166 @@
+/**
+ * ConfigForm - Builds an editable form from a widget CONFIG_SCHEMA
+ * and reads validated values back out of it.
+ */
+class ConfigForm {
+    constructor(schema, values, idPrefix = 'widget-config') {
+        this.schema = schema || {};
+        this.values = values || {};
+        this.idPrefix = idPrefix;
+        this.inputs = new Map();
+        this.errorElements = new Map();
+    }
+
+    render(container) {
+        container.innerHTML = '';
+        this.inputs.clear();
+        this.errorElements.clear();
+
+        for (const [key, field] of Object.entries(this.schema)) {
+            const inputId = `${this.idPrefix}-${key}`;
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            group.dataset.configKey = key;
+
+            const label = document.createElement('label');
+            label.htmlFor = inputId;
+            label.textContent = `${field.label || key}:`;
+            group.appendChild(label);
+
+            const input = this.createInput(field, this.values[key]);
+            input.id = inputId;
+
+            if (field.type === 'file') {
+                group.classList.add('file-field');
+                group.appendChild(this.createFilePicker(field, input));
+            } else {
+                group.appendChild(input);
+            }
+
+            if (field.type === 'color') {
+                group.classList.add('color-field');
+            } else if (field.type === 'boolean') {
+                group.classList.add('checkbox-field');
+            }
+
+            const error = document.createElement('div');
+            error.className = 'form-error';
+            group.appendChild(error);
+
+            this.inputs.set(key, input);
+            this.errorElements.set(key, error);
+            container.appendChild(group);
+        }
+    }
+
+    createInput(field, value) {
+        let input;
+
+        switch (field.type) {
+            case 'boolean':
+                input = document.createElement('input');
+                input.type = 'checkbox';
+                input.checked = Boolean(value);
+                break;
+
+            case 'enum':
+                input = document.createElement('select');
+                ConfigSchema.normalizeOptions(field).forEach(option => {
+                    const optionElement = document.createElement('option');
+                    optionElement.value = option.value;
+                    optionElement.textContent = option.label;
+                    optionElement.selected = String(option.value) === String(value);
+                    input.appendChild(optionElement);
+                });
+                break;
+
+            case 'text':
+                input = document.createElement('textarea');
+                input.value = value ?? '';
+                if (field.maxLength !== undefined) input.maxLength = field.maxLength;
+                break;
+
+            case 'color':
+                input = document.createElement('input');
+                input.type = 'color';
+                input.value = ConfigSchema.rgbToHex(value);
+                break;
+
+            case 'number':
+                input = document.createElement('input');
+                input.type = 'number';
+                input.value = value ?? '';
+                if (field.min !== undefined) input.min = field.min;
+                if (field.max !== undefined) input.max = field.max;
+                input.step = field.step ?? (field.integer ? 1 : 'any');
+                break;
+
+            default:
+                input = document.createElement('input');
+                input.type = 'text';
+                input.value = value ?? '';
+                if (field.maxLength !== undefined) input.maxLength = field.maxLength;
+        }
+
+        return input;
+    }
+
+    /**
+     * Text input plus a Browse button that opens the native file dialog when available
+     */
+    createFilePicker(field, input) {
+        const row = document.createElement('div');
+        row.className = 'file-picker';
+        row.appendChild(input);
+
+        if (typeof Neutralino !== 'undefined' && Neutralino.os && typeof Neutralino.os.showOpenDialog === 'function') {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'secondary';
+            button.textContent = 'Browse...';
+            button.addEventListener('click', async () => {
+                try {
+                    const [path] = await Neutralino.os.showOpenDialog(`Select ${field.label || 'file'}`, {
+                        filters: field.filters || []
+                    });
+                    if (path) {
+                        input.value = path;
+                    }
+                } catch (error) {
+                    console.error('File dialog failed:', error);
+                }
+            });
+            row.appendChild(button);
+        }
+
+        return row;
+    }
+
+    readRawValues() {
+        const values = {};
+
+        for (const [key, input] of this.inputs.entries()) {
+            values[key] = this.schema[key].type === 'boolean' ? input.checked : input.value;
+        }
+
+        return values;
+    }
+
+    /**
+     * Validate the current form state, mark invalid fields and
+     * return { config, errors, valid }.
+     */
+    read() {
+        const { config, errors } = ConfigSchema.validate(this.schema, this.readRawValues());
+
+        for (const [key, errorElement] of this.errorElements.entries()) {
+            const message = errors[key] || '';
+            errorElement.textContent = message;
+            this.inputs.get(key).classList.toggle('invalid', Boolean(message));
+        }
+
+        return { config, errors, valid: Object.keys(errors).length === 0 };
+    }
+}
+
+window.ConfigForm = ConfigForm;
@@ -0,0 +1,185 @@
+/**
+ * DeviceControlPanel - The Device Controls dialog for the device's own
+ * settings: screen, built-in channels, rotation, clock and white balance.
+ *
+ * Changes are sent straight to the device shown in the editor. Showing a
+ * built-in channel holds the device's scenes until Play resumes them.
+ * "Read from Device" fills the form from Channel/GetAllConf, since the
+ * device doesn't report most of these settings any other way.
+ */
+class DeviceControlPanel {
+    constructor(uiManager) {
+        this.uiManager = uiManager;
+        this.modal = document.getElementById('device-controls-modal');
+
+        this.initializeOptions();
+        this.bindEvents();
+    }
+
+    get client() {
+        return this.uiManager.pixooClient;
+    }
+
+    initializeOptions() {
+        const addOptions = (select, options) => {
+            options.forEach(({ value, label }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+        };
+
+        addOptions(document.getElementById('device-channel'), PixooClient.CHANNELS);
+        addOptions(document.getElementById('device-cloud-channel'), PixooClient.CLOUD_CHANNELS);
+
+        const zones = [];
+        for (let offset = -12; offset <= 14; offset++) {
+            zones.push({ value: offset, label: `UTC${offset < 0 ? '−' : '+'}${Math.abs(offset)}` });
+        }
+        addOptions(document.getElementById('device-time-zone'), zones);
+    }
+
+    bindEvents() {
+        const on = (id, type, handler) => document.getElementById(id).addEventListener(type, handler);
+        const value = id => document.getElementById(id).value;
+        const number = id => parseInt(value(id));
+
+        on('device-controls-btn', 'click', () => this.open());
+        on('close-device-controls-btn', 'click', () => this.close());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal')) {
+                this.close();
+            }
+        });
+
+        on('device-read-config-btn', 'click', () => this.readFromDevice());
+
+        on('device-screen-on-btn', 'click', () => this.send('Screen turned on', client => client.setScreenOn(true)));
+        on('device-screen-off-btn', 'click', () => this.send('Screen turned off', client => client.setScreenOn(false)));
+
+        // The built-in channels replace the scene on the display
+        const takesDisplay = true;
+        on('device-channel', 'change', () => this.send('Channel changed', client => client.setChannel(number('device-channel')), { takesDisplay }));
+        on('device-clock-btn', 'click', () => this.send('Clock face shown', client => client.setClockFace(number('device-clock-id')), { takesDisplay }));
+        on('device-visualizer-btn', 'click', () => this.send('Visualizer shown', client => client.setVisualizer(number('device-visualizer')), { takesDisplay }));
+        on('device-cloud-channel', 'change', () => this.send('Cloud channel shown', client => client.setCloudChannel(number('device-cloud-channel')), { takesDisplay }));
+        on('device-custom-page', 'change', () => this.send('Custom page shown', client => client.setCustomPage(number('device-custom-page')), { takesDisplay }));
+
+        on('device-rotation', 'change', () => this.send('Rotation changed', client => client.setRotation(number('device-rotation'))));
+        on('device-mirror', 'change', (e) => this.send('Mirror mode changed', client => client.setMirrorMode(e.target.checked)));
+        on('device-time24', 'change', (e) => this.send('Time format changed', client => client.setTimeFormat24(e.target.checked)));
+        on('device-temperature-unit', 'change', () => this.send('Temperature unit changed', client => client.setTemperatureUnit(value('device-temperature-unit'))));
+        on('device-time-zone', 'change', () => this.send('Time zone changed', client => client.setTimeZone(number('device-time-zone'))));
+
+        on('device-sync-time-btn', 'click', async () => {
+            if (await this.send('Clock synced with this computer', client => client.setSystemTime())) {
+                this.showDeviceTime();
+            }
+        });
+
+        on('device-white-balance-btn', 'click', () => this.send('White balance changed', client => client.setWhiteBalance(
+            number('device-white-red'), number('device-white-green'), number('device-white-blue')
+        )));
+    }
+
+    open() {
+        this.setStatus('');
+        document.getElementById('device-config-raw').textContent = '';
+        document.getElementById('device-time').textContent = '';
+        document.getElementById('device-time-zone').value = Math.round(-new Date().getTimezoneOffset() / 60);
+        this.modal.classList.add('open');
+
+        if (this.client.connected) {
+            this.readFromDevice();
+        } else {
+            this.setStatus('Not connected; connect to the device to change its settings');
+        }
+    }
+
+    close() {
+        this.modal.classList.remove('open');
+    }
+
+    setStatus(text) {
+        document.getElementById('device-controls-status').textContent = text;
+    }
+
+    /**
+     * Run one client call and report the outcome; true when it succeeded.
+     * With takesDisplay the device shows its own screen afterwards, so the
+     * scenes are held until the user resumes them rather than pushing over it.
+     */
+    async send(description, action, { takesDisplay = false } = {}) {
+        if (!this.client.connected) {
+            alert('Please connect to the device first');
+            return false;
+        }
+
+        const sceneManager = this.uiManager.sceneManager;
+        const wasHeld = sceneManager.isHeldBy('device');
+        if (takesDisplay) {
+            sceneManager.setHeld(true, 'device');
+        }
+
+        try {
+            await action(this.client);
+            this.setStatus(takesDisplay ? `${description}; scenes paused until you press Play` : description);
+            return true;
+        } catch (error) {
+            if (takesDisplay && !wasHeld) {
+                sceneManager.setHeld(false, 'device');
+            }
+            console.error(`Device control failed (${description}):`, error);
+            this.setStatus(`Failed: ${error.message}`);
+            return false;
+        }
+    }
+
+    async readFromDevice() {
+        if (!this.client.connected) {
+            alert('Please connect to the device first');
+            return;
+        }
+
+        try {
+            const settings = await this.client.getSettings();
+
+            // Only overwrite what the firmware actually reported
+            const fill = (id, reported, property = 'value') => {
+                if (reported !== undefined) {
+                    document.getElementById(id)[property] = reported;
+                }
+            };
+            fill('device-channel', settings.channel);
+            fill('device-clock-id', settings.clockId);
+            fill('device-rotation', settings.rotation);
+            fill('device-mirror', settings.mirror, 'checked');
+            fill('device-time24', settings.time24, 'checked');
+            fill('device-temperature-unit', settings.temperatureUnit);
+            fill('brightness', settings.brightness);
+            fill('brightness-value', settings.brightness, 'textContent');
+
+            document.getElementById('device-config-raw').textContent = JSON.stringify(settings.raw, null, 2);
+            this.setStatus('Read settings from the device');
+        } catch (error) {
+            console.error('Failed to read device settings:', error);
+            this.setStatus(`Failed to read settings: ${error.message}`);
+            return;
+        }
+
+        await this.showDeviceTime();
+    }
+
+    async showDeviceTime() {
+        try {
+            const time = await this.client.getDeviceTime();
+            document.getElementById('device-time').textContent = time.localTime ? `Device time: ${time.localTime}` : '';
+        } catch (error) {
+            // Older firmware doesn't report its time
+            document.getElementById('device-time').textContent = '';
+        }
+    }
+}
+
+window.DeviceControlPanel = DeviceControlPanel;
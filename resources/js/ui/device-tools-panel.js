@@ -0,0 +1,126 @@
+/**
+ * DeviceToolsPanel - The Tools dialog for the firmware's built-in timer,
+ * stopwatch, scoreboard, noise meter and buzzer.
+ *
+ * These run on the device itself and replace whatever it was showing, so
+ * no scene is needed; the device's scenes are held until Play resumes them. The scoreboard keeps its scores here because the
+ * device only accepts both scores at once and never reports them.
+ */
+class DeviceToolsPanel {
+    constructor(uiManager) {
+        this.uiManager = uiManager;
+        this.modal = document.getElementById('device-tools-modal');
+        this.scores = { red: 0, blue: 0 };
+
+        this.bindEvents();
+    }
+
+    get client() {
+        return this.uiManager.pixooClient;
+    }
+
+    bindEvents() {
+        const on = (id, type, handler) => document.getElementById(id).addEventListener(type, handler);
+        const number = id => parseInt(document.getElementById(id).value);
+
+        on('device-tools-btn', 'click', () => this.open());
+        on('close-device-tools-btn', 'click', () => this.close());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal')) {
+                this.close();
+            }
+        });
+
+        // Starting a tool replaces the scene on the display
+        const takesDisplay = true;
+        on('tool-timer-start-btn', 'click', () => this.send('Timer started',
+            client => client.startTimer(number('tool-timer-minutes') || 0, number('tool-timer-seconds') || 0), { takesDisplay }));
+        on('tool-timer-stop-btn', 'click', () => this.send('Timer stopped', client => client.stopTimer()));
+
+        on('tool-stopwatch-start-btn', 'click', () => this.send('Stopwatch started', client => client.setStopwatch('start'), { takesDisplay }));
+        on('tool-stopwatch-stop-btn', 'click', () => this.send('Stopwatch stopped', client => client.setStopwatch('stop')));
+        on('tool-stopwatch-reset-btn', 'click', () => this.send('Stopwatch reset', client => client.setStopwatch('reset')));
+
+        this.modal.querySelectorAll('.scoreboard-team button').forEach(button => {
+            button.addEventListener('click', () => this.changeScore(button.dataset.team, parseInt(button.dataset.change)));
+        });
+        on('tool-score-reset-btn', 'click', () => this.setScores({ red: 0, blue: 0 }));
+
+        on('tool-noise-start-btn', 'click', () => this.send('Noise meter started', client => client.setNoiseMeter(true), { takesDisplay }));
+        on('tool-noise-stop-btn', 'click', () => this.send('Noise meter stopped', client => client.setNoiseMeter(false)));
+
+        on('tool-buzzer-btn', 'click', () => this.send('Buzzer played', client => client.playBuzzer({
+            activeMs: number('tool-buzzer-on'),
+            offMs: number('tool-buzzer-off'),
+            totalMs: number('tool-buzzer-total')
+        })));
+    }
+
+    open() {
+        this.setStatus(this.client.connected ? '' : 'Not connected; connect to the device to use its tools');
+        this.updateScores();
+        this.modal.classList.add('open');
+    }
+
+    close() {
+        this.modal.classList.remove('open');
+    }
+
+    setStatus(text) {
+        document.getElementById('device-tools-status').textContent = text;
+    }
+
+    /**
+     * Run one client call and report the outcome; true when it succeeded.
+     * With takesDisplay the device shows its own screen afterwards, so the
+     * scenes are held until the user resumes them rather than pushing over it.
+     */
+    async send(description, action, { takesDisplay = false } = {}) {
+        if (!this.client.connected) {
+            alert('Please connect to the device first');
+            return false;
+        }
+
+        const sceneManager = this.uiManager.sceneManager;
+        const wasHeld = sceneManager.isHeldBy('device');
+        if (takesDisplay) {
+            sceneManager.setHeld(true, 'device');
+        }
+
+        try {
+            await action(this.client);
+            this.setStatus(takesDisplay ? `${description}; scenes paused until you press Play` : description);
+            return true;
+        } catch (error) {
+            if (takesDisplay && !wasHeld) {
+                sceneManager.setHeld(false, 'device');
+            }
+            console.error(`Device tool failed (${description}):`, error);
+            this.setStatus(`Failed: ${error.message}`);
+            return false;
+        }
+    }
+
+    changeScore(team, change) {
+        const scores = { ...this.scores };
+        scores[team] = Math.max(0, Math.min(999, scores[team] + change));
+        this.setScores(scores);
+    }
+
+    /**
+     * Show new scores on the device; kept only once the device accepted them
+     */
+    async setScores(scores) {
+        if (await this.send('Scoreboard updated', client => client.setScoreboard(scores.red, scores.blue), { takesDisplay: true })) {
+            this.scores = scores;
+            this.updateScores();
+        }
+    }
+
+    updateScores() {
+        document.getElementById('tool-score-red').textContent = this.scores.red;
+        document.getElementById('tool-score-blue').textContent = this.scores.blue;
+    }
+}
+
+window.DeviceToolsPanel = DeviceToolsPanel;
@@ -0,0 +1,584 @@
+/**
+ * SpriteEditor - Paint mode on the preview canvas for drawing sprites.
+ *
+ * While a sprite is open the preview shows the sprite instead of the scene
+ * and mouse input goes to the current tool. Every stroke is one undo step;
+ * changes are written to the SpriteLibrary, which saves them.
+ */
+class SpriteEditor {
+    static TOOLS = [
+        { value: 'pencil', label: '✏️', title: 'Pencil' },
+        { value: 'eraser', label: '🧽', title: 'Eraser' },
+        { value: 'line', label: '╱', title: 'Line' },
+        { value: 'rect', label: '▭', title: 'Rectangle' },
+        { value: 'fill', label: '🪣', title: 'Fill' },
+        { value: 'eyedropper', label: '💧', title: 'Eyedropper' }
+    ];
+
+    // PICO-8 palette, a common starting point for small pixel art
+    static PALETTE = [
+        '#000000', '#1d2b53', '#7e2553', '#008751', '#ab5236', '#5f574f', '#c2c3c7', '#fff1e8',
+        '#ff004d', '#ffa300', '#ffec27', '#00e436', '#29adff', '#83769c', '#ff77a8', '#ffccaa'
+    ];
+
+    static MAX_UNDO = 50;
+
+    constructor(uiManager, spriteLibrary) {
+        this.uiManager = uiManager;
+        this.spriteLibrary = spriteLibrary;
+        this.canvas = uiManager.canvas;
+        this.ctx = uiManager.ctx;
+        this.overlayCanvas = uiManager.overlayCanvas;
+        this.overlayCtx = uiManager.overlayCtx;
+
+        this.sprite = null;
+        this.active = false;
+        this.tool = 'pencil';
+        this.color = [255, 255, 255];
+        this.layerIndex = 0;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.stroke = null;
+        this.hover = null;
+
+        this.initializeToolbar();
+        this.bindEvents();
+    }
+
+    initializeToolbar() {
+        const tools = document.getElementById('sprite-tools');
+        SpriteEditor.TOOLS.forEach(tool => {
+            const button = document.createElement('button');
+            button.className = 'secondary sprite-tool';
+            button.dataset.tool = tool.value;
+            button.textContent = tool.label;
+            button.title = tool.title;
+            button.addEventListener('click', () => this.setTool(tool.value));
+            tools.appendChild(button);
+        });
+
+        const palette = document.getElementById('sprite-palette');
+        SpriteEditor.PALETTE.forEach(hex => {
+            const swatch = document.createElement('button');
+            swatch.className = 'sprite-swatch';
+            swatch.style.background = hex;
+            swatch.title = hex;
+            swatch.addEventListener('click', () => this.setColor(ConfigSchema.hexToRgb(hex)));
+            palette.appendChild(swatch);
+        });
+
+        document.getElementById('sprite-color').addEventListener('input', (e) => {
+            this.setColor(ConfigSchema.hexToRgb(e.target.value));
+        });
+
+        document.getElementById('sprite-undo-btn').addEventListener('click', () => this.undo());
+        document.getElementById('sprite-redo-btn').addEventListener('click', () => this.redo());
+        document.getElementById('sprite-add-layer-btn').addEventListener('click', () => this.addLayer());
+        document.getElementById('sprite-export-btn').addEventListener('click', () => this.exportPng(this.sprite));
+        document.getElementById('sprite-done-btn').addEventListener('click', () => this.close());
+    }
+
+    bindEvents() {
+        // Capture on the container so the scene editor's drag handlers on the
+        // overlay never see paint-mode input
+        const container = this.overlayCanvas.parentElement;
+        const capture = (type, handler) => {
+            container.addEventListener(type, (e) => {
+                if (!this.active) return;
+                e.stopPropagation();
+                handler(e);
+            }, true);
+        };
+
+        capture('mousedown', (e) => this.handleMouseDown(e));
+        capture('mousemove', (e) => this.handleMouseMove(e));
+        capture('mouseup', () => this.handleMouseUp());
+        capture('mouseleave', () => this.handleMouseLeave());
+        capture('contextmenu', (e) => e.preventDefault());
+
+        // Single-finger touch paints like the mouse
+        capture('touchstart', (e) => {
+            e.preventDefault();
+            if (e.touches.length === 1) {
+                const { clientX, clientY } = e.touches[0];
+                this.handleMouseDown({ button: 0, clientX, clientY, preventDefault: () => {} });
+            }
+        });
+        capture('touchmove', (e) => {
+            e.preventDefault();
+            if (e.touches.length === 1) {
+                this.handleMouseMove(e.touches[0]);
+            }
+        });
+        capture('touchend', (e) => {
+            e.preventDefault();
+            this.handleMouseUp();
+        });
+        capture('dragover', () => {});
+        capture('drop', (e) => e.preventDefault());
+
+        document.addEventListener('keydown', (e) => {
+            if (!this.active || !(e.ctrlKey || e.metaKey)) return;
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        // The sprite may be deleted from the sidebar while open
+        document.addEventListener('spritesChanged', () => {
+            if (this.active && !this.spriteLibrary.getSprite(this.sprite.id)) {
+                this.close();
+            }
+        });
+    }
+
+    open(spriteId) {
+        const sprite = this.spriteLibrary.getSprite(spriteId);
+        if (!sprite) {
+            throw new Error(`Sprite with ID ${spriteId} does not exist`);
+        }
+
+        this.sprite = sprite;
+        this.active = true;
+        this.layerIndex = sprite.layers.length - 1;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.stroke = null;
+
+        document.getElementById('sprite-editor-toolbar').style.display = '';
+        document.getElementById('sprite-layers-panel').style.display = '';
+        document.getElementById('preview-title').textContent = `Editing ${sprite.name} (${sprite.width}x${sprite.height})`;
+
+        this.resizeCanvas();
+        this.setTool(this.tool);
+        this.setColor(this.color);
+        this.updateLayersDisplay();
+        this.updateHistoryButtons();
+        this.render();
+    }
+
+    close() {
+        if (!this.active) return;
+
+        this.active = false;
+        this.sprite = null;
+        this.stroke = null;
+
+        document.getElementById('sprite-editor-toolbar').style.display = 'none';
+        document.getElementById('sprite-layers-panel').style.display = 'none';
+
+        this.uiManager.updatePreviewTitle();
+        this.uiManager.resizePreview();
+        this.uiManager.updateOverlay();
+    }
+
+    resizeCanvas() {
+        const scale = Math.max(1, Math.floor(Math.min(640 / this.sprite.width, 320 / this.sprite.height)));
+
+        for (const canvas of [this.canvas, this.overlayCanvas]) {
+            canvas.width = this.sprite.width * scale;
+            canvas.height = this.sprite.height * scale;
+        }
+
+        this.ctx.imageSmoothingEnabled = false;
+        this.overlayCtx.imageSmoothingEnabled = false;
+    }
+
+    getScale() {
+        return this.canvas.width / this.sprite.width;
+    }
+
+    getPixelAt(event) {
+        const rect = this.overlayCanvas.getBoundingClientRect();
+        return {
+            x: Math.floor((event.clientX - rect.left) / rect.width * this.sprite.width),
+            y: Math.floor((event.clientY - rect.top) / rect.height * this.sprite.height)
+        };
+    }
+
+    setTool(tool) {
+        this.tool = tool;
+        document.querySelectorAll('#sprite-tools .sprite-tool').forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        });
+    }
+
+    setColor(color) {
+        if (!color) return;
+
+        this.color = color;
+        document.getElementById('sprite-color').value = ConfigSchema.rgbToHex(color);
+    }
+
+    getPaintColor() {
+        return this.tool === 'eraser' ? null : this.color;
+    }
+
+    handleMouseDown(event) {
+        event.preventDefault();
+        if (event.button !== 0) return;
+
+        const { x, y } = this.getPixelAt(event);
+        if (!this.sprite.contains(x, y)) return;
+
+        switch (this.tool) {
+            case 'eyedropper':
+                this.setColor(this.sprite.composite()[y * this.sprite.width + x]);
+                return;
+
+            case 'fill':
+                this.pushUndo();
+                this.sprite.floodFill(this.layerIndex, x, y, this.getPaintColor());
+                this.commit();
+                return;
+
+            default:
+                this.pushUndo();
+                this.stroke = { startX: x, startY: y, lastX: x, lastY: y };
+
+                if (this.tool === 'pencil' || this.tool === 'eraser') {
+                    this.sprite.setPixel(this.layerIndex, x, y, this.getPaintColor());
+                }
+                this.render();
+        }
+    }
+
+    handleMouseMove(event) {
+        const { x, y } = this.getPixelAt(event);
+        this.hover = { x, y };
+
+        if (!this.stroke) {
+            this.renderOverlay();
+            return;
+        }
+
+        if (this.tool === 'pencil' || this.tool === 'eraser') {
+            // Join to the last position so fast strokes don't leave gaps
+            this.sprite.drawLine(this.layerIndex, this.stroke.lastX, this.stroke.lastY, x, y, this.getPaintColor());
+        }
+
+        this.stroke.lastX = x;
+        this.stroke.lastY = y;
+        this.render();
+    }
+
+    handleMouseUp() {
+        if (!this.stroke) return;
+
+        const { startX, startY, lastX, lastY } = this.stroke;
+        if (this.tool === 'line') {
+            this.sprite.drawLine(this.layerIndex, startX, startY, lastX, lastY, this.getPaintColor());
+        } else if (this.tool === 'rect') {
+            this.sprite.drawRect(this.layerIndex, startX, startY, lastX, lastY, this.getPaintColor());
+        }
+
+        this.stroke = null;
+        this.commit();
+    }
+
+    handleMouseLeave() {
+        this.hover = null;
+        this.handleMouseUp();
+        this.renderOverlay();
+    }
+
+    pushUndo() {
+        this.undoStack.push({ layers: this.sprite.snapshot(), layerIndex: this.layerIndex });
+        if (this.undoStack.length > SpriteEditor.MAX_UNDO) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    undo() {
+        this.stepHistory(this.undoStack, this.redoStack);
+    }
+
+    redo() {
+        this.stepHistory(this.redoStack, this.undoStack);
+    }
+
+    stepHistory(from, to) {
+        const entry = from.pop();
+        if (!entry) return;
+
+        to.push({ layers: this.sprite.snapshot(), layerIndex: this.layerIndex });
+        this.sprite.restore(entry.layers);
+        this.layerIndex = Math.min(entry.layerIndex, this.sprite.layers.length - 1);
+
+        this.updateLayersDisplay();
+        this.commit();
+    }
+
+    /**
+     * Finish an edit: redraw and let the library save
+     */
+    commit() {
+        this.render();
+        this.updateHistoryButtons();
+        this.spriteLibrary.notifyChange();
+    }
+
+    updateHistoryButtons() {
+        document.getElementById('sprite-undo-btn').disabled = this.undoStack.length === 0;
+        document.getElementById('sprite-redo-btn').disabled = this.redoStack.length === 0;
+    }
+
+    // Layers
+
+    addLayer() {
+        try {
+            this.pushUndo();
+            this.layerIndex = this.sprite.addLayer();
+            this.updateLayersDisplay();
+            this.commit();
+        } catch (error) {
+            this.undoStack.pop();
+            alert(error.message);
+        }
+    }
+
+    removeLayer(index) {
+        try {
+            this.pushUndo();
+            this.sprite.removeLayer(index);
+            this.layerIndex = Math.min(this.layerIndex, this.sprite.layers.length - 1);
+            this.updateLayersDisplay();
+            this.commit();
+        } catch (error) {
+            this.undoStack.pop();
+            alert(error.message);
+        }
+    }
+
+    moveLayer(index, direction) {
+        const target = index + direction;
+        if (target < 0 || target >= this.sprite.layers.length) return;
+
+        this.pushUndo();
+        this.sprite.moveLayer(index, target);
+        if (this.layerIndex === index) {
+            this.layerIndex = target;
+        } else if (this.layerIndex === target) {
+            this.layerIndex = index;
+        }
+        this.updateLayersDisplay();
+        this.commit();
+    }
+
+    setLayerVisible(index, visible) {
+        this.pushUndo();
+        this.sprite.layers[index].visible = visible;
+        this.commit();
+    }
+
+    renameLayer(index, name) {
+        if (!name) return;
+
+        this.sprite.layers[index].name = name;
+        this.spriteLibrary.notifyChange();
+    }
+
+    selectLayer(index) {
+        this.layerIndex = index;
+        this.updateLayersDisplay();
+    }
+
+    updateLayersDisplay() {
+        const container = document.getElementById('sprite-layers');
+        container.innerHTML = '';
+
+        // Top layer first, like most paint programs
+        for (let index = this.sprite.layers.length - 1; index >= 0; index--) {
+            const layer = this.sprite.layers[index];
+            const row = document.createElement('div');
+            row.className = `sprite-layer${index === this.layerIndex ? ' active' : ''}`;
+
+            const visible = document.createElement('input');
+            visible.type = 'checkbox';
+            visible.checked = layer.visible;
+            visible.title = 'Visible';
+            visible.addEventListener('change', () => this.setLayerVisible(index, visible.checked));
+
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.value = layer.name;
+            name.addEventListener('focus', () => this.selectLayer(index));
+            name.addEventListener('change', () => this.renameLayer(index, name.value.trim()));
+
+            row.append(visible, name);
+            [['↑', 1, 'Move up'], ['↓', -1, 'Move down']].forEach(([label, direction, title]) => {
+                const button = document.createElement('button');
+                button.className = 'secondary';
+                button.textContent = label;
+                button.title = title;
+                button.addEventListener('click', () => this.moveLayer(index, direction));
+                row.appendChild(button);
+            });
+
+            const remove = document.createElement('button');
+            remove.className = 'danger';
+            remove.textContent = '🗑';
+            remove.title = 'Delete layer';
+            remove.disabled = this.sprite.layers.length === 1;
+            remove.addEventListener('click', () => this.removeLayer(index));
+            row.appendChild(remove);
+
+            row.addEventListener('click', (e) => {
+                if (e.target === row) this.selectLayer(index);
+            });
+
+            container.appendChild(row);
+        }
+    }
+
+    // Drawing
+
+    render() {
+        if (!this.active) return;
+
+        const scale = this.getScale();
+        const pixels = this.sprite.composite();
+        const checker = Math.max(1, Math.floor(scale / 2));
+
+        for (let y = 0; y < this.sprite.height; y++) {
+            for (let x = 0; x < this.sprite.width; x++) {
+                const pixel = pixels[y * this.sprite.width + x];
+
+                if (pixel) {
+                    this.ctx.fillStyle = `rgb(${pixel[0]}, ${pixel[1]}, ${pixel[2]})`;
+                    this.ctx.fillRect(x * scale, y * scale, scale, scale);
+                    continue;
+                }
+
+                // Checkerboard marks transparent pixels
+                for (let cy = 0; cy < scale; cy += checker) {
+                    for (let cx = 0; cx < scale; cx += checker) {
+                        const light = ((cx + cy) / checker) % 2 === 0;
+                        this.ctx.fillStyle = light ? '#2a2a2a' : '#1e1e1e';
+                        this.ctx.fillRect(x * scale + cx, y * scale + cy, checker, checker);
+                    }
+                }
+            }
+        }
+
+        // Pixel grid once pixels are big enough to see it
+        if (scale >= 6) {
+            this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+            this.ctx.lineWidth = 1;
+            this.ctx.beginPath();
+            for (let x = 1; x < this.sprite.width; x++) {
+                this.ctx.moveTo(x * scale + 0.5, 0);
+                this.ctx.lineTo(x * scale + 0.5, this.canvas.height);
+            }
+            for (let y = 1; y < this.sprite.height; y++) {
+                this.ctx.moveTo(0, y * scale + 0.5);
+                this.ctx.lineTo(this.canvas.width, y * scale + 0.5);
+            }
+            this.ctx.stroke();
+        }
+
+        this.renderOverlay();
+    }
+
+    /**
+     * Line/rectangle preview and the hovered pixel
+     */
+    renderOverlay() {
+        this.overlayCtx.clearRect(0, 0, this.overlayCanvas.width, this.overlayCanvas.height);
+        if (!this.active) return;
+
+        const scale = this.getScale();
+
+        if (this.stroke && (this.tool === 'line' || this.tool === 'rect')) {
+            const preview = new Sprite('preview', '', this.sprite.width, this.sprite.height);
+            const { startX, startY, lastX, lastY } = this.stroke;
+            const marker = [255, 255, 255];
+
+            if (this.tool === 'line') {
+                preview.drawLine(0, startX, startY, lastX, lastY, marker);
+            } else {
+                preview.drawRect(0, startX, startY, lastX, lastY, marker);
+            }
+
+            const color = this.getPaintColor();
+            this.overlayCtx.fillStyle = color ? `rgb(${color[0]}, ${color[1]}, ${color[2]})` : 'rgba(0, 0, 0, 0.6)';
+            preview.layers[0].pixels.forEach((pixel, index) => {
+                if (!pixel) return;
+                const x = index % this.sprite.width;
+                const y = Math.floor(index / this.sprite.width);
+                this.overlayCtx.fillRect(x * scale, y * scale, scale, scale);
+            });
+        }
+
+        if (this.hover && this.sprite.contains(this.hover.x, this.hover.y)) {
+            this.overlayCtx.strokeStyle = '#00d4aa';
+            this.overlayCtx.lineWidth = 1;
+            this.overlayCtx.strokeRect(this.hover.x * scale + 0.5, this.hover.y * scale + 0.5, scale - 1, scale - 1);
+        }
+    }
+
+    // Export
+
+    /**
+     * PNG data URL of the flattened sprite
+     */
+    toPngDataUrl(sprite) {
+        const canvas = document.createElement('canvas');
+        canvas.width = sprite.width;
+        canvas.height = sprite.height;
+
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(sprite.width, sprite.height);
+        sprite.composite().forEach((pixel, index) => {
+            if (!pixel) return;
+            image.data.set([pixel[0], pixel[1], pixel[2], 255], index * 4);
+        });
+        ctx.putImageData(image, 0, 0);
+
+        return canvas.toDataURL('image/png');
+    }
+
+    /**
+     * Save the sprite as a PNG through the native save dialog, or as a
+     * browser download outside Neutralino
+     */
+    async exportPng(sprite) {
+        if (!sprite) return;
+
+        const dataUrl = this.toPngDataUrl(sprite);
+        const fileName = `${sprite.name.replace(/[^\w.-]+/g, '_') || 'sprite'}.png`;
+
+        try {
+            if (typeof Neutralino !== 'undefined' && Neutralino.os && typeof Neutralino.os.showSaveDialog === 'function') {
+                const path = await Neutralino.os.showSaveDialog('Export sprite as PNG', {
+                    defaultPath: fileName,
+                    filters: [{ name: 'PNG image', extensions: ['png'] }]
+                });
+                if (!path) return;
+
+                const bytes = ImageLoader.parseDataUrl(dataUrl);
+                await Neutralino.filesystem.writeBinaryFile(path, bytes.buffer);
+                console.log(`Exported sprite ${sprite.name} to ${path}`);
+                return;
+            }
+
+            const link = document.createElement('a');
+            link.href = dataUrl;
+            link.download = fileName;
+            link.click();
+        } catch (error) {
+            console.error('Failed to export sprite:', error);
+            alert(`Failed to export sprite: ${error.message || error}`);
+        }
+    }
+}
+
+window.SpriteEditor = SpriteEditor;
@@ -1,16 +1,28 @@
 class UIManager {
-    constructor(sceneManager, pluginManager, pixooClient) {
-        this.sceneManager = sceneManager;
+    constructor(deviceRegistry, pluginManager, spriteLibrary) {
+        this.deviceRegistry = deviceRegistry;
         this.pluginManager = pluginManager;
-        this.pixooClient = pixooClient;
+        this.spriteLibrary = spriteLibrary;
+
+        // The device shown in the editor and preview
+        const device = deviceRegistry.getCurrentDevice();
+        this.sceneManager = device.sceneManager;
+        this.pixooClient = device.client;
+
         this.currentScene = null;
+        this.editingRuleId = null;
         this.canvas = null;
         this.ctx = null;
         this.previewInterval = null;
         this.deviceScanner = new DeviceScanner();
 
         this.initializeUI();
+        this.spriteEditor = new SpriteEditor(this, spriteLibrary);
+        this.deviceControlPanel = new DeviceControlPanel(this);
+        this.deviceToolsPanel = new DeviceToolsPanel(this);
         this.bindEvents();
+        this.onCurrentDeviceChanged(device);
+        this.updateSpritesDisplay();
     }
 
     initializeUI() {
@@ -38,14 +50,61 @@ class UIManager {
         // Set up drag and drop event listeners
         this.initializeDragAndDrop();
 
-        // Set up scene manager event target
-        this.sceneManager.setEventTarget(document);
-
-        // Listen for scene changes
+        // Listen for scene changes. Every device's scene manager dispatches
+        // on document, so ignore events from devices that aren't shown.
         document.addEventListener('sceneChanged', (e) => {
+            if (e.detail.sceneManager !== this.sceneManager) return;
             this.onSceneChanged(e.detail);
         });
 
+        document.addEventListener('displaySizeChanged', (e) => {
+            if (e.detail.sceneManager !== this.sceneManager) return;
+            this.onDisplaySizeChanged(e.detail.size);
+        });
+
+        document.addEventListener('playlistStateChanged', (e) => {
+            if (e.detail.sceneManager !== this.sceneManager) return;
+            this.updateScenesDisplay();
+        });
+
+        document.addEventListener('scheduleStateChanged', (e) => {
+            if (e.detail.sceneManager !== this.sceneManager) return;
+            this.updateScheduleDisplay();
+        });
+
+        document.addEventListener('brightnessStateChanged', (e) => {
+            if (e.detail.sceneManager !== this.sceneManager) return;
+            this.updateNightModeStatus();
+        });
+
+        // Device registry events
+        document.addEventListener('currentDeviceChanged', (e) => {
+            this.onCurrentDeviceChanged(e.detail.device);
+        });
+
+        document.addEventListener('devicesChanged', () => {
+            this.updateDevicesDisplay();
+        });
+
+        document.addEventListener('spritesChanged', () => {
+            this.updateSpritesDisplay();
+        });
+
+        // A member changing state also changes the state of its groups
+        document.addEventListener('deviceStatusChanged', () => {
+            this.updateDevicesDisplay();
+            this.updateConnectionStatus();
+        });
+
+        // Transition choices come from the registry
+        const transitionSelect = document.getElementById('playlist-transition');
+        SceneTransitions.getTransitionNames().forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            transitionSelect.appendChild(option);
+        });
+
         // Initialize widget types display after a short delay to ensure plugins are loaded
         setTimeout(() => {
             this.updateWidgetTypesDisplay();
@@ -61,11 +120,73 @@ class UIManager {
             this.handleConnect();
         });
 
+        // Devices
+        document.getElementById('device-select').addEventListener('change', (e) => {
+            this.deviceRegistry.setCurrentDevice(e.target.value);
+        });
+
+        document.getElementById('add-device-btn').addEventListener('click', () => {
+            this.addDevice();
+        });
+
+        document.getElementById('add-group-btn').addEventListener('click', () => {
+            this.addDevice({ type: 'group', size: this.getDisplaySize() });
+        });
+
+        document.getElementById('add-wall-btn').addEventListener('click', () => {
+            this.addDevice({ type: 'wall', size: this.getDisplaySize(), columns: 2, rows: 2 });
+        });
+
+        document.getElementById('remove-device-btn').addEventListener('click', () => {
+            this.removeDevice();
+        });
+
+        document.getElementById('device-name').addEventListener('change', (e) => {
+            this.deviceRegistry.renameDevice(this.deviceRegistry.currentDeviceId, e.target.value.trim());
+        });
+
+        // Schedule
+        document.getElementById('schedule-enabled').addEventListener('change', (e) => {
+            this.sceneManager.scheduler.setEnabled(e.target.checked);
+        });
+
+        document.getElementById('add-schedule-rule-btn').addEventListener('click', () => {
+            this.showScheduleRuleModal();
+        });
+
+        document.getElementById('rule-kind').addEventListener('change', () => {
+            this.updateRuleKindFields();
+        });
+
+        document.getElementById('save-schedule-rule-btn').addEventListener('click', () => {
+            this.saveScheduleRule();
+        });
+
+        document.getElementById('cancel-schedule-rule-btn').addEventListener('click', () => {
+            this.hideScheduleRuleModal();
+        });
+
+        // Keep the timeline's "now" marker and the night mode status current
+        setInterval(() => {
+            this.updateScheduleTimeline();
+            this.updateNightModeStatus();
+        }, 60000);
+
+        // Sprites
+        document.getElementById('create-sprite-btn').addEventListener('click', () => {
+            this.createSprite();
+        });
+
         // Device scanning
         document.getElementById('scan-devices-btn').addEventListener('click', () => {
             this.scanForDevices();
         });
 
+        // Display size
+        document.getElementById('display-size').addEventListener('change', (e) => {
+            this.setDisplaySize(parseInt(e.target.value));
+        });
+
         // Brightness control
         const brightnessSlider = document.getElementById('brightness');
         const brightnessValue = document.getElementById('brightness-value');
@@ -76,6 +197,36 @@ class UIManager {
             this.setBrightness(parseInt(value));
         });
 
+        // Night mode
+        const nightModeSelect = document.getElementById('night-mode');
+        BrightnessAutomation.MODES.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            nightModeSelect.appendChild(option);
+        });
+
+        document.getElementById('night-mode-btn').addEventListener('click', () => {
+            this.showNightModeModal();
+        });
+
+        document.getElementById('night-mode-modal').addEventListener('input', () => {
+            this.updateNightModeFields();
+        });
+
+        document.getElementById('add-screen-off-btn').addEventListener('click', () => {
+            this.addScreenOffRow({ start: '01:00', end: '06:00' });
+            this.updateNightModeFields();
+        });
+
+        document.getElementById('save-night-mode-btn').addEventListener('click', () => {
+            this.saveNightMode();
+        });
+
+        document.getElementById('cancel-night-mode-btn').addEventListener('click', () => {
+            this.hideNightModeModal();
+        });
+
         // Scene management
         document.getElementById('add-scene-btn').addEventListener('click', () => {
             this.showAddSceneModal();
@@ -89,6 +240,36 @@ class UIManager {
             this.hideAddSceneModal();
         });
 
+        // Playlist
+        document.getElementById('playlist-play-btn').addEventListener('click', () => {
+            this.togglePlaylist();
+        });
+
+        document.getElementById('playlist-prev-btn').addEventListener('click', () => {
+            this.sceneManager.playlist.previous();
+        });
+
+        document.getElementById('playlist-next-btn').addEventListener('click', () => {
+            this.sceneManager.playlist.next();
+        });
+
+        document.getElementById('playlist-add-btn').addEventListener('click', () => {
+            this.addPlaylistEntry();
+        });
+
+        document.getElementById('playlist-shuffle').addEventListener('change', (e) => {
+            this.sceneManager.playlist.setShuffle(e.target.checked);
+        });
+
+        document.getElementById('playlist-transition').addEventListener('change', (e) => {
+            this.sceneManager.playlist.setTransition(e.target.value);
+        });
+
+        document.getElementById('playlist-transition-duration').addEventListener('change', (e) => {
+            const playlist = this.sceneManager.playlist;
+            playlist.setTransition(playlist.transition, parseInt(e.target.value) || 0);
+        });
+
         // Scene actions
         document.getElementById('play-scene-btn').addEventListener('click', () => {
             this.playScene();
@@ -98,6 +279,14 @@ class UIManager {
             this.stopScene();
         });
 
+        document.getElementById('upload-animation-btn').addEventListener('click', () => {
+            this.uploadSceneAnimation();
+        });
+
+        document.getElementById('move-scene-select').addEventListener('change', (e) => {
+            this.moveSceneToDevice(e.target.value);
+        });
+
         document.getElementById('delete-scene-btn').addEventListener('click', () => {
             this.deleteScene();
         });
@@ -123,14 +312,33 @@ class UIManager {
                 this.hideWidgetConfigModal();
             }
         });
+
+        document.getElementById('schedule-rule-modal').addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal')) {
+                this.hideScheduleRuleModal();
+            }
+        });
+
+        document.getElementById('night-mode-modal').addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal')) {
+                this.hideNightModeModal();
+            }
+        });
     }
 
     async handleConnect() {
         const ipAddress = document.getElementById('device-ip').value;
         const connectBtn = document.getElementById('connect-btn');
-        const statusElement = document.getElementById('connection-status');
+        // The user may switch devices while this one is connecting
+        const client = this.pixooClient;
+
+        if (client.connected) {
+            client.disconnect();
+            return;
+        }
 
-        if (!ipAddress) {
+        // Groups connect through their members' addresses
+        if (!ipAddress && !(client instanceof DeviceGroupClient)) {
             alert('Please enter a device IP address');
             return;
         }
@@ -139,25 +347,268 @@ class UIManager {
         connectBtn.textContent = 'Connecting...';
 
         try {
-            this.pixooClient.ipAddress = ipAddress;
-            await this.pixooClient.connect();
-
-            statusElement.textContent = 'Connected';
-            statusElement.className = 'connected';
-            connectBtn.textContent = 'Disconnect';
-            connectBtn.disabled = false;
-
+            if (!(client instanceof DeviceGroupClient)) {
+                client.ipAddress = ipAddress;
+            }
+            await client.connect();
         } catch (error) {
             console.error('Connection failed:', error);
             alert(`Failed to connect: ${error.message}`);
-
-            statusElement.textContent = 'Disconnected';
-            statusElement.className = 'disconnected';
-            connectBtn.textContent = 'Connect';
+        } finally {
             connectBtn.disabled = false;
+            this.updateConnectionStatus();
+        }
+    }
+
+    updateConnectionStatus() {
+        const statusElement = document.getElementById('connection-status');
+        const connectBtn = document.getElementById('connect-btn');
+        const connected = this.pixooClient.connected;
+
+        statusElement.textContent = connected ? 'Connected' : 'Disconnected';
+        statusElement.className = connected ? 'connected' : 'disconnected';
+        if (!connectBtn.disabled) {
+            connectBtn.textContent = connected ? 'Disconnect' : 'Connect';
+        }
+    }
+
+    /**
+     * Point the editor, preview and device settings at another device
+     */
+    onCurrentDeviceChanged(device) {
+        this.sceneManager = device.sceneManager;
+        this.pixooClient = device.client;
+        this.currentScene = this.sceneManager.getActiveScene();
+        this.selectedWidget = null;
+        this.hoveredWidget = null;
+        this.dragState.isDragging = false;
+        this.dragState.widget = null;
+
+        document.getElementById('device-ip').value = device.client.ipAddress || '';
+
+        this.onDisplaySizeChanged(device.client.size);
+        this.updateConnectionStatus();
+        this.updateDevicesDisplay();
+        this.updateNightModeStatus();
+    }
+
+    updateDevicesDisplay() {
+        const devices = this.deviceRegistry.getAllDevices();
+        const currentDevice = this.deviceRegistry.getCurrentDevice();
+        const deviceSelect = document.getElementById('device-select');
+        const statusList = document.getElementById('device-status-list');
+
+        deviceSelect.innerHTML = '';
+        statusList.innerHTML = '';
+
+        devices.forEach(device => {
+            const option = document.createElement('option');
+            option.value = device.id;
+            option.textContent = device.name;
+            option.selected = device === currentDevice;
+            deviceSelect.appendChild(option);
+
+            // Header chip, only worth showing with more than one device
+            if (devices.length > 1) {
+                const chip = document.createElement('div');
+                chip.className = 'device-status';
+                chip.classList.toggle('connected', device.isConnected());
+                chip.classList.toggle('current', device === currentDevice);
+                chip.title = device.isGroup()
+                    ? `${device.isWall() ? 'Wall' : 'Group'} of ${device.client.members.length} device(s)`
+                    : device.client.ipAddress || 'No IP address';
+                chip.innerHTML = '<span class="status-dot"></span>';
+                chip.appendChild(document.createTextNode(device.name));
+                chip.addEventListener('click', () => {
+                    this.deviceRegistry.setCurrentDevice(device.id);
+                });
+                statusList.appendChild(chip);
+            }
+        });
+
+        document.getElementById('device-name').value = currentDevice ? currentDevice.name : '';
+
+        const isGroup = Boolean(currentDevice && currentDevice.isGroup());
+        document.getElementById('device-ip-group').style.display = isGroup ? 'none' : '';
+        document.getElementById('group-members-group').style.display = isGroup ? '' : 'none';
+        if (isGroup) {
+            this.updateGroupMembersDisplay(currentDevice);
+        }
+        document.getElementById('remove-device-btn').disabled = devices.length < 2;
+
+        // Scenes can be moved to any other device
+        const moveSelect = document.getElementById('move-scene-select');
+        moveSelect.innerHTML = '<option value="">Move to…</option>';
+        devices.filter(device => device !== currentDevice).forEach(device => {
+            const option = document.createElement('option');
+            option.value = device.id;
+            option.textContent = device.name;
+            moveSelect.appendChild(option);
+        });
+        moveSelect.style.display = devices.length > 1 ? '' : 'none';
+    }
+
+    /**
+     * Membership and brightness offset for every device that can join the group.
+     * Walls pick a panel position per device instead of a checkbox.
+     */
+    updateGroupMembersDisplay(group) {
+        const container = document.getElementById('group-members');
+        const candidates = this.deviceRegistry.getAllDevices().filter(device => !device.isGroup());
+        const isWall = group.isWall();
+
+        container.innerHTML = '';
+
+        if (isWall) {
+            const layout = document.createElement('div');
+            layout.className = 'group-member wall-layout';
+            layout.innerHTML = `
+                <span class="member-name">Layout</span>
+                <input type="number" class="wall-columns" min="1" max="${TiledWallClient.MAX_PANELS}" value="${group.client.columns}" title="Columns">
+                ×
+                <input type="number" class="wall-rows" min="1" max="${TiledWallClient.MAX_PANELS}" value="${group.client.rows}" title="Rows">
+            `;
+            layout.querySelectorAll('input').forEach(input => {
+                input.addEventListener('change', () => this.saveWallLayout(group));
+            });
+            container.appendChild(layout);
+        }
+
+        if (candidates.length === 0) {
+            container.insertAdjacentHTML('beforeend', '<div class="no-members">Add devices to build a group</div>');
+            return;
+        }
+
+        candidates.forEach(device => {
+            const member = group.client.members.find(m => m.deviceId === device.id);
+            const sizeMatches = device.client.size === group.client.size;
+
+            const row = document.createElement('div');
+            row.className = 'group-member';
+            row.dataset.deviceId = device.id;
+
+            let membership;
+            if (isWall) {
+                membership = document.createElement('select');
+                membership.className = 'member-panel';
+                membership.disabled = !sizeMatches;
+                membership.innerHTML = '<option value="">—</option>';
+                for (let panelRow = 0; panelRow < group.client.rows; panelRow++) {
+                    for (let column = 0; column < group.client.columns; column++) {
+                        const option = document.createElement('option');
+                        option.value = `${column},${panelRow}`;
+                        option.textContent = `Col ${column + 1}, Row ${panelRow + 1}`;
+                        option.selected = Boolean(member && member.column === column && member.row === panelRow);
+                        membership.appendChild(option);
+                    }
+                }
+            } else {
+                membership = document.createElement('input');
+                membership.type = 'checkbox';
+                membership.checked = Boolean(member);
+                membership.disabled = !sizeMatches;
+            }
+
+            const name = document.createElement('span');
+            name.className = 'member-name';
+            name.textContent = sizeMatches
+                ? device.name
+                : `${device.name} (${device.client.size}x${device.client.size})`;
+
+            const offset = document.createElement('input');
+            offset.type = 'number';
+            offset.className = 'member-offset';
+            offset.min = -100;
+            offset.max = 100;
+            offset.step = 1;
+            offset.value = member ? member.brightnessOffset : 0;
+            offset.title = 'Brightness offset';
+
+            row.append(membership, name, offset);
+            [membership, offset].forEach(input => {
+                input.addEventListener('change', () => this.saveGroupMembers(group));
+            });
+
+            container.appendChild(row);
+        });
+    }
+
+    saveGroupMembers(group) {
+        const members = [];
+
+        document.querySelectorAll('#group-members .group-member[data-device-id]').forEach(row => {
+            const member = {
+                deviceId: row.dataset.deviceId,
+                brightnessOffset: parseInt(row.querySelector('.member-offset').value) || 0
+            };
+
+            if (group.isWall()) {
+                const panel = row.querySelector('.member-panel').value;
+                if (!panel) return;
+                [member.column, member.row] = panel.split(',').map(Number);
+            } else if (!row.querySelector('input[type="checkbox"]').checked) {
+                return;
+            }
+
+            members.push(member);
+        });
+
+        try {
+            this.deviceRegistry.setGroupMembers(group.id, members);
+        } catch (error) {
+            alert(`Failed to update group: ${error.message}`);
+            this.updateGroupMembersDisplay(group);
+        }
+    }
+
+    saveWallLayout(group) {
+        const columns = parseInt(document.querySelector('#group-members .wall-columns').value);
+        const rows = parseInt(document.querySelector('#group-members .wall-rows').value);
+
+        try {
+            this.deviceRegistry.setWallLayout(group.id, columns, rows);
+        } catch (error) {
+            alert(`Failed to change wall layout: ${error.message}`);
+            this.updateGroupMembersDisplay(group);
+        }
+    }
+
+    addDevice(options = {}) {
+        const device = this.deviceRegistry.addDevice(options);
+        this.deviceRegistry.setCurrentDevice(device.id);
+        return device;
+    }
+
+    async removeDevice() {
+        const device = this.deviceRegistry.getCurrentDevice();
+        if (!device) return;
+
+        if (!confirm(`Remove the device "${device.name}" and all of its scenes?`)) return;
+
+        try {
+            await this.deviceRegistry.removeDevice(device.id);
+        } catch (error) {
+            alert(`Failed to remove device: ${error.message}`);
         }
     }
 
+    moveSceneToDevice(deviceId) {
+        const moveSelect = document.getElementById('move-scene-select');
+        moveSelect.value = '';
+
+        if (!deviceId || !this.currentScene) return;
+
+        try {
+            this.deviceRegistry.moveScene(this.currentScene.id, this.deviceRegistry.currentDeviceId, deviceId);
+        } catch (error) {
+            console.error('Failed to move scene:', error);
+            alert(`Failed to move scene: ${error.message}`);
+        }
+
+        this.updateScenesDisplay();
+        this.updateSceneEditor();
+    }
+
     async setBrightness(level) {
         if (this.pixooClient.connected) {
             try {
@@ -168,7 +619,244 @@ class UIManager {
         }
     }
 
+    /**
+     * Night mode summary next to the button; the slider follows the automatic level
+     */
+    updateNightModeStatus() {
+        const automation = this.sceneManager.brightnessAutomation;
+        const status = document.getElementById('night-mode-status');
+
+        if (!automation.isActive()) {
+            status.textContent = '';
+            return;
+        }
+
+        const state = automation.getState();
+        const phase = !state.screenOn ? 'Screen off' : state.nightFactor >= 1 ? 'Night' : state.nightFactor > 0 ? 'Fading' : 'Day';
+        status.textContent = `${phase} · ${state.brightness}%`;
+
+        document.getElementById('brightness').value = state.brightness;
+        document.getElementById('brightness-value').textContent = state.brightness;
+    }
+
+    showNightModeModal() {
+        const settings = this.sceneManager.brightnessAutomation.settings;
+
+        document.getElementById('night-mode').value = settings.mode;
+        document.getElementById('night-latitude').value = settings.latitude ?? '';
+        document.getElementById('night-longitude').value = settings.longitude ?? '';
+        document.getElementById('night-start').value = settings.nightStart;
+        document.getElementById('night-end').value = settings.nightEnd;
+        document.getElementById('night-day-brightness').value = settings.dayBrightness;
+        document.getElementById('night-night-brightness').value = settings.nightBrightness;
+        document.getElementById('night-fade').value = settings.fadeMinutes;
+        document.getElementById('night-temperature').value = settings.nightColorTemperature;
+
+        document.getElementById('night-screen-off').innerHTML = '';
+        settings.screenOff.forEach(span => this.addScreenOffRow(span));
+
+        this.updateNightModeFields();
+        document.getElementById('night-mode-modal').classList.add('open');
+    }
+
+    hideNightModeModal() {
+        document.getElementById('night-mode-modal').classList.remove('open');
+    }
+
+    addScreenOffRow(span) {
+        const row = document.createElement('div');
+        row.className = 'screen-off-window';
+        row.innerHTML = `
+            <input type="time" class="screen-off-start" value="${span.start}">
+            <input type="time" class="screen-off-end" value="${span.end}">
+            <button class="danger" title="Remove">✕</button>
+        `;
+        row.querySelector('button').addEventListener('click', () => {
+            row.remove();
+            this.updateNightModeFields();
+        });
+        document.getElementById('night-screen-off').appendChild(row);
+    }
+
+    readNightModeForm() {
+        return {
+            mode: document.getElementById('night-mode').value,
+            latitude: document.getElementById('night-latitude').value,
+            longitude: document.getElementById('night-longitude').value,
+            nightStart: document.getElementById('night-start').value,
+            nightEnd: document.getElementById('night-end').value,
+            dayBrightness: document.getElementById('night-day-brightness').value,
+            nightBrightness: document.getElementById('night-night-brightness').value,
+            fadeMinutes: document.getElementById('night-fade').value,
+            nightColorTemperature: document.getElementById('night-temperature').value,
+            screenOff: Array.from(document.querySelectorAll('#night-screen-off .screen-off-window')).map(row => ({
+                start: row.querySelector('.screen-off-start').value,
+                end: row.querySelector('.screen-off-end').value
+            }))
+        };
+    }
+
+    /**
+     * Show the fields for the chosen mode and redraw the preview curve
+     */
+    updateNightModeFields() {
+        const form = this.readNightModeForm();
+
+        document.getElementById('night-sun-fields').style.display = form.mode === 'sun' ? '' : 'none';
+        document.getElementById('night-schedule-fields').style.display = form.mode === 'schedule' ? '' : 'none';
+        document.getElementById('night-temperature-value').textContent = `${form.nightColorTemperature}K`;
+
+        // Plot the curve the form describes without touching the device
+        const preview = new BrightnessAutomation(this.sceneManager);
+        const sunTimes = document.getElementById('night-sun-times');
+        sunTimes.textContent = '';
+
+        try {
+            preview.settings = preview.validate(form);
+        } catch (error) {
+            if (form.mode === 'sun') {
+                sunTimes.textContent = error.message;
+            }
+            this.drawNightModeCurve(null);
+            return;
+        }
+
+        if (form.mode === 'sun') {
+            const { sunrise, sunset, polar } = BrightnessAutomation.sunTimes(new Date(), preview.settings.latitude, preview.settings.longitude);
+            const format = date => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            sunTimes.textContent = polar
+                ? `No ${polar === 'day' ? 'sunset' : 'sunrise'} today (polar ${polar})`
+                : `Today: sunrise ${format(sunrise)}, sunset ${format(sunset)}`;
+        }
+
+        this.drawNightModeCurve(preview);
+    }
+
+    /**
+     * Today's brightness curve over orange night shading, screen-off time greyed out
+     */
+    drawNightModeCurve(automation) {
+        const canvas = document.getElementById('night-curve');
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#1e1e1e';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        if (!automation) return;
+
+        const minutesPerDay = 24 * 60;
+        const points = automation.getCurve(new Date(), 10);
+        const toX = minute => minute / minutesPerDay * canvas.width;
+        const toY = level => canvas.height - 2 - level / 100 * (canvas.height - 4);
+
+        points.forEach((point, index) => {
+            const next = points[index + 1];
+            if (!next) return;
+
+            ctx.fillStyle = point.screenOn ? `rgba(245, 158, 11, ${0.3 * point.nightFactor})` : '#444';
+            ctx.fillRect(toX(point.minute), 0, toX(next.minute) - toX(point.minute) + 1, canvas.height);
+        });
+
+        ctx.strokeStyle = '#00d4aa';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        points.forEach((point, index) => {
+            const level = point.screenOn ? point.brightness : 0;
+            if (index === 0) {
+                ctx.moveTo(toX(point.minute), toY(level));
+            } else {
+                ctx.lineTo(toX(point.minute), toY(level));
+            }
+        });
+        ctx.stroke();
+
+        const now = new Date();
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(toX(now.getHours() * 60 + now.getMinutes()), 0, 1, canvas.height);
+    }
+
+    saveNightMode() {
+        try {
+            this.sceneManager.brightnessAutomation.configure(this.readNightModeForm());
+            this.hideNightModeModal();
+            this.updateNightModeStatus();
+        } catch (error) {
+            alert(`Failed to save night mode: ${error.message}`);
+        }
+    }
+
+    getDisplaySize() {
+        return this.pixooClient.size;
+    }
+
+    // Drawing area; larger than the device size on a tiled wall
+    getDisplayWidth() {
+        return this.pixooClient.width;
+    }
+
+    getDisplayHeight() {
+        return this.pixooClient.height;
+    }
+
+    /**
+     * Canvas pixels per device pixel
+     */
+    getPreviewScale() {
+        return this.canvas.width / this.getDisplayWidth();
+    }
+
+    /**
+     * Size the preview canvases to a whole number of pixels per display pixel,
+     * within a 640x320 area so wide walls stay legible
+     */
+    resizePreview() {
+        // The sprite editor sizes the canvases to the sprite while open
+        if (this.spriteEditor.active) return;
+
+        const width = this.getDisplayWidth();
+        const height = this.getDisplayHeight();
+        const scale = Math.max(1, Math.floor(Math.min(640 / width, 320 / height)));
+
+        for (const canvas of [this.canvas, this.overlayCanvas]) {
+            canvas.width = width * scale;
+            canvas.height = height * scale;
+        }
+
+        // Resizing resets the context state
+        this.ctx.imageSmoothingEnabled = false;
+        this.overlayCtx.imageSmoothingEnabled = false;
+    }
+
+    updatePreviewTitle() {
+        if (this.spriteEditor.active) return;
+        document.getElementById('preview-title').textContent = `Preview (${this.getDisplayWidth()}x${this.getDisplayHeight()})`;
+    }
+
+    setDisplaySize(size) {
+        try {
+            this.sceneManager.setDisplaySize(size);
+            this.deviceRegistry.save();
+        } catch (error) {
+            console.error('Failed to change display size:', error);
+            alert(`Failed to change display size: ${error.message}`);
+        }
+    }
+
+    onDisplaySizeChanged(size) {
+        document.getElementById('display-size').value = String(size);
+        this.updatePreviewTitle();
+
+        this.resizePreview();
+
+        this.updateScenesDisplay();
+        this.updateSceneEditor();
+    }
+
     showAddSceneModal() {
+        // Default the target to the current display size
+        document.querySelectorAll('#scene-target-sizes input').forEach(input => {
+            input.checked = parseInt(input.value) === this.getDisplaySize();
+        });
+
         document.getElementById('add-scene-modal').classList.add('open');
         document.getElementById('scene-name').focus();
     }
@@ -183,12 +871,20 @@ class UIManager {
         const name = document.getElementById('scene-name').value.trim();
         const description = document.getElementById('scene-description').value.trim();
 
+        const targetSizes = Array.from(document.querySelectorAll('#scene-target-sizes input:checked'))
+            .map(input => parseInt(input.value));
+
         if (!name) {
             alert('Please enter a scene name');
             return;
         }
 
-        const scene = this.sceneManager.createScene(name, description);
+        if (targetSizes.length === 0) {
+            alert('Please select at least one target display size');
+            return;
+        }
+
+        const scene = this.sceneManager.createScene(name, description, targetSizes);
         this.updateScenesDisplay();
         this.selectScene(scene.id);
         this.hideAddSceneModal();
@@ -198,6 +894,8 @@ class UIManager {
         const sceneList = document.getElementById('scene-list');
         const scenes = this.sceneManager.getAllScenes();
 
+        const displaySize = this.getDisplaySize();
+
         sceneList.innerHTML = '';
 
         scenes.forEach(scene => {
@@ -205,9 +903,14 @@ class UIManager {
             sceneElement.className = 'scene-item';
             sceneElement.dataset.sceneId = scene.id;
 
+            if (!scene.supportsSize(displaySize)) {
+                sceneElement.classList.add('incompatible');
+            }
+
             sceneElement.innerHTML = `
                 <h4>${scene.name}</h4>
                 <p>${scene.description || 'No description'}</p>
+                <div class="scene-sizes">${scene.targetSizes.map(size => `${size}x${size}`).join(' · ')}</div>
             `;
 
             sceneElement.addEventListener('click', () => {
@@ -225,9 +928,306 @@ class UIManager {
                 activeElement.classList.add('active');
             }
         }
+
+        this.updatePlaylistDisplay();
+        this.updateScheduleDisplay();
+    }
+
+    updatePlaylistDisplay() {
+        const playlist = this.sceneManager.playlist;
+        const entriesContainer = document.getElementById('playlist-entries');
+        const sceneSelect = document.getElementById('playlist-scene-select');
+        const scenes = this.sceneManager.getAllScenes();
+        const current = playlist.isPlaying ? playlist.getCurrentEntry() : null;
+
+        if (playlist.entries.length === 0) {
+            entriesContainer.innerHTML = '<div class="playlist-empty">Add scenes to cycle through them</div>';
+        } else {
+            entriesContainer.innerHTML = '';
+
+            playlist.entries.forEach((entry, index) => {
+                const scene = this.sceneManager.getScene(entry.sceneId);
+                const entryElement = document.createElement('div');
+                entryElement.className = 'playlist-entry';
+                if (entry === current) {
+                    entryElement.classList.add('playing');
+                }
+
+                entryElement.innerHTML = `
+                    <span class="entry-name"></span>
+                    <input type="number" min="1" step="1" value="${entry.duration / 1000}" title="Duration (s)"
+                        onchange="uiManager.setPlaylistDuration(${index}, this.value)">
+                    <button class="secondary" onclick="uiManager.movePlaylistEntry(${index}, -1)" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button class="secondary" onclick="uiManager.movePlaylistEntry(${index}, 1)" ${index === playlist.entries.length - 1 ? 'disabled' : ''}>↓</button>
+                    <button class="danger" onclick="uiManager.removePlaylistEntry(${index})">✕</button>
+                `;
+                // Scene names are typed by the user, so they go in as text
+                entryElement.querySelector('.entry-name').textContent = `${index + 1}. ${scene ? scene.name : entry.sceneId}`;
+
+                entriesContainer.appendChild(entryElement);
+            });
+        }
+
+        const selectedSceneId = sceneSelect.value;
+        sceneSelect.innerHTML = '';
+        scenes.forEach(scene => {
+            const option = document.createElement('option');
+            option.value = scene.id;
+            option.textContent = scene.name;
+            option.selected = scene.id === selectedSceneId;
+            sceneSelect.appendChild(option);
+        });
+
+        document.getElementById('playlist-add-btn').disabled = scenes.length === 0;
+        document.getElementById('playlist-shuffle').checked = playlist.shuffle;
+        document.getElementById('playlist-transition').value = playlist.transition;
+        document.getElementById('playlist-transition-duration').value = playlist.transitionDuration;
+
+        const playBtn = document.getElementById('playlist-play-btn');
+        playBtn.disabled = playlist.entries.length === 0;
+        playBtn.textContent = playlist.isPlaying ? '⏹ Stop' : '▶ Play';
+        document.getElementById('playlist-prev-btn').disabled = !playlist.isPlaying;
+        document.getElementById('playlist-next-btn').disabled = !playlist.isPlaying;
+    }
+
+    togglePlaylist() {
+        const playlist = this.sceneManager.playlist;
+
+        try {
+            if (playlist.isPlaying) {
+                playlist.stop();
+            } else {
+                this.sceneManager.setHeld(false, 'device');
+                playlist.start();
+            }
+        } catch (error) {
+            alert(`Failed to start playlist: ${error.message}`);
+        }
+    }
+
+    addPlaylistEntry() {
+        const sceneId = document.getElementById('playlist-scene-select').value;
+        if (!sceneId) return;
+
+        this.sceneManager.playlist.addScene(sceneId);
+        this.updatePlaylistDisplay();
+    }
+
+    removePlaylistEntry(index) {
+        this.sceneManager.playlist.removeEntry(index);
+        this.updatePlaylistDisplay();
+    }
+
+    movePlaylistEntry(index, direction) {
+        this.sceneManager.playlist.moveEntry(index, index + direction);
+        this.updatePlaylistDisplay();
+    }
+
+    setPlaylistDuration(index, seconds) {
+        const value = parseFloat(seconds);
+        if (!Number.isFinite(value)) return;
+
+        this.sceneManager.playlist.setDuration(index, Math.round(value * 1000));
+        this.updatePlaylistDisplay();
+    }
+
+    updateScheduleDisplay() {
+        const scheduler = this.sceneManager.scheduler;
+        const rulesContainer = document.getElementById('schedule-rules');
+
+        document.getElementById('schedule-enabled').checked = scheduler.enabled;
+        document.getElementById('add-schedule-rule-btn').disabled = this.sceneManager.getAllScenes().length === 0;
+
+        if (scheduler.rules.length === 0) {
+            rulesContainer.innerHTML = '<div class="playlist-empty">Add rules to switch scenes by time and date</div>';
+        } else {
+            rulesContainer.innerHTML = '';
+
+            scheduler.rules.forEach((rule, index) => {
+                const scene = this.sceneManager.getScene(rule.sceneId);
+                const ruleElement = document.createElement('div');
+                ruleElement.className = 'playlist-entry schedule-rule';
+                ruleElement.classList.toggle('playing', scheduler.enabled && scheduler.activeRule !== null && rule.id === scheduler.activeRule.id);
+                ruleElement.classList.toggle('disabled', !rule.enabled);
+
+                const details = [`P${rule.priority}`];
+                if (rule.brightness !== null) {
+                    details.push(`${rule.brightness}%`);
+                }
+
+                ruleElement.innerHTML = `
+                    <span class="rule-swatch" style="background: ${this.getRuleColor(index)}"></span>
+                    <span class="entry-name" title="${SceneScheduler.describeRule(rule)}">
+                        <span class="rule-target"></span><br>
+                        <small>${SceneScheduler.describeRule(rule)} · ${details.join(' · ')}</small>
+                    </span>
+                    <input type="checkbox" ${rule.enabled ? 'checked' : ''} title="Enabled"
+                        onchange="uiManager.toggleScheduleRule('${rule.id}', this.checked)">
+                    <button class="secondary" onclick="uiManager.showScheduleRuleModal('${rule.id}')">✎</button>
+                    <button class="danger" onclick="uiManager.removeScheduleRule('${rule.id}')">✕</button>
+                `;
+                ruleElement.querySelector('.rule-target').textContent = `${rule.name} → ${scene ? scene.name : rule.sceneId}`;
+
+                rulesContainer.appendChild(ruleElement);
+            });
+        }
+
+        this.updateScheduleTimeline();
+    }
+
+    getRuleColor(index) {
+        const colors = ['#00d4aa', '#60a5fa', '#f59e0b', '#f472b6', '#a78bfa', '#34d399', '#f87171', '#facc15'];
+        return colors[index % colors.length];
+    }
+
+    /**
+     * One bar per day for the coming week, coloured by the rule in charge
+     */
+    updateScheduleTimeline() {
+        const scheduler = this.sceneManager.scheduler;
+        const container = document.getElementById('schedule-timeline');
+        container.innerHTML = '';
+
+        if (scheduler.rules.length === 0) return;
+
+        const now = new Date();
+        const minutesPerDay = 24 * 60;
+
+        scheduler.getTimeline(now, 7).forEach(({ date, segments }, dayIndex) => {
+            const row = document.createElement('div');
+            row.className = 'timeline-day';
+
+            const label = document.createElement('span');
+            label.className = 'timeline-label';
+            label.textContent = dayIndex === 0 ? 'Today' : `${SceneScheduler.DAY_NAMES[date.getDay()]} ${date.getDate()}`;
+            row.appendChild(label);
+
+            const bar = document.createElement('div');
+            bar.className = 'timeline-bar';
+
+            segments.filter(segment => segment.rule).forEach(segment => {
+                const block = document.createElement('div');
+                block.className = 'timeline-segment';
+                block.style.left = `${segment.start / minutesPerDay * 100}%`;
+                block.style.width = `${(segment.end - segment.start) / minutesPerDay * 100}%`;
+                block.style.background = this.getRuleColor(scheduler.rules.indexOf(segment.rule));
+                block.title = `${segment.rule.name}: ${SceneScheduler.formatTime(segment.start)}-${SceneScheduler.formatTime(segment.end % minutesPerDay)}`;
+                bar.appendChild(block);
+            });
+
+            if (dayIndex === 0) {
+                const marker = document.createElement('div');
+                marker.className = 'timeline-now';
+                marker.style.left = `${(now.getHours() * 60 + now.getMinutes()) / minutesPerDay * 100}%`;
+                bar.appendChild(marker);
+            }
+
+            row.appendChild(bar);
+            container.appendChild(row);
+        });
+    }
+
+    showScheduleRuleModal(ruleId = null) {
+        const rule = ruleId ? this.sceneManager.scheduler.getRule(ruleId) : null;
+        this.editingRuleId = rule ? rule.id : null;
+
+        const sceneSelect = document.getElementById('rule-scene');
+        sceneSelect.innerHTML = '';
+        this.sceneManager.getAllScenes().forEach(scene => {
+            const option = document.createElement('option');
+            option.value = scene.id;
+            option.textContent = scene.name;
+            sceneSelect.appendChild(option);
+        });
+
+        const daysContainer = document.getElementById('rule-days');
+        daysContainer.innerHTML = '';
+        SceneScheduler.DAY_NAMES.forEach((name, day) => {
+            const label = document.createElement('label');
+            label.innerHTML = `<input type="checkbox" value="${day}" ${rule && rule.days.includes(day) ? 'checked' : ''}> ${name}`;
+            daysContainer.appendChild(label);
+        });
+
+        document.getElementById('schedule-rule-title').textContent = rule ? 'Edit Schedule Rule' : 'Add Schedule Rule';
+        document.getElementById('rule-name').value = rule ? rule.name : '';
+        sceneSelect.value = rule ? rule.sceneId : (this.sceneManager.getActiveSceneId() || '');
+        document.getElementById('rule-start').value = rule ? rule.start : '09:00';
+        document.getElementById('rule-end').value = rule ? rule.end : '17:00';
+        document.getElementById('rule-kind').value = rule && rule.date ? 'event' : 'weekly';
+        document.getElementById('rule-start-date').value = rule ? rule.startDate || '' : '';
+        document.getElementById('rule-end-date').value = rule ? rule.endDate || '' : '';
+        document.getElementById('rule-date').value = rule ? rule.date || '' : SceneScheduler.dateKey(new Date());
+        document.getElementById('rule-priority').value = rule ? rule.priority : 0;
+        document.getElementById('rule-brightness').value = rule && rule.brightness !== null ? rule.brightness : '';
+        this.updateRuleKindFields();
+
+        document.getElementById('schedule-rule-modal').classList.add('open');
+        document.getElementById('rule-name').focus();
+    }
+
+    hideScheduleRuleModal() {
+        document.getElementById('schedule-rule-modal').classList.remove('open');
+        this.editingRuleId = null;
+    }
+
+    updateRuleKindFields() {
+        const isEvent = document.getElementById('rule-kind').value === 'event';
+        document.getElementById('rule-weekly-fields').style.display = isEvent ? 'none' : '';
+        document.getElementById('rule-event-fields').style.display = isEvent ? '' : 'none';
+    }
+
+    saveScheduleRule() {
+        const scheduler = this.sceneManager.scheduler;
+        const isEvent = document.getElementById('rule-kind').value === 'event';
+
+        const rule = {
+            name: document.getElementById('rule-name').value.trim(),
+            sceneId: document.getElementById('rule-scene').value,
+            start: document.getElementById('rule-start').value,
+            end: document.getElementById('rule-end').value,
+            days: isEvent ? [] : Array.from(document.querySelectorAll('#rule-days input:checked')).map(input => parseInt(input.value)),
+            startDate: isEvent ? null : document.getElementById('rule-start-date').value || null,
+            endDate: isEvent ? null : document.getElementById('rule-end-date').value || null,
+            date: isEvent ? document.getElementById('rule-date').value || null : null,
+            priority: parseInt(document.getElementById('rule-priority').value) || 0,
+            brightness: document.getElementById('rule-brightness').value
+        };
+
+        if (isEvent && !rule.date) {
+            alert('Please pick a date for the event');
+            return;
+        }
+
+        try {
+            if (this.editingRuleId) {
+                scheduler.updateRule(this.editingRuleId, rule);
+            } else {
+                scheduler.addRule(rule);
+            }
+            this.hideScheduleRuleModal();
+            this.updateScheduleDisplay();
+        } catch (error) {
+            alert(`Failed to save rule: ${error.message}`);
+        }
+    }
+
+    toggleScheduleRule(ruleId, enabled) {
+        this.sceneManager.scheduler.updateRule(ruleId, { enabled });
+        this.updateScheduleDisplay();
+    }
+
+    removeScheduleRule(ruleId) {
+        const rule = this.sceneManager.scheduler.getRule(ruleId);
+        if (rule && confirm(`Delete schedule rule "${rule.name}"?`)) {
+            this.sceneManager.scheduler.removeRule(ruleId);
+            this.updateScheduleDisplay();
+        }
     }
 
     selectScene(sceneId) {
+        // Picking a scene by hand takes over from the playlist
+        this.sceneManager.playlist.stop();
+
         this.sceneManager.setActiveScene(sceneId);
         this.updateScenesDisplay();
         this.updateSceneEditor();
@@ -235,6 +1235,13 @@ class UIManager {
 
     playScene() {
         if (this.currentScene) {
+            if (this.sceneManager.isHeldBy('group')) {
+                alert('This device is part of a group; remove it from the group to run its own scenes');
+                return;
+            }
+
+            // Play takes the display back from the device's own channels and tools
+            this.sceneManager.setHeld(false, 'device');
             this.currentScene.start();
             this.updateSceneControls();
         }
@@ -247,6 +1254,29 @@ class UIManager {
         }
     }
 
+    async uploadSceneAnimation() {
+        if (!this.currentScene) return;
+
+        if (!this.pixooClient.connected) {
+            alert('Please connect to a device first');
+            return;
+        }
+
+        const uploadBtn = document.getElementById('upload-animation-btn');
+        uploadBtn.disabled = true;
+        uploadBtn.textContent = '🎞 Uploading...';
+
+        try {
+            await this.currentScene.uploadAnimation();
+        } catch (error) {
+            console.error('Failed to upload animation:', error);
+            alert(`Failed to upload animation: ${error.message}`);
+        } finally {
+            uploadBtn.textContent = '🎞 Upload Loop';
+            this.updateSceneControls();
+        }
+    }
+
     deleteScene() {
         if (!this.currentScene) return;
 
@@ -266,6 +1296,9 @@ class UIManager {
         const scene = this.sceneManager.getActiveScene();
         const sceneNameElement = document.getElementById('current-scene-name');
 
+        const sizeWarning = document.getElementById('scene-size-warning');
+        const displaySize = this.getDisplaySize();
+
         if (scene) {
             sceneNameElement.textContent = scene.name;
             this.currentScene = scene;
@@ -274,6 +1307,13 @@ class UIManager {
             this.currentScene = null;
         }
 
+        if (scene && !scene.supportsSize(displaySize)) {
+            sizeWarning.textContent = `⚠ Designed for ${scene.targetSizes.map(size => `${size}x${size}`).join(', ')}`;
+            sizeWarning.style.display = '';
+        } else {
+            sizeWarning.style.display = 'none';
+        }
+
         this.updateSceneControls();
         this.updateSceneWidgetsDisplay();
 
@@ -287,6 +1327,7 @@ class UIManager {
     updateSceneControls() {
         const playBtn = document.getElementById('play-scene-btn');
         const stopBtn = document.getElementById('stop-scene-btn');
+        const uploadBtn = document.getElementById('upload-animation-btn');
         const deleteBtn = document.getElementById('delete-scene-btn');
 
         const hasScene = Boolean(this.currentScene);
@@ -294,7 +1335,9 @@ class UIManager {
 
         playBtn.disabled = !hasScene || isActive;
         stopBtn.disabled = !hasScene || !isActive;
+        uploadBtn.disabled = !hasScene;
         deleteBtn.disabled = !hasScene;
+        document.getElementById('move-scene-select').disabled = !hasScene;
     }
 
     updateSceneWidgetsDisplay() {
@@ -305,7 +1348,8 @@ class UIManager {
             return;
         }
 
-        const widgets = this.currentScene.getAllWidgets();
+        // Top layer first, as it appears on the display
+        const widgets = this.currentScene.getWidgetsInRenderOrder().reverse();
 
         if (widgets.length === 0) {
             widgetsContainer.innerHTML = '<div class="no-widgets">No widgets in this scene</div>';
@@ -314,16 +1358,24 @@ class UIManager {
 
         widgetsContainer.innerHTML = '';
 
-        widgets.forEach(widget => {
+        widgets.forEach((widget, index) => {
             const widgetElement = document.createElement('div');
             widgetElement.className = 'widget-item';
 
+            const opacity = widget.config.opacity ?? 100;
+            const blendMode = widget.config.blendMode || 'normal';
+            const blending = opacity < 100 || blendMode !== 'normal'
+                ? ` | ${opacity}% ${ColorBlend.get(blendMode).label}`
+                : '';
+
             widgetElement.innerHTML = `
                 <div class="widget-item-info">
                     <h5>${widget.constructor.NAME || widget.constructor.TYPE}</h5>
-                    <p>ID: ${widget.id} | Enabled: ${widget.isEnabled() ? 'Yes' : 'No'}</p>
+                    <p>ID: ${widget.id} | Enabled: ${widget.isEnabled() ? 'Yes' : 'No'}${blending}</p>
                 </div>
                 <div class="widget-item-actions">
+                    <button class="secondary" onclick="uiManager.moveWidgetLayer('${widget.id}', 1)" title="Bring forward" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button class="secondary" onclick="uiManager.moveWidgetLayer('${widget.id}', -1)" title="Send backward" ${index === widgets.length - 1 ? 'disabled' : ''}>↓</button>
                     <button class="secondary" onclick="uiManager.configureWidget('${widget.id}')">Config</button>
                     <button class="secondary" onclick="uiManager.toggleWidget('${widget.id}')">${widget.isEnabled() ? 'Disable' : 'Enable'}</button>
                     <button class="danger" onclick="uiManager.removeWidget('${widget.id}')">Remove</button>
@@ -414,6 +1466,23 @@ class UIManager {
         this.updateSceneWidgetsDisplay();
     }
 
+    /**
+     * Move a widget up (1) or down (-1) one layer
+     */
+    moveWidgetLayer(widgetId, direction) {
+        if (!this.currentScene) return;
+
+        const layer = this.currentScene.getWidgetsInRenderOrder().findIndex(widget => widget.id === widgetId);
+        this.setWidgetLayer(widgetId, layer + direction);
+    }
+
+    setWidgetLayer(widgetId, layer) {
+        if (!this.currentScene) return;
+
+        this.currentScene.moveWidgetToLayer(widgetId, layer);
+        this.updateSceneWidgetsDisplay();
+    }
+
     removeWidget(widgetId) {
         if (!this.currentScene) return;
 
@@ -426,56 +1495,172 @@ class UIManager {
     showWidgetConfigModal(widget) {
         const modal = document.getElementById('widget-config-modal');
         const form = document.getElementById('widget-config-form');
+        const schema = this.getWidgetSchema(widget);
+
+        // Live widget state takes precedence over the stored config
+        const values = {
+            ...widget.config,
+            x: widget.x,
+            y: widget.y,
+            width: widget.width,
+            height: widget.height,
+            enabled: widget.isEnabled(),
+            updateInterval: widget.updateInterval
+        };
 
-        // Create basic config form
-        form.innerHTML = `
-            <div class="form-group">
-                <label for="widget-x">X Position:</label>
-                <input type="number" id="widget-x" min="0" max="63" value="${widget.x}">
-            </div>
-            <div class="form-group">
-                <label for="widget-y">Y Position:</label>
-                <input type="number" id="widget-y" min="0" max="63" value="${widget.y}">
-            </div>
-            <div class="form-group">
-                <label for="widget-enabled">Enabled:</label>
-                <input type="checkbox" id="widget-enabled" ${widget.isEnabled() ? 'checked' : ''}>
-            </div>
-            <div class="form-group">
-                <label for="widget-update-interval">Update Interval (ms):</label>
-                <input type="number" id="widget-update-interval" min="100" value="${widget.updateInterval}">
-            </div>
-        `;
+        this.widgetConfigForm = new ConfigForm(schema, values);
+        this.widgetConfigForm.render(form);
 
         modal.dataset.widgetId = widget.id;
         modal.classList.add('open');
     }
 
+    /**
+     * Widget schema with position and size limits matched to the display
+     */
+    getWidgetSchema(widget) {
+        const schema = { ...(widget.constructor.CONFIG_SCHEMA || Widget.CONFIG_SCHEMA) };
+        const limits = {
+            x: this.getDisplayWidth() - 1,
+            y: this.getDisplayHeight() - 1,
+            width: this.getDisplayWidth(),
+            height: this.getDisplayHeight()
+        };
+
+        for (const [key, max] of Object.entries(limits)) {
+            if (schema[key]) schema[key] = { ...schema[key], max };
+        }
+
+        return schema;
+    }
+
     hideWidgetConfigModal() {
         document.getElementById('widget-config-modal').classList.remove('open');
+        this.widgetConfigForm = null;
     }
 
     saveWidgetConfig() {
         const modal = document.getElementById('widget-config-modal');
         const widgetId = modal.dataset.widgetId;
 
-        if (!this.currentScene || !widgetId) return;
+        if (!this.currentScene || !widgetId || !this.widgetConfigForm) return;
 
         const widget = this.currentScene.getWidget(widgetId);
         if (!widget) return;
 
-        const config = {
-            x: parseInt(document.getElementById('widget-x').value),
-            y: parseInt(document.getElementById('widget-y').value),
-            enabled: document.getElementById('widget-enabled').checked,
-            updateInterval: parseInt(document.getElementById('widget-update-interval').value)
-        };
+        const { config, valid } = this.widgetConfigForm.read();
+        if (!valid) return;
 
         widget.updateConfig(config);
         this.updateSceneWidgetsDisplay();
+        this.updateOverlay();
         this.hideWidgetConfigModal();
     }
 
+    updateSpritesDisplay() {
+        const spriteList = document.getElementById('sprite-list');
+        const sprites = this.spriteLibrary.getAllSprites();
+
+        spriteList.innerHTML = '';
+
+        if (sprites.length === 0) {
+            spriteList.innerHTML = '<div class="playlist-empty">Draw sprites to place them in any scene</div>';
+            return;
+        }
+
+        sprites.forEach(sprite => {
+            const spriteElement = document.createElement('div');
+            spriteElement.className = 'sprite-item';
+            spriteElement.classList.toggle('active', this.spriteEditor.sprite === sprite);
+
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.value = sprite.name;
+            name.title = `${sprite.width}x${sprite.height}`;
+            name.addEventListener('change', () => {
+                this.spriteLibrary.renameSprite(sprite.id, name.value.trim());
+            });
+            spriteElement.appendChild(name);
+
+            const actions = document.createElement('div');
+            actions.className = 'sprite-actions';
+            actions.innerHTML = `
+                <button class="secondary" onclick="uiManager.editSprite('${sprite.id}')" title="Edit">✏️</button>
+                <button class="secondary" onclick="uiManager.placeSprite('${sprite.id}')" title="Add to scene">➕</button>
+                <button class="secondary" onclick="uiManager.exportSprite('${sprite.id}')" title="Export PNG">💾</button>
+                <button class="danger" onclick="uiManager.deleteSprite('${sprite.id}')" title="Delete">🗑</button>
+            `;
+            spriteElement.appendChild(actions);
+
+            spriteList.appendChild(spriteElement);
+        });
+    }
+
+    createSprite() {
+        const nameInput = document.getElementById('sprite-name');
+        const size = parseInt(document.getElementById('sprite-size').value);
+
+        try {
+            const sprite = this.spriteLibrary.createSprite(nameInput.value.trim(), size, size);
+            nameInput.value = '';
+            this.editSprite(sprite.id);
+        } catch (error) {
+            console.error('Failed to create sprite:', error);
+            alert(`Failed to create sprite: ${error.message}`);
+        }
+    }
+
+    editSprite(spriteId) {
+        this.spriteEditor.open(spriteId);
+        this.updateSpritesDisplay();
+    }
+
+    /**
+     * Add a sprite widget showing this sprite to the current scene
+     */
+    placeSprite(spriteId) {
+        const sprite = this.spriteLibrary.getSprite(spriteId);
+        if (!sprite) return;
+
+        if (!this.currentScene) {
+            alert('Please select a scene first');
+            return;
+        }
+
+        this.spriteEditor.close();
+        this.currentScene.addWidget(this.pluginManager.getWidgetType('sprite'), {
+            spriteId,
+            width: Math.min(sprite.width, this.getDisplayWidth()),
+            height: Math.min(sprite.height, this.getDisplayHeight())
+        });
+        this.updateSceneWidgetsDisplay();
+
+        console.log(`Placed sprite ${sprite.name} in scene ${this.currentScene.name}`);
+    }
+
+    exportSprite(spriteId) {
+        this.spriteEditor.exportPng(this.spriteLibrary.getSprite(spriteId));
+    }
+
+    deleteSprite(spriteId) {
+        const sprite = this.spriteLibrary.getSprite(spriteId);
+        if (!sprite) return;
+
+        // Scenes only refer to sprites by ID, so one in use can't go
+        const users = this.deviceRegistry.findWidgets(widget =>
+            widget.constructor.TYPE === 'sprite' && widget.config.spriteId === spriteId
+        );
+        if (users.length > 0) {
+            const places = Array.from(new Set(users.map(({ device, scene }) => `${scene.name} (${device.name})`)));
+            alert(`Sprite "${sprite.name}" is shown in ${places.join(', ')}. Remove those widgets or pick another sprite for them first.`);
+            return;
+        }
+
+        if (confirm(`Delete sprite "${sprite.name}"?`)) {
+            this.spriteLibrary.deleteSprite(spriteId);
+        }
+    }
+
     startPreviewLoop() {
         this.previewInterval = setInterval(() => {
             this.updatePreview();
@@ -483,30 +1668,52 @@ class UIManager {
     }
 
     async updatePreview() {
-        if (!this.pixooClient || !this.ctx) return;
+        if (!this.pixooClient || !this.ctx || this.spriteEditor.active) return;
 
-        // Render the current scene to the buffer for preview
-        if (this.currentScene) {
+        // Render the current scene to the buffer for preview.
+        // During a playlist transition the buffer already holds the blended frame.
+        if (this.currentScene && !this.sceneManager.playlist.isTransitioning) {
             await this.currentScene.renderPreview();
         }
 
         // Clear canvas
         this.ctx.fillStyle = '#000000';
-        this.ctx.fillRect(0, 0, 320, 320);
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
         // Draw pixels from the Pixoo client buffer
         const buffer = this.pixooClient.buffer;
+        const width = this.getDisplayWidth();
+        const height = this.getDisplayHeight();
+        const scale = this.getPreviewScale();
         if (buffer) {
-            for (let y = 0; y < 64; y++) {
-                for (let x = 0; x < 64; x++) {
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
                     const [r, g, b] = buffer[y][x];
                     if (r || g || b) { // Only draw non-black pixels
                         this.ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
-                        this.ctx.fillRect(x * 5, y * 5, 5, 5);
+                        this.ctx.fillRect(x * scale, y * scale, scale, scale);
                     }
                 }
             }
         }
+
+        this.updateRenderStats();
+    }
+
+    /**
+     * Render loop counters of the running scene, under the preview
+     */
+    updateRenderStats() {
+        const scene = this.sceneManager.getActiveScene();
+        const element = document.getElementById('render-stats');
+
+        if (!scene || !scene.isActive) {
+            element.textContent = '';
+            return;
+        }
+
+        const stats = scene.getRenderStats();
+        element.textContent = `Frames rendered ${stats.framesRendered} · sent ${stats.framesPushed} · unchanged ${stats.framesUnchanged} · widget redraws ${stats.widgetRedraws}`;
     }
 
     async scanForDevices() {
@@ -564,12 +1771,22 @@ class UIManager {
                 <div class="device-details">
                     Model: ${device.model} | Size: ${device.size}x${device.size} | Port: ${device.port || 80}
                 </div>
+                <button class="secondary add-discovered-btn">+ Add as new device</button>
             `;
 
             deviceElement.addEventListener('click', () => {
                 this.selectDevice(device);
             });
 
+            deviceElement.querySelector('.add-discovered-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.addDevice({
+                    name: device.name,
+                    ipAddress: device.ip,
+                    size: PixooClient.SUPPORTED_SIZES.includes(device.size) ? device.size : 64
+                });
+            });
+
             deviceList.appendChild(deviceElement);
         });
     }
@@ -578,6 +1795,11 @@ class UIManager {
         // Update IP input field
         document.getElementById('device-ip').value = device.ip;
 
+        // Match the display size reported by the device
+        if (device.size) {
+            this.setDisplaySize(device.size);
+        }
+
         // Store the discovered port and path info in the pixoo client
         if (device.port && device.path) {
             this.pixooClient.port = device.port;
@@ -628,9 +1850,9 @@ class UIManager {
         const x = event.clientX - rect.left;
         const y = event.clientY - rect.top;
 
-        // Convert to grid coordinates (each pixel is 5x5 canvas pixels)
-        const gridX = Math.floor(x / 5);
-        const gridY = Math.floor(y / 5);
+        // Convert to grid coordinates, accounting for CSS scaling of the canvas
+        const gridX = Math.floor(x / rect.width * this.getDisplayWidth());
+        const gridY = Math.floor(y / rect.height * this.getDisplayHeight());
 
         return { canvasX: x, canvasY: y, gridX, gridY };
     }
@@ -638,7 +1860,7 @@ class UIManager {
     getWidgetAtPosition(gridX, gridY) {
         if (!this.currentScene) return null;
 
-        const widgets = this.currentScene.getAllWidgets();
+        const widgets = this.currentScene.getWidgetsInRenderOrder();
 
         // Check widgets in reverse order (top widget first)
         for (let i = widgets.length - 1; i >= 0; i--) {
@@ -688,8 +1910,8 @@ class UIManager {
 
         if (this.dragState.isDragging && this.dragState.widget) {
             // Update widget position during drag
-            const newX = Math.max(0, Math.min(63, gridX - this.dragState.offsetX));
-            const newY = Math.max(0, Math.min(63, gridY - this.dragState.offsetY));
+            const newX = Math.max(0, Math.min(this.getDisplayWidth() - 1, gridX - this.dragState.offsetX));
+            const newY = Math.max(0, Math.min(this.getDisplayHeight() - 1, gridY - this.dragState.offsetY));
 
             this.dragState.widget.updateConfig({
                 x: newX,
@@ -784,6 +2006,8 @@ class UIManager {
         const menuItems = [
             { text: 'Configure', action: () => this.configureWidget(widget.id) },
             { text: widget.isEnabled() ? 'Disable' : 'Enable', action: () => this.toggleWidget(widget.id) },
+            { text: 'Bring to Front', action: () => this.setWidgetLayer(widget.id, Infinity) },
+            { text: 'Send to Back', action: () => this.setWidgetLayer(widget.id, 0) },
             { text: 'Remove', action: () => this.removeWidget(widget.id) }
         ];
 
@@ -844,8 +2068,8 @@ class UIManager {
                 }
 
                 const widget = this.currentScene.addWidget(WidgetClass, {
-                    x: Math.max(0, Math.min(63, gridX)),
-                    y: Math.max(0, Math.min(63, gridY))
+                    x: Math.max(0, Math.min(this.getDisplayWidth() - 1, gridX)),
+                    y: Math.max(0, Math.min(this.getDisplayHeight() - 1, gridY))
                 });
 
                 // Select the newly created widget
@@ -864,8 +2088,31 @@ class UIManager {
     }
 
     updateOverlay() {
+        if (this.spriteEditor.active) return;
+
         // Clear overlay
-        this.overlayCtx.clearRect(0, 0, 320, 320);
+        this.overlayCtx.clearRect(0, 0, this.overlayCanvas.width, this.overlayCanvas.height);
+
+        const scale = this.getPreviewScale();
+
+        // Panel seams of a tiled wall
+        if (this.pixooClient instanceof TiledWallClient) {
+            const panelSize = this.getDisplaySize() * scale;
+            this.overlayCtx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+            this.overlayCtx.lineWidth = 1;
+            this.overlayCtx.setLineDash([2, 4]);
+            this.overlayCtx.beginPath();
+            for (let column = 1; column < this.pixooClient.columns; column++) {
+                this.overlayCtx.moveTo(column * panelSize + 0.5, 0);
+                this.overlayCtx.lineTo(column * panelSize + 0.5, this.overlayCanvas.height);
+            }
+            for (let row = 1; row < this.pixooClient.rows; row++) {
+                this.overlayCtx.moveTo(0, row * panelSize + 0.5);
+                this.overlayCtx.lineTo(this.overlayCanvas.width, row * panelSize + 0.5);
+            }
+            this.overlayCtx.stroke();
+            this.overlayCtx.setLineDash([]);
+        }
 
         if (!this.currentScene) return;
 
@@ -874,10 +2121,10 @@ class UIManager {
         widgets.forEach(widget => {
             if (!widget.isEnabled()) return;
 
-            const x = widget.x * 5;
-            const y = widget.y * 5;
-            const width = widget.width * 5;
-            const height = widget.height * 5;
+            const x = widget.x * scale;
+            const y = widget.y * scale;
+            const width = widget.width * scale;
+            const height = widget.height * scale;
 
             // Draw widget outline
             this.overlayCtx.strokeStyle = '#00d4aa';
@@ -897,7 +2144,10 @@ class UIManager {
                 this.overlayCtx.lineWidth = 1;
             }
 
+            // Dashed outline for widgets that may draw outside their bounds
+            this.overlayCtx.setLineDash(widget.config.overflow === 'visible' ? [4, 3] : []);
             this.overlayCtx.strokeRect(x, y, width, height);
+            this.overlayCtx.setLineDash([]);
 
             // Draw widget label
             if (widget === this.selectedWidget || widget === this.hoveredWidget) {
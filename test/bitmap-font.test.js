@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./harness');
+
+loadApp({ plugins: false });
+
+// 3x3 glyphs: a plus sign and a full block
+const font = BitmapFont.fromHex('test-3x3', {
+    width: 3,
+    height: 3,
+    glyphs: { '+': '272', '#': '777', '?': '000' }
+});
+
+// Lit pixels of text as 'x,y'
+function pixelsOf(targetFont, text) {
+    const pixels = [];
+    targetFont.forEachPixel(text, (x, y) => pixels.push(`${x},${y}`));
+    return pixels;
+}
+
+const BDF = `STARTFONT 2.1
+FONT test
+FONTBOUNDINGBOX 4 5 0 -1
+STARTPROPERTIES 2
+FONT_ASCENT 4
+FONT_DESCENT 1
+ENDPROPERTIES
+CHARS 2
+STARTCHAR L
+ENCODING 76
+DWIDTH 4 0
+BBX 3 4 0 0
+BITMAP
+80
+80
+80
+E0
+ENDCHAR
+STARTCHAR unencoded
+ENCODING -1
+DWIDTH 4 0
+BBX 3 4 0 0
+BITMAP
+E0
+E0
+E0
+E0
+ENDCHAR
+ENDFONT`;
+
+test('fromHex decodes one row per hex digit group, leftmost pixel first', () => {
+    assert.deepStrictEqual(font.getGlyph('+').rows, [0b010, 0b111, 0b010]);
+    assert.deepStrictEqual(pixelsOf(font, '+'), ['1,0', '0,1', '1,1', '2,1', '1,2']);
+});
+
+test('measureText adds spacing between characters and line height between lines', () => {
+    assert.deepStrictEqual(font.measureText(''), { width: 0, height: 3 });
+    assert.deepStrictEqual(font.measureText('++'), { width: 7, height: 3 });
+    assert.deepStrictEqual(font.measureText('+++\n+'), { width: 11, height: 7 });
+});
+
+test('forEachPixel advances by glyph width plus spacing and wraps on newlines', () => {
+    assert.ok(pixelsOf(font, '+#').includes('4,0'));
+    assert.ok(pixelsOf(font, '+\n#').includes('0,4'));
+});
+
+test('unknown characters fall back to the fallback glyph', () => {
+    assert.strictEqual(font.getGlyph('x'), font.getGlyph('?'));
+    assert.deepStrictEqual(font.measureText('x'), { width: 3, height: 3 });
+});
+
+test('glyphs wider than the limit are rejected', () => {
+    assert.throws(() => new BitmapFont('wide', { height: 1, glyphs: { W: { width: 33, rows: [0] } } }), /wider than 32px/);
+});
+
+test('fromBDF places glyphs on the baseline and skips unencoded ones', () => {
+    const bdf = BitmapFont.fromBDF('test-bdf', BDF);
+
+    assert.strictEqual(bdf.height, 5);
+    assert.strictEqual(bdf.glyphs.size, 1);
+    assert.deepStrictEqual(pixelsOf(bdf, 'L'), ['0,0', '0,1', '0,2', '0,3', '1,3', '2,3']);
+    assert.strictEqual(bdf.getGlyph('L').advance, 4);
+});
+
+test('the built-in fonts are registered and unknown names fall back to small', () => {
+    const names = BitmapFont.getFontNames().map(({ value }) => value);
+
+    assert.deepStrictEqual(['tiny', 'small', 'large'].filter(name => names.includes(name)), ['tiny', 'small', 'large']);
+    assert.strictEqual(BitmapFont.get('missing'), BitmapFont.get('small'));
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./harness');
+
+process.env.TZ = 'UTC';
+loadApp();
+
+// 6 January 2025 in UTC
+const at = (hours, minutes = 0, day = 6, month = 0) => new Date(Date.UTC(2025, month, day, hours, minutes));
+
+function createAutomation(t, settings = {}) {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const manager = new SceneManager(new PixooClient(null, 16));
+    const scene = manager.createScene('Scene');
+    const automation = manager.brightnessAutomation;
+    t.after(() => {
+        automation.stop();
+        manager.scheduler.stop();
+        scene.stop();
+    });
+
+    automation.settings = automation.validate({ mode: 'schedule', nightStart: '22:00', nightEnd: '07:00', fadeMinutes: 30, ...settings });
+    return { manager, automation, client: manager.pixooClient, scene };
+}
+
+test('settings are validated and normalized', (t) => {
+    const { automation } = createAutomation(t);
+
+    assert.throws(() => automation.validate({ mode: 'dusk' }), /Unknown night mode: dusk/);
+    assert.throws(() => automation.validate({ mode: 'sun', latitude: 91, longitude: 0 }), /Latitude/);
+    assert.throws(() => automation.validate({ mode: 'sun', latitude: 51 }), /Longitude/);
+
+    const settings = automation.validate({ nightStart: '6:05', dayBrightness: 140, fadeMinutes: -5 });
+    assert.deepStrictEqual([settings.nightStart, settings.dayBrightness, settings.fadeMinutes], ['06:05', 100, 0]);
+    assert.throws(() => automation.validate({ nightStart: '25:00' }), /Invalid time/);
+});
+
+test('sunrise and sunset follow the location', () => {
+    const london = BrightnessAutomation.sunTimes(at(12, 0, 21, 5), 51.5, -0.13);
+    const minutes = date => date.getUTCHours() * 60 + date.getUTCMinutes();
+
+    // 03:43 and 20:21 UTC on the summer solstice
+    assert.ok(Math.abs(minutes(london.sunrise) - 223) <= 3, london.sunrise.toISOString());
+    assert.ok(Math.abs(minutes(london.sunset) - 1221) <= 3, london.sunset.toISOString());
+
+    assert.strictEqual(BrightnessAutomation.sunTimes(at(12, 0, 21, 5), 69.6, 18.9).polar, 'day');
+    assert.strictEqual(BrightnessAutomation.sunTimes(at(12, 0, 21, 11), 69.6, 18.9).polar, 'night');
+});
+
+test('night fades in after it starts and out after it ends', (t) => {
+    const { automation } = createAutomation(t);
+
+    assert.strictEqual(automation.getNightFactor(at(21, 59)), 0);
+    assert.strictEqual(automation.getNightFactor(at(22, 15)), 0.5);
+    assert.strictEqual(automation.getNightFactor(at(3)), 1);
+    assert.strictEqual(automation.getNightFactor(at(7, 15)), 0.5);
+    assert.strictEqual(automation.getNightFactor(at(12)), 0);
+});
+
+test('brightness and colour temperature move with the night factor', (t) => {
+    const { automation } = createAutomation(t, { dayBrightness: 100, nightBrightness: 20, nightColorTemperature: 2500 });
+
+    assert.deepStrictEqual(automation.getState(at(22, 15)),
+        { nightFactor: 0.5, brightness: 60, colorTemperature: 4500, screenOn: true });
+    assert.strictEqual(automation.getState(at(12)).colorTemperature, ColorBlend.NEUTRAL_TEMPERATURE);
+});
+
+test('a schedule rule brightness replaces the curve', async (t) => {
+    const { manager, automation, scene } = createAutomation(t);
+    manager.scheduler.addRule({ sceneId: scene.id, brightness: 55 });
+    manager.scheduler.enabled = true;
+    await manager.scheduler.evaluate(at(3));
+
+    assert.strictEqual(automation.getState(at(3)).brightness, 55);
+});
+
+test('screen-off windows may run past midnight', (t) => {
+    const { automation } = createAutomation(t, { screenOff: [{ start: '23:30', end: '6:00' }] });
+
+    assert.strictEqual(automation.isScreenOff(at(23, 45)), true);
+    assert.strictEqual(automation.isScreenOff(at(5, 59)), true);
+    assert.strictEqual(automation.isScreenOff(at(6)), false);
+});
+
+test('apply only sends what changed and resends after a disconnect', async (t) => {
+    const { automation, client } = createAutomation(t, { screenOff: [{ start: '01:00', end: '05:00' }] });
+    const brightness = t.mock.method(client, 'setBrightness', async () => {});
+    const screen = t.mock.method(client, 'setScreenOn', async () => {});
+
+    await automation.apply(at(3));
+    assert.strictEqual(client.colorTemperature, ColorBlend.NEUTRAL_TEMPERATURE);
+    assert.strictEqual(brightness.mock.callCount(), 0);
+
+    client.connected = true;
+    await automation.apply(at(3));
+    await automation.apply(at(3, 10));
+    assert.deepStrictEqual(brightness.mock.calls.map(call => call.arguments), [[20]]);
+    assert.deepStrictEqual(screen.mock.calls.map(call => call.arguments), [[false]]);
+
+    await automation.apply(at(12));
+    assert.deepStrictEqual(brightness.mock.calls.map(call => call.arguments), [[20], [100]]);
+    assert.deepStrictEqual(screen.mock.calls.map(call => call.arguments), [[false], [true]]);
+});
+
+test('turning night mode off restores full colour', (t) => {
+    const { automation, client } = createAutomation(t, { nightColorTemperature: 2500 });
+    client.setColorTemperature(3000);
+
+    automation.configure({ mode: 'off' });
+
+    assert.strictEqual(client.colorTemperature, ColorBlend.NEUTRAL_TEMPERATURE);
+});
+
+test('night mode waits while the device is held', (t) => {
+    const { manager, automation } = createAutomation(t);
+
+    manager.setHeld(true);
+    automation.restart();
+    assert.strictEqual(automation.checkInterval, null);
+
+    manager.setHeld(false);
+    assert.notStrictEqual(automation.checkInterval, null);
+});
+
+test('invalid saved settings fall back to the defaults', (t) => {
+    const { automation } = createAutomation(t);
+
+    automation.loadFromJSON({ mode: 'sun', latitude: 'north' });
+
+    assert.deepStrictEqual(automation.toJSON(), BrightnessAutomation.getDefaultSettings());
+});
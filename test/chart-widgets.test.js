@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./harness');
+
+loadApp();
+
+// A source that replays a fixed list of readings
+function registerSource(t, values) {
+    ChartSources.register('test', 'Test', async () => values.shift());
+    t.after(() => ChartSources.unregister('test'));
+}
+
+async function sample(widget, count) {
+    for (let i = 0; i < count; i++) {
+        await widget.fetchData();
+    }
+}
+
+test('a ring buffer keeps the newest samples in order', () => {
+    const buffer = new RingBuffer(3);
+    [1, 2, 3, 4].forEach(value => buffer.push(value));
+
+    assert.deepStrictEqual(buffer.toArray(), [2, 3, 4]);
+    assert.strictEqual(buffer.get(0), 2);
+    assert.strictEqual(buffer.last(), 4);
+
+    buffer.resize(2);
+    assert.deepStrictEqual(buffer.toArray(), [3, 4]);
+    buffer.resize(4);
+    buffer.push(5);
+    assert.deepStrictEqual(buffer.toArray(), [3, 4, 5]);
+
+    assert.throws(() => new RingBuffer(0), /positive integer/);
+});
+
+test('the chart plugin registers with the built-in plugins', () => {
+    ['linechart', 'barchart', 'gauge', 'heatmap'].forEach(type => {
+        assert.ok(pluginManager.getWidgetType(type), `${type} is not registered`);
+    });
+    assert.throws(() => ChartSources.get('nope'), /Unknown chart source: nope/);
+});
+
+test('unavailable readings leave a gap instead of a zero', async (t) => {
+    registerSource(t, [10, null, NaN, 30]);
+    const widget = new LineChartWidget('widget_1', { source: 'test' }, new PixooClient(null, 64));
+
+    await sample(widget, 4);
+
+    assert.deepStrictEqual(widget.samples.toArray(), [10, 30]);
+});
+
+test('auto-scaling spans the samples and a flat series still has height', async (t) => {
+    registerSource(t, [20, 60, 40, 5, 5]);
+    const widget = new LineChartWidget('widget_1', { source: 'test', autoScale: true }, new PixooClient(null, 64));
+
+    await sample(widget, 3);
+    assert.deepStrictEqual(widget.getRange(), { min: 20, max: 60 });
+
+    widget.updateConfig({ historyLength: 2 });
+    await sample(widget, 2);
+    assert.deepStrictEqual(widget.getRange(), { min: 4, max: 6 });
+});
+
+test('thresholds recolour the series', () => {
+    const widget = new BarChartWidget('widget_1', { useThresholds: true }, new PixooClient(null, 64));
+
+    assert.deepStrictEqual(widget.colorFor(50), widget.config.color);
+    assert.deepStrictEqual(widget.colorFor(75), widget.config.warnColor);
+    assert.deepStrictEqual(widget.colorFor(95), widget.config.criticalColor);
+});
+
+test('changing the source clears the history', async (t) => {
+    registerSource(t, [10, 20]);
+    const widget = new LineChartWidget('widget_1', { source: 'test' }, new PixooClient(null, 64));
+    await sample(widget, 2);
+    t.mock.method(widget, 'refreshData', async () => {});
+
+    widget.updateConfig({ source: 'sine' });
+
+    assert.strictEqual(widget.samples.length, 0);
+    assert.strictEqual(widget.refreshData.mock.callCount(), 1);
+});
+
+test('the line chart plots the newest sample on the right edge', async (t) => {
+    registerSource(t, [0, 100]);
+    const client = new PixooClient(null, 16);
+    const widget = new LineChartWidget('widget_1', { source: 'test', showValue: false, historyLength: 16 }, client);
+    await sample(widget, 2);
+
+    await widget.onRenderWithData();
+
+    assert.deepStrictEqual(client.buffer[0][15], widget.config.color);
+    assert.deepStrictEqual(client.buffer[15][14], widget.config.color);
+    assert.deepStrictEqual(client.buffer[15][0], [0, 0, 0]);
+});
+
+test('the bar chart draws one bar per sample, newest on the right', async (t) => {
+    registerSource(t, [50, 100]);
+    const client = new PixooClient(null, 16);
+    const widget = new BarChartWidget('widget_1', { source: 'test', showValue: false, barWidth: 2, barGap: 1 }, client);
+    await sample(widget, 2);
+
+    await widget.onRenderWithData();
+
+    assert.deepStrictEqual(client.buffer[0][15], widget.config.color);
+    assert.deepStrictEqual(client.buffer[0][12], [0, 0, 0]);
+    assert.deepStrictEqual(client.buffer[15][12], widget.config.color);
+    assert.deepStrictEqual(client.buffer[15][13], [0, 0, 0]);
+});
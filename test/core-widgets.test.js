@@ -0,0 +1,154 @@
+/**
+ * Golden-image tests: every core widget renders into a 64x64 buffer that is
+ * compared pixel by pixel with test/golden/<type>.txt.
+ *
+ * A golden file lists the frame's colours, one character each ('.' is
+ * black), followed by one line of characters per pixel row. After an
+ * intended change to how a widget draws, regenerate them with
+ *
+ *   UPDATE_GOLDEN=1 npm test
+ *
+ * and review the diff of the golden files.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadApp } = require('./harness');
+
+// Widgets showing the time render the same frame everywhere
+process.env.TZ = 'UTC';
+const NOW = Date.UTC(2025, 0, 2, 13, 45, 30);
+
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const UPDATE = Boolean(process.env.UPDATE_GOLDEN);
+const PALETTE_CHARS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789#@%&*+=-~^<>';
+
+// A 4x4 GIF: red, green, blue and yellow quarters with one white pixel
+const TEST_GIF = 'data:image/gif;base64,R0lGODlhBAAEAPIAAAAAAP8AAAD/AAAA////AP///wAAAAAAACH5BAAKAAAALAAAAAAEAAQAAAMJGCGiPIMQSEoCADs=';
+
+// Config per widget type; anything not listed renders with its defaults
+const CONFIGS = {
+    clock: { fontSize: 'small', align: 'center' },
+    weather: { provider: 'fixture', location: 'Oslo' },
+    counter: { initialValue: 41, fontSize: 'large' },
+    textscroller: { text: 'Pixoo', scrollSpeed: 10 },
+    nativetext: { text: 'Hello', y: 24 },
+    image: { source: TEST_GIF },
+    sprite: { spriteId: 'sprite_1', scale: 4, x: 16, y: 16 },
+    systeminfo: { showTime: false }
+};
+
+// Animations are compared after this many frames, one second apart
+const FRAMES = {
+    progressbar: 10,
+    textscroller: 4,
+    bouncingball: 5
+};
+
+loadApp();
+
+globalThis.Neutralino = {
+    computer: {
+        getMemoryInfo: async () => ({ physical: { total: 8 * 1024 ** 3, available: 2 * 1024 ** 3 } })
+    }
+};
+
+window.spriteLibrary = new SpriteLibrary();
+const heart = window.spriteLibrary.createSprite('Heart', 5, 4);
+['.X.X.', 'XXXXX', '.XXX.', '..X..'].forEach((row, y) => {
+    [...row].forEach((cell, x) => {
+        if (cell === 'X') heart.setPixel(0, x, y, [255, 40, 80]);
+    });
+});
+
+const hex = ([r, g, b]) => [r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('');
+
+function encodeGolden(type, buffer) {
+    const palette = new Map([['000000', '.']]);
+    const rows = buffer.map(row => row.map(pixel => {
+        const color = hex(pixel);
+        if (!palette.has(color)) {
+            if (palette.size > PALETTE_CHARS.length) {
+                throw new Error(`${type} uses too many colours for a golden file`);
+            }
+            palette.set(color, PALETTE_CHARS[palette.size - 1]);
+        }
+        return palette.get(color);
+    }).join(''));
+
+    const colors = Array.from(palette).filter(([color]) => color !== '000000').map(([color, char]) => `${char} ${color}`);
+    return [`# ${type}: ${colors.length} colours`, ...colors, '', ...rows, ''].join('\n');
+}
+
+function decodeGolden(text) {
+    const [header, body] = text.split('\n\n');
+    const palette = { '.': '000000' };
+    header.split('\n').slice(1).forEach(line => {
+        const [char, color] = line.split(' ');
+        palette[char] = color;
+    });
+    return body.trim().split('\n').map(row => [...row].map(char => palette[char]));
+}
+
+async function renderWidget(WidgetClass, tick) {
+    const client = new PixooClient(null, 64);
+    const scene = new Scene('scene_1', 'Golden', '', client);
+    const widget = new WidgetClass('widget_1', CONFIGS[WidgetClass.TYPE] || {}, client);
+    scene.attachWidget(widget);
+    widget.init();
+
+    if (widget instanceof ImageWidget) {
+        // init() starts decoding without waiting for it
+        await widget.loadImage();
+    }
+
+    for (let frame = 0; frame < (FRAMES[WidgetClass.TYPE] || 1); frame++) {
+        if (frame > 0) tick(1000);
+        await scene.renderPreview();
+    }
+    widget.destroy();
+    return client.buffer;
+}
+
+for (const WidgetClass of CoreWidgetsPlugin.widgets) {
+    const type = WidgetClass.TYPE;
+
+    test(`${type} matches its golden image`, async (t) => {
+        t.mock.timers.enable({ apis: ['Date'], now: NOW });
+
+        const buffer = await renderWidget(WidgetClass, ms => t.mock.timers.tick(ms));
+        const file = path.join(GOLDEN_DIR, `${type}.txt`);
+
+        if (UPDATE) {
+            fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+            fs.writeFileSync(file, encodeGolden(type, buffer));
+            return;
+        }
+
+        assert.ok(fs.existsSync(file), `No golden image for ${type}; run UPDATE_GOLDEN=1 npm test`);
+        const expected = decodeGolden(fs.readFileSync(file, 'utf8'));
+
+        const diffs = [];
+        for (let y = 0; y < 64; y++) {
+            for (let x = 0; x < 64; x++) {
+                const actual = hex(buffer[y][x]);
+                if (actual !== expected[y][x]) {
+                    diffs.push(`(${x}, ${y}) expected #${expected[y][x]}, got #${actual}`);
+                }
+            }
+        }
+
+        assert.strictEqual(diffs.length, 0,
+            `${type} differs from its golden image in ${diffs.length} pixel(s):\n  ${diffs.slice(0, 10).join('\n  ')}`);
+    });
+}
+
+test('the golden images show something for every widget', () => {
+    if (UPDATE) return;
+
+    for (const WidgetClass of CoreWidgetsPlugin.widgets) {
+        const text = fs.readFileSync(path.join(GOLDEN_DIR, `${WidgetClass.TYPE}.txt`), 'utf8');
+        assert.ok(decodeGolden(text).flat().some(color => color !== '000000'), `${WidgetClass.TYPE} rendered a blank frame`);
+    }
+});
@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, installStorage } = require('./harness');
+
+loadApp();
+
+// A member whose commands are recorded instead of sent
+function createMember(t, deviceId, size = 16) {
+    const client = new PixooClient(`10.0.0.${deviceId}`, size);
+    client.connected = true;
+    client.sent = [];
+    t.mock.method(client, 'push', async buffer => client.sent.push(buffer));
+    t.mock.method(client, 'setBrightness', async level => client.sent.push(level));
+    return { deviceId: `device_${deviceId}`, client };
+}
+
+// Devices run real render loops; stop them when the test ends, pass or fail
+function createRegistry(t) {
+    const registry = new DeviceRegistry(pluginManager);
+    t.after(() => registry.stopAll());
+    return registry;
+}
+
+test('push mirrors the frame to every connected member', async (t) => {
+    const group = new DeviceGroupClient(16);
+    const members = [createMember(t, 1), createMember(t, 2), createMember(t, 3)];
+    members[2].client.connected = false;
+    group.setMembers(members);
+
+    await group.push();
+
+    assert.strictEqual(members[0].client.sent[0], group.buffer);
+    assert.strictEqual(members[1].client.sent[0], group.buffer);
+    assert.strictEqual(members[2].client.sent.length, 0);
+    assert.strictEqual(group.connected, true);
+});
+
+test('a busy member skips frames instead of holding up the others', async (t) => {
+    const group = new DeviceGroupClient(16);
+    const slow = createMember(t, 1);
+    const fast = createMember(t, 2);
+    let finishSlow;
+    slow.client.push.mock.mockImplementation(() => new Promise(resolve => { finishSlow = resolve; }));
+    group.setMembers([slow, fast]);
+
+    const first = group.push();
+    await new Promise(resolve => setImmediate(resolve));
+    await group.push();
+    assert.strictEqual(slow.client.push.mock.callCount(), 1);
+    assert.strictEqual(fast.client.sent.length, 2);
+
+    finishSlow();
+    await first;
+});
+
+test('members must match the group size and cannot be the group', (t) => {
+    const group = new DeviceGroupClient(16);
+
+    assert.throws(() => group.setMembers([createMember(t, 1, 32)]), /is 32x32, the group is 16x16/);
+    assert.throws(() => group.setMembers([{ deviceId: 'self', client: group }]), /cannot contain itself/);
+});
+
+test('setBrightness applies each member offset within 0-100', async (t) => {
+    const group = new DeviceGroupClient(16);
+    const dim = createMember(t, 1);
+    const bright = createMember(t, 2);
+    group.setMembers([{ ...dim, brightnessOffset: -30 }, { ...bright, brightnessOffset: 30 }]);
+
+    await group.setBrightness(80);
+
+    assert.deepStrictEqual(dim.client.sent, [50]);
+    assert.deepStrictEqual(bright.client.sent, [100]);
+});
+
+test('the group shifts the colour temperature once for all members', async (t) => {
+    const group = new DeviceGroupClient(16);
+    const member = createMember(t, 1);
+    member.client.setColorTemperature(2700);
+    group.setMembers([member]);
+    group.setColorTemperature(3000);
+    await group.fillScreen([200, 200, 200]);
+
+    await group.push();
+
+    const sent = member.client.sent[0];
+    assert.deepStrictEqual(sent, group.applyColorTemperature(group.buffer));
+    assert.strictEqual(member.client.applyColorTemperature(sent), sent);
+
+    group.setMembers([]);
+    assert.notStrictEqual(member.client.applyColorTemperature(sent), sent);
+});
+
+test('grouped devices hold their own scenes until they leave the group', (t) => {
+    const registry = createRegistry(t);
+    const device = registry.addDevice();
+    const scene = device.sceneManager.createScene('Own');
+    const group = registry.addDevice({ type: 'group' });
+
+    registry.setGroupMembers(group.id, [{ deviceId: device.id }]);
+    assert.strictEqual(scene.isActive, false);
+
+    scene.start();
+    assert.strictEqual(scene.isActive, false);
+    device.sceneManager.playlist.addScene(scene.id);
+    assert.throws(() => device.sceneManager.playlist.start(), /part of a group/);
+
+    registry.setGroupMembers(group.id, []);
+    assert.strictEqual(scene.isActive, true);
+});
+
+test('removing a group releases its members', async (t) => {
+    installStorage();
+    const registry = createRegistry(t);
+    const device = registry.addDevice();
+    const scene = device.sceneManager.createScene('Own');
+    const group = registry.addDevice({ type: 'group' });
+    registry.setGroupMembers(group.id, [{ deviceId: device.id }]);
+
+    await registry.removeDevice(group.id);
+
+    assert.strictEqual(device.inGroup, false);
+    assert.strictEqual(scene.isActive, true);
+});
+
+test('restored group members load their scenes but keep them held', async (t) => {
+    const saved = createRegistry(t);
+    const device = saved.addDevice({ name: 'Member' });
+    device.sceneManager.createScene('Own');
+    const group = saved.addDevice({ type: 'group' });
+    saved.setGroupMembers(group.id, [{ deviceId: device.id, brightnessOffset: 5 }]);
+
+    installStorage({
+        devices: JSON.stringify(saved.toJSON()),
+        [device.storageKey]: JSON.stringify(device.sceneManager.toJSON())
+    });
+    const registry = createRegistry(t);
+    await registry.load();
+
+    const member = registry.getDevice(device.id);
+    assert.strictEqual(member.inGroup, true);
+    assert.strictEqual(member.sceneManager.getActiveScene().name, 'Own');
+    assert.strictEqual(member.sceneManager.getActiveScene().isActive, false);
+    assert.deepStrictEqual(registry.getDevice(group.id).toJSON().members, [{ deviceId: device.id, brightnessOffset: 5 }]);
+});
+
+test('text overlays are handed to every member', (t) => {
+    const group = new DeviceGroupClient(16);
+    const members = [createMember(t, 1), createMember(t, 2)];
+    group.setMembers(members);
+
+    group.setTextOverlay(0, { text: 'Hi', x: 1, y: 2 });
+    assert.ok(members.every(member => member.client.textOverlays.get(0).TextString === 'Hi'));
+
+    const late = createMember(t, 3);
+    group.setMembers([...members, late]);
+    assert.strictEqual(late.client.textOverlays.get(0).TextString, 'Hi');
+
+    group.removeTextOverlay(0);
+    assert.ok([...members, late].every(member => member.client.textOverlays.size === 0));
+});
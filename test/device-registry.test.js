@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, installStorage } = require('./harness');
+
+loadApp();
+
+// Devices run real render loops; stop them when the test ends, pass or fail
+function createRegistry(t) {
+    const registry = new DeviceRegistry(pluginManager);
+    t.after(() => registry.stopAll());
+    return registry;
+}
+
+test('the first launch creates one device that keeps the original scenes key', async (t) => {
+    const storage = installStorage();
+    const registry = createRegistry(t);
+
+    await registry.load();
+
+    assert.strictEqual(registry.getAllDevices().length, 1);
+    assert.strictEqual(registry.getCurrentDevice().storageKey, 'scenes');
+    assert.strictEqual(storage.size, 0);
+});
+
+test('devices and their scenes are restored from storage', async (t) => {
+    const saved = createRegistry(t);
+    const hall = saved.addDevice({ name: 'Hall', ipAddress: '10.0.0.2', size: 32 });
+    const desk = saved.addDevice({ name: 'Desk' });
+    hall.sceneManager.createScene('Clock');
+    desk.sceneManager.createScene('Weather');
+    desk.sceneManager.createScene('Stats');
+    saved.setCurrentDevice(desk.id);
+    saved.stopAll();
+
+    installStorage({
+        devices: JSON.stringify(saved.toJSON()),
+        [hall.storageKey]: JSON.stringify(hall.sceneManager.toJSON()),
+        [desk.storageKey]: JSON.stringify(desk.sceneManager.toJSON())
+    });
+    const registry = createRegistry(t);
+    await registry.load();
+
+    const [restoredHall, restoredDesk] = registry.getAllDevices();
+    assert.strictEqual(registry.getCurrentDevice(), restoredDesk);
+    assert.deepStrictEqual(restoredHall.toJSON(), hall.toJSON());
+    assert.deepStrictEqual(restoredHall.sceneManager.getAllScenes().map(scene => scene.name), ['Clock']);
+    assert.deepStrictEqual(restoredDesk.sceneManager.getAllScenes().map(scene => scene.name), ['Weather', 'Stats']);
+    assert.strictEqual(restoredHall.client.size, 32);
+
+    // Each device runs its own active scene
+    assert.strictEqual(restoredHall.sceneManager.getActiveScene().isActive, true);
+    assert.strictEqual(restoredDesk.sceneManager.getActiveScene().isActive, true);
+});
+
+test('removing a device erases its scenes, but the last device stays', async (t) => {
+    const storage = installStorage();
+    const registry = createRegistry(t);
+    const first = registry.addDevice();
+    const second = registry.addDevice();
+    await second.sceneStorage.save();
+    assert.ok(storage.has(second.storageKey));
+
+    assert.strictEqual(await registry.removeDevice(second.id), true);
+
+    assert.strictEqual(storage.has(second.storageKey), false);
+    assert.strictEqual(registry.getDevice(second.id), undefined);
+    await assert.rejects(registry.removeDevice(first.id), /At least one device/);
+});
+
+test('removing the current device selects another one', async (t) => {
+    installStorage();
+    const registry = createRegistry(t);
+    const first = registry.addDevice();
+    const second = registry.addDevice();
+    registry.setCurrentDevice(second.id);
+
+    await registry.removeDevice(second.id);
+
+    assert.strictEqual(registry.getCurrentDevice(), first);
+});
+
+test('moveScene hands a scene to another device under a new ID', (t) => {
+    const registry = createRegistry(t);
+    const from = registry.addDevice();
+    const to = registry.addDevice();
+    to.sceneManager.createScene('Existing');
+    const scene = from.sceneManager.createScene('Clock');
+    scene.addWidget(pluginManager.getWidgetType('clock'), { x: 3 });
+
+    const moved = registry.moveScene(scene.id, from.id, to.id);
+
+    assert.strictEqual(from.sceneManager.getScene(scene.id), undefined);
+    assert.strictEqual(to.sceneManager.getScene(moved.id), moved);
+    assert.notStrictEqual(moved.id, 'scene_1');
+    assert.strictEqual(moved.pixooClient, to.client);
+    assert.deepStrictEqual(moved.getAllWidgets().map(widget => widget.config.x), [3]);
+});
+
+test('findWidgets looks through every scene on every device', (t) => {
+    const registry = createRegistry(t);
+    const hall = registry.addDevice({ name: 'Hall' });
+    const desk = registry.addDevice({ name: 'Desk' });
+    const spriteType = pluginManager.getWidgetType('sprite');
+    hall.sceneManager.createScene('Art').addWidget(spriteType, { spriteId: 'sprite_1' });
+    desk.sceneManager.createScene('Clock').addWidget(pluginManager.getWidgetType('clock'));
+    desk.sceneManager.createScene('More Art').addWidget(spriteType, { spriteId: 'sprite_1' });
+
+    const users = registry.findWidgets(widget => widget.config.spriteId === 'sprite_1');
+
+    assert.deepStrictEqual(users.map(({ device, scene }) => `${device.name}/${scene.name}`), ['Hall/Art', 'Desk/More Art']);
+    assert.strictEqual(users[0].widget.constructor.TYPE, 'sprite');
+});
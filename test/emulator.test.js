@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./harness');
+const { createPixooEmulator } = require('../tools/pixoo-emulator');
+
+loadApp();
+
+let emulator;
+let client;
+
+test.before(async () => {
+    emulator = await createPixooEmulator({ port: 0, quiet: true }).listen();
+    client = new PixooClient(`127.0.0.1:${emulator.options.port}`, 64);
+    await client.connect();
+});
+
+test.after(async () => {
+    await emulator.close();
+});
+
+test('connect finds the emulator', () => {
+    assert.strictEqual(client.connected, true);
+});
+
+test('a pushed buffer arrives unchanged', async () => {
+    for (let y = 0; y < 64; y++) {
+        for (let x = 0; x < 64; x++) {
+            await client.setPixel(x, y, [x * 4, y * 4, (x + y) % 256]);
+        }
+    }
+
+    await client.push();
+
+    assert.deepStrictEqual(emulator.getLastFrame(), client.buffer);
+});
+
+test('an unchanged frame is not sent again', async () => {
+    const received = emulator.state.framesReceived;
+    const frame = () => client.createBuffer().map(row => row.map(() => [1, 2, 3]));
+
+    const first = await client.push(frame());
+    const repeat = await client.push(frame());
+
+    assert.notDeepStrictEqual(first, { skipped: true });
+    assert.deepStrictEqual(repeat, { skipped: true });
+    assert.strictEqual(emulator.state.framesReceived, received + 1);
+});
+
+test('an animation arrives frame by frame', async () => {
+    const frames = [[255, 0, 0], [0, 255, 0], [0, 0, 255]]
+        .map(color => client.createBuffer().map(row => row.map(() => color)));
+
+    await client.pushAnimation(frames, 200);
+
+    frames.forEach((frame, index) => {
+        assert.deepStrictEqual(emulator.getLastFrame(index), frame);
+    });
+});
+
+test('a rendered scene reaches the device', async () => {
+    const scene = new Scene('scene_1', 'Emulated', '', client);
+    const widget = scene.addWidget(pluginManager.getWidgetType('counter'), { autoIncrement: false, initialValue: 7 });
+    widget.init();
+    scene.isActive = true;
+
+    await scene.render();
+    scene.isActive = false;
+    widget.destroy();
+
+    assert.deepStrictEqual(emulator.getLastFrame(), client.buffer);
+    assert.ok(client.buffer.flat().some(pixel => pixel[1] === 255));
+});
+
+test('brightness and channel commands change the device state', async () => {
+    await client.setBrightness(42);
+    await client.setChannel(2);
+
+    assert.strictEqual(emulator.state.brightness, 42);
+    assert.strictEqual(await client.getChannel(), 2);
+});
+
+test('showing a built-in channel leaves the last frame to the scene manager', async () => {
+    const frame = client.createBuffer();
+    await client.push(frame);
+
+    await client.setClockFace(5);
+
+    // The scenes are held while the device shows its own screen, so nothing forces a resend
+    assert.deepStrictEqual(await client.push(frame), { skipped: true });
+});
+
+test('channel and display settings read back through getSettings', async () => {
+    await client.setClockFace(182);
+    await client.setRotation(270);
+    await client.setMirrorMode(true);
+    await client.setTimeFormat24(false);
+    await client.setTemperatureUnit('fahrenheit');
+
+    const settings = await client.getSettings();
+
+    assert.strictEqual(settings.channel, 0);
+    assert.strictEqual(settings.clockId, 182);
+    assert.strictEqual(settings.rotation, 270);
+    assert.strictEqual(settings.mirror, true);
+    assert.strictEqual(settings.time24, false);
+    assert.strictEqual(settings.temperatureUnit, 'fahrenheit');
+    assert.deepStrictEqual(await client.getClockInfo(), { clockId: 182, brightness: 42 });
+});
+
+test('time settings reach the device', async () => {
+    await client.setTimeZone(-5.5);
+    await client.setSystemTime(new Date(Date.UTC(2025, 0, 2, 13, 45, 30)));
+
+    assert.strictEqual(emulator.state.timeZone, 'GMT-5.5');
+    assert.strictEqual((await client.getDeviceTime()).utc, Date.UTC(2025, 0, 2, 13, 45, 30) / 1000);
+});
+
+test('the built-in tools receive their settings', async () => {
+    await client.startTimer(5, 30);
+    await client.setStopwatch('start');
+    await client.setScoreboard(3, 12);
+    await client.setNoiseMeter(true);
+    await client.playBuzzer({ activeMs: 200, offMs: 100, totalMs: 1000 });
+
+    assert.deepStrictEqual(emulator.state.timer, { minute: 5, second: 30, running: true });
+    assert.strictEqual(emulator.state.stopwatch, 'running');
+    assert.deepStrictEqual(emulator.state.scoreboard, { red: 3, blue: 12 });
+    assert.strictEqual(emulator.state.noiseMeter, true);
+    assert.deepStrictEqual(emulator.state.buzzer, { activeMs: 200, offMs: 100, totalMs: 1000 });
+
+    await client.stopTimer();
+    assert.strictEqual(emulator.state.timer.running, false);
+});
+
+test('the font list is read from the device and offered to the font pickers', async (t) => {
+    t.after(() => { PixooClient.deviceFonts = null; });
+    PixooClient.deviceFonts = null;
+    assert.strictEqual(PixooClient.getFontOptions().length, 8);
+
+    const fonts = await client.getFontList();
+
+    assert.deepStrictEqual(fonts.map(font => font.id), [0, 2]);
+    assert.deepStrictEqual(PixooClient.getFontOptions()[1], { value: 2, label: 'Emulator 16px (16px)' });
+});
+
+test('native text overlays reach the device after a push', async () => {
+    const [textId] = client.allocateTextIds(1);
+    client.setTextOverlay(textId, { text: 'Hi', x: 2, y: 40 });
+
+    await client.push();
+    assert.strictEqual(emulator.state.texts[textId].TextString, 'Hi');
+
+    client.releaseTextIds([textId]);
+    await client.push();
+    assert.deepStrictEqual(emulator.state.texts, {});
+});
@@ -0,0 +1,116 @@
+/**
+ * Test harness - Runs the app's browser scripts headlessly in Node.
+ *
+ * The scripts expect a browser: they read and write `window` globals and
+ * listen on `document`. loadApp() shims those on the global object and runs
+ * the core scripts with vm in the order resources/index.html loads them,
+ * then the built-in plugins. node --test runs every test file in its own
+ * process, so the globals don't leak between files.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const RESOURCES = path.join(__dirname, '..', 'resources');
+const PLUGINS = ['js/plugins/core-widgets.js', 'js/plugins/chart-widgets.js'];
+
+/**
+ * Core script paths, relative to resources/, as index.html lists them
+ */
+function getCoreScripts() {
+    const html = fs.readFileSync(path.join(RESOURCES, 'index.html'), 'utf8');
+    return Array.from(html.matchAll(/<script src="\/(js\/core\/[^"]+)"><\/script>/g), match => match[1]);
+}
+
+function createElement(tagName) {
+    return {
+        tagName: tagName.toUpperCase(),
+        style: {},
+        dataset: {},
+        children: [],
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        appendChild(child) {
+            this.children.push(child);
+            return child;
+        },
+        addEventListener() {},
+        removeEventListener() {},
+        setAttribute() {}
+    };
+}
+
+function installGlobals() {
+    globalThis.window = globalThis;
+
+    // The scripts only dispatch and listen for events on document
+    const document = new EventTarget();
+    document.head = createElement('head');
+    document.body = createElement('body');
+    document.getElementById = () => null;
+    document.querySelector = () => null;
+    document.querySelectorAll = () => [];
+    document.createElement = createElement;
+    globalThis.document = document;
+}
+
+function runScript(relativePath) {
+    const filename = path.join(RESOURCES, relativePath);
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+}
+
+/**
+ * Load the core scripts and, unless plugins is false, register the built-in
+ * plugins with window.pluginManager. The app's console.log and console.warn
+ * chatter is silenced unless verbose is set.
+ */
+function loadApp({ plugins = true, verbose = false } = {}) {
+    if (globalThis.PixooClient) return globalThis;
+
+    if (!verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+
+    installGlobals();
+    getCoreScripts().forEach(runScript);
+
+    if (plugins) {
+        // The plugins register themselves with an existing plugin manager
+        window.pluginManager = new PluginManager();
+        PLUGINS.forEach(runScript);
+    }
+
+    return globalThis;
+}
+
+/**
+ * Replace Neutralino.storage with an in-memory store. Like Neutralino, reading
+ * a key that was never written throws NE_ST_NOSTKEX and writing null erases it.
+ * Returns the Map holding the stored strings.
+ */
+function installStorage(initial = {}) {
+    const data = new Map(Object.entries(initial));
+
+    globalThis.Neutralino = {
+        ...globalThis.Neutralino,
+        storage: {
+            async getData(key) {
+                if (!data.has(key)) {
+                    throw { code: 'NE_ST_NOSTKEX', message: `Storage key ${key} was not found` };
+                }
+                return data.get(key);
+            },
+            async setData(key, value) {
+                if (value === null) {
+                    data.delete(key);
+                } else {
+                    data.set(key, value);
+                }
+            }
+        }
+    };
+
+    return data;
+}
+
+module.exports = { loadApp, installStorage, getCoreScripts, RESOURCES };
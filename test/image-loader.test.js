@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./harness');
+
+loadApp();
+
+// A 4x4 GIF: red, green, blue and yellow quarters with one white pixel
+const TEST_GIF = 'data:image/gif;base64,R0lGODlhBAAEAPIAAAAAAP8AAAD/AAAA////AP///wAAAAAAACH5BAAKAAAALAAAAAAEAAQAAAMJGCGiPIMQSEoCADs=';
+
+// A looping 1x1 GIF: red for 200ms, then blue for 300ms
+const BLINK_GIF = 'data:image/gif;base64,R0lGODlhAQABAIAAAP8AAAAA/yH/C05FVFNDQVBFMi4wAwEAAAAh+QQAFAAAACwAAAAAAQABAAACAkQBACH5BAAeAAAALAAAAAABAAEAAAICTAEAOw==';
+
+// RGBA pixels for a width x height image from [r, g, b, a] colours, row by row
+const rgba = colors => Uint8ClampedArray.from(colors.flat());
+
+test('data URLs decode to their bytes', () => {
+    assert.deepStrictEqual(Array.from(ImageLoader.parseDataUrl('data:text/plain;base64,AQID')), [1, 2, 3]);
+    assert.deepStrictEqual(Array.from(ImageLoader.parseDataUrl('data:,%01%02')), [1, 2]);
+    assert.throws(() => ImageLoader.parseDataUrl('data:nope'), /Invalid data URL/);
+});
+
+test('formats are recognised by their magic bytes', async () => {
+    assert.strictEqual(ImageLoader.sniffType([0x47, 0x49, 0x46, 0x38]), 'gif');
+    assert.strictEqual(ImageLoader.sniffType([0x89, 0x50, 0x4E, 0x47]), 'png');
+    assert.strictEqual(ImageLoader.sniffType([0xFF, 0xD8]), 'jpeg');
+    await assert.rejects(ImageLoader.decode(new Uint8Array([1, 2, 3, 4])), /Unsupported image format/);
+});
+
+test('a GIF decodes to RGBA pixels', async () => {
+    const image = await ImageLoader.load(TEST_GIF);
+    const pixel = (x, y) => Array.from(image.frames[0].pixels.slice((y * 4 + x) * 4, (y * 4 + x) * 4 + 4));
+
+    assert.strictEqual(image.width, 4);
+    assert.strictEqual(image.frames.length, 1);
+    assert.deepStrictEqual(pixel(0, 0), [255, 0, 0, 255]);
+    assert.deepStrictEqual(pixel(3, 0), [0, 255, 0, 255]);
+    assert.deepStrictEqual(pixel(0, 3), [0, 0, 255, 255]);
+    assert.deepStrictEqual(pixel(2, 2), [255, 255, 0, 255]);
+    assert.deepStrictEqual(pixel(3, 3), [255, 255, 255, 255]);
+});
+
+test('every GIF frame keeps its delay', async () => {
+    const image = await ImageLoader.load(BLINK_GIF);
+
+    assert.deepStrictEqual(image.frames.map(frame => Array.from(frame.pixels)), [[255, 0, 0, 255], [0, 0, 255, 255]]);
+    assert.deepStrictEqual(image.frames.map(frame => frame.delay), [200, 300]);
+});
+
+test('contain letterboxes and cover crops', () => {
+    const image = { width: 2, height: 1 };
+    const pixels = rgba([[255, 0, 0, 255], [0, 0, 255, 255]]);
+
+    const contained = ImageLoader.scale(image, pixels, 2, 2, { fit: 'contain' });
+    assert.deepStrictEqual(Array.from(contained), [255, 0, 0, 255, 0, 0, 255, 255, 0, 0, 0, 0, 0, 0, 0, 0]);
+
+    const covered = ImageLoader.scale(image, pixels, 1, 1, { fit: 'cover', scaling: 'smooth' });
+    assert.deepStrictEqual(Array.from(covered), [255, 0, 0, 255]);
+
+    const averaged = ImageLoader.scale(image, pixels, 1, 1, { fit: 'stretch', scaling: 'smooth' });
+    assert.deepStrictEqual(Array.from(averaged), [128, 0, 128, 255]);
+});
+
+test('dithering reduces each channel to the requested levels', () => {
+    const pixels = rgba([[100, 200, 30, 255], [100, 200, 30, 255], [0, 0, 0, 0]]);
+
+    ImageLoader.dither(pixels, 3, 1, 'floyd-steinberg', 2);
+
+    assert.ok(Array.from(pixels.slice(0, 8)).every(value => value === 0 || value === 255));
+    assert.deepStrictEqual(Array.from(pixels.slice(8)), [0, 0, 0, 0]);
+});
+
+test('the image widget follows the GIF timing', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const widget = new ImageWidget('widget_1', { source: BLINK_GIF }, new PixooClient(null, 16));
+    await widget.loadImage();
+
+    assert.strictEqual(widget.getFrameIndex(0), 0);
+    t.mock.timers.tick(250);
+    assert.strictEqual(widget.getFrameIndex(0), 1);
+    t.mock.timers.tick(300);
+    assert.strictEqual(widget.getFrameIndex(0), 0);
+
+    widget.updateConfig({ loop: false });
+    t.mock.timers.tick(1000);
+    assert.strictEqual(widget.getFrameIndex(0), 1);
+});
+
+test('a broken image says so on the display', async () => {
+    const client = new PixooClient(null, 16);
+    const widget = new ImageWidget('widget_1', { source: 'data:image/gif;base64,AAAA' }, client);
+    await widget.loadImage();
+
+    await widget.onAnimationFrame(0);
+
+    assert.match(widget.loadError.message, /Unsupported image format/);
+    assert.ok(client.buffer.flat().some(pixel => pixel[0] === 255));
+});
+
+test('a new source is scaled even when the widget size stays the same', async () => {
+    const client = new PixooClient(null, 16);
+    const widget = new ImageWidget('widget_1', { source: TEST_GIF }, client);
+    await widget.loadImage();
+
+    widget.updateConfig({ source: BLINK_GIF });
+    await widget.loadImage();
+    await widget.onAnimationFrame(0);
+
+    assert.strictEqual(widget.frames.length, 2);
+    assert.ok(client.buffer.flat().every(pixel => pixel.join() === '255,0,0'));
+});
+
+test('a still image is drawn once and only GIFs with several frames keep redrawing', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1000 });
+    const client = new PixooClient(null, 16);
+    const still = new ImageWidget('widget_1', { source: TEST_GIF }, client);
+    const animated = new ImageWidget('widget_2', { source: BLINK_GIF }, client);
+
+    for (const widget of [still, animated]) {
+        widget.init();
+        await widget.loadImage();
+        assert.strictEqual(widget.needsRedraw(), true);
+        assert.strictEqual(await widget.captureDrawing(), true);
+    }
+
+    t.mock.timers.tick(10000);
+    assert.strictEqual(still.needsRedraw(), false);
+    assert.strictEqual(animated.needsRedraw(), true);
+
+    still.updateConfig({ x: 2 });
+    assert.strictEqual(still.needsRedraw(), true);
+});
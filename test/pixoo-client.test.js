@@ -0,0 +1,202 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./harness');
+
+loadApp({ plugins: false });
+
+test('createBuffer is a black size x size grid', () => {
+    const client = new PixooClient(null, 16);
+
+    assert.strictEqual(client.buffer.length, 16);
+    assert.ok(client.buffer.every(row => row.length === 16));
+    assert.ok(client.buffer.every(row => row.every(pixel => pixel.join() === '0,0,0')));
+});
+
+test('the constructor rejects unsupported sizes', () => {
+    assert.throws(() => new PixooClient(null, 20), /Unsupported display size 20/);
+});
+
+test('setSize reallocates the buffer for another supported size', () => {
+    const client = new PixooClient(null, 64);
+
+    client.setSize(32);
+
+    assert.strictEqual(client.size, 32);
+    assert.strictEqual(client.buffer.length, 32);
+    assert.throws(() => client.setSize(48), /Supported sizes: 16, 32, 64/);
+    assert.strictEqual(client.size, 32);
+});
+
+test('setPixel writes inside the buffer and ignores pixels outside it', async () => {
+    const client = new PixooClient(null, 16);
+
+    await client.setPixel(3, 4, [10, 20, 30]);
+    await client.setPixel(-1, 0, [255, 0, 0]);
+    await client.setPixel(16, 0, [255, 0, 0]);
+    await client.setPixel(0, 16, [255, 0, 0]);
+
+    assert.deepStrictEqual(client.buffer[4][3], [10, 20, 30]);
+    assert.strictEqual(client.buffer.flat().filter(pixel => pixel.some(channel => channel > 0)).length, 1);
+});
+
+test('setPixel drops the alpha of opaque colours and blends translucent ones', async () => {
+    const client = new PixooClient(null, 16);
+
+    await client.setPixel(0, 0, [200, 100, 50, 255]);
+    assert.deepStrictEqual(client.buffer[0][0], [200, 100, 50]);
+
+    await client.setPixel(1, 0, [200, 100, 0]);
+    await client.setPixel(1, 0, [0, 0, 200, 128]);
+    assert.deepStrictEqual(client.buffer[0][1], [100, 50, 100]);
+});
+
+test('setPixel applies blend modes', async () => {
+    const client = new PixooClient(null, 16);
+
+    await client.setPixel(0, 0, [200, 100, 50]);
+    await client.setPixel(0, 0, [100, 200, 50], 'add');
+    assert.deepStrictEqual(client.buffer[0][0], [255, 255, 100]);
+
+    await client.setPixel(1, 0, [255, 128, 0]);
+    await client.setPixel(1, 0, [128, 255, 255], 'multiply');
+    assert.deepStrictEqual(client.buffer[0][1], [128, 128, 0]);
+
+    await client.setPixel(2, 0, [128, 0, 255]);
+    await client.setPixel(2, 0, [128, 255, 0], 'screen');
+    assert.deepStrictEqual(client.buffer[0][2], [192, 255, 255]);
+    assert.throws(() => ColorBlend.get('nope'), /Unknown blend mode: nope/);
+});
+
+test('fillScreen and clear set every pixel', async () => {
+    const client = new PixooClient(null, 16);
+
+    await client.fillScreen([1, 2, 3]);
+    assert.ok(client.buffer.every(row => row.every(pixel => pixel.join() === '1,2,3')));
+
+    await client.clear();
+    assert.ok(client.buffer.every(row => row.every(pixel => pixel.join() === '0,0,0')));
+});
+
+test('snapshotBuffer copies the rows', async () => {
+    const client = new PixooClient(null, 16);
+    const snapshot = client.snapshotBuffer();
+
+    await client.setPixel(0, 0, [255, 255, 255]);
+    assert.deepStrictEqual(snapshot[0][0], [0, 0, 0]);
+});
+
+test('bufferToPicData encodes RGB bytes row by row as base64', async () => {
+    const client = new PixooClient(null, 16);
+    await client.setPixel(0, 0, [1, 2, 3]);
+    await client.setPixel(1, 0, [4, 5, 6]);
+    await client.setPixel(0, 1, [7, 8, 9]);
+    await client.setPixel(15, 15, [255, 128, 0]);
+
+    const bytes = Buffer.from(client.bufferToPicData(), 'base64');
+
+    assert.strictEqual(bytes.length, 16 * 16 * 3);
+    assert.deepStrictEqual([...bytes.subarray(0, 6)], [1, 2, 3, 4, 5, 6]);
+    assert.deepStrictEqual([...bytes.subarray(16 * 3, 16 * 3 + 3)], [7, 8, 9]);
+    assert.deepStrictEqual([...bytes.subarray(bytes.length - 3)], [255, 128, 0]);
+});
+
+test('bufferToPicData encodes a given buffer rather than the client buffer', () => {
+    const client = new PixooClient(null, 64);
+    const buffer = client.createBuffer().map(row => row.map(() => [9, 9, 9]));
+
+    const bytes = Buffer.from(client.bufferToPicData(buffer), 'base64');
+
+    assert.strictEqual(bytes.length, 64 * 64 * 3);
+    assert.ok(bytes.every(byte => byte === 9));
+});
+
+test('applyColorTemperature leaves 6500K frames alone and warms lower temperatures', () => {
+    const client = new PixooClient(null, 16);
+    const buffer = client.createBuffer().map(row => row.map(() => [200, 200, 200]));
+
+    assert.strictEqual(client.applyColorTemperature(buffer), buffer);
+
+    client.setColorTemperature(2700);
+    const [r, g, b] = client.applyColorTemperature(buffer)[0][0];
+    assert.strictEqual(r, 200);
+    assert.ok(g < 200 && b < g);
+});
+
+test('pushAnimation rejects empty, oversized and mis-sized animations', async () => {
+    const client = new PixooClient(null, 16);
+
+    await assert.rejects(client.pushAnimation([]), /at least one frame/);
+    await assert.rejects(client.pushAnimation(Array(61).fill(client.createBuffer())), /at most 60 frames/);
+    await assert.rejects(client.pushAnimation([new PixooClient(null, 32).createBuffer()]), /Frame 0 must be 16x16/);
+});
+
+test('device settings are checked before anything is sent', async (t) => {
+    const client = new PixooClient(null, 16);
+    const sendCommand = t.mock.method(client, 'sendCommand', async () => ({}));
+
+    await assert.rejects(client.setChannel(7), /Unknown channel 7/);
+    await assert.rejects(client.setCloudChannel(3), /Unknown cloud channel 3/);
+    await assert.rejects(client.setRotation(45), /0, 90, 180 or 270/);
+    await assert.rejects(client.setTimeZone(15), /between -12 and \+14/);
+    await assert.rejects(client.setWhiteBalance(100, 101, 0), /Green balance must be between 0 and 100/);
+    await assert.rejects(client.setClockFace(-1), /whole number of at least 0/);
+    await assert.rejects(client.startTimer(0, 0), /at least a second/);
+    await assert.rejects(client.setStopwatch('lap'), /Unknown stopwatch action: lap/);
+    await assert.rejects(client.setScoreboard(1000, 0), /Red score must be between 0 and 999/);
+    await assert.rejects(client.playBuzzer({ totalMs: 0 }), /Buzzer total time/);
+    assert.strictEqual(sendCommand.mock.callCount(), 0);
+
+    await client.setRotation(90);
+    assert.deepStrictEqual(sendCommand.mock.calls[0].arguments[0], { Command: 'Device/SetScreenRotationAngle', Mode: 1 });
+});
+
+test('TextIds are handed out once each, up to the device limit', () => {
+    const client = new PixooClient(null, 16);
+
+    assert.deepStrictEqual(client.allocateTextIds(2), [0, 1]);
+    assert.deepStrictEqual(client.allocateTextIds(1), [2]);
+    client.releaseTextIds([1]);
+    assert.deepStrictEqual(client.allocateTextIds(1), [1]);
+    assert.throws(() => client.allocateTextIds(18), /at most 20 lines/);
+});
+
+test('buildTextPayload clamps overlays to the device', () => {
+    const client = new PixooClient(null, 16);
+    const payload = client.buildTextPayload(3, { text: 'x'.repeat(600), x: 40, y: -2, width: 100, speed: -5, color: [300, 16, 0], direction: 'right', align: 'center' });
+
+    assert.strictEqual(payload.TextId, 3);
+    assert.strictEqual(payload.x, 15);
+    assert.strictEqual(payload.y, 0);
+    assert.strictEqual(payload.TextWidth, 64);
+    assert.strictEqual(payload.speed, 0);
+    assert.strictEqual(payload.TextString.length, 511);
+    assert.strictEqual(payload.color, '#ff1000');
+    assert.strictEqual(payload.dir, 1);
+    assert.strictEqual(payload.align, PixooClient.TEXT_ALIGN.center);
+});
+
+test('syncTextOverlays sends changed overlays only and clears removed ones', async (t) => {
+    const client = new PixooClient(null, 16);
+    client.connected = true;
+    const sendCommand = t.mock.method(client, 'sendCommand', async () => ({}));
+    const sent = () => sendCommand.mock.calls.map(call => call.arguments[0].Command);
+
+    client.setTextOverlay(0, { text: 'One' });
+    client.setTextOverlay(1, { text: 'Two' });
+    // Texts left over from before the client connected are cleared first
+    await client.syncTextOverlays();
+    assert.deepStrictEqual(sent(), ['Draw/ClearHttpText', 'Draw/SendHttpText', 'Draw/SendHttpText']);
+
+    client.setTextOverlay(1, { text: 'Three' });
+    await client.syncTextOverlays();
+    assert.strictEqual(sendCommand.mock.calls[3].arguments[0].TextString, 'Three');
+    assert.strictEqual(sendCommand.mock.callCount(), 4);
+
+    // The device can only clear every text, so the rest are sent again
+    client.removeTextOverlay(0);
+    await client.syncTextOverlays();
+    assert.deepStrictEqual(sent().slice(4), ['Draw/ClearHttpText', 'Draw/SendHttpText']);
+
+    await client.syncTextOverlays();
+    assert.strictEqual(sendCommand.mock.callCount(), 6);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./harness');
+
+loadApp({ plugins: false });
+
+class TestWidget extends Widget {
+    static TYPE = 'test-widget';
+    static NAME = 'Test Widget';
+    static ICON = '🧪';
+}
+
+class OtherWidget extends Widget {
+    static TYPE = 'other-widget';
+}
+
+function createPlugin(id = 'test-plugin') {
+    const plugin = new Plugin(id, 'Test Plugin', '1.0.0');
+    plugin.widgets = [TestWidget, OtherWidget];
+    return plugin;
+}
+
+test('registerPlugin registers the plugin and its widget types', () => {
+    const manager = new PluginManager();
+    const plugin = createPlugin();
+
+    manager.registerPlugin(plugin);
+
+    assert.strictEqual(manager.getPlugin('test-plugin'), plugin);
+    assert.deepStrictEqual(manager.getAllWidgetTypes(), ['test-widget', 'other-widget']);
+    assert.strictEqual(manager.getWidgetType('test-widget'), TestWidget);
+    assert.strictEqual(manager.createWidget('other-widget'), OtherWidget);
+});
+
+test('registerPlugin calls init once registered', () => {
+    const manager = new PluginManager();
+    const plugin = createPlugin();
+    let initialized = 0;
+    plugin.init = () => initialized++;
+
+    manager.registerPlugin(plugin);
+
+    assert.strictEqual(initialized, 1);
+});
+
+test('registerPlugin rejects incomplete and duplicate plugins', () => {
+    const manager = new PluginManager();
+
+    assert.throws(() => manager.registerPlugin({ id: 'x', name: 'X' }), /must have id, name, and version/);
+
+    manager.registerPlugin(createPlugin());
+    assert.throws(() => manager.registerPlugin(createPlugin()), /already registered/);
+});
+
+test('unregisterPlugin removes its widget types and calls destroy', () => {
+    const manager = new PluginManager();
+    const plugin = createPlugin();
+    let destroyed = 0;
+    plugin.destroy = () => destroyed++;
+    manager.registerPlugin(plugin);
+
+    assert.strictEqual(manager.unregisterPlugin('test-plugin'), true);
+
+    assert.strictEqual(manager.getPlugin('test-plugin'), undefined);
+    assert.deepStrictEqual(manager.getAllWidgetTypes(), []);
+    assert.throws(() => manager.createWidget('test-widget'), /Unknown widget type/);
+    assert.strictEqual(destroyed, 1);
+});
+
+test('unregisterPlugin returns false for unknown plugins', () => {
+    assert.strictEqual(new PluginManager().unregisterPlugin('missing'), false);
+});
+
+test('plugin fonts are registered and unregistered with the plugin', () => {
+    const manager = new PluginManager();
+    const plugin = createPlugin();
+    plugin.fonts = [BitmapFont.fromHex('test-font', { width: 3, height: 3, glyphs: { A: '757' } })];
+
+    manager.registerPlugin(plugin);
+    assert.ok(BitmapFont.getFontNames().some(font => font.value === 'test-font'));
+
+    manager.unregisterPlugin('test-plugin');
+    assert.ok(!BitmapFont.getFontNames().some(font => font.value === 'test-font'));
+});
+
+test('widget type metadata comes from the class statics', () => {
+    const manager = new PluginManager();
+    manager.registerPlugin(createPlugin());
+
+    const metadata = manager.getWidgetTypesMetadata()['test-widget'];
+
+    assert.strictEqual(metadata.name, 'Test Widget');
+    assert.strictEqual(metadata.icon, '🧪');
+    assert.strictEqual(metadata.configSchema, Widget.CONFIG_SCHEMA);
+});
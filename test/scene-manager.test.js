@@ -0,0 +1,320 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./harness');
+
+loadApp();
+
+// Counts lifecycle calls and draws one pixel per render
+class ProbeWidget extends Widget {
+    static TYPE = 'probe';
+
+    constructor(id, config, pixooClient) {
+        super(id, config, pixooClient);
+        this.calls = { init: 0, destroy: 0, render: 0 };
+    }
+
+    onInit() {
+        this.calls.init++;
+    }
+
+    onDestroy() {
+        this.calls.destroy++;
+    }
+
+    async onRender() {
+        this.calls.render++;
+        await this.setPixel(0, 0, [255, 0, 0]);
+    }
+}
+
+function createScene() {
+    const client = new PixooClient(null, 16);
+    return new Scene('scene_1', 'Test', '', client);
+}
+
+test('start initializes widgets and runs the render loop at the refresh rate', async (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const scene = createScene();
+    const widget = scene.addWidget(ProbeWidget);
+    const render = t.mock.method(scene, 'render');
+
+    scene.start();
+    assert.strictEqual(scene.isActive, true);
+    assert.strictEqual(widget.calls.init, 1);
+    assert.strictEqual(render.mock.callCount(), 0);
+
+    t.mock.timers.tick(1000);
+    t.mock.timers.tick(1000);
+    assert.strictEqual(render.mock.callCount(), 2);
+
+    // Let the renders started by the loop finish
+    await new Promise(resolve => setImmediate(resolve));
+    await scene.render();
+    assert.ok(widget.calls.render > 0);
+    assert.deepStrictEqual(scene.pixooClient.buffer[0][0], [255, 0, 0]);
+    scene.stop();
+});
+
+test('stop ends the render loop and destroys widgets', (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const scene = createScene();
+    const widget = scene.addWidget(ProbeWidget);
+    const render = t.mock.method(scene, 'render');
+
+    scene.start();
+    scene.stop();
+    t.mock.timers.tick(5000);
+
+    assert.strictEqual(scene.isActive, false);
+    assert.strictEqual(scene.updateInterval, null);
+    assert.strictEqual(widget.calls.destroy, 1);
+    assert.strictEqual(render.mock.callCount(), 0);
+});
+
+test('start and stop are idempotent', (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const scene = createScene();
+    const widget = scene.addWidget(ProbeWidget);
+
+    scene.start();
+    scene.start();
+    scene.stop();
+    scene.stop();
+
+    assert.strictEqual(widget.calls.init, 1);
+    assert.strictEqual(widget.calls.destroy, 1);
+});
+
+test('setRefreshRate restarts the loop of a running scene at the new rate', (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const scene = createScene();
+    const render = t.mock.method(scene, 'render');
+    scene.start();
+
+    scene.setRefreshRate(250);
+    t.mock.timers.tick(1000);
+
+    assert.strictEqual(scene.refreshRate, 250);
+    assert.strictEqual(render.mock.callCount(), 4);
+    scene.stop();
+});
+
+test('setRefreshRate keeps to the 100ms minimum and notifies listeners', () => {
+    const scene = createScene();
+    let changes = 0;
+    scene.onChange = () => changes++;
+
+    scene.setRefreshRate(10);
+
+    assert.strictEqual(scene.refreshRate, 100);
+    assert.strictEqual(scene.isActive, false);
+    assert.strictEqual(changes, 1);
+});
+
+test('widgets render bottom layer first', async () => {
+    const scene = createScene();
+    const red = new Widget('widget_1', { zIndex: 2 }, scene.pixooClient);
+    const blue = new Widget('widget_2', {}, scene.pixooClient);
+    red.onRender = () => red.setPixel(0, 0, [255, 0, 0]);
+    blue.onRender = () => blue.setPixel(0, 0, [0, 0, 255]);
+    for (const widget of [red, blue]) {
+        scene.attachWidget(widget);
+        widget.init();
+    }
+
+    await scene.renderFrame();
+    assert.deepStrictEqual(scene.pixooClient.buffer[0][0], [255, 0, 0]);
+
+    scene.moveWidgetToLayer('widget_1', 0);
+    assert.deepStrictEqual([red.config.zIndex, blue.config.zIndex], [0, 1]);
+    await scene.renderFrame();
+    assert.deepStrictEqual(scene.pixooClient.buffer[0][0], [0, 0, 255]);
+});
+
+test('only widgets that are due draw again, and only their region is recomposed', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 100000 });
+    const scene = createScene();
+    const fast = scene.addWidget(ProbeWidget, { x: 0, y: 0, width: 4, height: 4, updateInterval: 1000 });
+    const slow = scene.addWidget(ProbeWidget, { x: 8, y: 8, width: 4, height: 4, updateInterval: 60000 });
+    fast.init();
+    slow.init();
+    const stats = Scene.createStats();
+
+    assert.strictEqual(await scene.updateFrame(stats), true);
+    assert.strictEqual(await scene.updateFrame(stats), false);
+
+    t.mock.timers.tick(1000);
+    // Something drawn outside the dirty region is left alone
+    scene.pixooClient.buffer = scene.lastFrame.map(row => row.slice());
+    scene.lastFrame[15][15] = [0, 255, 0];
+    assert.strictEqual(await scene.updateFrame(stats), true);
+
+    assert.strictEqual(fast.calls.render, 2);
+    assert.strictEqual(slow.calls.render, 1);
+    assert.deepStrictEqual(scene.lastFrame[8][8], [255, 0, 0]);
+    assert.deepStrictEqual(scene.lastFrame[15][15], [0, 255, 0]);
+    assert.deepStrictEqual(stats, { ticks: 0, framesRendered: 2, widgetRedraws: 3, framesPushed: 0, framesUnchanged: 0 });
+});
+
+test('the render loop counts frames the client sends and skips as unchanged', async (t) => {
+    const scene = createScene();
+    scene.pixooClient.connected = true;
+    t.mock.method(scene.pixooClient, 'sendCommand', async () => ({ error_code: 0 }));
+    const widget = scene.addWidget(ProbeWidget, { updateInterval: 0 });
+    widget.init();
+    scene.isActive = true;
+
+    await scene.render();
+    await scene.render();
+    scene.isActive = false;
+
+    const stats = scene.getRenderStats();
+    assert.strictEqual(stats.ticks, 2);
+    assert.strictEqual(stats.framesPushed, 1);
+    assert.strictEqual(stats.framesUnchanged, 1);
+    assert.deepStrictEqual(scene.pixooClient.frameStats, { pushed: 1, unchanged: 1 });
+});
+
+test('a tick is skipped while the previous render is still running', async (t) => {
+    const scene = createScene();
+    scene.pixooClient.connected = true;
+    let finish;
+    const sent = new Promise(resolve => { finish = resolve; });
+    const push = t.mock.method(scene.pixooClient, 'push', () => sent);
+    scene.isActive = true;
+
+    const first = scene.render();
+    await new Promise(resolve => setImmediate(resolve));
+    await scene.render();
+    finish();
+    await first;
+    await scene.render();
+    scene.isActive = false;
+
+    assert.strictEqual(push.mock.callCount(), 2);
+    assert.strictEqual(scene.getRenderStats().ticks, 2);
+});
+
+test('the preview of a running scene shows its last frame without redrawing widgets', async () => {
+    const scene = createScene();
+    const widget = scene.addWidget(ProbeWidget, { updateInterval: 0 });
+    widget.init();
+    scene.isActive = true;
+    await scene.render();
+
+    await scene.pixooClient.fillScreen([0, 0, 255]);
+    await scene.renderPreview();
+    scene.isActive = false;
+
+    assert.strictEqual(widget.calls.render, 1);
+    assert.deepStrictEqual(scene.pixooClient.buffer[0][0], [255, 0, 0]);
+    assert.deepStrictEqual(scene.pixooClient.buffer[0][1], [0, 0, 0]);
+});
+
+test('uploadAnimation stops the scene so the device keeps playing the animation', async (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const scene = createScene();
+    scene.pixooClient.connected = true;
+    const pushAnimation = t.mock.method(scene.pixooClient, 'pushAnimation', async frames => ({ frames: frames.length }));
+    const widget = scene.addWidget(ProbeWidget);
+    scene.start();
+
+    assert.deepStrictEqual(await scene.uploadAnimation(3), { frames: 3 });
+    assert.strictEqual(scene.isActive, false);
+    assert.strictEqual(scene.updateInterval, null);
+    assert.strictEqual(widget.calls.destroy, 1);
+
+    pushAnimation.mock.mockImplementation(async () => { throw new Error('Upload failed'); });
+    await assert.rejects(scene.uploadAnimation(3), /Upload failed/);
+    assert.strictEqual(scene.isActive, false);
+});
+
+test('SceneManager starts the first scene and switches the active one', (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const manager = new SceneManager(new PixooClient(null, 16));
+
+    const first = manager.createScene('First');
+    const second = manager.createScene('Second');
+    assert.strictEqual(manager.getActiveScene(), first);
+    assert.strictEqual(first.isActive, true);
+
+    manager.setActiveScene(second.id);
+    assert.strictEqual(first.isActive, false);
+    assert.strictEqual(second.isActive, true);
+
+    manager.deleteScene(second.id);
+    assert.strictEqual(manager.getActiveScene(), first);
+    assert.strictEqual(first.isActive, true);
+    first.stop();
+});
+
+test('each hold reason is released on its own and the next frame is sent again', (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const manager = new SceneManager(new PixooClient(null, 16));
+    const scene = manager.createScene('First');
+    manager.pixooClient.lastFrameData = 'frame';
+
+    manager.setHeld(true, 'device');
+    manager.setHeld(true);
+    assert.strictEqual(scene.isActive, false);
+
+    manager.setHeld(false, 'device');
+    assert.strictEqual(manager.held, true);
+    assert.strictEqual(manager.isHeldBy('group'), true);
+    assert.strictEqual(scene.isActive, false);
+
+    manager.setHeld(false);
+    assert.strictEqual(manager.held, false);
+    assert.strictEqual(scene.isActive, true);
+    assert.strictEqual(manager.pixooClient.lastFrameData, null);
+    scene.stop();
+});
+
+test('scenes round-trip through toJSON and loadFromJSON', (t) => {
+    t.mock.timers.enable({ apis: ['setInterval', 'setTimeout'] });
+    const manager = new SceneManager(new PixooClient(null, 16));
+    const scene = manager.createScene('Saved');
+    scene.addWidget(pluginManager.getWidgetType('counter'), { x: 1, y: 2 });
+    scene.setRefreshRate(500);
+
+    const restored = new SceneManager(new PixooClient(null, 16));
+    restored.loadFromJSON(JSON.parse(JSON.stringify(manager.toJSON())), pluginManager);
+
+    assert.deepStrictEqual(restored.getActiveScene().toJSON(), scene.toJSON());
+    manager.getActiveScene().stop();
+    restored.getActiveScene().stop();
+});
+
+test('scenes target the display size they were created for', () => {
+    const manager = new SceneManager(new PixooClient(null, 32));
+    const scene = manager.createScene('Small');
+    scene.stop();
+
+    assert.deepStrictEqual(scene.targetSizes, [32]);
+    assert.strictEqual(scene.supportsSize(64), false);
+
+    scene.setTargetSizes([64, 16, 64, 20]);
+    assert.deepStrictEqual(scene.targetSizes, [16, 64]);
+    assert.throws(() => scene.setTargetSizes([20]), /at least one supported display size/);
+});
+
+test('scenes saved without target sizes are restored as 64x64 layouts', () => {
+    const scene = Scene.fromJSON({ id: 'scene_1', name: 'Old', widgets: [] }, new PixooClient(null, 16), pluginManager);
+
+    assert.deepStrictEqual(scene.targetSizes, [64]);
+});
+
+test('setDisplaySize resizes the client and announces the change', () => {
+    const client = new PixooClient(null, 64);
+    const manager = new SceneManager(client);
+    const events = new EventTarget();
+    const sizes = [];
+    events.addEventListener('displaySizeChanged', event => sizes.push(event.detail.size));
+    manager.setEventTarget(events);
+
+    manager.setDisplaySize(16);
+    manager.setDisplaySize(16);
+
+    assert.strictEqual(client.size, 16);
+    assert.deepStrictEqual(sizes, [16]);
+});
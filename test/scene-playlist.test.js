@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./harness');
+
+loadApp();
+
+const solid = (color, size = 4) => Array.from({ length: size }, () => Array.from({ length: size }, () => color));
+
+// Scenes run real render loops; they are stopped when the test ends, pass or fail
+function createManager(t, sceneCount) {
+    const manager = new SceneManager(new PixooClient(null, 16));
+    const scenes = [];
+    for (let i = 1; i <= sceneCount; i++) {
+        scenes.push(manager.createScene(`Scene ${i}`));
+    }
+    t.after(() => {
+        manager.playlist.stop();
+        scenes.forEach(scene => scene.stop());
+    });
+    return { manager, scenes };
+}
+
+// Let pending promise callbacks run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('fade blends each channel by the progress', () => {
+    const frame = SceneTransitions.blend('fade', solid([0, 100, 200]), solid([200, 100, 0]), 0.5);
+
+    assert.deepStrictEqual(frame[0][0], [100, 100, 100]);
+});
+
+test('wipe and slide move the incoming frame in from the left and right', () => {
+    const from = solid([1, 1, 1]);
+    const to = solid([2, 2, 2]);
+
+    assert.deepStrictEqual(SceneTransitions.blend('wipe', from, to, 0.5)[0].map(pixel => pixel[0]), [2, 2, 1, 1]);
+    assert.deepStrictEqual(SceneTransitions.blend('slide', from, to, 0.25)[0].map(pixel => pixel[0]), [1, 1, 1, 2]);
+});
+
+test('every transition ends on the incoming frame and leaves its inputs alone', () => {
+    const from = solid([1, 1, 1]);
+    const to = solid([2, 2, 2]);
+
+    for (const { value } of SceneTransitions.getTransitionNames()) {
+        const frame = SceneTransitions.blend(value, from, to, 1);
+        assert.deepStrictEqual(frame, to, value);
+        assert.notStrictEqual(frame[0], to[0], value);
+    }
+    assert.deepStrictEqual(from, solid([1, 1, 1]));
+});
+
+test('start needs at least one entry', (t) => {
+    const { manager } = createManager(t, 1);
+
+    assert.throws(() => manager.playlist.start(), /no scenes/);
+});
+
+test('the playlist rotates through its scenes after each duration', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+    const { manager, scenes } = createManager(t, 3);
+    const playlist = manager.playlist;
+    playlist.setTransition('none');
+    playlist.addScene(scenes[1].id, 2000);
+    playlist.addScene(scenes[2].id, 5000);
+
+    playlist.start();
+    await settle();
+    assert.strictEqual(manager.getActiveScene(), scenes[1]);
+
+    t.mock.timers.tick(2000);
+    await settle();
+    assert.strictEqual(manager.getActiveScene(), scenes[2]);
+
+    t.mock.timers.tick(5000);
+    await settle();
+    assert.strictEqual(manager.getActiveScene(), scenes[1]);
+
+    playlist.stop();
+    t.mock.timers.tick(10000);
+    await settle();
+    assert.strictEqual(manager.getActiveScene(), scenes[1]);
+});
+
+test('entries are clamped to the minimum duration and dropped with their scene', (t) => {
+    const { manager, scenes } = createManager(t, 2);
+    manager.playlist.addScene(scenes[0].id, 10);
+    manager.playlist.addScene(scenes[1].id);
+
+    assert.strictEqual(manager.playlist.entries[0].duration, ScenePlaylist.MIN_DURATION);
+
+    manager.deleteScene(scenes[1].id);
+    assert.deepStrictEqual(manager.playlist.entries.map(entry => entry.sceneId), [scenes[0].id]);
+});
+
+test('shuffle plays every entry once per cycle', (t) => {
+    t.mock.method(Math, 'random', () => 0);
+    const { manager, scenes } = createManager(t, 3);
+    scenes.forEach(scene => manager.playlist.addScene(scene.id));
+
+    manager.playlist.setShuffle(true);
+
+    assert.deepStrictEqual([...manager.playlist.order].sort(), [0, 1, 2]);
+    assert.notDeepStrictEqual(manager.playlist.order, [0, 1, 2]);
+});
+
+test('loadFromJSON drops entries for scenes that no longer exist', (t) => {
+    const { manager, scenes } = createManager(t, 1);
+
+    manager.playlist.loadFromJSON({
+        entries: [{ sceneId: scenes[0].id, duration: 3000 }, { sceneId: 'scene_99', duration: 3000 }],
+        transition: 'wipe',
+        transitionDuration: 500
+    });
+
+    assert.deepStrictEqual(manager.playlist.toJSON(), {
+        entries: [{ sceneId: scenes[0].id, duration: 3000 }],
+        shuffle: false,
+        transition: 'wipe',
+        transitionDuration: 500
+    });
+});
+
+test('a transition draws the incoming scene once and leaves the outgoing widgets alone', async (t) => {
+    const { manager, scenes } = createManager(t, 2);
+    const Counter = pluginManager.getWidgetType('counter');
+    const outgoing = scenes[0].addWidget(Counter, { initialValue: 0 });
+    const incoming = scenes[1].addWidget(Counter, { initialValue: 0, updateInterval: 60000 });
+    await scenes[0].render();
+
+    const playlist = manager.playlist;
+    playlist.setTransition('fade', 300);
+    playlist.addScene(scenes[1].id);
+    playlist.isPlaying = true;
+    await playlist.next();
+
+    assert.strictEqual(manager.getActiveScene(), scenes[1]);
+    assert.strictEqual(playlist.isTransitioning, false);
+    assert.strictEqual(outgoing.count, 1);
+    assert.strictEqual(incoming.count, 1);
+});
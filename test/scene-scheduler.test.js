@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./harness');
+
+loadApp();
+
+// Monday 6 January 2025, local time
+const at = (hours, minutes = 0, day = 6) => new Date(2025, 0, day, hours, minutes);
+
+function createManager(t) {
+    const manager = new SceneManager(new PixooClient(null, 16));
+    const scenes = [manager.createScene('Morning'), manager.createScene('Evening')];
+    t.after(() => {
+        manager.scheduler.stop();
+        scenes.forEach(scene => scene.stop());
+    });
+    return { manager, scheduler: manager.scheduler, scenes };
+}
+
+test('times and dates are validated', (t) => {
+    const { scheduler, scenes } = createManager(t);
+
+    assert.strictEqual(SceneScheduler.parseTime('7:05'), 425);
+    assert.throws(() => SceneScheduler.parseTime('24:00'), /Invalid time "24:00"/);
+    assert.throws(() => scheduler.addRule({ sceneId: 'scene_9' }), /scene_9 does not exist/);
+    assert.throws(() => scheduler.addRule({ sceneId: scenes[0].id, startDate: '2025-02-01', endDate: '2025-01-01' }),
+        /end date is before the start date/);
+});
+
+test('rules match their hours and weekdays', (t) => {
+    const { scheduler, scenes } = createManager(t);
+    const rule = scheduler.addRule({ sceneId: scenes[0].id, start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] });
+
+    assert.strictEqual(scheduler.isRuleActive(rule, at(9)), true);
+    assert.strictEqual(scheduler.isRuleActive(rule, at(17)), false);
+    assert.strictEqual(scheduler.isRuleActive(rule, at(12, 0, 5)), false);
+    assert.strictEqual(SceneScheduler.describeRule(rule), 'Mon, Tue, Wed, Thu, Fri 09:00-17:00');
+});
+
+test('a rule past midnight belongs to the day it started', (t) => {
+    const { scheduler, scenes } = createManager(t);
+    const rule = scheduler.addRule({ sceneId: scenes[1].id, start: '22:00', end: '02:00', days: [0] });
+
+    assert.strictEqual(scheduler.isRuleActive(rule, at(23, 0, 5)), true);
+    assert.strictEqual(scheduler.isRuleActive(rule, at(1)), true);
+    assert.strictEqual(scheduler.isRuleActive(rule, at(23)), false);
+});
+
+test('one-off dates and date ranges limit a rule', (t) => {
+    const { scheduler, scenes } = createManager(t);
+    const event = scheduler.addRule({ sceneId: scenes[0].id, date: '2025-01-06', days: [3] });
+    const range = scheduler.addRule({ sceneId: scenes[0].id, startDate: '2025-01-07', endDate: '2025-01-08' });
+
+    assert.strictEqual(scheduler.isRuleActive(event, at(12)), true);
+    assert.strictEqual(scheduler.isRuleActive(event, at(12, 0, 8)), false);
+    assert.strictEqual(scheduler.isRuleActive(range, at(12)), false);
+    assert.strictEqual(scheduler.isRuleActive(range, at(12, 0, 8)), true);
+});
+
+test('the highest priority wins, then the rule listed first', (t) => {
+    const { scheduler, scenes } = createManager(t);
+    const first = scheduler.addRule({ sceneId: scenes[0].id });
+    scheduler.addRule({ sceneId: scenes[1].id });
+    assert.strictEqual(scheduler.getActiveRule(at(12)), first);
+
+    const urgent = scheduler.addRule({ sceneId: scenes[1].id, start: '12:00', end: '13:00', priority: 5 });
+    assert.strictEqual(scheduler.getActiveRule(at(12)), urgent);
+    assert.strictEqual(scheduler.getActiveRule(at(13)), first);
+});
+
+test('the timeline splits each day where the winning rule changes', (t) => {
+    const { scheduler, scenes } = createManager(t);
+    const rule = scheduler.addRule({ sceneId: scenes[0].id, start: '09:00', end: '17:00' });
+
+    const [today] = scheduler.getTimeline(at(0), 1);
+
+    assert.deepStrictEqual(today.segments.map(segment => [segment.start, segment.end, segment.rule]),
+        [[0, 540, null], [540, 1020, rule], [1020, 1440, null]]);
+});
+
+test('the scene only switches when the winning rule changes', async (t) => {
+    const { manager, scheduler, scenes } = createManager(t);
+    scheduler.addRule({ sceneId: scenes[1].id, start: '18:00', end: '22:00' });
+    scheduler.enabled = true;
+
+    await scheduler.evaluate(at(18));
+    assert.strictEqual(manager.getActiveSceneId(), scenes[1].id);
+
+    // Picked by hand: stays until the next rule starts
+    manager.setActiveScene(scenes[0].id);
+    await scheduler.evaluate(at(19));
+    assert.strictEqual(manager.getActiveSceneId(), scenes[0].id);
+});
+
+test('editing the running rule keeps it running unless its scene changes', (t) => {
+    const { manager, scheduler, scenes } = createManager(t);
+    const rule = scheduler.addRule({ sceneId: scenes[1].id });
+    scheduler.enabled = true;
+    scheduler.evaluate();
+    assert.strictEqual(manager.getActiveSceneId(), scenes[1].id);
+
+    manager.setActiveScene(scenes[0].id);
+    scheduler.updateRule(rule.id, { name: 'Renamed' });
+    assert.strictEqual(manager.getActiveSceneId(), scenes[0].id);
+    assert.strictEqual(scheduler.activeRule.name, 'Renamed');
+
+    manager.setActiveScene(scenes[1].id);
+    scheduler.updateRule(rule.id, { sceneId: scenes[0].id });
+    assert.strictEqual(manager.getActiveSceneId(), scenes[0].id);
+});
+
+test('a rule sets its brightness once the device is connected', async (t) => {
+    const { manager, scheduler, scenes } = createManager(t);
+    const setBrightness = t.mock.method(manager.pixooClient, 'setBrightness', async () => {});
+    scheduler.addRule({ sceneId: scenes[0].id, brightness: 30 });
+    scheduler.enabled = true;
+
+    await scheduler.evaluate(at(8));
+    assert.strictEqual(setBrightness.mock.callCount(), 0);
+
+    manager.pixooClient.connected = true;
+    await scheduler.evaluate(at(9));
+    await scheduler.evaluate(at(10));
+    assert.deepStrictEqual(setBrightness.mock.calls.map(call => call.arguments), [[30]]);
+});
+
+test('held devices leave the schedule alone until released', async (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const { manager, scheduler, scenes } = createManager(t);
+    scheduler.addRule({ sceneId: scenes[1].id });
+
+    manager.setHeld(true);
+    scheduler.setEnabled(true);
+    assert.strictEqual(scheduler.checkInterval, null);
+    assert.strictEqual(manager.getActiveSceneId(), scenes[0].id);
+
+    manager.setHeld(false);
+    assert.notStrictEqual(scheduler.checkInterval, null);
+    assert.strictEqual(manager.getActiveSceneId(), scenes[1].id);
+});
+
+test('rules survive a JSON round trip and rules for deleted scenes are dropped', (t) => {
+    const { manager, scheduler, scenes } = createManager(t);
+    scheduler.addRule({ sceneId: scenes[0].id, days: [6, 0, 6], start: '7:30', end: '8:00' });
+    const data = JSON.parse(JSON.stringify(scheduler.toJSON()));
+    data.rules.push({ id: 'rule_7', sceneId: 'scene_9' });
+
+    const restored = new SceneScheduler(manager);
+    restored.loadFromJSON(data);
+
+    assert.deepStrictEqual(restored.rules, scheduler.rules);
+    assert.strictEqual(restored.rules[0].start, '07:30');
+    assert.deepStrictEqual(restored.rules[0].days, [0, 6]);
+
+    manager.deleteScene(scenes[0].id);
+    assert.strictEqual(scheduler.rules.length, 0);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, installStorage } = require('./harness');
+
+loadApp();
+
+const RED = [255, 0, 0];
+const BLUE = [0, 0, 255];
+
+test('sprite sizes and layer counts are limited', () => {
+    assert.throws(() => new Sprite('sprite_1', 'Big', Sprite.MAX_SIZE + 1, 8), /1-128 pixels/);
+
+    const sprite = new Sprite('sprite_1', 'Layers', 4, 4);
+    for (let i = 1; i < Sprite.MAX_LAYERS; i++) sprite.addLayer();
+    assert.throws(() => sprite.addLayer(), /at most 8 layers/);
+
+    const single = new Sprite('sprite_2', 'Single', 4, 4);
+    assert.throws(() => single.removeLayer(0), /at least one layer/);
+});
+
+test('lines, rectangles and fills stay inside the sprite', () => {
+    const sprite = new Sprite('sprite_1', 'Tools', 4, 4);
+
+    sprite.drawLine(0, -2, 0, 5, 0, RED);
+    assert.deepStrictEqual(sprite.layers[0].pixels.slice(0, 4), [RED, RED, RED, RED]);
+
+    sprite.drawRect(0, 0, 1, 3, 3, BLUE);
+    sprite.floodFill(0, 1, 2, RED);
+    assert.deepStrictEqual(sprite.getPixel(0, 1, 2), RED);
+    assert.deepStrictEqual(sprite.getPixel(0, 2, 2), RED);
+    assert.deepStrictEqual(sprite.getPixel(0, 0, 2), BLUE);
+    assert.strictEqual(sprite.getPixel(0, 9, 9), null);
+});
+
+test('visible layers composite from the bottom up', () => {
+    const sprite = new Sprite('sprite_1', 'Stack', 2, 1);
+    sprite.setPixel(0, 0, 0, RED);
+    sprite.setPixel(0, 1, 0, RED);
+    const top = sprite.addLayer();
+    sprite.setPixel(top, 1, 0, BLUE);
+
+    assert.deepStrictEqual(sprite.composite(), [RED, BLUE]);
+
+    sprite.layers[top].visible = false;
+    assert.deepStrictEqual(sprite.composite(), [RED, RED]);
+});
+
+test('a snapshot is unaffected by later drawing', () => {
+    const sprite = new Sprite('sprite_1', 'Undo', 2, 2);
+    const before = sprite.snapshot();
+
+    sprite.setPixel(0, 0, 0, RED);
+    sprite.restore(before);
+
+    assert.strictEqual(sprite.getPixel(0, 0, 0), null);
+});
+
+test('sprites survive a JSON round trip', () => {
+    const sprite = new Sprite('sprite_7', 'Heart', 3, 2);
+    sprite.setPixel(0, 1, 0, [255, 40, 80]);
+    sprite.addLayer('Shine');
+    sprite.layers[1].visible = false;
+
+    const copy = Sprite.fromJSON(JSON.parse(JSON.stringify(sprite.toJSON())));
+
+    assert.strictEqual(copy.toJSON().layers[0].pixels, '......ff2850......' + '......'.repeat(3));
+    assert.deepStrictEqual(copy.getPixel(0, 1, 0), [255, 40, 80]);
+    assert.deepStrictEqual(copy.layers.map(layer => [layer.name, layer.visible]), [['Background', true], ['Shine', false]]);
+});
+
+test('the library saves under its own key and restores its counter', async (t) => {
+    const storage = installStorage();
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+
+    const library = new SpriteLibrary();
+    library.enableAutoSave();
+    library.createSprite('One', 2, 2);
+    library.createSprite('Two', 2, 2);
+    library.deleteSprite('sprite_1');
+    t.mock.timers.tick(library.saveDelay);
+    await new Promise(resolve => setImmediate(resolve));
+
+    const restored = new SpriteLibrary();
+    assert.strictEqual(await restored.load(), true);
+    assert.deepStrictEqual(restored.getSpriteNames(), [{ value: 'sprite_2', label: 'Two' }]);
+    assert.strictEqual(restored.createSprite('Three', 2, 2).id, 'sprite_3');
+    assert.ok(storage.has('sprites'));
+});
+
+test('a library without saved sprites starts empty', async () => {
+    installStorage();
+    const library = new SpriteLibrary();
+
+    assert.strictEqual(await library.load(), false);
+    assert.strictEqual(library.getAllSprites().length, 0);
+});
+
+test('the sprite widget scales the composited sprite', async () => {
+    window.spriteLibrary = new SpriteLibrary();
+    const sprite = window.spriteLibrary.createSprite('Dot', 1, 1);
+    sprite.setPixel(0, 0, 0, RED);
+    const client = new PixooClient(null, 16);
+    const widget = new SpriteWidget('widget_1', { spriteId: sprite.id, scale: 2 }, client);
+
+    await widget.onRender();
+
+    assert.deepStrictEqual([client.buffer[1][1], client.buffer[2][2]], [RED, [0, 0, 0]]);
+});
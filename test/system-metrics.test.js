@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./harness');
+
+loadApp();
+
+const PROC_OUTPUT = (cpuLine, rxBytes) => [
+    cpuLine,
+    '---',
+    'MemTotal:       8000000 kB',
+    'MemFree:        1000000 kB',
+    'MemAvailable:   2000000 kB',
+    '---',
+    '93784.52 180000.10',
+    '---',
+    'Inter-|   Receive                                                |  Transmit',
+    ' face |bytes    packets errs drop fifo frame compressed multicast|bytes    packets',
+    '    lo: 999999      10    0    0    0     0          0         0   999999      10    0    0    0     0       0          0',
+    '  eth0: ' + rxBytes + '    100    0    0    0     0          0         0     2000     20    0    0    0     0       0          0',
+    '---',
+    'Filesystem     1024-blocks     Used Available Capacity Mounted on',
+    '/dev/sda1        100000000 25000000  75000000      25% /'
+].join('\n');
+
+function useLinux(t, outputs) {
+    globalThis.NL_OS = 'Linux';
+    globalThis.Neutralino = { os: { execCommand: async () => ({ exitCode: 0, stdOut: outputs.shift() }) } };
+    SystemMetrics.lastSample = null;
+    SystemMetrics.previousCounters = null;
+    t.after(() => {
+        delete globalThis.NL_OS;
+        delete globalThis.Neutralino;
+    });
+}
+
+test('a Linux sample reads /proc, df and the network counters', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    useLinux(t, [
+        PROC_OUTPUT('cpu  100 0 100 800 0 0 0 0 0 0', 10000),
+        PROC_OUTPUT('cpu  150 0 150 900 0 0 0 0 0 0', 14000)
+    ]);
+
+    const first = await SystemMetrics.collect();
+    assert.strictEqual(Math.round(first.cpu), 20);
+    assert.strictEqual(first.network, null);
+    assert.deepStrictEqual(first.memory, { used: 6000000 * 1024, total: 8000000 * 1024, percent: 75 });
+    assert.strictEqual(first.disk.percent, 25);
+    assert.strictEqual(first.uptime, 93784.52);
+
+    t.mock.timers.tick(2000);
+    const second = await SystemMetrics.collect();
+    assert.strictEqual(second.cpu, 50);
+    assert.deepStrictEqual(second.network, { rx: 2000, tx: 0 });
+});
+
+test('samples taken close together are shared', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    useLinux(t, [PROC_OUTPUT('cpu  1 0 1 8 0 0 0 0', 0)]);
+    const execCommand = t.mock.method(Neutralino.os, 'execCommand');
+
+    const [first, second] = await Promise.all([SystemMetrics.collect(), SystemMetrics.collect()]);
+    t.mock.timers.tick(SystemMetrics.MIN_SAMPLE_INTERVAL - 1);
+    const third = await SystemMetrics.collect();
+
+    assert.strictEqual(first, second);
+    assert.strictEqual(first, third);
+    assert.strictEqual(execCommand.mock.callCount(), 1);
+});
+
+test('other systems only report memory', async (t) => {
+    SystemMetrics.lastSample = null;
+    globalThis.Neutralino = {
+        computer: { getMemoryInfo: async () => ({ physical: { total: 4000, available: 1000 } }) }
+    };
+    t.after(() => delete globalThis.Neutralino);
+
+    const sample = await SystemMetrics.collect();
+
+    assert.deepStrictEqual(sample.memory, { used: 3000, total: 4000, percent: 75 });
+    assert.strictEqual(sample.cpu, null);
+    assert.strictEqual(sample.disk, null);
+});
+
+test('sizes and uptimes fit a small display', () => {
+    assert.strictEqual(SystemMetrics.formatBytes(512), '512B');
+    assert.strictEqual(SystemMetrics.formatBytes(3500), '3.4K');
+    assert.strictEqual(SystemMetrics.formatBytes(12 * 1024 ** 2), '12M');
+    assert.strictEqual(SystemMetrics.formatUptime(3 * 86400 + 4 * 3600), '3d4h');
+    assert.strictEqual(SystemMetrics.formatUptime(5 * 3600 + 12 * 60), '5h12m');
+    assert.strictEqual(SystemMetrics.formatUptime(42 * 60), '42m');
+});
+
+test('the widget shows n/a for metrics the host cannot provide', () => {
+    const widget = new SystemInfoWidget('widget_1', {}, new PixooClient(null, 64));
+    const [cpu, , , uptime] = SystemInfoWidget.METRICS;
+
+    assert.strictEqual(widget.formatMetric(cpu, null), 'n/a');
+    assert.strictEqual(widget.formatMetric(cpu, 12.6), '13%');
+    assert.strictEqual(widget.formatMetric(uptime, 3600), '1h0m');
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./harness');
+
+loadApp();
+
+// A panel whose frames are recorded instead of sent
+function createPanel(t, index, column, row) {
+    const client = new PixooClient(`10.0.0.${index}`, 16);
+    client.connected = true;
+    client.sent = [];
+    t.mock.method(client, 'push', async buffer => client.sent.push(buffer));
+    return { deviceId: `device_${index}`, client, column, row };
+}
+
+test('the wall canvas spans every panel and widgets default to all of it', () => {
+    const wall = new TiledWallClient(16, 3, 2);
+    const widget = new Widget('widget_1', {}, wall);
+
+    assert.strictEqual(wall.buffer.length, 32);
+    assert.strictEqual(wall.buffer[0].length, 48);
+    assert.strictEqual(widget.width, 48);
+    assert.strictEqual(widget.height, 32);
+});
+
+test('each panel receives its own slice of the frame', async (t) => {
+    const wall = new TiledWallClient(16, 2, 2);
+    const panels = [createPanel(t, 1, 0, 0), createPanel(t, 2, 1, 0), createPanel(t, 3, 1, 1)];
+    wall.setMembers(panels);
+    await wall.setPixel(17, 0, [255, 0, 0]);
+    await wall.setPixel(31, 31, [0, 0, 255]);
+
+    await wall.push();
+
+    const [left, right, bottomRight] = panels.map(panel => panel.client.sent[0]);
+    assert.strictEqual(left.length, 16);
+    assert.ok(left.every(row => row.length === 16 && row.every(pixel => pixel.join() === '0,0,0')));
+    assert.deepStrictEqual(right[0][1], [255, 0, 0]);
+    assert.deepStrictEqual(bottomRight[15][15], [0, 0, 255]);
+});
+
+test('panels need a free position inside the layout', (t) => {
+    const wall = new TiledWallClient(16, 2, 1);
+
+    assert.throws(() => wall.setMembers([createPanel(t, 1, 2, 0)]), /inside the 2x1 layout/);
+    assert.throws(() => wall.setMembers([createPanel(t, 1, 0, 0), createPanel(t, 2, 0, 0)]), /share panel column 1, row 1/);
+});
+
+test('the layout stays within 4x4 and cannot drop panels in use', (t) => {
+    const wall = new TiledWallClient(16, 2, 1);
+    wall.setMembers([createPanel(t, 1, 1, 0)]);
+
+    assert.throws(() => wall.setLayout(5, 1), /1-4 columns and rows/);
+    assert.throws(() => wall.setLayout(1, 1), /outside the new layout/);
+
+    wall.setLayout(2, 2);
+    assert.strictEqual(wall.height, 32);
+});
+
+test('a frame is dropped while any panel is still busy', async (t) => {
+    const wall = new TiledWallClient(16, 2, 1);
+    const slow = createPanel(t, 1, 0, 0);
+    const fast = createPanel(t, 2, 1, 0);
+    let finishSlow;
+    slow.client.push.mock.mockImplementation(() => new Promise(resolve => { finishSlow = resolve; }));
+    wall.setMembers([slow, fast]);
+
+    const first = wall.push();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(await wall.push(), []);
+    assert.strictEqual(fast.client.sent.length, 1);
+
+    finishSlow();
+    await first;
+});
+
+test('transitions work on frames wider than they are tall', () => {
+    const from = [[[1, 1, 1], [1, 1, 1], [1, 1, 1], [1, 1, 1]]];
+    const to = [[[2, 2, 2], [2, 2, 2], [2, 2, 2], [2, 2, 2]]];
+
+    assert.deepStrictEqual(SceneTransitions.blend('wipe', from, to, 0.5)[0].map(pixel => pixel[0]), [2, 2, 1, 1]);
+    assert.deepStrictEqual(SceneTransitions.blend('dissolve', from, to, 1), to);
+});
+
+test('the registry restores walls with their panel positions', (t) => {
+    const registry = new DeviceRegistry(pluginManager);
+    t.after(() => registry.stopAll());
+    const left = registry.addDevice({ size: 16 });
+    const right = registry.addDevice({ size: 16 });
+    const wall = registry.addDevice({ type: 'wall', size: 16, columns: 1, rows: 1 });
+
+    registry.setWallLayout(wall.id, 2, 1);
+    registry.setGroupMembers(wall.id, [{ deviceId: left.id, column: 0, row: 0 }, { deviceId: right.id, column: 1, row: 0 }]);
+
+    assert.strictEqual(wall.client.width, 32);
+    assert.deepStrictEqual(wall.toJSON().members.map(({ column, row }) => [column, row]), [[0, 0], [1, 0]]);
+    assert.strictEqual(left.inGroup, true);
+});
+
+test('a text overlay goes to the panel it starts on, in panel coordinates', (t) => {
+    const wall = new TiledWallClient(16, 2, 1);
+    const panels = [createPanel(t, 1, 0, 0), createPanel(t, 2, 1, 0)];
+    wall.setMembers(panels);
+
+    wall.setTextOverlay(0, { text: 'Hi', x: 20, y: 4, width: 32 });
+
+    assert.strictEqual(panels[0].client.textOverlays.size, 0);
+    const payload = panels[1].client.textOverlays.get(0);
+    assert.strictEqual(payload.x, 4);
+    assert.strictEqual(payload.y, 4);
+    assert.strictEqual(payload.TextWidth, 16);
+});
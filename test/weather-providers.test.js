@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./harness');
+
+loadApp();
+
+function respondWith(t, bodies) {
+    const urls = [];
+    t.mock.method(globalThis, 'fetch', async (url) => {
+        urls.push(url);
+        const body = bodies.shift();
+        return { ok: body.status === undefined, status: body.status, json: async () => body };
+    });
+    return urls;
+}
+
+test.beforeEach(() => WeatherProviders.clearCache());
+
+test('coordinates are parsed and checked for range', () => {
+    assert.deepStrictEqual(WeatherProviders.parseCoordinates(' 51.5, -0.12 '), { latitude: 51.5, longitude: -0.12 });
+    assert.strictEqual(WeatherProviders.parseCoordinates('91,0'), null);
+    assert.strictEqual(WeatherProviders.parseCoordinates('London'), null);
+});
+
+test('service codes map to conditions', () => {
+    assert.strictEqual(WeatherProviders.conditionFromWmoCode(0), 'clear');
+    assert.strictEqual(WeatherProviders.conditionFromWmoCode(45), 'fog');
+    assert.strictEqual(WeatherProviders.conditionFromWmoCode(63), 'rain');
+    assert.strictEqual(WeatherProviders.conditionFromWmoCode(75), 'snow');
+    assert.strictEqual(WeatherProviders.conditionFromWmoCode(95), 'thunder');
+    assert.strictEqual(WeatherProviders.conditionFromOpenWeatherMapId(211), 'thunder');
+    assert.strictEqual(WeatherProviders.conditionFromOpenWeatherMapId(802), 'partly-cloudy');
+    assert.strictEqual(WeatherProviders.conditionFromOpenWeatherMapId(804), 'cloudy');
+});
+
+test('Open-Meteo geocodes names before asking for the forecast', async (t) => {
+    const urls = respondWith(t, [
+        { results: [{ name: 'Paris', latitude: 48.85, longitude: 2.35 }] },
+        { current: { temperature_2m: 21.4, relative_humidity_2m: 55, weather_code: 2, is_day: 0 } }
+    ]);
+
+    const data = await WeatherProviders.fetchWeather('open-meteo', { location: 'paris' }, 60000);
+
+    assert.deepStrictEqual(data, { location: 'Paris', temperature: 21.4, humidity: 55, condition: 'partly-cloudy', isDay: false });
+    assert.match(urls[0], /geocoding-api.*name=paris/);
+    assert.match(urls[1], /latitude=48.85&longitude=2.35/);
+});
+
+test('OpenWeatherMap needs a key and explains rejected ones', async (t) => {
+    await assert.rejects(WeatherProviders.fetchWeather('openweathermap', { location: 'Oslo' }, 0), /needs an API key/);
+
+    respondWith(t, [{ status: 401 }]);
+    await assert.rejects(WeatherProviders.fetchWeather('openweathermap', { location: 'Oslo', apiKey: 'bad' }, 0), /rejected the API key/);
+});
+
+test('readings are shared until they are older than maxAge', async (t) => {
+    const fixture = WeatherProviders.get('fixture');
+    const lookup = t.mock.method(fixture, 'fetchWeather');
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+
+    const [first, second] = await Promise.all([
+        WeatherProviders.fetchWeather('fixture', { location: 'Oslo' }, 1000),
+        WeatherProviders.fetchWeather('fixture', { location: 'oslo ' }, 1000)
+    ]);
+    assert.strictEqual(first, second);
+    assert.strictEqual(lookup.mock.callCount(), 1);
+
+    t.mock.timers.tick(1001);
+    await WeatherProviders.fetchWeather('fixture', { location: 'Oslo' }, 1000);
+    assert.strictEqual(lookup.mock.callCount(), 2);
+});
+
+test('a failed lookup is not retried before RETRY_DELAY', async (t) => {
+    const fixture = WeatherProviders.get('fixture');
+    const lookup = t.mock.method(fixture, 'fetchWeather', async () => { throw new Error('offline'); });
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+
+    await assert.rejects(WeatherProviders.fetchWeather('fixture', { location: 'Oslo' }, 0), /offline/);
+    await assert.rejects(WeatherProviders.fetchWeather('fixture', { location: 'Oslo' }, 0), /offline/);
+    assert.strictEqual(lookup.mock.callCount(), 1);
+
+    t.mock.timers.tick(WeatherProviders.RETRY_DELAY);
+    await assert.rejects(WeatherProviders.fetchWeather('fixture', { location: 'Oslo' }, 0), /offline/);
+    assert.strictEqual(lookup.mock.callCount(), 2);
+});
+
+test('unknown providers and empty locations are rejected', async () => {
+    assert.throws(() => WeatherProviders.get('nope'), /Unknown weather provider: nope/);
+    await assert.rejects(WeatherProviders.fetchWeather('fixture', { location: '  ' }, 0), /No location set/);
+});
+
+test('the weather widget converts to Fahrenheit', () => {
+    const widget = new WeatherWidget('widget_1', { units: 'imperial' }, new PixooClient(null, 64));
+
+    assert.strictEqual(widget.formatTemperature(-4), '25°F');
+    widget.updateConfig({ units: 'metric' });
+    assert.strictEqual(widget.formatTemperature(-4), '-4°C');
+});
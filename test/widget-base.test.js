@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./harness');
+
+loadApp({ plugins: false });
+
+function createWidget(config = {}) {
+    const client = new PixooClient(null, 64);
+    const widget = new Widget('widget_1', config, client);
+    widget.init();
+    return { client, widget };
+}
+
+// Coordinates of every lit pixel, as 'x,y'
+function litPixels(client) {
+    const lit = [];
+    client.buffer.forEach((row, y) => row.forEach((pixel, x) => {
+        if (pixel.some(channel => channel > 0)) lit.push(`${x},${y}`);
+    }));
+    return lit;
+}
+
+test('widget defaults follow the display size', () => {
+    const widget = new Widget('widget_1', {}, new PixooClient(null, 16));
+
+    assert.strictEqual(widget.width, 16);
+    assert.strictEqual(widget.height, 16);
+});
+
+test('setPixel draws relative to the widget position', async () => {
+    const { client, widget } = createWidget({ x: 4, y: 2, width: 8, height: 8 });
+
+    await widget.setPixel(1, 1, [255, 0, 0]);
+
+    assert.deepStrictEqual(litPixels(client), ['5,3']);
+});
+
+test('setPixel clips to the widget unless overflow is visible', async () => {
+    const hidden = createWidget({ x: 4, y: 4, width: 4, height: 4 });
+    await hidden.widget.setPixel(5, 0, [255, 0, 0]);
+    await hidden.widget.setPixel(-1, 0, [255, 0, 0]);
+    assert.deepStrictEqual(litPixels(hidden.client), []);
+
+    const visible = createWidget({ x: 4, y: 4, width: 4, height: 4, overflow: 'visible' });
+    await visible.widget.setPixel(5, 0, [255, 0, 0]);
+    assert.deepStrictEqual(litPixels(visible.client), ['9,4']);
+});
+
+test('setPixel scales the alpha by the widget opacity', async () => {
+    const { client, widget } = createWidget({ opacity: 50 });
+
+    await widget.setPixel(0, 0, [200, 100, 0]);
+
+    assert.deepStrictEqual(client.buffer[0][0], [100, 50, 0]);
+});
+
+test('drawRect draws outlines and filled rectangles', async () => {
+    const outline = createWidget();
+    await outline.widget.drawRect(1, 1, 3, 3, [255, 255, 255]);
+    assert.deepStrictEqual(litPixels(outline.client).sort(),
+        ['1,1', '2,1', '3,1', '1,2', '3,2', '1,3', '2,3', '3,3'].sort());
+
+    const filled = createWidget();
+    await filled.widget.drawRect(2, 2, 3, 2, [255, 255, 255], true);
+    assert.deepStrictEqual(litPixels(filled.client), ['2,2', '3,2', '4,2', '2,3', '3,3', '4,3']);
+});
+
+test('drawLine covers both end points', async () => {
+    const { client, widget } = createWidget();
+
+    await widget.drawLine(0, 0, 3, 3, [255, 255, 255]);
+    assert.deepStrictEqual(litPixels(client), ['0,0', '1,1', '2,2', '3,3']);
+
+    await client.clear();
+    await widget.drawLine(5, 7, 1, 7, [255, 255, 255]);
+    assert.deepStrictEqual(litPixels(client), ['1,7', '2,7', '3,7', '4,7', '5,7']);
+});
+
+test('drawText draws the font glyphs at the given position', async () => {
+    const { client, widget } = createWidget({ fontSize: 'tiny' });
+    const font = BitmapFont.get('tiny');
+
+    const expected = [];
+    font.forEachPixel('7', (x, y) => expected.push(`${x + 2},${y + 3}`));
+    await widget.drawText('7', 2, 3, [255, 255, 255]);
+
+    assert.ok(expected.length > 0);
+    assert.deepStrictEqual(litPixels(client).sort(), expected.sort());
+});
+
+test('withClip restricts drawing to a sub-rectangle', async () => {
+    const { client, widget } = createWidget();
+
+    await widget.withClip(2, 2, 2, 2, () => widget.drawRect(0, 0, 16, 16, [255, 255, 255], true));
+
+    assert.deepStrictEqual(litPixels(client), ['2,2', '3,2', '2,3', '3,3']);
+    assert.strictEqual(widget.clipRect, null);
+});
+
+test('alignText places text inside the widget', () => {
+    const { widget } = createWidget({ width: 16, fontSize: 'tiny' });
+    const { width } = widget.measureText('12');
+
+    assert.strictEqual(widget.alignText('12', 'left'), 2);
+    assert.strictEqual(widget.alignText('12', 'center'), Math.floor((16 - width) / 2));
+    assert.strictEqual(widget.alignText('12', 'right'), 16 - width - 2);
+});
+
+test('captureDrawing records screen pixels instead of drawing them', async () => {
+    const { client, widget } = createWidget({ x: 4, y: 2, width: 8, height: 8 });
+    widget.onRender = async () => widget.setPixel(1, 1, [255, 0, 0]);
+
+    assert.strictEqual(await widget.captureDrawing(), true);
+    assert.strictEqual(litPixels(client).length, 0);
+    assert.deepStrictEqual(widget.drawBounds, { x: 5, y: 3, width: 1, height: 1 });
+
+    await widget.replayDrawing({ x: 0, y: 0, width: 4, height: 4 });
+    assert.strictEqual(litPixels(client).length, 0);
+    await widget.replayDrawing();
+    assert.deepStrictEqual(client.buffer[3][5], [255, 0, 0]);
+});
+
+test('overlapping captures share one recording', async () => {
+    const { widget } = createWidget();
+    let finish;
+    let renders = 0;
+    widget.onRender = async () => {
+        renders++;
+        await new Promise(resolve => { finish = resolve; });
+        await widget.setPixel(0, 0, [255, 255, 255]);
+    };
+
+    const first = widget.captureDrawing();
+    const second = widget.captureDrawing();
+    finish();
+
+    assert.deepStrictEqual(await Promise.all([first, second]), [true, true]);
+    assert.strictEqual(renders, 1);
+    assert.strictEqual(widget.drawList.length, 1);
+});
@@ -0,0 +1,517 @@
+#!/usr/bin/env node
+/**
+ * Pixoo Emulator - A local stand-in for a Pixoo device's HTTP API.
+ *
+ * Implements the /post endpoint for the commands Pixoo Commander sends,
+ * keeps the last received frame in memory and can inject latency and errors.
+ * Start it and enter 127.0.0.1 as the device IP in the app:
+ *
+ *   node tools/pixoo-emulator.js --port 8080 --latency 50 --error-rate 0.1
+ *
+ * Inspection endpoints:
+ *   GET  /state      JSON with brightness, channel, counters and frame info
+ *   GET  /frame.ppm  Last frame as a binary PPM image
+ *   POST /control    JSON { latency, errorRate, errorMode, failCommands } to change behaviour at runtime
+ *
+ * Also usable as a module: require('./pixoo-emulator').createPixooEmulator(options)
+ */
+const http = require('http');
+
+const DEFAULT_OPTIONS = {
+    port: 8080,
+    host: '127.0.0.1',
+    size: 64,
+    latency: 0,          // Milliseconds added before every /post reply
+    errorRate: 0,        // Probability (0-1) that a command fails
+    errorMode: 'code',   // 'code' (error_code 1), 'http' (HTTP 500) or 'drop' (close the socket)
+    failCommands: [],    // Commands that always fail, e.g. ['Draw/SendHttpGif']
+    quiet: false
+};
+
+class PixooEmulator {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.server = null;
+        this.reset();
+    }
+
+    reset() {
+        this.state = {
+            brightness: 50,
+            channel: 0,
+            screenOn: true,
+            clockId: 0,
+            eqPosition: 0,
+            cloudIndex: 0,
+            customPage: 0,
+            rotation: 0,
+            mirror: false,
+            time24: true,
+            temperatureMode: 0,
+            timeZone: 'GMT+0',
+            utc: null,
+            whiteBalance: [100, 100, 100],
+            // Built-in tools: the last command each one received
+            timer: null,
+            stopwatch: null,
+            scoreboard: null,
+            noiseMeter: false,
+            buzzer: null,
+            picId: 0,
+            texts: {},
+            commandCount: 0,
+            framesReceived: 0,
+            framesIgnored: 0,
+            lastCommand: null
+        };
+
+        // Last complete image: { picId, width, height, speed, frames: [Buffer] }
+        this.lastImage = null;
+        this.pendingImage = null;
+    }
+
+    log(...args) {
+        if (!this.options.quiet) {
+            console.log('[pixoo-emulator]', ...args);
+        }
+    }
+
+    /**
+     * Last displayed frame as rows of [r, g, b], or null before the first frame
+     */
+    getLastFrame(frameIndex = 0) {
+        if (!this.lastImage) return null;
+
+        const { width, height, frames } = this.lastImage;
+        const bytes = frames[frameIndex];
+        if (!bytes) return null;
+
+        const rows = [];
+        for (let y = 0; y < height; y++) {
+            const row = [];
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 3;
+                row.push([bytes[i], bytes[i + 1], bytes[i + 2]]);
+            }
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    handleCommand(payload) {
+        const command = payload.Command;
+        this.state.commandCount++;
+        this.state.lastCommand = command;
+
+        switch (command) {
+            case 'Channel/GetIndex':
+                return { error_code: 0, SelectIndex: this.state.channel };
+
+            case 'Channel/SetIndex':
+                if (!Number.isInteger(payload.SelectIndex) || payload.SelectIndex < 0 || payload.SelectIndex > 4) {
+                    return { error_code: 1 };
+                }
+                this.state.channel = payload.SelectIndex;
+                return { error_code: 0 };
+
+            case 'Channel/SetBrightness':
+                if (!Number.isInteger(payload.Brightness) || payload.Brightness < 0 || payload.Brightness > 100) {
+                    return { error_code: 1 };
+                }
+                this.state.brightness = payload.Brightness;
+                return { error_code: 0 };
+
+            case 'Channel/OnOffScreen':
+                this.state.screenOn = payload.OnOff === 1;
+                return { error_code: 0 };
+
+            case 'Channel/SetClockSelectId':
+                if (!Number.isInteger(payload.ClockId) || payload.ClockId < 0) {
+                    return { error_code: 1 };
+                }
+                this.state.clockId = payload.ClockId;
+                this.state.channel = 0;
+                return { error_code: 0 };
+
+            case 'Channel/GetClockInfo':
+                return { error_code: 0, ClockId: this.state.clockId, Brightness: this.state.brightness };
+
+            case 'Channel/SetEqPosition':
+                this.state.eqPosition = payload.EqPosition;
+                this.state.channel = 2;
+                return { error_code: 0 };
+
+            case 'Channel/CloudIndex':
+                this.state.cloudIndex = payload.Index;
+                this.state.channel = 1;
+                return { error_code: 0 };
+
+            case 'Channel/SetCustomPageIndex':
+                this.state.customPage = payload.CustomPageIndex;
+                this.state.channel = 3;
+                return { error_code: 0 };
+
+            case 'Device/SetScreenRotationAngle':
+                if (![0, 1, 2, 3].includes(payload.Mode)) {
+                    return { error_code: 1 };
+                }
+                this.state.rotation = payload.Mode;
+                return { error_code: 0 };
+
+            case 'Device/SetMirrorMode':
+                this.state.mirror = payload.Mode === 1;
+                return { error_code: 0 };
+
+            case 'Device/SetTime24Flag':
+                this.state.time24 = payload.Mode === 1;
+                return { error_code: 0 };
+
+            case 'Device/SetDisTempMode':
+                this.state.temperatureMode = payload.Mode;
+                return { error_code: 0 };
+
+            case 'Sys/TimeZone':
+                this.state.timeZone = payload.TimeZoneValue;
+                return { error_code: 0 };
+
+            case 'Device/SetUTC':
+                this.state.utc = payload.Utc;
+                return { error_code: 0 };
+
+            case 'Device/GetDeviceTime': {
+                const utc = this.state.utc === null ? Math.floor(Date.now() / 1000) : this.state.utc;
+                return { error_code: 0, UTCTime: utc, LocalTime: new Date(utc * 1000).toISOString().replace('T', ' ').slice(0, 19) };
+            }
+
+            case 'Device/SetWhiteBalance':
+                this.state.whiteBalance = [payload.RValue, payload.GValue, payload.BValue];
+                return { error_code: 0 };
+
+            case 'Tools/SetTimer':
+                this.state.timer = { minute: payload.Minute, second: payload.Second, running: payload.Status === 1 };
+                return { error_code: 0 };
+
+            case 'Tools/SetStopWatch':
+                if (![0, 1, 2].includes(payload.Status)) {
+                    return { error_code: 1 };
+                }
+                this.state.stopwatch = ['stopped', 'running', 'reset'][payload.Status];
+                return { error_code: 0 };
+
+            case 'Tools/SetScoreBoard':
+                this.state.scoreboard = { red: payload.RedScore, blue: payload.BlueScore };
+                return { error_code: 0 };
+
+            case 'Tools/SetNoiseStatus':
+                this.state.noiseMeter = payload.NoiseStatus === 1;
+                return { error_code: 0 };
+
+            case 'Device/PlayBuzzer':
+                this.state.buzzer = { activeMs: payload.ActiveTimeInCycle, offMs: payload.OffTimeInCycle, totalMs: payload.PlayTotalTime };
+                return { error_code: 0 };
+
+            case 'Channel/GetAllConf':
+                return {
+                    error_code: 0,
+                    Brightness: this.state.brightness,
+                    RotationFlag: this.state.rotation === 0 ? 0 : 1,
+                    GyrateAngle: this.state.rotation,
+                    MirrorFlag: this.state.mirror ? 1 : 0,
+                    Time24Flag: this.state.time24 ? 1 : 0,
+                    TemperatureMode: this.state.temperatureMode,
+                    CurClockId: this.state.clockId,
+                    LightSwitch: this.state.screenOn ? 1 : 0,
+                    SelectIndex: this.state.channel,
+                    DeviceName: 'Pixoo Emulator'
+                };
+
+            case 'Device/GetDeviceInfo':
+                return {
+                    error_code: 0,
+                    DeviceName: 'Pixoo Emulator',
+                    DeviceId: 1,
+                    DeviceModel: `Pixoo${this.options.size}`
+                };
+
+            case 'Draw/GetHttpGifId':
+                return { error_code: 0, PicId: this.state.picId + 1 };
+
+            case 'Draw/ResetHttpGifId':
+                this.state.picId = 0;
+                this.pendingImage = null;
+                return { error_code: 0 };
+
+            case 'Draw/SendHttpGif':
+                return this.handleGif(payload);
+
+            case 'Draw/SendHttpText':
+                if (typeof payload.TextString !== 'string' ||
+                    !Number.isInteger(payload.TextId) || payload.TextId < 0 || payload.TextId > 19) {
+                    return { error_code: 1 };
+                }
+                this.state.texts[payload.TextId] = { ...payload };
+                return { error_code: 0 };
+
+            case 'Draw/ClearHttpText':
+                this.state.texts = {};
+                return { error_code: 0 };
+
+            case 'Channel/GetFontList':
+                return {
+                    error_code: 0,
+                    FontList: [
+                        { id: 0, name: 'Emulator 8px', width: 8, height: 8 },
+                        { id: 2, name: 'Emulator 16px', width: 16, height: 16 }
+                    ]
+                };
+
+            default:
+                this.log(`Unhandled command ${command}, acknowledging`);
+                return { error_code: 0 };
+        }
+    }
+
+    handleGif(payload) {
+        const { PicNum, PicWidth, PicHeight, PicOffset = 0, PicId, PicSpeed, PicData } = payload;
+
+        if (PicWidth !== this.options.size || PicHeight !== this.options.size) {
+            return { error_code: 1 };
+        }
+        if (!Number.isInteger(PicNum) || PicNum < 1 || PicOffset < 0 || PicOffset >= PicNum) {
+            return { error_code: 1 };
+        }
+
+        const bytes = Buffer.from(String(PicData || ''), 'base64');
+        if (bytes.length !== PicWidth * PicHeight * 3) {
+            this.log(`Frame has ${bytes.length} bytes, expected ${PicWidth * PicHeight * 3}`);
+            return { error_code: 1 };
+        }
+
+        // Like the firmware, ignore images whose PicId isn't newer than the last one
+        const continuing = this.pendingImage && this.pendingImage.picId === PicId;
+        if (!continuing && PicId <= this.state.picId) {
+            this.state.framesIgnored++;
+            this.log(`Ignoring stale PicId ${PicId} (last ${this.state.picId})`);
+            return { error_code: 0 };
+        }
+
+        if (!continuing) {
+            this.state.picId = PicId;
+            this.pendingImage = {
+                picId: PicId,
+                width: PicWidth,
+                height: PicHeight,
+                speed: PicSpeed,
+                frameCount: PicNum,
+                frames: new Array(PicNum)
+            };
+        }
+
+        this.pendingImage.frames[PicOffset] = bytes;
+        this.state.framesReceived++;
+
+        if (this.pendingImage.frames.filter(Boolean).length === this.pendingImage.frameCount) {
+            this.lastImage = this.pendingImage;
+            this.pendingImage = null;
+            this.log(`Displaying PicId ${PicId} (${PicNum} frame${PicNum > 1 ? 's' : ''})`);
+        }
+
+        return { error_code: 0 };
+    }
+
+    shouldFail(command) {
+        return this.options.failCommands.includes(command) || Math.random() < this.options.errorRate;
+    }
+
+    getStateSummary() {
+        return {
+            ...this.state,
+            options: { ...this.options },
+            lastImage: this.lastImage ? {
+                picId: this.lastImage.picId,
+                width: this.lastImage.width,
+                height: this.lastImage.height,
+                speed: this.lastImage.speed,
+                frameCount: this.lastImage.frameCount
+            } : null
+        };
+    }
+
+    frameToPpm() {
+        if (!this.lastImage) return null;
+
+        const { width, height, frames } = this.lastImage;
+        return Buffer.concat([Buffer.from(`P6\n${width} ${height}\n255\n`, 'ascii'), frames[0]]);
+    }
+
+    async handleRequest(req, res) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        if (req.method === 'GET' && req.url === '/state') {
+            this.sendJson(res, this.getStateSummary());
+            return;
+        }
+
+        if (req.method === 'GET' && req.url === '/frame.ppm') {
+            const ppm = this.frameToPpm();
+            if (!ppm) {
+                res.writeHead(404);
+                res.end('No frame received yet');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'image/x-portable-pixmap' });
+            res.end(ppm);
+            return;
+        }
+
+        if (req.method !== 'POST' || (req.url !== '/post' && req.url !== '/control')) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(await this.readBody(req));
+        } catch (error) {
+            res.writeHead(400);
+            res.end('Invalid JSON');
+            return;
+        }
+
+        if (req.url === '/control') {
+            this.configure(payload);
+            this.sendJson(res, { ok: true, options: this.options });
+            return;
+        }
+
+        if (this.options.latency > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.options.latency));
+        }
+
+        if (this.shouldFail(payload.Command)) {
+            this.log(`Injecting ${this.options.errorMode} error for ${payload.Command}`);
+            switch (this.options.errorMode) {
+                case 'drop':
+                    req.socket.destroy();
+                    return;
+                case 'http':
+                    res.writeHead(500);
+                    res.end('Injected error');
+                    return;
+                default:
+                    this.sendJson(res, { error_code: 1 });
+                    return;
+            }
+        }
+
+        this.sendJson(res, this.handleCommand(payload));
+    }
+
+    configure(changes) {
+        for (const key of ['latency', 'errorRate', 'errorMode', 'failCommands']) {
+            if (changes[key] !== undefined) {
+                this.options[key] = changes[key];
+            }
+        }
+        if (changes.reset) {
+            this.reset();
+        }
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+            req.on('error', reject);
+        });
+    }
+
+    sendJson(res, data) {
+        // The real device answers with text/html; JSON content type is friendlier for tools
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+    }
+
+    listen() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => {
+                this.handleRequest(req, res).catch(error => {
+                    this.log('Request failed:', error);
+                    if (!res.headersSent) res.writeHead(500);
+                    res.end();
+                });
+            });
+            this.server.once('error', reject);
+            this.server.listen(this.options.port, this.options.host, () => {
+                this.options.port = this.server.address().port;
+                this.log(`Listening on http://${this.options.host}:${this.options.port}/post (${this.options.size}x${this.options.size})`);
+                resolve(this);
+            });
+        });
+    }
+
+    close() {
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+        });
+    }
+}
+
+function createPixooEmulator(options) {
+    return new PixooEmulator(options);
+}
+
+function parseArgs(argv) {
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => argv[++i];
+
+        switch (arg) {
+            case '--port': options.port = parseInt(next(), 10); break;
+            case '--host': options.host = next(); break;
+            case '--size': options.size = parseInt(next(), 10); break;
+            case '--latency': options.latency = parseInt(next(), 10); break;
+            case '--error-rate': options.errorRate = parseFloat(next()); break;
+            case '--error-mode': options.errorMode = next(); break;
+            case '--fail': options.failCommands = next().split(','); break;
+            case '--quiet': options.quiet = true; break;
+            case '--help':
+                console.log('Usage: node tools/pixoo-emulator.js [--port 8080] [--host 127.0.0.1] [--size 64]');
+                console.log('       [--latency ms] [--error-rate 0-1] [--error-mode code|http|drop] [--fail Cmd1,Cmd2] [--quiet]');
+                process.exit(0);
+                break;
+            default:
+                console.error(`Unknown option ${arg}`);
+                process.exit(1);
+        }
+    }
+
+    return options;
+}
+
+if (require.main === module) {
+    const emulator = createPixooEmulator(parseArgs(process.argv.slice(2)));
+    emulator.listen().catch(error => {
+        console.error('Failed to start emulator:', error.message);
+        process.exit(1);
+    });
+
+    process.on('SIGINT', () => {
+        emulator.close().then(() => process.exit(0));
+    });
+}
+
+module.exports = { PixooEmulator, createPixooEmulator };